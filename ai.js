@@ -0,0 +1,180 @@
+// Enemy AI
+// Picks the computer's next shot from a plain view of the game:
+//   shots          - grid of null | 'miss' | 'hit' | 'sunk' for the board being attacked
+//   remainingShips - sizes of the ships that are still afloat
+// It never looks at the DOM, so it can run headlessly.
+const EnemyAI = (() => {
+    const DIFFICULTIES = {
+        easy: 'Easy',
+        medium: 'Medium',
+        hard: 'Hard'
+    };
+
+    // Weight applied per known hit covered by a candidate placement (hard mode)
+    const HIT_WEIGHT = 20;
+
+    const DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+    function inBounds(shots, row, col) {
+        return row >= 0 && col >= 0 && row < shots.length && col < shots[row].length;
+    }
+
+    function isOpen(shots, row, col) {
+        return inBounds(shots, row, col) && shots[row][col] === null;
+    }
+
+    function cellsWhere(shots, predicate) {
+        const cells = [];
+        shots.forEach((rowCells, row) => {
+            rowCells.forEach((value, col) => {
+                if (predicate(value, row, col)) {
+                    cells.push({ row, col });
+                }
+            });
+        });
+        return cells;
+    }
+
+    function pickRandom(cells, random) {
+        return cells[Math.floor(random() * cells.length)];
+    }
+
+    // Easy: fire at any untouched cell
+    function randomShot(view, random) {
+        return pickRandom(cellsWhere(view.shots, value => value === null), random);
+    }
+
+    // Cells that extend a line of two or more hits, at either end
+    function axisTargets(shots, hits) {
+        const targets = [];
+
+        hits.forEach(({ row, col }) => {
+            [[0, 1], [1, 0]].forEach(([dRow, dCol]) => {
+                const before = inBounds(shots, row - dRow, col - dCol) && shots[row - dRow][col - dCol] === 'hit';
+                const after = inBounds(shots, row + dRow, col + dCol) && shots[row + dRow][col + dCol] === 'hit';
+                if (!before && !after) return;
+
+                [-1, 1].forEach(step => {
+                    let r = row;
+                    let c = col;
+                    while (inBounds(shots, r, c) && shots[r][c] === 'hit') {
+                        r += dRow * step;
+                        c += dCol * step;
+                    }
+                    if (isOpen(shots, r, c)) {
+                        targets.push({ row: r, col: c });
+                    }
+                });
+            });
+        });
+
+        return targets;
+    }
+
+    function neighbourTargets(shots, hits) {
+        const targets = [];
+
+        hits.forEach(({ row, col }) => {
+            DIRECTIONS.forEach(([dRow, dCol]) => {
+                if (isOpen(shots, row + dRow, col + dCol)) {
+                    targets.push({ row: row + dRow, col: col + dCol });
+                }
+            });
+        });
+
+        return targets;
+    }
+
+    // Medium: hunt at random, then probe around hits and follow the ship's axis until sunk
+    function huntTargetShot(view, random) {
+        const hits = cellsWhere(view.shots, value => value === 'hit');
+
+        if (hits.length > 0) {
+            const alongAxis = axisTargets(view.shots, hits);
+            if (alongAxis.length > 0) return pickRandom(alongAxis, random);
+
+            const around = neighbourTargets(view.shots, hits);
+            if (around.length > 0) return pickRandom(around, random);
+        }
+
+        return randomShot(view, random);
+    }
+
+    // Counts, for every open cell, how many ways the remaining ships could cover it.
+    // While unsunk hits exist only placements through those hits are counted.
+    function densityMap(view) {
+        const { shots, remainingShips } = view;
+        const targetMode = shots.some(rowCells => rowCells.includes('hit'));
+        const density = shots.map(rowCells => rowCells.map(() => 0));
+
+        remainingShips.forEach(size => {
+            shots.forEach((rowCells, row) => {
+                rowCells.forEach((_, col) => {
+                    [true, false].forEach(isHorizontal => {
+                        const cells = [];
+                        for (let i = 0; i < size; i++) {
+                            cells.push(isHorizontal ? { row, col: col + i } : { row: row + i, col });
+                        }
+
+                        if (cells.some(cell => !inBounds(shots, cell.row, cell.col))) return;
+                        if (cells.some(cell => shots[cell.row][cell.col] === 'miss' || shots[cell.row][cell.col] === 'sunk')) return;
+
+                        const hitCount = cells.filter(cell => shots[cell.row][cell.col] === 'hit').length;
+                        if (targetMode && hitCount === 0) return;
+
+                        const weight = targetMode ? Math.pow(HIT_WEIGHT, hitCount) : 1;
+                        cells.forEach(cell => {
+                            if (shots[cell.row][cell.col] === null) {
+                                density[cell.row][cell.col] += weight;
+                            }
+                        });
+                    });
+                });
+            });
+        });
+
+        return { density, targetMode };
+    }
+
+    // Hard: probability-density targeting with a parity search while hunting
+    function probabilityShot(view, random) {
+        const { density, targetMode } = densityMap(view);
+        let candidates = cellsWhere(view.shots, (value, row, col) => value === null && density[row][col] > 0);
+
+        if (candidates.length === 0) {
+            return huntTargetShot(view, random);
+        }
+
+        if (!targetMode && view.remainingShips.length > 0) {
+            const parity = Math.min(...view.remainingShips);
+            const onParity = candidates.filter(({ row, col }) => (row + col) % parity === 0);
+            if (onParity.length > 0) {
+                candidates = onParity;
+            }
+        }
+
+        const best = Math.max(...candidates.map(({ row, col }) => density[row][col]));
+        return pickRandom(candidates.filter(({ row, col }) => density[row][col] === best), random);
+    }
+
+    const STRATEGIES = {
+        easy: randomShot,
+        medium: huntTargetShot,
+        hard: probabilityShot
+    };
+
+    function chooseShot(difficulty, view, random = Math.random) {
+        const strategy = STRATEGIES[difficulty] || STRATEGIES.easy;
+        return strategy(view, random);
+    }
+
+    return {
+        DIFFICULTIES,
+        chooseShot,
+        densityMap
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnemyAI;
+}
@@ -1,60 +1,115 @@
 // Game Data
-const SHIPS = [
-    { name: "Carrier", size: 5, color: "#8B4513" },
-    { name: "Battleship", size: 4, color: "#696969" },
-    { name: "Cruiser", size: 3, color: "#4682B4" },
-    { name: "Submarine", size: 3, color: "#2F4F4F" },
-    { name: "Destroyer", size: 2, color: "#800080" }
-];
-
-const GRID_SIZE = 10;
-const COORDINATES = {
-    rows: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'],
-    cols: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+// Sides and display names for each way of playing
+const GAME_MODES = {
+    computer: {
+        sides: ['player', 'enemy'],
+        names: { player: 'You', enemy: 'Enemy' }
+    },
+    hotseat: {
+        sides: ['player1', 'player2'],
+        names: { player1: 'Player 1', player2: 'Player 2' }
+    },
+    online: {
+        sides: ['player', 'enemy'],
+        names: { player: 'You', enemy: 'Opponent' }
+    },
+    onchain: {
+        sides: ['player', 'enemy'],
+        names: { player: 'You', enemy: 'Opponent' }
+    }
 };
 
+const HEATMAP_STORAGE_KEY = 'battleship.shotHeatmap';
+const PROFILE_STORAGE_KEY = 'battleship.profile';
+const SAVE_STORAGE_KEY = 'battleship.savedGame';
+const SAVE_FORMAT_VERSION = 1;
+const RELAY_URL_STORAGE_KEY = 'battleship.relayUrl';
+const DEFAULT_RELAY_URL = 'ws://localhost:8080';
+const CONTRACT_ADDRESS_STORAGE_KEY = 'battleship.contractAddress';
+const CHAIN_GAME_STORAGE_KEY = 'battleship.chainGame';
+const RPC_URL_STORAGE_KEY = 'battleship.rpcUrl';
+
 // Game State
 class GameState {
     constructor() {
         this.currentScreen = 'welcome';
-        this.playerBoard = this.createEmptyBoard();
-        this.enemyBoard = this.createEmptyBoard();
-        this.playerShips = [];
-        this.enemyShips = [];
+        this.rules = RuleSets.fromPreset('classic');
+        this.mode = 'computer';
+        this.viewer = 'player';
+        this.handoff = null;
+        this.online = null;
+        this.chain = null;
+        this.match = this.createMatch();
+        this.record = this.createRecord();
         this.selectedShip = null;
         this.isHorizontal = true;
-        this.currentPlayer = 'player';
-        this.gameStats = {
-            playerHits: 0,
-            playerMisses: 0,
-            enemyHits: 0,
-            enemyMisses: 0
-        };
-        this.gameOver = false;
-        this.winner = null;
+        this.difficulty = 'medium';
+        this.placementStrategy = 'random';
+        this.enemyPlacement = 'auto';
+    }
+
+    createMatch() {
+        const sides = GAME_MODES[this.mode].sides;
+        // The room's creator (player1) always opens fire in online games
+        const firstPlayer = this.online && this.online.seat === 'player2' ? 'enemy' : sides[0];
+        return new BattleshipRules.Game({ rules: this.rules, sides, firstPlayer });
     }
 
-    createEmptyBoard() {
-        return Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(null));
+    // Move log for the current match, kept up to date from its events
+    createRecord() {
+        const players = {};
+        this.match.sides.forEach(side => {
+            players[side] = { name: GAME_MODES[this.mode].names[side] };
+        });
+        const record = GameRecord.create({ rules: this.rules, players });
+        return GameRecord.attach(record, this.match);
     }
 
     reset() {
         this.currentScreen = 'welcome';
-        this.playerBoard = this.createEmptyBoard();
-        this.enemyBoard = this.createEmptyBoard();
-        this.playerShips = [];
-        this.enemyShips = [];
+        this.viewer = GAME_MODES[this.mode].sides[0];
+        this.handoff = null;
+        this.match = this.createMatch();
+        this.record = this.createRecord();
         this.selectedShip = null;
         this.isHorizontal = true;
-        this.currentPlayer = 'player';
-        this.gameStats = {
-            playerHits: 0,
-            playerMisses: 0,
-            enemyHits: 0,
-            enemyMisses: 0
+    }
+
+    serialize() {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            currentScreen: this.currentScreen,
+            rules: this.rules,
+            mode: this.mode,
+            viewer: this.viewer,
+            handoff: this.handoff,
+            difficulty: this.difficulty,
+            placementStrategy: this.placementStrategy,
+            enemyPlacement: this.enemyPlacement,
+            isHorizontal: this.isHorizontal,
+            match: this.match.toJSON(),
+            record: this.record
         };
-        this.gameOver = false;
-        this.winner = null;
+    }
+
+    static deserialize(data) {
+        if (!data || data.version !== SAVE_FORMAT_VERSION) {
+            throw new Error('Unsupported saved game format');
+        }
+        
+        const state = new GameState();
+        state.currentScreen = data.currentScreen;
+        state.rules = data.rules;
+        state.mode = data.mode || 'computer';
+        state.viewer = data.viewer || GAME_MODES[state.mode].sides[0];
+        state.handoff = data.handoff || null;
+        state.difficulty = data.difficulty;
+        state.placementStrategy = data.placementStrategy;
+        state.enemyPlacement = data.enemyPlacement || 'auto';
+        state.isHorizontal = data.isHorizontal;
+        state.match = BattleshipRules.Game.fromJSON(data.match);
+        state.record = data.record ? GameRecord.attach(data.record, state.match) : state.createRecord();
+        return state;
     }
 }
 
@@ -67,7 +122,13 @@ function showScreen(screenName) {
         welcome: document.getElementById('welcome-screen'),
         placement: document.getElementById('placement-screen'),
         battle: document.getElementById('battle-screen'),
-        victory: document.getElementById('victory-screen')
+        victory: document.getElementById('victory-screen'),
+        handoff: document.getElementById('handoff-screen'),
+        lobby: document.getElementById('lobby-screen'),
+        wallet: document.getElementById('wallet-screen'),
+        replay: document.getElementById('replay-screen'),
+        stats: document.getElementById('stats-screen'),
+        spectate: document.getElementById('spectate-screen')
     };
     
     Object.values(screens).forEach(screen => {
@@ -79,56 +140,179 @@ function showScreen(screenName) {
     if (screens[screenName]) {
         screens[screenName].classList.add('active');
         game.currentScreen = screenName;
+        saveGame();
     }
 }
 
 // Board Creation
-function createBoard(container, isPlacementBoard = false) {
+// Boards are ARIA grids. Each keeps one focusable cell (its cursor), which the arrow keys
+// move; Enter or Space does what a click on that cell would.
+const boardCursors = {};
+
+function createBoard(container, isPlacementBoard = false, gridSize = game.match.gridSize) {
     if (!container) return;
     
+    const coordinates = RuleSets.coordinateLabels(gridSize);
+    const title = container.parentElement && container.parentElement.querySelector('.board-title');
+    const cursor = boardCursors[container.id] || { row: 0, col: 0 };
+    
+    let activate = null;
+    if (isPlacementBoard) {
+        activate = handlePlacementClick;
+    } else if (container.id === 'enemy-board') {
+        activate = handleEnemyAttack;
+    }
+    
     container.innerHTML = '';
+    container.style.setProperty('--grid-size', gridSize);
+    container.setAttribute('role', 'grid');
+    container.setAttribute('aria-label', title ? title.textContent : 'Board');
+    container.setAttribute('aria-readonly', String(!activate));
     
-    // Create coordinate cells
+    // Column headers
+    const headerRow = createBoardRow(container);
     const emptyCell = document.createElement('div');
     emptyCell.className = 'board-cell coordinate';
-    container.appendChild(emptyCell);
+    emptyCell.setAttribute('aria-hidden', 'true');
+    headerRow.appendChild(emptyCell);
     
-    // Column headers
-    for (let col = 0; col < GRID_SIZE; col++) {
+    for (let col = 0; col < gridSize; col++) {
         const colHeader = document.createElement('div');
         colHeader.className = 'board-cell coordinate';
-        colHeader.textContent = COORDINATES.cols[col];
-        container.appendChild(colHeader);
+        colHeader.setAttribute('role', 'columnheader');
+        colHeader.textContent = coordinates.cols[col];
+        headerRow.appendChild(colHeader);
     }
     
     // Row cells
-    for (let row = 0; row < GRID_SIZE; row++) {
-        // Row header
+    for (let row = 0; row < gridSize; row++) {
+        const boardRow = createBoardRow(container);
         const rowHeader = document.createElement('div');
         rowHeader.className = 'board-cell coordinate';
-        rowHeader.textContent = COORDINATES.rows[row];
-        container.appendChild(rowHeader);
+        rowHeader.setAttribute('role', 'rowheader');
+        rowHeader.textContent = coordinates.rows[row];
+        boardRow.appendChild(rowHeader);
         
         // Game cells
-        for (let col = 0; col < GRID_SIZE; col++) {
+        for (let col = 0; col < gridSize; col++) {
             const cell = document.createElement('div');
             cell.className = 'board-cell';
             cell.dataset.row = row;
             cell.dataset.col = col;
+            cell.setAttribute('role', 'gridcell');
+            cell.tabIndex = row === Math.min(cursor.row, gridSize - 1) && col === Math.min(cursor.col, gridSize - 1) ? 0 : -1;
+            updateCellLabel(cell);
             
+            cell.addEventListener('keydown', event => handleBoardKey(event, container, row, col, activate));
+            if (activate) {
+                cell.addEventListener('click', () => activate(row, col));
+            }
             if (isPlacementBoard) {
-                cell.addEventListener('click', () => handlePlacementClick(row, col));
                 cell.addEventListener('mouseover', () => handlePlacementHover(row, col));
-                cell.addEventListener('mouseleave', () => clearPlacementPreview());
-            } else if (container.id === 'enemy-board') {
-                cell.addEventListener('click', () => handleEnemyAttack(row, col));
+                cell.addEventListener('mouseleave', leavePlacementCell);
+                cell.addEventListener('focus', () => handlePlacementHover(row, col));
+                cell.addEventListener('blur', leavePlacementCell);
+                cell.addEventListener('pointerdown', event => grabPlacedShip(event, row, col));
+                cell.addEventListener('contextmenu', event => {
+                    event.preventDefault();
+                    const placed = game.selectedShip === null ? placedShipAt(row, col) : null;
+                    if (placed !== null) {
+                        turnPlacedShip(placed);
+                    } else {
+                        rotateShips();
+                        handlePlacementHover(row, col);
+                    }
+                });
             }
             
-            container.appendChild(cell);
+            boardRow.appendChild(cell);
         }
     }
 }
 
+function createBoardRow(container) {
+    const boardRow = document.createElement('div');
+    boardRow.className = 'board-row';
+    boardRow.setAttribute('role', 'row');
+    container.appendChild(boardRow);
+    return boardRow;
+}
+
+// Screen reader label of a cell, e.g. "B7, miss" or "C3, Cruiser, sunk"
+function updateCellLabel(cell) {
+    const parts = [GameRecord.coordinateLabel(Number(cell.dataset.row), Number(cell.dataset.col))];
+    if (cell.dataset.shipName) {
+        parts.push(cell.dataset.shipName);
+    }
+    const state = ['sunk', 'hit', 'miss'].find(name => cell.classList.contains(name));
+    if (state) {
+        parts.push(state);
+    }
+    cell.setAttribute('aria-label', parts.join(', '));
+}
+
+function handleBoardKey(event, container, row, col, activate) {
+    const gridSize = container.querySelectorAll('[role="columnheader"]').length;
+    const moves = {
+        ArrowUp: [row - 1, col],
+        ArrowDown: [row + 1, col],
+        ArrowLeft: [row, col - 1],
+        ArrowRight: [row, col + 1],
+        Home: [row, 0],
+        End: [row, gridSize - 1]
+    };
+    
+    if (moves[event.key]) {
+        event.preventDefault();
+        const [nextRow, nextCol] = moves[event.key];
+        moveBoardCursor(container, Math.min(Math.max(nextRow, 0), gridSize - 1), Math.min(Math.max(nextCol, 0), gridSize - 1));
+    } else if ((event.key === 'Enter' || event.key === ' ') && activate) {
+        event.preventDefault();
+        activate(row, col);
+    }
+}
+
+function moveBoardCursor(container, row, col) {
+    const cell = container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+    if (!cell) return;
+    
+    container.querySelectorAll('[role="gridcell"][tabindex="0"]').forEach(current => {
+        current.tabIndex = -1;
+    });
+    cell.tabIndex = 0;
+    boardCursors[container.id] = { row, col };
+    cell.focus();
+}
+
+// Puts keyboard focus on a board's cursor when the screen that held it has been hidden
+function focusBoardCursor(container) {
+    const active = document.activeElement;
+    if (!container || (active && active !== document.body && !active.closest('.screen:not(.active)'))) return;
+    
+    const cell = container.querySelector('[role="gridcell"][tabindex="0"]');
+    if (cell) {
+        cell.focus();
+    }
+}
+
+// Screen reader announcements go through one polite live region. Messages raised together
+// (a shot, the sinking it caused and the turn change) are read as one.
+let pendingAnnouncements = [];
+
+function announce(message) {
+    const announcer = document.getElementById('announcer');
+    if (!announcer || !message) return;
+    
+    pendingAnnouncements.push(message);
+    if (pendingAnnouncements.length > 1) return;
+    
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = pendingAnnouncements.join(' ');
+        pendingAnnouncements = [];
+    }, 100);
+}
+
 // Ship Inventory
 function createShipInventory() {
     const shipInventory = document.getElementById('ship-inventory');
@@ -136,11 +320,33 @@ function createShipInventory() {
     
     shipInventory.innerHTML = '';
     
-    SHIPS.forEach((ship, index) => {
+    game.match.fleet.forEach((ship, index) => {
         const shipItem = document.createElement('div');
         shipItem.className = 'ship-item';
         shipItem.dataset.shipIndex = index;
+        shipItem.tabIndex = 0;
+        shipItem.setAttribute('role', 'button');
+        shipItem.setAttribute('aria-pressed', 'false');
+        shipItem.setAttribute('aria-label', `${ship.name}, ${ship.size} cells`);
+        if (index < 10) {
+            shipItem.setAttribute('aria-keyshortcuts', String((index + 1) % 10));
+        }
         shipItem.addEventListener('click', () => selectShip(index));
+        shipItem.addEventListener('pointerdown', event => {
+            if (game.match.boards[game.viewer].ships.some(s => s.index === index)) return;
+            const segment = event.target.closest('.ship-segment');
+            beginShipDrag(event, index, {
+                offset: segment ? [...segment.parentNode.children].indexOf(segment) : 0,
+                isHorizontal: game.isHorizontal,
+                placed: false
+            });
+        });
+        shipItem.addEventListener('keydown', event => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                selectShip(index);
+            }
+        });
         
         const shipVisual = document.createElement('div');
         shipVisual.className = 'ship-visual';
@@ -167,37 +373,70 @@ function createShipInventory() {
 
 // Ship Selection
 function selectShip(shipIndex) {
-    if (game.playerShips.some(s => s.index === shipIndex)) return;
+    const ship = game.match.fleet[shipIndex];
+    if (game.match.boards[game.viewer].ships.some(s => s.index === shipIndex)) {
+        announce(`${ship.name} is already placed.`);
+        return;
+    }
     
     game.selectedShip = shipIndex;
-    document.querySelectorAll('.ship-item').forEach(item => item.classList.remove('selected'));
+    document.querySelectorAll('.ship-item').forEach(item => {
+        item.classList.remove('selected');
+        item.setAttribute('aria-pressed', 'false');
+    });
     const selectedItem = document.querySelector(`[data-ship-index="${shipIndex}"]`);
     if (selectedItem) {
         selectedItem.classList.add('selected');
+        selectedItem.setAttribute('aria-pressed', 'true');
+    }
+    if (placementHover) {
+        handlePlacementHover(placementHover.row, placementHover.col);
     }
+    announce(`${ship.name} selected, ${ship.size} cells, ${game.isHorizontal ? 'horizontal' : 'vertical'}.`);
 }
 
 // Ship Placement
+// The cell under the mouse or keyboard cursor, so rotating can redraw the preview
+let placementHover = null;
+
 function handlePlacementClick(row, col) {
-    if (game.selectedShip === null) return;
+    const coordinate = GameRecord.coordinateLabel(row, col);
+    const placed = placedShipAt(row, col);
+    if (game.selectedShip === null && placed !== null) {
+        turnPlacedShip(placed);
+        return;
+    }
+    if (game.selectedShip === null) {
+        announce(`Pick a ship first with the number keys 1 to ${Math.min(game.match.fleet.length, 10)}.`);
+        return;
+    }
     
-    const ship = SHIPS[game.selectedShip];
-    if (canPlaceShip(row, col, ship.size, game.isHorizontal)) {
-        placeShip(row, col, ship.size, game.selectedShip, game.isHorizontal);
-        const shipItem = document.querySelector(`[data-ship-index="${game.selectedShip}"]`);
-        if (shipItem) {
-            shipItem.classList.add('placed');
-        }
+    const ship = game.match.fleet[game.selectedShip];
+    if (game.match.canPlaceShip(game.viewer, game.selectedShip, row, col, game.isHorizontal)) {
+        game.match.placeShip(game.viewer, game.selectedShip, row, col, game.isHorizontal);
         game.selectedShip = null;
-        updateReadyButton();
+        clearPlacementPreview();
+        announce(`${ship.name} placed at ${coordinate}, ${game.isHorizontal ? 'horizontal' : 'vertical'}.`);
+        if (game.match.isFleetComplete(game.viewer)) {
+            announce('All ships placed. Ready for battle.');
+        }
+    } else {
+        announce(`${ship.name} does not fit at ${coordinate}.`);
     }
 }
 
 function handlePlacementHover(row, col) {
-    if (game.selectedShip === null) return;
-    
-    const ship = SHIPS[game.selectedShip];
-    showPlacementPreview(row, col, ship.size, game.isHorizontal);
+    if (drag && drag.active) return;
+    if (game.selectedShip !== null) {
+        const ship = game.match.fleet[game.selectedShip];
+        showPlacementPreview(row, col, ship.size, game.isHorizontal);
+    }
+    placementHover = { row, col };
+}
+
+function leavePlacementCell() {
+    placementHover = null;
+    clearPlacementPreview();
 }
 
 function clearPlacementPreview() {
@@ -206,265 +445,455 @@ function clearPlacementPreview() {
     });
 }
 
-function showPlacementPreview(row, col, size, isHorizontal) {
-    clearPlacementPreview();
-    
-    const canPlace = canPlaceShip(row, col, size, isHorizontal);
+// Index of the viewer's ship on a cell of their board, or null
+function placedShipAt(row, col) {
+    return game.match.boards[game.viewer].cells[row][col];
+}
+
+function isShipHorizontal(ship) {
+    return ship.positions.length < 2 || ship.positions[1].row === ship.positions[0].row;
+}
+
+// Turns a placed ship about its bow (first cell), if it fits the other way round
+function turnPlacedShip(shipIndex) {
+    const ship = game.match.boards[game.viewer].ships.find(s => s.index === shipIndex);
+    const { name } = game.match.fleet[shipIndex];
+    const bow = ship.positions[0];
+    const isHorizontal = !isShipHorizontal(ship);
+    const coordinate = GameRecord.coordinateLabel(bow.row, bow.col);
     
-    for (let i = 0; i < size; i++) {
-        const currentRow = isHorizontal ? row : row + i;
-        const currentCol = isHorizontal ? col + i : col;
-        
-        if (currentRow < GRID_SIZE && currentCol < GRID_SIZE) {
-            const cell = document.querySelector(`#player-board [data-row="${currentRow}"][data-col="${currentCol}"]`);
-            if (cell) {
-                cell.classList.add('ship-preview');
-                cell.classList.add(canPlace ? 'valid-drop' : 'invalid-drop');
-            }
-        }
+    if (!game.match.canMoveShip(game.viewer, shipIndex, bow.row, bow.col, isHorizontal)) {
+        announce(`${name} cannot turn at ${coordinate}.`);
+        return;
     }
+    game.match.moveShip(game.viewer, shipIndex, bow.row, bow.col, isHorizontal);
+    announce(`${name} turned ${isHorizontal ? 'horizontal' : 'vertical'} at ${coordinate}.`);
 }
 
-function canPlaceShip(row, col, size, isHorizontal) {
-    for (let i = 0; i < size; i++) {
-        const currentRow = isHorizontal ? row : row + i;
-        const currentCol = isHorizontal ? col + i : col;
-        
-        if (currentRow >= GRID_SIZE || currentCol >= GRID_SIZE) return false;
-        if (game.playerBoard[currentRow][currentCol] !== null) return false;
+function returnShipToDock(shipIndex) {
+    game.match.removeShip(game.viewer, shipIndex);
+    announce(`${game.match.fleet[shipIndex].name} returned to the dock.`);
+}
+
+// Shared by the Rotate button, the R key and right-clicking the board
+function rotateShips() {
+    game.isHorizontal = !game.isHorizontal;
+    if (placementHover) {
+        handlePlacementHover(placementHover.row, placementHover.col);
     }
-    return true;
+    announce(`Ships will be placed ${game.isHorizontal ? 'horizontally' : 'vertically'}.`);
 }
 
-function placeShip(row, col, size, shipIndex, isHorizontal) {
-    const positions = [];
+// R and the number keys work anywhere on the placement screen, except while typing.
+// Over a placed ship (with no ship picked), R turns that ship and Delete docks it.
+function handlePlacementKeys(event) {
+    if (game.currentScreen !== 'placement' || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
     
-    for (let i = 0; i < size; i++) {
-        const currentRow = isHorizontal ? row : row + i;
-        const currentCol = isHorizontal ? col + i : col;
-        
-        game.playerBoard[currentRow][currentCol] = shipIndex;
-        positions.push({ row: currentRow, col: currentCol });
-        
-        const cell = document.querySelector(`#player-board [data-row="${currentRow}"][data-col="${currentCol}"]`);
-        if (cell) {
-            cell.classList.add('ship');
-            cell.style.backgroundColor = SHIPS[shipIndex].color;
+    const placed = placementHover && game.selectedShip === null
+        ? placedShipAt(placementHover.row, placementHover.col)
+        : null;
+    if (event.key === 'r' || event.key === 'R') {
+        event.preventDefault();
+        if (placed !== null) {
+            turnPlacedShip(placed);
+        } else {
+            rotateShips();
+        }
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && placed !== null) {
+        event.preventDefault();
+        returnShipToDock(placed);
+    } else if (/^[0-9]$/.test(event.key)) {
+        const shipIndex = (Number(event.key) + 9) % 10;
+        if (shipIndex < game.match.fleet.length) {
+            event.preventDefault();
+            selectShip(shipIndex);
         }
     }
+}
+
+// `movingShip` is the index of a placed ship being dragged, which may overlap itself
+function showPlacementPreview(row, col, size, isHorizontal, movingShip = null) {
+    clearPlacementPreview();
     
-    game.playerShips.push({
-        index: shipIndex,
-        positions: positions,
-        hits: 0,
-        sunk: false
+    const canPlace = BattleshipRules.canPlaceShip(game.match.boards[game.viewer], row, col, size, isHorizontal, movingShip);
+    
+    BattleshipRules.shipCells(row, col, size, isHorizontal).forEach(pos => {
+        const cell = document.querySelector(`#player-board [data-row="${pos.row}"][data-col="${pos.col}"]`);
+        if (cell) {
+            cell.classList.add('ship-preview');
+            cell.classList.add(canPlace ? 'valid-drop' : 'invalid-drop');
+        }
     });
 }
 
-// AI Ship Placement
-function placeEnemyShips() {
-    game.enemyShips = [];
+// Drag and Drop
+// Ships are dragged with pointer events, so mouse, pen and touch share one path. A press
+// only turns into a drag once it has moved a few pixels; a shorter one stays a click.
+const DRAG_THRESHOLD = 6;
+const DRAG_SEGMENT_SIZE = 32;
+let drag = null;
+let suppressClick = false;
+
+// `offset` is the grabbed segment, counted from the bow, so it stays under the pointer
+function beginShipDrag(event, shipIndex, { offset, isHorizontal, placed }) {
+    if (event.button !== 0 || drag) return;
     
-    SHIPS.forEach((ship, index) => {
-        let placed = false;
-        let attempts = 0;
-        
-        while (!placed && attempts < 100) {
-            const row = Math.floor(Math.random() * GRID_SIZE);
-            const col = Math.floor(Math.random() * GRID_SIZE);
-            const isHorizontal = Math.random() < 0.5;
-            
-            if (canPlaceEnemyShip(row, col, ship.size, isHorizontal)) {
-                placeEnemyShip(row, col, ship.size, index, isHorizontal);
-                placed = true;
-            }
-            attempts++;
-        }
+    drag = {
+        shipIndex,
+        offset,
+        isHorizontal,
+        placed,
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        active: false,
+        ghost: null,
+        target: null
+    };
+}
+
+function grabPlacedShip(event, row, col) {
+    const shipIndex = placedShipAt(row, col);
+    if (shipIndex === null) return;
+    
+    const ship = game.match.boards[game.viewer].ships.find(s => s.index === shipIndex);
+    beginShipDrag(event, shipIndex, {
+        offset: ship.positions.findIndex(pos => pos.row === row && pos.col === col),
+        isHorizontal: isShipHorizontal(ship),
+        placed: true
     });
 }
 
-function canPlaceEnemyShip(row, col, size, isHorizontal) {
-    for (let i = 0; i < size; i++) {
-        const currentRow = isHorizontal ? row : row + i;
-        const currentCol = isHorizontal ? col + i : col;
-        
-        if (currentRow >= GRID_SIZE || currentCol >= GRID_SIZE) return false;
-        if (game.enemyBoard[currentRow][currentCol] !== null) return false;
+function startDragging() {
+    const ship = game.match.fleet[drag.shipIndex];
+    const ghost = document.createElement('div');
+    ghost.className = 'drag-ghost';
+    ghost.style.flexDirection = drag.isHorizontal ? 'row' : 'column';
+    for (let i = 0; i < ship.size; i++) {
+        const segment = document.createElement('div');
+        segment.className = 'ship-segment';
+        segment.style.backgroundColor = ship.color;
+        ghost.appendChild(segment);
+    }
+    document.body.appendChild(ghost);
+    
+    drag.active = true;
+    drag.ghost = ghost;
+    clearPlacementPreview();
+    
+    const shipItem = document.querySelector(`[data-ship-index="${drag.shipIndex}"]`);
+    if (shipItem && !drag.placed) {
+        shipItem.classList.add('dragging');
+    }
+    if (drag.placed) {
+        const ship = game.match.boards[game.viewer].ships.find(s => s.index === drag.shipIndex);
+        ship.positions.forEach(pos => {
+            const cell = document.querySelector(`#player-board [data-row="${pos.row}"][data-col="${pos.col}"]`);
+            if (cell) {
+                cell.classList.add('drag-source');
+            }
+        });
     }
-    return true;
 }
 
-function placeEnemyShip(row, col, size, shipIndex, isHorizontal) {
-    const positions = [];
+// Where the dragged ship would go: its bow cell on the board, the dock, or nowhere
+function dropTargetAt(x, y) {
+    const element = document.elementFromPoint(x, y);
+    if (!element) return null;
     
-    for (let i = 0; i < size; i++) {
-        const currentRow = isHorizontal ? row : row + i;
-        const currentCol = isHorizontal ? col + i : col;
-        
-        game.enemyBoard[currentRow][currentCol] = shipIndex;
-        positions.push({ row: currentRow, col: currentCol });
+    const cell = element.closest('#player-board [data-row]');
+    if (cell) {
+        const along = drag.offset;
+        return {
+            type: 'board',
+            row: Number(cell.dataset.row) - (drag.isHorizontal ? 0 : along),
+            col: Number(cell.dataset.col) - (drag.isHorizontal ? along : 0)
+        };
+    }
+    return element.closest('.ship-dock') ? { type: 'dock' } : null;
+}
+
+function handleDragMove(event) {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    if (!drag.active) {
+        if (Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < DRAG_THRESHOLD) return;
+        startDragging();
+    }
+    event.preventDefault();
+    
+    const along = (drag.offset + 0.5) * DRAG_SEGMENT_SIZE;
+    drag.ghost.style.left = `${event.clientX - (drag.isHorizontal ? along : DRAG_SEGMENT_SIZE / 2)}px`;
+    drag.ghost.style.top = `${event.clientY - (drag.isHorizontal ? DRAG_SEGMENT_SIZE / 2 : along)}px`;
+    
+    drag.target = dropTargetAt(event.clientX, event.clientY);
+    if (drag.target && drag.target.type === 'board') {
+        const { size } = game.match.fleet[drag.shipIndex];
+        showPlacementPreview(drag.target.row, drag.target.col, size, drag.isHorizontal, drag.placed ? drag.shipIndex : null);
+    } else {
+        clearPlacementPreview();
+    }
+}
+
+function handleDragEnd(event) {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    
+    const finished = drag;
+    if (finished.ghost) {
+        finished.ghost.remove();
+    }
+    document.querySelectorAll('.ship-item.dragging, .board-cell.drag-source').forEach(element => {
+        element.classList.remove('dragging', 'drag-source');
+    });
+    clearPlacementPreview();
+    drag = null;
+    
+    if (!finished.active || event.type === 'pointercancel') return;
+    // The click that follows the release belongs to the drag
+    suppressClick = true;
+    setTimeout(() => {
+        suppressClick = false;
+    }, 0);
+    dropShip(finished);
+}
+
+function dropShip({ shipIndex, isHorizontal, placed, target }) {
+    const { name } = game.match.fleet[shipIndex];
+    if (!target) return;
+    if (target.type === 'dock') {
+        if (placed) {
+            returnShipToDock(shipIndex);
+        }
+        return;
+    }
+    
+    const { row, col } = target;
+    const fits = placed
+        ? game.match.canMoveShip(game.viewer, shipIndex, row, col, isHorizontal)
+        : game.match.canPlaceShip(game.viewer, shipIndex, row, col, isHorizontal);
+    if (!fits) {
+        announce(`${name} does not fit there.`);
+        return;
+    }
+    
+    if (placed) {
+        game.match.moveShip(game.viewer, shipIndex, row, col, isHorizontal);
+    } else {
+        game.match.placeShip(game.viewer, shipIndex, row, col, isHorizontal);
+    }
+    if (game.selectedShip === shipIndex) {
+        game.selectedShip = null;
     }
+    announce(`${name} ${placed ? 'moved to' : 'placed at'} ${GameRecord.coordinateLabel(row, col)}, ${isHorizontal ? 'horizontal' : 'vertical'}.`);
+    if (!placed && game.match.isFleetComplete(game.viewer)) {
+        announce('All ships placed. Ready for battle.');
+    }
+}
+
+// AI Ship Placement
+function placeEnemyShips() {
+    game.match.clearFleet('enemy');
+    
+    const strategy = game.enemyPlacement === 'auto' ? FleetPlacement.COMPUTER_PLACEMENT[game.difficulty] : game.enemyPlacement;
+    const layout = FleetPlacement.generate(strategy, {
+        gridSize: game.match.gridSize,
+        shipSizes: game.match.fleet.map(ship => ship.size),
+        heatmap: loadShotHeatmap(game.match.gridSize)
+    });
     
-    game.enemyShips.push({
-        index: shipIndex,
-        positions: positions,
-        hits: 0,
-        sunk: false
+    layout.forEach(({ index, row, col, isHorizontal }) => {
+        game.match.placeShip('enemy', index, row, col, isHorizontal);
     });
 }
 
 // Random Player Ship Placement
 function randomPlacement() {
     // Clear existing ships
-    game.playerShips = [];
-    game.playerBoard = game.createEmptyBoard();
-    document.querySelectorAll('.ship-item').forEach(item => item.classList.remove('placed'));
-    
-    // Clear board visually
-    const playerBoard = document.getElementById('player-board');
-    if (playerBoard) {
-        createBoard(playerBoard, true);
-    }
+    game.match.clearFleet(game.viewer);
     
-    // Place ships randomly
-    SHIPS.forEach((ship, index) => {
-        let placed = false;
-        let attempts = 0;
-        
-        while (!placed && attempts < 100) {
-            const row = Math.floor(Math.random() * GRID_SIZE);
-            const col = Math.floor(Math.random() * GRID_SIZE);
-            const isHorizontal = Math.random() < 0.5;
-            
-            if (canPlaceShip(row, col, ship.size, isHorizontal)) {
-                placeShip(row, col, ship.size, index, isHorizontal);
-                const shipItem = document.querySelector(`[data-ship-index="${index}"]`);
-                if (shipItem) {
-                    shipItem.classList.add('placed');
-                }
-                placed = true;
-            }
-            attempts++;
-        }
+    // Place ships using the selected strategy
+    const layout = FleetPlacement.generate(game.placementStrategy, {
+        gridSize: game.match.gridSize,
+        shipSizes: game.match.fleet.map(ship => ship.size),
+        heatmap: loadShotHeatmap(game.match.gridSize)
     });
     
-    updateReadyButton();
+    layout.forEach(({ index, row, col, isHorizontal }) => {
+        game.match.placeShip(game.viewer, index, row, col, isHorizontal);
+    });
+    announce('Fleet placed at random. Ready for battle.');
 }
 
 // Battle Logic
 function handleEnemyAttack(row, col) {
-    if (game.currentPlayer !== 'player' || game.gameOver) return;
-    
-    const cell = document.querySelector(`#enemy-board [data-row="${row}"][data-col="${col}"]`);
-    if (!cell || cell.classList.contains('hit') || cell.classList.contains('miss')) return;
-    
-    const isHit = game.enemyBoard[row][col] !== null;
-    
-    if (isHit) {
-        cell.classList.add('hit');
-        game.gameStats.playerHits++;
-        
-        const shipIndex = game.enemyBoard[row][col];
-        const ship = game.enemyShips.find(s => s.index === shipIndex);
-        if (ship) {
-            ship.hits++;
-            
-            if (ship.hits === SHIPS[shipIndex].size) {
-                ship.sunk = true;
-                markShipAsSunk(ship, 'enemy');
-            }
-        }
-        
-        if (checkVictory('player')) {
-            endGame('player');
-            return;
-        }
-    } else {
-        cell.classList.add('miss');
-        game.gameStats.playerMisses++;
+    if (!game.match.canFire(game.viewer, row, col)) {
+        const shots = game.match.boards[game.match.opponentOf(game.viewer)].shots;
+        announce(shots[row][col] !== null
+            ? `${GameRecord.coordinateLabel(row, col)} has already been fired at.`
+            : 'You cannot fire right now.');
+        return;
     }
     
-    updateStats();
-    game.currentPlayer = 'enemy';
-    const currentTurn = document.getElementById('current-turn');
-    if (currentTurn) {
-        currentTurn.textContent = 'Enemy Turn';
+    if (game.mode === 'online') {
+        fireOnline(row, col);
+        return;
     }
-    
-    setTimeout(enemyTurn, 1000);
+    if (game.mode === 'onchain') {
+        fireOnChain(row, col);
+        return;
+    }
+    if (game.mode === 'computer') {
+        recordShotHeatmap(row, col);
+    }
+    game.match.fire(game.viewer, row, col);
+    updateTurnIndicator();
 }
 
 function enemyTurn() {
-    if (game.currentPlayer !== 'enemy' || game.gameOver) return;
+    if (game.match.currentPlayer !== 'enemy' || game.match.gameOver) return;
     
-    let row, col;
-    let validMove = false;
+    const board = game.match.boards.player;
+    const { row, col } = EnemyAI.chooseShot(game.difficulty, {
+        shots: board.shots,
+        remainingShips: BattleshipRules.remainingShipSizes(board)
+    });
+    
+    game.match.fire('enemy', row, col);
+    updateTurnIndicator();
     
-    while (!validMove) {
-        row = Math.floor(Math.random() * GRID_SIZE);
-        col = Math.floor(Math.random() * GRID_SIZE);
+    // Salvo and shoot-again turns keep going until the rules hand the turn back
+    if (game.match.currentPlayer === 'enemy' && !game.match.gameOver) {
+        setTimeout(enemyTurn, 1000);
+    }
+}
+
+// Rendering
+// The match emits events as the rules resolve; these keep the screens in sync.
+function bindMatchEvents(match) {
+    match.on('shipPlaced', ({ side, ship }) => {
+        if (side !== game.viewer) return;
         
-        const cell = document.querySelector(`#player-battle-board [data-row="${row}"][data-col="${col}"]`);
-        if (cell && !cell.classList.contains('hit') && !cell.classList.contains('miss')) {
-            validMove = true;
+        renderShip(document.getElementById('player-board'), ship);
+        const shipItem = document.querySelector(`[data-ship-index="${ship.index}"]`);
+        if (shipItem) {
+            shipItem.classList.remove('selected');
+            shipItem.classList.add('placed');
+            shipItem.setAttribute('aria-pressed', 'false');
+            shipItem.setAttribute('aria-disabled', 'true');
         }
-    }
-    
-    const cell = document.querySelector(`#player-battle-board [data-row="${row}"][data-col="${col}"]`);
-    if (!cell) return;
+        updateReadyButton();
+    });
     
-    const isHit = game.playerBoard[row][col] !== null;
+    match.on('shipRemoved', ({ side, ship }) => {
+        if (side !== game.viewer) return;
+        
+        clearShip(document.getElementById('player-board'), ship);
+        const shipItem = document.querySelector(`[data-ship-index="${ship.index}"]`);
+        if (shipItem) {
+            shipItem.classList.remove('placed');
+            shipItem.removeAttribute('aria-disabled');
+        }
+        updateReadyButton();
+    });
     
-    if (isHit) {
-        cell.classList.add('hit');
-        game.gameStats.enemyHits++;
+    match.on('fleetCleared', ({ side }) => {
+        if (side !== game.viewer) return;
         
-        const shipIndex = game.playerBoard[row][col];
-        const ship = game.playerShips.find(s => s.index === shipIndex);
-        if (ship) {
-            ship.hits++;
-            
-            if (ship.hits === SHIPS[shipIndex].size) {
-                ship.sunk = true;
-                markShipAsSunk(ship, 'player');
-            }
+        document.querySelectorAll('.ship-item').forEach(item => {
+            item.classList.remove('placed');
+            item.removeAttribute('aria-disabled');
+        });
+        const playerBoard = document.getElementById('player-board');
+        if (playerBoard) {
+            createBoard(playerBoard, true);
+        }
+        updateReadyButton();
+    });
+    
+    match.on('shot', ({ target, row, col, hit }) => {
+        const boardId = target === game.viewer ? 'player-battle-board' : 'enemy-board';
+        const cell = document.querySelector(`#${boardId} [data-row="${row}"][data-col="${col}"]`);
+        if (cell) {
+            cell.classList.add(hit ? 'hit' : 'miss');
+            updateCellLabel(cell);
         }
+        updateStats();
         
-        if (checkVictory('enemy')) {
-            endGame('enemy');
-            return;
+        const shooter = GAME_MODES[game.mode].names[match.opponentOf(target)];
+        announce(`${shooter} fired at ${GameRecord.coordinateLabel(row, col)}: ${hit ? 'hit' : 'miss'}.`);
+    });
+    
+    match.on('sunk', ({ target, ship }) => {
+        markShipAsSunk(ship, target);
+        
+        const name = match.fleet[ship.index].name;
+        announce(target === game.viewer && game.mode !== 'hotseat'
+            ? `Your ${name} was sunk!`
+            : `${GAME_MODES[game.mode].names[target]}'s ${name} sunk!`);
+    });
+    
+    match.on('turn', ({ player }) => {
+        updateTurnIndicator();
+        const currentTurn = document.getElementById('current-turn');
+        if (currentTurn && !match.gameOver) {
+            announce(`${currentTurn.textContent}.`);
         }
-    } else {
-        cell.classList.add('miss');
-        game.gameStats.enemyMisses++;
-    }
+        if (game.mode === 'hotseat') {
+            setTimeout(() => showHandoff(player, 'battle'), 1000);
+        } else if (game.mode === 'computer' && player === 'enemy') {
+            setTimeout(enemyTurn, 1000);
+        }
+    });
     
-    game.currentPlayer = 'player';
-    const currentTurn = document.getElementById('current-turn');
-    if (currentTurn) {
-        currentTurn.textContent = 'Your Turn';
-    }
+    match.on('gameOver', ({ winner }) => endGame(winner));
+    
+    ['shipPlaced', 'shipRemoved', 'fleetCleared', 'shot', 'sunk', 'turn'].forEach(event => match.on(event, saveGame));
+}
+
+function renderShip(container, ship, fleet = game.match.fleet) {
+    if (!container) return;
+    
+    ship.positions.forEach(pos => {
+        const cell = container.querySelector(`[data-row="${pos.row}"][data-col="${pos.col}"]`);
+        if (cell) {
+            cell.classList.add('ship');
+            cell.style.backgroundColor = fleet[ship.index].color;
+            cell.dataset.shipName = fleet[ship.index].name;
+            updateCellLabel(cell);
+        }
+    });
+}
+
+function clearShip(container, ship) {
+    if (!container) return;
+    
+    ship.positions.forEach(pos => {
+        const cell = container.querySelector(`[data-row="${pos.row}"][data-col="${pos.col}"]`);
+        if (cell) {
+            cell.classList.remove('ship');
+            cell.style.backgroundColor = '';
+            delete cell.dataset.shipName;
+            updateCellLabel(cell);
+        }
+    });
 }
 
 function markShipAsSunk(ship, player) {
     ship.positions.forEach(pos => {
-        const boardId = player === 'player' ? 'player-battle-board' : 'enemy-board';
+        const boardId = player === game.viewer ? 'player-battle-board' : 'enemy-board';
         const cell = document.querySelector(`#${boardId} [data-row="${pos.row}"][data-col="${pos.col}"]`);
         if (cell) {
             cell.classList.remove('hit');
             cell.classList.add('sunk');
+            cell.dataset.shipName = game.match.fleet[ship.index].name;
+            updateCellLabel(cell);
         }
     });
 }
 
-function checkVictory(player) {
-    const ships = player === 'player' ? game.enemyShips : game.playerShips;
-    return ships.every(ship => ship.sunk);
-}
-
 function endGame(winner) {
-    game.gameOver = true;
-    game.winner = winner;
+    const names = GAME_MODES[game.mode].names;
+    const unlocked = recordProfileGame();
     
     setTimeout(() => {
         const victoryTitle = document.getElementById('victory-title');
@@ -472,86 +901,1797 @@ function endGame(winner) {
         const finalStats = document.getElementById('final-stats');
         
         if (victoryTitle) {
-            victoryTitle.textContent = winner === 'player' ? 'Victory!' : 'Defeat!';
+            if (game.mode === 'hotseat') {
+                victoryTitle.textContent = `${names[winner]} Wins!`;
+            } else {
+                victoryTitle.textContent = winner === 'player' ? 'Victory!' : 'Defeat!';
+            }
         }
         
         if (victorySubtitle) {
-            victorySubtitle.textContent = winner === 'player' 
-                ? 'You have proven your naval supremacy!' 
-                : 'The enemy has outmaneuvered you!';
+            if (game.mode === 'hotseat') {
+                victorySubtitle.textContent = `${names[winner]} has proven their naval supremacy!`;
+            } else {
+                victorySubtitle.textContent = winner === 'player' 
+                    ? 'You have proven your naval supremacy!' 
+                    : 'The enemy has outmaneuvered you!';
+            }
+            if (game.mode === 'onchain' && game.record.reason !== 'All ships destroyed') {
+                victorySubtitle.textContent = `${game.record.reason}.`;
+            }
+        }
+        
+        const withdrawBtn = document.getElementById('withdraw-btn');
+        if (withdrawBtn && game.mode !== 'onchain') {
+            withdrawBtn.classList.add('hidden');
         }
         
         if (finalStats) {
+            const performance = game.match.sides.map(side => {
+                const stats = game.match.stats[side];
+                const shots = stats.hits + stats.misses;
+                return `
+                    ${names[side]}:<br>
+                    Hits: ${stats.hits}<br>
+                    Misses: ${stats.misses}<br>
+                    Accuracy: ${shots > 0 ? Math.round(stats.hits / shots * 100) : 0}%<br>
+                `;
+            }).join('<br>');
+            
             finalStats.innerHTML = `
-                Your Performance:<br>
-                Hits: ${game.gameStats.playerHits}<br>
-                Misses: ${game.gameStats.playerMisses}<br>
-                Accuracy: ${Math.round(game.gameStats.playerHits / (game.gameStats.playerHits + game.gameStats.playerMisses) * 100)}%
+                Rules: ${describeRules(game.match.rules)}<br><br>
+                ${performance}
             `;
         }
         
         showScreen('victory');
+        announce(`${victoryTitle ? victoryTitle.textContent : ''} ${victorySubtitle ? victorySubtitle.textContent : ''}`.trim());
+        showUnlockedAchievements(unlocked);
     }, 1500);
 }
 
-// Utility Functions
-function updateReadyButton() {
-    const readyBtn = document.getElementById('ready-btn');
-    if (readyBtn) {
-        readyBtn.disabled = game.playerShips.length !== SHIPS.length;
+// Hot-Seat Handoff
+// Hides both boards until the next player confirms they have the device.
+function showHandoff(side, nextScreen) {
+    game.handoff = { side, nextScreen };
+    
+    const name = GAME_MODES[game.mode].names[side];
+    const handoffTitle = document.getElementById('handoff-title');
+    const handoffSubtitle = document.getElementById('handoff-subtitle');
+    if (handoffTitle) {
+        handoffTitle.textContent = `Pass the device to ${name}`;
+    }
+    if (handoffSubtitle) {
+        handoffSubtitle.textContent = nextScreen === 'placement'
+            ? `${name}, deploy your fleet. No peeking!`
+            : `${name}, your fleet awaits your orders.`;
     }
+    
+    showScreen('handoff');
 }
 
-function updateStats() {
-    const playerHits = document.getElementById('player-hits');
-    const playerMisses = document.getElementById('player-misses');
+function completeHandoff() {
+    if (!game.handoff) return;
     
-    if (playerHits) {
-        playerHits.textContent = game.gameStats.playerHits;
-    }
-    if (playerMisses) {
-        playerMisses.textContent = game.gameStats.playerMisses;
+    const { side, nextScreen } = game.handoff;
+    game.handoff = null;
+    game.viewer = side;
+    
+    if (nextScreen === 'placement') {
+        preparePlacement();
+    } else {
+        startBattle();
     }
 }
 
-function copyBoardForBattle() {
-    const playerBoard = document.getElementById('player-board');
-    const playerBattleBoard = document.getElementById('player-battle-board');
+// Online Multiplayer
+// Two browsers play through the relay server. Each side keeps its own fleet: shots
+// are sent to the opponent, whose client resolves them and answers with the result.
+let relay = null;
+
+function connectRelay() {
+    const relayUrlInput = document.getElementById('relay-url-input');
+    const url = (relayUrlInput && relayUrlInput.value.trim()) || DEFAULT_RELAY_URL;
+    try {
+        localStorage.setItem(RELAY_URL_STORAGE_KEY, url);
+    } catch (error) {
+        console.warn('Unable to save relay address:', error);
+    }
+    
+    if (relay) {
+        relay.leave();
+    }
+    relay = new RelayClient.Client(url);
+    bindRelayEvents(relay);
+    return relay;
+}
+
+function bindRelayEvents(client) {
+    client.on('joined', ({ room, seat, rules, opponentConnected, reconnected }) => {
+        if (reconnected) {
+            setMatchStatus(opponentConnected ? '' : 'Waiting for your opponent to reconnect…');
+            return;
+        }
+        
+        game.mode = 'online';
+        game.rules = rules;
+        game.online = { room, seat, ready: false, opponentReady: false, awaitingResult: false };
+        if (opponentConnected) {
+            startOnlineMatch();
+        } else {
+            setLobbyStatus(`Room code: ${room} · Share it with your opponent and wait for them to join.`);
+        }
+    });
+    
+    client.on('opponentJoined', startOnlineMatch);
+    client.on('rematchStart', startOnlineMatch);
+    
+    client.on('place', () => {
+        game.online.opponentReady = true;
+        setMatchStatus('');
+        updateTurnIndicator();
+    });
+    
+    client.on('shot', receiveOnlineShot);
+    
+    client.on('result', ({ row, col, hit, sunkShip }) => {
+        game.online.awaitingResult = false;
+        game.match.applyResult(game.viewer, row, col, { hit, sunkShip });
+        updateTurnIndicator();
+    });
+    
+    client.on('rematch', () => {
+        const victorySubtitle = document.getElementById('victory-subtitle');
+        if (victorySubtitle) {
+            victorySubtitle.textContent = 'Your opponent wants a rematch!';
+        }
+    });
+    
+    client.on('opponentDisconnected', () => setMatchStatus('Opponent disconnected · waiting for them to reconnect…'));
+    client.on('opponentReconnected', () => setMatchStatus(''));
+    client.on('disconnected', () => setMatchStatus('Connection lost · reconnecting…'));
+    
+    client.on('opponentLeft', () => {
+        leaveOnline();
+        alert('Your opponent has left the game.');
+        startNewMatch();
+        showScreen('welcome');
+    });
+    
+    client.on('closed', () => {
+        leaveOnline();
+        alert('Lost the connection to the relay server.');
+        startNewMatch();
+        showScreen('welcome');
+    });
+    
+    client.on('error', ({ message }) => {
+        if (game.currentScreen === 'lobby') {
+            setLobbyStatus(message);
+        } else {
+            console.warn('Relay error:', message);
+        }
+    });
+}
+
+function openLobby() {
+    if (!applyRulesFromForm()) return;
+    
+    const relayUrlInput = document.getElementById('relay-url-input');
+    if (relayUrlInput && !relayUrlInput.value) {
+        relayUrlInput.value = localStorage.getItem(RELAY_URL_STORAGE_KEY) || DEFAULT_RELAY_URL;
+    }
+    setLobbyStatus('');
+    showScreen('lobby');
+}
+
+function createOnlineRoom() {
+    setLobbyStatus('Creating room…');
+    connectRelay().createRoom(game.rules);
+}
+
+function joinOnlineRoom() {
+    const joinCodeInput = document.getElementById('join-code-input');
+    const code = joinCodeInput ? joinCodeInput.value.trim().toUpperCase() : '';
+    if (!code) {
+        setLobbyStatus('Enter the room code from your opponent.');
+        return;
+    }
+    
+    setLobbyStatus(`Joining room ${code}…`);
+    connectRelay().joinRoom(code);
+}
+
+function leaveOnline() {
+    if (relay) {
+        relay.leave();
+        relay = null;
+    }
+    game.online = null;
+    game.mode = 'computer';
+}
+
+function startOnlineMatch() {
+    game.online.ready = false;
+    game.online.opponentReady = false;
+    game.online.awaitingResult = false;
+    startNewMatch();
+    setMatchStatus('');
+    preparePlacement();
+}
+
+// Ready hands over to the battle screen straight away; firing waits for the opponent
+function readyOnline() {
+    game.online.ready = true;
+    relay.send('place');
+    if (!game.online.opponentReady) {
+        setMatchStatus('Waiting for your opponent to deploy their fleet…');
+    }
+    startBattle();
+}
+
+function fireOnline(row, col) {
+    if (!game.online.opponentReady || game.online.awaitingResult) return;
+    
+    game.online.awaitingResult = true;
+    relay.send('shot', { row, col });
+}
+
+function receiveOnlineShot({ row, col }) {
+    if (!game.match.canFire('enemy', row, col)) {
+        console.warn(`Ignoring out-of-turn shot at ${row},${col}`);
+        return;
+    }
+    
+    const result = game.match.fire('enemy', row, col);
+    relay.send('result', {
+        row,
+        col,
+        hit: result.hit,
+        sunkShip: result.ship ? { index: result.ship.index, positions: result.ship.positions } : null
+    });
+    updateTurnIndicator();
+}
+
+function setLobbyStatus(message) {
+    const lobbyStatus = document.getElementById('lobby-status');
+    if (lobbyStatus) {
+        lobbyStatus.textContent = message;
+    }
+}
+
+function setMatchStatus(message) {
+    document.querySelectorAll('.match-status').forEach(status => {
+        status.textContent = message;
+        status.classList.toggle('hidden', !message);
+    });
+}
+
+// On-Chain Battle
+// Plays ImprovedOnChainBattleship through an injected EIP-1193 wallet. The board never
+// leaves the browser: it is committed as a Merkle root with the stake, the commitment is
+// kept in localStorage to answer guesses and reveal, and the screens follow the
+// contract's events.
+let wallet = null;
+
+function loadChainGame() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CHAIN_GAME_STORAGE_KEY));
+        const key = `${wallet.chainId}:${wallet.address}:${wallet.account}`;
+        return stored && stored[key] ? stored[key] : null;
+    } catch (error) {
+        console.warn('Unable to read on-chain game:', error);
+        return null;
+    }
+}
+
+// Commitments are kept per chain, contract and account; losing one forfeits the game
+function storeChainGame(entry) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CHAIN_GAME_STORAGE_KEY)) || {};
+        const key = `${wallet.chainId}:${wallet.address}:${wallet.account}`;
+        if (entry) {
+            stored[key] = entry;
+        } else {
+            delete stored[key];
+        }
+        localStorage.setItem(CHAIN_GAME_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        console.warn('Unable to save on-chain game:', error);
+    }
+}
+
+function openWallet() {
+    if (!applyRulesFromForm()) return;
+    
+    const contractAddressInput = document.getElementById('contract-address-input');
+    if (contractAddressInput && !contractAddressInput.value) {
+        contractAddressInput.value = localStorage.getItem(CONTRACT_ADDRESS_STORAGE_KEY) || '';
+        fillDeployedAddress(contractAddressInput);
+    }
+    updateChainMatchOptions();
+    showScreen('wallet');
+}
+
+// Prefers the address scripts/deploy.js recorded for the wallet's current chain
+async function fillDeployedAddress(input) {
+    if (!window.ethereum) return;
+    try {
+        const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+        const deployed = ChainClient.deployment(Number(chainId));
+        if (deployed) {
+            input.value = deployed.address;
+        }
+    } catch (error) {
+        console.warn('Unable to read the wallet network:', error);
+    }
+}
+
+// Shows the inputs for the chosen kind of on-chain game
+function updateChainMatchOptions() {
+    const chainMatchSelect = document.getElementById('chain-match-select');
+    const type = chainMatchSelect ? chainMatchSelect.value : 'open';
+    
+    const challengeOptions = document.getElementById('challenge-options');
+    if (challengeOptions) {
+        challengeOptions.classList.toggle('hidden', type !== 'invite' && type !== 'code');
+    }
+    const inviteeInput = document.getElementById('invitee-input');
+    if (inviteeInput) {
+        inviteeInput.classList.toggle('hidden', type !== 'invite');
+        inviteeInput.previousElementSibling.classList.toggle('hidden', type !== 'invite');
+    }
+    const joinOptions = document.getElementById('join-options');
+    if (joinOptions) {
+        joinOptions.classList.toggle('hidden', type !== 'join');
+    }
+    
+    if (type === 'join') {
+        setWalletStatus('The rules and stake are set by the player who created the game.');
+    } else if (game.rules.variant !== 'classic') {
+        setWalletStatus('On-chain games are played with classic turns; pick another rule set.');
+    } else {
+        setWalletStatus(`Rules: ${describeRules(game.rules)}`);
+    }
+}
+
+// How the board will be committed: { type: 'open' | 'invite' | 'code' | 'join', ... }
+function readChainPlan() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value.trim() : '';
+    };
+    const type = value('chain-match-select') || 'open';
+    
+    if (type === 'join') {
+        const code = value('join-game-input');
+        if (/^\d+$/.test(code)) {
+            return { type, gameId: Number(code), secret: null };
+        }
+        return { type, ...ChainClient.parseJoinCode(code) };
+    }
+    if (type === 'open') {
+        return { type };
+    }
+    
+    const stake = ethers.parseEther(value('stake-input') || '0').toString();
+    if (type === 'invite') {
+        const invitee = value('invitee-input');
+        if (!ethers.isAddress(invitee)) throw new Error('Enter your opponent\'s address');
+        return { type, stake, invitee: ethers.getAddress(invitee) };
+    }
+    return { type, stake, secret: ChainClient.newJoinSecret() };
+}
+
+async function connectWallet() {
+    const contractAddressInput = document.getElementById('contract-address-input');
+    const address = contractAddressInput ? contractAddressInput.value.trim() : '';
+    
+    try {
+        const plan = readChainPlan();
+        if (plan.type !== 'join' && game.rules.variant !== 'classic') return;
+        
+        setWalletStatus('Connecting to your wallet…');
+        wallet = await ChainClient.Client.connect(window.ethereum, address);
+        localStorage.setItem(CONTRACT_ADDRESS_STORAGE_KEY, wallet.address);
+        
+        const gameId = await wallet.playerGame();
+        const entry = loadChainGame();
+        if (gameId !== 0 && entry && entry.gameId === gameId) {
+            resumeChainGame(entry);
+            return;
+        }
+        if (gameId !== 0) {
+            setWalletStatus(`${wallet.account} is already in game ${gameId}, but its board was committed from another browser.`);
+            return;
+        }
+        
+        if (plan.type === 'join') {
+            const challenge = await wallet.challenge(plan.gameId);
+            if (challenge.gamePhase !== 0 || challenge.creator === ethers.ZeroAddress) {
+                throw new Error(`Game ${plan.gameId} is not open`);
+            }
+            game.rules = RuleSets.fromShipSizes(challenge.boardSize, challenge.shipSizes);
+            plan.stake = challenge.stake.toString();
+        }
+        startChainMatch(plan);
+    } catch (error) {
+        setWalletStatus(chainErrorMessage(error));
+    }
+}
+
+function chainState(entry, plan = entry.plan || { type: 'open' }) {
+    return {
+        entry,
+        plan,
+        gameId: entry ? entry.gameId : null,
+        started: false,
+        pending: null,
+        busy: false,
+        responding: false,
+        ended: null,
+        revealed: false,
+        stopWatching: null
+    };
+}
+
+function startChainMatch(plan) {
+    game.mode = 'onchain';
+    game.chain = chainState(null, plan);
+    startNewMatch();
+    setMatchStatus('');
+    preparePlacement();
+}
+
+function resumeChainGame(entry) {
+    game.mode = 'onchain';
+    game.rules = entry.rules;
+    game.chain = chainState(entry);
+    startNewMatch();
+    entry.commitment.ships.forEach((ship, index) => {
+        game.match.placeShip('player', index, ship.y, ship.x, ship.horizontal);
+    });
+    attachChainRecord();
+    setMatchStatus('Catching up with the chain…');
+    startBattle();
+    watchChainGame(entry.fromBlock);
+}
+
+function attachChainRecord() {
+    game.record.source = 'onchain';
+    game.record.onchain = { chainId: wallet.chainId, contract: wallet.address, gameId: game.chain.gameId };
+}
+
+// Stakes the placed board; the commitment is stored before the transaction so it can never be lost
+async function commitOnChain() {
+    const commitment = BoardCommitment.commit(game.match.boards[game.viewer]);
+    const plan = game.chain.plan;
+    const entry = { gameId: null, fromBlock: await wallet.blockNumber(), rules: game.rules, plan, commitment };
+    game.chain.entry = entry;
+    storeChainGame(entry);
+    
+    setMatchStatus('Confirm the stake in your wallet…');
+    startBattle();
+    try {
+        const { gameId } = await sendCommitment(plan, commitment);
+        entry.gameId = gameId;
+        game.chain.gameId = gameId;
+        storeChainGame(entry);
+        attachChainRecord();
+        setMatchStatus(chainWaitingMessage());
+        updateCancelButton();
+        watchChainGame(entry.fromBlock);
+    } catch (error) {
+        storeChainGame(null);
+        alert(`Unable to commit your board: ${chainErrorMessage(error)}`);
+        preparePlacement();
+    }
+}
+
+function sendCommitment(plan, commitment) {
+    if (plan.type === 'join') {
+        return wallet.acceptChallenge(commitment, plan.gameId, plan.secret);
+    }
+    if (plan.type === 'invite' || plan.type === 'code') {
+        return wallet.createChallenge(commitment, game.rules, {
+            stake: BigInt(plan.stake),
+            invitee: plan.invitee,
+            secret: plan.secret
+        });
+    }
+    return wallet.commitBoard(commitment, game.rules);
+}
+
+function chainWaitingMessage() {
+    const { plan, gameId } = game.chain;
+    if (plan.type === 'code') {
+        return `Game ${gameId} created · share the join code ${ChainClient.formatJoinCode(gameId, plan.secret)} with your opponent`;
+    }
+    if (plan.type === 'invite') {
+        return `Game ${gameId} created · waiting for ${plan.invitee} to accept…`;
+    }
+    return 'Board committed · waiting for an opponent to join…';
+}
+
+// Only a game nobody has joined yet can be cancelled
+function updateCancelButton() {
+    const cancelGameBtn = document.getElementById('cancel-game-btn');
+    if (cancelGameBtn) {
+        const chain = game.chain;
+        cancelGameBtn.classList.toggle('hidden', !(game.mode === 'onchain' && chain && chain.gameId && !chain.started));
+    }
+}
+
+async function cancelChainGame() {
+    const { gameId } = game.chain;
+    setMatchStatus('Cancelling the game · confirm in your wallet…');
+    try {
+        await wallet.cancelGame(gameId);
+        storeChainGame(null);
+        await wallet.withdraw();
+        stopChainGame();
+        setWalletStatus(`Game ${gameId} was cancelled and your stake refunded.`);
+        showScreen('wallet');
+    } catch (error) {
+        setMatchStatus(`Unable to cancel: ${chainErrorMessage(error)}`);
+    }
+}
+
+function watchChainGame(fromBlock) {
+    game.chain.stopWatching = wallet.watch(game.chain.gameId, fromBlock, applyChainEvents);
+}
+
+function stopChainGame() {
+    if (game.chain && game.chain.stopWatching) {
+        game.chain.stopWatching();
+    }
+    game.chain = null;
+    game.mode = 'computer';
+    updateCancelButton();
+}
+
+async function applyChainEvents(events) {
+    const chain = game.chain;
+    if (!chain) return;
+    
+    events.forEach(applyChainEvent);
+    updateTurnIndicator();
+    updateCancelButton();
+    if (!chain.started) {
+        setMatchStatus(chainWaitingMessage());
+    }
+    
+    if (chain.pending && !chain.pending.mine) {
+        await answerChainGuess();
+    }
+    if (chain.ended && chain.ended.reason === 'All ships destroyed' && !chain.revealed) {
+        await revealOnChain();
+    }
+    if (chain.ended) {
+        await updateWithdrawButton();
+    }
+}
+
+function applyChainEvent({ name, args }) {
+    const chain = game.chain;
+    
+    if (name === 'GameStarted') {
+        chain.started = true;
+        game.match.currentPlayer = wallet.isAccount(args.player1) ? 'player' : 'enemy';
+        game.match.shotsFired = 0;
+        setMatchStatus('');
+    } else if (name === 'GuessSubmitted') {
+        chain.pending = { row: args.y, col: args.x, mine: wallet.isAccount(args.guesser) };
+    } else if (name === 'GuessResponded' && chain.pending) {
+        resolveChainGuess(args.hit);
+    } else if (name === 'SaltRevealed' && wallet.isAccount(args.player)) {
+        chain.revealed = true;
+    } else if (name === 'GameEnded') {
+        // The shot that sinks the last ship ends the game without a GuessResponded
+        if (chain.pending && args.reason === 'All ships destroyed') {
+            resolveChainGuess(true);
+        }
+        chain.pending = null;
+        chain.ended = args;
+        
+        const winner = wallet.isAccount(args.winner) ? 'player' : 'enemy';
+        game.match.endMatch(winner);
+        game.record.reason = args.reason;
+        setMatchStatus(args.reason === 'All ships destroyed' ? '' : args.reason);
+    }
+}
+
+function resolveChainGuess(hit) {
+    const { row, col, mine } = game.chain.pending;
+    game.chain.pending = null;
+    setMatchStatus('');
+    
+    if (mine) {
+        game.match.applyResult('player', row, col, { hit });
+    } else {
+        game.match.fire('enemy', row, col);
+    }
+}
+
+async function fireOnChain(row, col) {
+    const chain = game.chain;
+    if (!chain.started || chain.pending || chain.busy) return;
+    
+    chain.busy = true;
+    setMatchStatus(`Firing at ${GameRecord.coordinateLabel(row, col)} · confirm in your wallet…`);
+    try {
+        await wallet.submitGuess(row, col);
+        chain.pending = { row, col, mine: true };
+        setMatchStatus('Waiting for your opponent to answer…');
+    } catch (error) {
+        setMatchStatus(`Shot failed: ${chainErrorMessage(error)}`);
+    } finally {
+        chain.busy = false;
+    }
+}
+
+// Incoming guesses are answered straight away with the proof for that cell
+async function answerChainGuess() {
+    const chain = game.chain;
+    if (chain.responding) return;
+    
+    chain.responding = true;
+    const { row, col } = chain.pending;
+    setMatchStatus(`Answering the shot at ${GameRecord.coordinateLabel(row, col)}…`);
+    try {
+        await wallet.respondToGuess(chain.entry.commitment, row, col);
+    } catch (error) {
+        setMatchStatus(`Unable to answer: ${chainErrorMessage(error)}`);
+    } finally {
+        chain.responding = false;
+    }
+}
+
+// Stakes are paid out once both players have revealed a legal board
+async function revealOnChain() {
+    const chain = game.chain;
+    chain.revealed = true;
+    try {
+        await wallet.revealBoard(chain.entry.commitment);
+        storeChainGame(null);
+    } catch (error) {
+        chain.revealed = false;
+        setMatchStatus(`Unable to reveal your board: ${chainErrorMessage(error)}`);
+    }
+}
+
+async function updateWithdrawButton() {
+    const withdrawBtn = document.getElementById('withdraw-btn');
+    if (!withdrawBtn || !wallet) return;
+    
+    const amount = await wallet.withdrawable();
+    withdrawBtn.textContent = `💰 Withdraw ${ethers.formatEther(amount)} ETH`;
+    withdrawBtn.classList.toggle('hidden', amount === 0n);
+}
+
+async function withdrawWinnings() {
+    try {
+        await wallet.withdraw();
+    } catch (error) {
+        alert(`Unable to withdraw: ${chainErrorMessage(error)}`);
+    }
+    await updateWithdrawButton();
+}
+
+function chainErrorMessage(error) {
+    return error.reason || error.shortMessage || error.message;
+}
+
+function setWalletStatus(message) {
+    const walletStatus = document.getElementById('wallet-status');
+    if (walletStatus) {
+        walletStatus.textContent = message;
+    }
+}
+
+// Spectator Mode
+// Follows any on-chain game read-only. No account is needed: the client reads through a
+// JSON-RPC endpoint (a local Hardhat node by default) or, with the URL left blank, the
+// injected wallet's network. Both targeting grids are rebuilt from the game's events;
+// turn, hits and timers come from the contract's views, re-read on every new block. The
+// rating ladder (Ladder) is worked out in the page from every game's result events.
+const spectator = {
+    client: null,
+    source: null,
+    gameId: null,
+    watch: 0,
+    rules: null,
+    events: [],
+    status: null,
+    clockOffset: 0,
+    stopWatching: null,
+    clock: null
+};
+
+function openSpectator() {
+    const rpcUrlInput = document.getElementById('spectate-rpc-input');
+    if (rpcUrlInput && !rpcUrlInput.value) {
+        rpcUrlInput.value = localStorage.getItem(RPC_URL_STORAGE_KEY) || ChainClient.DEFAULT_RPC_URL;
+    }
+    const contractAddressInput = document.getElementById('spectate-contract-input');
+    if (contractAddressInput && !contractAddressInput.value) {
+        contractAddressInput.value = localStorage.getItem(CONTRACT_ADDRESS_STORAGE_KEY) || '';
+    }
+    showScreen('spectate');
+}
+
+// Reuses the client while the endpoint and contract stay the same
+async function spectatorClient() {
+    const rpcUrlInput = document.getElementById('spectate-rpc-input');
+    const contractAddressInput = document.getElementById('spectate-contract-input');
+    const rpcUrl = rpcUrlInput ? rpcUrlInput.value.trim() : '';
+    const address = contractAddressInput ? contractAddressInput.value.trim() : '';
+    const source = `${rpcUrl}|${address}`;
+    
+    if (!spectator.client || spectator.source !== source) {
+        if (!rpcUrl && !window.ethereum) throw new Error('Enter a JSON-RPC URL');
+        spectator.client = await ChainClient.Client.observe(rpcUrl || window.ethereum, address);
+        spectator.source = source;
+        if (rpcUrl) {
+            localStorage.setItem(RPC_URL_STORAGE_KEY, rpcUrl);
+        }
+    }
+    return spectator.client;
+}
+
+async function findActiveGames() {
+    const list = document.getElementById('spectate-games');
+    setSpectatorStatus('Looking for games in play…');
+    try {
+        const games = await (await spectatorClient()).activeGames();
+        setSpectatorStatus(games.length === 0 ? 'No games are being played right now.' : '');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        games.forEach(entry => {
+            const tr = document.createElement('tr');
+            [
+                `#${entry.gameId}`,
+                `${shortAddress(entry.player1)} vs ${shortAddress(entry.player2)}`,
+                `${entry.hits.player1} – ${entry.hits.player2}`
+            ].forEach((value, index) => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                if (index === 0) {
+                    cell.scope = 'row';
+                }
+                cell.textContent = value;
+                tr.appendChild(cell);
+            });
+            
+            const action = document.createElement('td');
+            const watchBtn = document.createElement('button');
+            watchBtn.className = 'btn btn--secondary btn--sm';
+            watchBtn.textContent = '👁 Watch';
+            watchBtn.addEventListener('click', () => spectateGame(entry.gameId));
+            action.appendChild(watchBtn);
+            tr.appendChild(action);
+            list.appendChild(tr);
+        });
+    } catch (error) {
+        setSpectatorStatus(chainErrorMessage(error));
+    }
+}
+
+// The Elo-style ladder of everyone who finished a game on this contract, worked out here
+// from its GameStarted and GameEnded events
+async function showLadder() {
+    const table = document.getElementById('spectate-ladder');
+    const rows = document.getElementById('spectate-ladder-rows');
+    setSpectatorStatus('Reading the game history…');
+    try {
+        const client = await spectatorClient();
+        const standings = Ladder.compute(Ladder.resultsFromEvents(await client.resultEvents(spectatorFromBlock(client))));
+        setSpectatorStatus(standings.length === 0 ? 'No games have finished yet.' : '');
+        if (!table || !rows) return;
+        
+        rows.innerHTML = '';
+        standings.forEach(standing => {
+            const tr = document.createElement('tr');
+            const change = standing.lastChange > 0 ? `+${standing.lastChange}` : String(standing.lastChange);
+            [
+                `${standing.rank}`,
+                shortAddress(standing.player),
+                `${standing.rating} (${change})`,
+                `${standing.wins}`,
+                `${standing.losses}`
+            ].forEach((value, index) => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                if (index === 0) {
+                    cell.scope = 'row';
+                }
+                cell.textContent = value;
+                tr.appendChild(cell);
+            });
+            tr.title = standing.player;
+            rows.appendChild(tr);
+        });
+        table.classList.toggle('hidden', standings.length === 0);
+    } catch (error) {
+        setSpectatorStatus(chainErrorMessage(error));
+    }
+}
+
+function spectateEnteredGame() {
+    const gameIdInput = document.getElementById('spectate-game-input');
+    const gameId = Number(gameIdInput ? gameIdInput.value : '');
+    if (!Number.isInteger(gameId) || gameId < 1) {
+        setSpectatorStatus('Enter a game number');
+        return;
+    }
+    spectateGame(gameId);
+}
+
+async function spectateGame(gameId) {
+    stopSpectating();
+    setSpectatorStatus(`Loading game ${gameId}…`);
+    try {
+        const client = await spectatorClient();
+        const status = await client.gameStatus(gameId);
+        const fromBlock = spectatorFromBlock(client);
+        
+        const watch = ++spectator.watch;
+        spectator.gameId = gameId;
+        spectator.rules = RuleSets.fromShipSizes(status.boardSize, status.shipSizes);
+        spectator.events = [];
+        updateSpectatorStatus(status);
+        setSpectatorStatus('Catching up with the chain…');
+        
+        const view = document.getElementById('spectate-view');
+        if (view) {
+            view.classList.remove('hidden');
+        }
+        spectator.stopWatching = client.watch(gameId, fromBlock, events => applySpectatorEvents(watch, events));
+        spectator.clock = setInterval(renderSpectatorClock, 1000);
+    } catch (error) {
+        setSpectatorStatus(chainErrorMessage(error));
+    }
+}
+
+// Each new block brings the game's events since the last one, possibly none. `watch`
+// tells batches of a game still being watched from those of one left behind.
+async function applySpectatorEvents(watch, events) {
+    if (spectator.watch !== watch) return;
+    
+    const status = await spectator.client.gameStatus(spectator.gameId);
+    if (spectator.watch !== watch) return;
+    spectator.events.push(...events);
+    updateSpectatorStatus(status);
+    setSpectatorStatus('');
+}
+
+// Chain time runs ahead of (or behind) the local clock; the countdown follows the chain
+function updateSpectatorStatus(status) {
+    spectator.status = status;
+    spectator.clockOffset = status.now - Date.now() / 1000;
+    renderSpectator();
+}
+
+function renderSpectator() {
+    const { status, rules, events } = spectator;
+    const started = events.some(event => event.name === 'GameStarted');
+    const record = started
+        ? GameRecord.fromChainEvents({
+            chainId: spectator.client.chainId,
+            contract: spectator.client.address,
+            gameId: spectator.gameId,
+            rules,
+            events
+        })
+        : null;
+    const boards = record ? GameRecord.boardsAt(record, record.moves.length) : null;
+    
+    const title = document.getElementById('spectate-title');
+    if (title) {
+        title.textContent = `Game ${status.gameId} · ${describeRules(rules)}`;
+    }
+    
+    ['player1', 'player2'].forEach((side, index) => {
+        const container = document.getElementById(`spectate-board-${index + 1}`);
+        if (!container) return;
+        
+        const boardTitle = container.parentElement.querySelector('.board-title');
+        if (boardTitle) {
+            boardTitle.textContent = status[side] !== ethers.ZeroAddress
+                ? `${shortAddress(status[side])}'s Waters · ${status.hits[side === 'player1' ? 'player2' : 'player1']} / ${status.totalShipCells} hit`
+                : 'Waiting for an opponent';
+        }
+        createBoard(container, false, rules.gridSize);
+        if (boards) {
+            renderShots(container, boards[side]);
+        }
+        
+        const pending = status.phase === ChainClient.PHASES.Started ? status.pendingGuess : null;
+        if (pending && pending.target.toLowerCase() === status[side].toLowerCase()) {
+            const cell = container.querySelector(`[data-row="${pending.y}"][data-col="${pending.x}"]`);
+            if (cell) {
+                cell.classList.add('targeted');
+            }
+        }
+    });
+    
+    const turn = document.getElementById('spectate-turn');
+    if (turn) {
+        turn.textContent = describeSpectatedTurn(status);
+    }
+    const result = document.getElementById('spectate-result');
+    if (result) {
+        result.textContent = describeSpectatedResult(events);
+        result.classList.toggle('hidden', !result.textContent);
+    }
+    renderSpectatorClock();
+}
+
+function describeSpectatedTurn(status) {
+    const { Setup, Started, Cancelled } = ChainClient.PHASES;
+    if (status.phase === Setup) {
+        return 'Waiting for an opponent to join';
+    }
+    if (status.phase === Cancelled) {
+        return 'Cancelled before it started';
+    }
+    if (status.phase === Started) {
+        const pending = status.pendingGuess;
+        return pending
+            ? `${shortAddress(pending.guesser)} fired at ${GameRecord.coordinateLabel(pending.y, pending.x)} · ` +
+              `waiting for ${shortAddress(pending.target)} to answer`
+            : `${shortAddress(status.currentGuesser)} to fire`;
+    }
+    const waiting = ['player1', 'player2'].filter(side => !status.revealed[side]);
+    return status.settled || waiting.length === 0
+        ? 'Game over · stakes settled'
+        : `Game over · waiting for ${waiting.map(side => shortAddress(status[side])).join(' and ')} to reveal`;
+}
+
+// The winner and reason from GameEnded, and who lost their stake from StakeSlashed
+function describeSpectatedResult(events) {
+    const parts = [];
+    events.forEach(({ name, args }) => {
+        if (name === 'GameEnded') {
+            parts.push(args.winner !== ethers.ZeroAddress
+                ? `🏆 ${shortAddress(args.winner)} won · ${args.reason}`
+                : `Ended · ${args.reason}`);
+        } else if (name === 'StakeSlashed') {
+            parts.push(`⚔️ ${shortAddress(args.cheater)} was slashed ${ethers.formatEther(BigInt(args.amount))} ETH · ${args.reason}`);
+        }
+    });
+    return parts.join('\n');
+}
+
+function renderSpectatorClock() {
+    const clock = document.getElementById('spectate-clock');
+    if (!clock || !spectator.status) return;
+    
+    const timeout = spectator.status.timeout;
+    if (!timeout) {
+        clock.textContent = '';
+        return;
+    }
+    const remaining = Math.ceil(timeout.deadline - (Date.now() / 1000 + spectator.clockOffset));
+    clock.textContent = remaining > 0
+        ? `⏱ ${timeout.reason} claimable by ${shortAddress(timeout.claimant)} in ${formatCountdown(remaining)}`
+        : `⏱ ${shortAddress(timeout.claimant)} can claim the ${timeout.reason.toLowerCase()} now`;
+}
+
+function formatCountdown(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const clock = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60]
+        .map(value => String(value).padStart(2, '0'))
+        .join(':');
+    return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+function stopSpectating() {
+    if (spectator.stopWatching) {
+        spectator.stopWatching();
+    }
+    clearInterval(spectator.clock);
+    spectator.watch++;
+    spectator.stopWatching = null;
+    spectator.clock = null;
+    spectator.gameId = null;
+    spectator.status = null;
+    
+    const view = document.getElementById('spectate-view');
+    if (view) {
+        view.classList.add('hidden');
+    }
+}
+
+// Events before the known deployment's block cannot belong to it
+function spectatorFromBlock(client) {
+    const deployed = ChainClient.deployment(client.chainId);
+    return deployed && deployed.address.toLowerCase() === client.address.toLowerCase() ? deployed.blockNumber : 0;
+}
+
+function shortAddress(address) {
+    return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function setSpectatorStatus(message) {
+    const spectateStatus = document.getElementById('spectate-status');
+    if (spectateStatus) {
+        spectateStatus.textContent = message;
+    }
+}
+
+// Save & Resume
+// The game in progress is written to localStorage after every move so a reload
+// during placement or battle can pick up where it left off.
+function saveGame() {
+    // Online games live on the relay and on-chain games on the chain; both resume from there
+    if (game.mode === 'online' || game.mode === 'onchain') return;
+    
+    try {
+        if (['placement', 'battle', 'handoff'].includes(game.currentScreen)) {
+            localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(game.serialize()));
+        } else if (game.currentScreen === 'victory') {
+            localStorage.removeItem(SAVE_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Unable to save game:', error);
+    }
+    updateResumeButton();
+}
+
+function loadSavedGame() {
+    try {
+        const stored = localStorage.getItem(SAVE_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.warn('Unable to read saved game:', error);
+        return null;
+    }
+}
+
+function updateResumeButton() {
+    const resumeBtn = document.getElementById('resume-game-btn');
+    if (resumeBtn) {
+        resumeBtn.classList.toggle('hidden', loadSavedGame() === null);
+    }
+}
+
+function resumeGame() {
+    let restored;
+    try {
+        restored = GameState.deserialize(loadSavedGame());
+    } catch (error) {
+        console.warn('Unable to resume game:', error);
+        localStorage.removeItem(SAVE_STORAGE_KEY);
+        updateResumeButton();
+        return;
+    }
+    
+    game = restored;
+    bindMatchEvents(game.match);
+    
+    if (game.mode === 'hotseat') {
+        // Never reveal a board on reload; hand the device to whoever acts next
+        const { side, nextScreen } = game.handoff || (game.currentScreen === 'placement'
+            ? { side: game.viewer, nextScreen: 'placement' }
+            : { side: game.match.currentPlayer, nextScreen: 'battle' });
+        showHandoff(side, nextScreen);
+    } else if (game.currentScreen === 'placement') {
+        preparePlacement();
+    } else {
+        startBattle();
+        if (game.match.currentPlayer === 'enemy') {
+            setTimeout(enemyTurn, 1000);
+        }
+    }
+}
+
+// Game Records & Replay
+const replay = {
+    record: null,
+    step: 0,
+    timer: null,
+    returnTo: 'welcome'
+};
+
+function downloadRecord(record) {
+    const blob = new Blob([GameRecord.stringify(record)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `battleship-${record.startedAt.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+async function importRecord(file) {
+    try {
+        openReplay(GameRecord.parse(await file.text()), 'welcome');
+    } catch (error) {
+        alert(`Unable to load game record: ${error.message}`);
+    }
+}
+
+function openReplay(record, returnTo) {
+    stopAutoplay();
+    replay.record = record;
+    replay.step = 0;
+    replay.returnTo = returnTo;
+    
+    const sides = Object.keys(record.players);
+    const titles = document.querySelectorAll('#replay-screen .board-title');
+    sides.forEach((side, index) => {
+        if (titles[index]) {
+            titles[index].textContent = `${record.players[side].name}'s Waters`;
+        }
+    });
+    
+    showScreen('replay');
+    renderReplay();
+}
+
+function renderReplay() {
+    const { record, step } = replay;
+    const boards = GameRecord.boardsAt(record, step);
     
-    if (playerBoard && playerBattleBoard) {
-        playerBattleBoard.innerHTML = playerBoard.innerHTML;
+    ['replay-board-1', 'replay-board-2'].forEach((boardId, index) => {
+        const container = document.getElementById(boardId);
+        const board = boards[Object.keys(record.players)[index]];
+        if (!container || !board) return;
         
-        // Remove placement event listeners and add battle styling
-        playerBattleBoard.querySelectorAll('.board-cell').forEach(cell => {
-            cell.classList.remove('ship-preview', 'valid-drop', 'invalid-drop');
+        createBoard(container, false, record.rules.gridSize);
+        board.ships.forEach(ship => renderShip(container, ship, record.rules.fleet));
+        renderShots(container, board);
+    });
+    
+    const replayStep = document.getElementById('replay-step');
+    if (replayStep) {
+        const move = record.moves[step - 1];
+        replayStep.textContent = `Move ${step} / ${record.moves.length}` +
+            (move ? ` · ${GameRecord.describeMove(record, move)}` : '');
+    }
+}
+
+function stepReplay(delta) {
+    const next = Math.min(Math.max(replay.step + delta, 0), replay.record.moves.length);
+    if (next === replay.step) {
+        stopAutoplay();
+        return;
+    }
+    replay.step = next;
+    renderReplay();
+}
+
+function toggleAutoplay() {
+    if (replay.timer) {
+        stopAutoplay();
+        return;
+    }
+    if (replay.step >= replay.record.moves.length) {
+        replay.step = 0;
+    }
+    replay.timer = setInterval(() => stepReplay(1), 700);
+    const autoplayBtn = document.getElementById('replay-autoplay-btn');
+    if (autoplayBtn) {
+        autoplayBtn.textContent = '⏸ Pause';
+    }
+}
+
+function stopAutoplay() {
+    clearInterval(replay.timer);
+    replay.timer = null;
+    const autoplayBtn = document.getElementById('replay-autoplay-btn');
+    if (autoplayBtn) {
+        autoplayBtn.textContent = '▶ Autoplay';
+    }
+}
+
+// Shot Heatmap
+// Counts where the player fires across games so the enemy can avoid those cells.
+// Each board size keeps its own heatmap.
+function loadShotHeatmap(gridSize) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(`${HEATMAP_STORAGE_KEY}.${gridSize}`));
+        if (Array.isArray(stored) && stored.length === gridSize) {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('Unable to read shot heatmap:', error);
+    }
+    return Array(gridSize).fill(null).map(() => Array(gridSize).fill(0));
+}
+
+function recordShotHeatmap(row, col) {
+    const gridSize = game.match.gridSize;
+    const heatmap = loadShotHeatmap(gridSize);
+    heatmap[row][col]++;
+    
+    try {
+        localStorage.setItem(`${HEATMAP_STORAGE_KEY}.${gridSize}`, JSON.stringify(heatmap));
+    } catch (error) {
+        console.warn('Unable to save shot heatmap:', error);
+    }
+}
+
+// Career Profile
+// Every finished game against the computer, online or on-chain is added to the player's
+// profile (profile.js); hot-seat games have no single "you" and are left out.
+function loadProfile() {
+    try {
+        return Profile.load(localStorage.getItem(PROFILE_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Unable to read profile:', error);
+        return Profile.create();
+    }
+}
+
+function saveProfile(profile) {
+    try {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+    } catch (error) {
+        console.warn('Unable to save profile:', error);
+    }
+}
+
+// Adds the finished game to the profile and returns the achievements it unlocked
+function recordProfileGame() {
+    if (game.mode === 'hotseat') return [];
+    
+    const { onchain } = game.record;
+    const id = onchain
+        ? `onchain:${onchain.chainId}:${onchain.contract}:${onchain.gameId}`
+        : `${game.mode}:${game.record.startedAt}`;
+    const profile = loadProfile();
+    const unlocked = Profile.recordGame(profile, game.record, {
+        side: 'player',
+        opponent: Profile.opponentKey(game.mode, game.difficulty),
+        id
+    });
+    saveProfile(profile);
+    return unlocked;
+}
+
+function showUnlockedAchievements(unlocked) {
+    const container = document.getElementById('victory-achievements');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    container.classList.toggle('hidden', unlocked.length === 0);
+    unlocked.forEach(achievement => {
+        const item = document.createElement('p');
+        item.className = 'achievement-unlock';
+        item.textContent = `🏅 ${achievement.name}: ${achievement.description}`;
+        container.appendChild(item);
+        announce(`Achievement unlocked: ${achievement.name}.`);
+    });
+}
+
+function percent(fraction) {
+    return `${Math.round(fraction * 100)}%`;
+}
+
+function openStats() {
+    renderStats(loadProfile());
+    showScreen('stats');
+}
+
+function renderStats(profile) {
+    const stats = Profile.stats(profile);
+    
+    const summary = document.getElementById('stats-summary');
+    if (summary) {
+        summary.textContent = stats.played === 0
+            ? 'No games yet. Finish a battle to start your record.'
+            : `${stats.played} games, ${stats.wins} won. Accuracy ${percent(stats.accuracy)} over ${stats.shots} shots, ` +
+              `longest hit streak ${stats.longestStreak}` +
+              (stats.fastestWin !== null ? `, fastest win in ${stats.fastestWin} shots.` : '.');
+    }
+    
+    const opponents = document.getElementById('stats-opponents');
+    if (opponents) {
+        opponents.innerHTML = '';
+        stats.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            [
+                row.label,
+                row.played,
+                row.wins,
+                row.losses,
+                percent(row.winRate),
+                row.averageShotsToWin !== null ? row.averageShotsToWin.toFixed(1) : '–'
+            ].forEach((value, index) => {
+                const cell = document.createElement(index === 0 ? 'th' : 'td');
+                if (index === 0) {
+                    cell.scope = 'row';
+                }
+                cell.textContent = value;
+                tr.appendChild(cell);
+            });
+            opponents.appendChild(tr);
+        });
+    }
+    
+    const trend = document.getElementById('stats-trend');
+    if (trend) {
+        trend.innerHTML = '';
+        profile.history.forEach(entry => {
+            const bar = document.createElement('div');
+            bar.className = `stats-trend-bar ${entry.won ? 'won' : 'lost'}`;
+            bar.style.height = `${Math.max(2, Math.round(entry.accuracy * 100))}%`;
+            bar.title = `${Profile.OPPONENTS[entry.opponent] || entry.opponent}: ${entry.won ? 'won' : 'lost'}, ${percent(entry.accuracy)}`;
+            trend.appendChild(bar);
+        });
+        trend.setAttribute('aria-label', stats.trend.length === 0
+            ? 'No games yet'
+            : `Accuracy over the last ${stats.trend.length} games: ${stats.trend.map(percent).join(', ')}`);
+    }
+    
+    const heatmapSelect = document.getElementById('stats-heatmap-select');
+    if (heatmapSelect) {
+        const sizes = Object.keys(profile.heatmaps).map(Number).sort((a, b) => a - b);
+        const selected = sizes.includes(Number(heatmapSelect.value)) ? Number(heatmapSelect.value) : sizes[sizes.length - 1];
+        heatmapSelect.innerHTML = '';
+        sizes.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = `${size}×${size}`;
+            heatmapSelect.appendChild(option);
+        });
+        heatmapSelect.classList.toggle('hidden', sizes.length < 2);
+        if (selected) {
+            heatmapSelect.value = selected;
+        }
+        renderStatsHeatmap(profile.heatmaps[selected]);
+    }
+    
+    const achievements = document.getElementById('stats-achievements');
+    if (achievements) {
+        achievements.innerHTML = '';
+        Profile.ACHIEVEMENTS.forEach(achievement => {
+            const unlockedAt = profile.achievements[achievement.id];
+            const item = document.createElement('li');
+            item.className = `achievement ${unlockedAt ? 'unlocked' : 'locked'}`;
+            item.textContent = `${unlockedAt ? '🏅' : '🔒'} ${achievement.name}: ${achievement.description}` +
+                (unlockedAt ? ` (${new Date(unlockedAt).toLocaleDateString()})` : '');
+            achievements.appendChild(item);
+        });
+    }
+}
+
+// Shades each cell by how often the player has fired at it, relative to the busiest cell
+function renderStatsHeatmap(heatmap) {
+    const container = document.getElementById('stats-heatmap');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    container.removeAttribute('role');
+    container.removeAttribute('aria-label');
+    if (!heatmap) {
+        container.textContent = 'No shots yet.';
+        return;
+    }
+    
+    const max = Math.max(1, ...heatmap.flat());
+    container.style.gridTemplateColumns = `repeat(${heatmap.length}, 1fr)`;
+    heatmap.forEach((counts, row) => counts.forEach((count, col) => {
+        const cell = document.createElement('div');
+        cell.className = 'stats-heatmap-cell';
+        cell.style.opacity = (0.1 + 0.9 * count / max).toFixed(2);
+        cell.title = `${GameRecord.coordinateLabel(row, col)}: ${count} shot${count === 1 ? '' : 's'}`;
+        container.appendChild(cell);
+    }));
+    
+    const busiest = heatmap.flatMap((counts, row) => counts.map((count, col) => ({ row, col, count })))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 3)
+        .filter(cell => cell.count > 0)
+        .map(cell => `${GameRecord.coordinateLabel(cell.row, cell.col)} (${cell.count})`);
+    container.setAttribute('role', 'img');
+    container.setAttribute('aria-label', busiest.length > 0
+        ? `Shot heatmap. Most fired at: ${busiest.join(', ')}`
+        : 'Shot heatmap. No shots yet.');
+}
+
+function resetStats() {
+    if (!window.confirm('Reset all career stats and achievements?')) return;
+    
+    const profile = Profile.create();
+    saveProfile(profile);
+    renderStats(profile);
+    announce('Career stats reset.');
+}
+
+// Utility Functions
+function updateReadyButton() {
+    const readyBtn = document.getElementById('ready-btn');
+    if (readyBtn) {
+        readyBtn.disabled = !game.match.isFleetComplete(game.viewer);
+    }
+}
+
+function updateStats() {
+    const playerHits = document.getElementById('player-hits');
+    const playerMisses = document.getElementById('player-misses');
+    
+    if (playerHits) {
+        playerHits.textContent = game.match.stats[game.viewer].hits;
+    }
+    if (playerMisses) {
+        playerMisses.textContent = game.match.stats[game.viewer].misses;
+    }
+}
+
+function updateTurnIndicator() {
+    const currentTurn = document.getElementById('current-turn');
+    if (currentTurn) {
+        let label = game.mode === 'hotseat'
+            ? `${GAME_MODES.hotseat.names[game.match.currentPlayer]}'s Turn`
+            : game.match.currentPlayer === 'player' ? 'Your Turn' : `${GAME_MODES[game.mode].names.enemy}'s Turn`;
+        if ((game.mode === 'online' && !game.online.opponentReady) ||
+            (game.mode === 'onchain' && !game.chain.started)) {
+            label = 'Waiting for Opponent';
+        }
+        const shotsLeft = game.match.shotsLeft();
+        currentTurn.textContent = game.rules.variant === 'salvo' && !game.match.gameOver
+            ? `${label} (${shotsLeft} ${shotsLeft === 1 ? 'shot' : 'shots'} left)`
+            : label;
+    }
+    
+    const rulesLabel = document.getElementById('rules-label');
+    if (rulesLabel) {
+        rulesLabel.textContent = describeRules(game.rules);
+    }
+}
+
+function renderBattleBoards() {
+    const playerBattleBoard = document.getElementById('player-battle-board');
+    if (playerBattleBoard) {
+        createBoard(playerBattleBoard);
+        game.match.boards[game.viewer].ships.forEach(ship => renderShip(playerBattleBoard, ship));
+        renderShots(playerBattleBoard, game.match.boards[game.viewer]);
+    }
+    
+    const enemyBoard = document.getElementById('enemy-board');
+    if (enemyBoard) {
+        createBoard(enemyBoard);
+        renderShots(enemyBoard, game.match.boards[game.match.opponentOf(game.viewer)]);
+    }
+}
+
+function renderShots(container, board) {
+    board.shots.forEach((rowShots, row) => {
+        rowShots.forEach((shot, col) => {
+            if (shot === null) return;
+            const cell = container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+            if (cell) {
+                cell.classList.add(shot);
+                updateCellLabel(cell);
+            }
+        });
+    });
+}
+
+function describeRules(rules) {
+    return `${rules.name} · ${rules.gridSize}x${rules.gridSize} · ${RuleSets.VARIANTS[rules.variant]}`;
+}
+
+function startNewMatch() {
+    game.reset();
+    bindMatchEvents(game.match);
+}
+
+// Shows the placement screen for the side currently holding the device
+function preparePlacement() {
+    const placementTitle = document.getElementById('placement-title');
+    if (placementTitle) {
+        placementTitle.textContent = game.mode === 'hotseat'
+            ? `${GAME_MODES.hotseat.names[game.viewer]}: Deploy Your Fleet`
+            : 'Deploy Your Fleet';
+    }
+    
+    game.selectedShip = null;
+    const playerBoard = document.getElementById('player-board');
+    if (playerBoard) {
+        createBoard(playerBoard, true);
+        game.match.boards[game.viewer].ships.forEach(ship => renderShip(playerBoard, ship));
+    }
+    createShipInventory();
+    game.match.boards[game.viewer].ships.forEach(ship => {
+        const shipItem = document.querySelector(`[data-ship-index="${ship.index}"]`);
+        if (shipItem) {
+            shipItem.classList.add('placed');
+        }
+    });
+    updateReadyButton();
+    showScreen('placement');
+    focusBoardCursor(playerBoard);
+}
+
+function startBattle() {
+    renderBattleBoards();
+    showScreen('battle');
+    updateStats();
+    updateTurnIndicator();
+    focusBoardCursor(document.getElementById('enemy-board'));
+    
+    const currentTurn = document.getElementById('current-turn');
+    if (currentTurn) {
+        announce(`Battle stations. ${currentTurn.textContent}.`);
+    }
+}
+
+// Rule Set Selection
+function setupRulesForm() {
+    const rulesetSelect = document.getElementById('ruleset-select');
+    const customRules = document.getElementById('custom-rules');
+    const gridSizeInput = document.getElementById('grid-size-input');
+    const variantSelect = document.getElementById('variant-select');
+    const fleetInputs = document.getElementById('fleet-inputs');
+    if (!rulesetSelect) return;
+    
+    rulesetSelect.innerHTML = '';
+    Object.entries(RuleSets.PRESETS).forEach(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `${preset.name} (${preset.gridSize}x${preset.gridSize})`;
+        rulesetSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom';
+    rulesetSelect.appendChild(customOption);
+    rulesetSelect.value = 'classic';
+    
+    if (gridSizeInput) {
+        gridSizeInput.min = RuleSets.MIN_GRID_SIZE;
+        gridSizeInput.max = RuleSets.MAX_GRID_SIZE;
+    }
+    
+    if (variantSelect) {
+        variantSelect.innerHTML = '';
+        Object.entries(RuleSets.VARIANTS).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            variantSelect.appendChild(option);
+        });
+    }
+    
+    if (fleetInputs) {
+        fleetInputs.innerHTML = '';
+        Object.entries(RuleSets.SHIP_TYPES).forEach(([type, ship]) => {
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `fleet-${type}`;
+            label.textContent = `${ship.name} (${ship.size})`;
+            
+            const input = document.createElement('input');
+            input.id = `fleet-${type}`;
+            input.className = 'form-control';
+            input.type = 'number';
+            input.min = 0;
+            input.max = 4;
+            input.value = RuleSets.PRESETS.classic.fleet[type] || 0;
+            input.dataset.shipType = type;
+            
+            fleetInputs.appendChild(label);
+            fleetInputs.appendChild(input);
         });
     }
+    
+    rulesetSelect.addEventListener('change', () => {
+        if (customRules) {
+            customRules.classList.toggle('hidden', rulesetSelect.value !== 'custom');
+        }
+    });
+}
+
+function readRulesFromForm() {
+    const rulesetSelect = document.getElementById('ruleset-select');
+    if (!rulesetSelect || rulesetSelect.value !== 'custom') {
+        return RuleSets.fromPreset(rulesetSelect ? rulesetSelect.value : 'classic');
+    }
+    
+    const fleet = {};
+    document.querySelectorAll('#fleet-inputs input').forEach(input => {
+        fleet[input.dataset.shipType] = parseInt(input.value, 10) || 0;
+    });
+    
+    return RuleSets.create({
+        gridSize: parseInt(document.getElementById('grid-size-input').value, 10),
+        fleet,
+        variant: document.getElementById('variant-select').value
+    });
+}
+
+// Takes the rules from the welcome form; shows the problem and returns false if invalid
+function applyRulesFromForm() {
+    const rulesError = document.getElementById('rules-error');
+    try {
+        game.rules = readRulesFromForm();
+    } catch (error) {
+        if (rulesError) {
+            rulesError.textContent = error.message;
+            rulesError.classList.remove('hidden');
+        }
+        return false;
+    }
+    if (rulesError) {
+        rulesError.classList.add('hidden');
+    }
+    return true;
+}
+
+function startGame(mode) {
+    console.log('Start game clicked');
+    if (!applyRulesFromForm()) return;
+    
+    game.mode = mode;
+    startNewMatch();
+    if (mode === 'hotseat') {
+        showHandoff(game.viewer, 'placement');
+    } else {
+        preparePlacement();
+    }
 }
 
 // Initialize the game
 function initializeGame() {
     console.log('Initializing Battleship Game...');
+    bindMatchEvents(game.match);
     showScreen('welcome');
+    document.addEventListener('keydown', handlePlacementKeys);
+    document.addEventListener('pointermove', handleDragMove);
+    document.addEventListener('pointerup', handleDragEnd);
+    document.addEventListener('pointercancel', handleDragEnd);
+    document.addEventListener('click', event => {
+        if (suppressClick) {
+            event.stopPropagation();
+            event.preventDefault();
+            suppressClick = false;
+        }
+    }, true);
     
     // Set up event listeners
+    const difficultySelect = document.getElementById('difficulty-select');
+    if (difficultySelect) {
+        difficultySelect.value = game.difficulty;
+        difficultySelect.addEventListener('change', () => {
+            game.difficulty = difficultySelect.value;
+        });
+    }
+    
+    const enemyPlacementSelect = document.getElementById('enemy-placement-select');
+    if (enemyPlacementSelect) {
+        Object.entries(FleetPlacement.STRATEGIES).forEach(([name, strategy]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = strategy.label;
+            enemyPlacementSelect.appendChild(option);
+        });
+        enemyPlacementSelect.value = game.enemyPlacement;
+        enemyPlacementSelect.addEventListener('change', () => {
+            game.enemyPlacement = enemyPlacementSelect.value;
+        });
+    }
+    
+    setupRulesForm();
+    
+    const resumeGameBtn = document.getElementById('resume-game-btn');
+    if (resumeGameBtn) {
+        resumeGameBtn.addEventListener('click', resumeGame);
+    }
+    updateResumeButton();
+    
     const startGameBtn = document.getElementById('start-game-btn');
     if (startGameBtn) {
-        startGameBtn.addEventListener('click', () => {
-            console.log('Start game clicked');
-            showScreen('placement');
-            const playerBoard = document.getElementById('player-board');
-            if (playerBoard) {
-                createBoard(playerBoard, true);
-            }
-            createShipInventory();
+        startGameBtn.addEventListener('click', () => startGame('computer'));
+    }
+    
+    const startHotseatBtn = document.getElementById('start-hotseat-btn');
+    if (startHotseatBtn) {
+        startHotseatBtn.addEventListener('click', () => startGame('hotseat'));
+    }
+    
+    const startOnlineBtn = document.getElementById('start-online-btn');
+    if (startOnlineBtn) {
+        startOnlineBtn.addEventListener('click', openLobby);
+    }
+    
+    const connectWalletBtn = document.getElementById('connect-wallet-btn');
+    if (connectWalletBtn) {
+        const available = Boolean(window.ethereum) && typeof ethers !== 'undefined';
+        connectWalletBtn.disabled = !available;
+        connectWalletBtn.classList.toggle('btn--disabled', !available);
+        connectWalletBtn.title = available ? '' : 'Install a browser wallet to play on-chain';
+        connectWalletBtn.addEventListener('click', openWallet);
+    }
+    
+    const spectateBtn = document.getElementById('spectate-btn');
+    if (spectateBtn) {
+        const available = typeof ethers !== 'undefined';
+        spectateBtn.disabled = !available;
+        spectateBtn.classList.toggle('btn--disabled', !available);
+        spectateBtn.addEventListener('click', openSpectator);
+    }
+    
+    const spectateControls = {
+        'spectate-find-btn': findActiveGames,
+        'spectate-ladder-btn': showLadder,
+        'spectate-watch-btn': spectateEnteredGame,
+        'spectate-back-btn': () => {
+            stopSpectating();
+            showScreen('welcome');
+        }
+    };
+    Object.entries(spectateControls).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+    
+    const walletConnectBtn = document.getElementById('wallet-connect-btn');
+    if (walletConnectBtn) {
+        walletConnectBtn.addEventListener('click', connectWallet);
+    }
+    
+    const chainMatchSelect = document.getElementById('chain-match-select');
+    if (chainMatchSelect) {
+        chainMatchSelect.addEventListener('change', updateChainMatchOptions);
+    }
+    
+    const cancelGameBtn = document.getElementById('cancel-game-btn');
+    if (cancelGameBtn) {
+        cancelGameBtn.addEventListener('click', cancelChainGame);
+    }
+    
+    const walletBackBtn = document.getElementById('wallet-back-btn');
+    if (walletBackBtn) {
+        walletBackBtn.addEventListener('click', () => showScreen('welcome'));
+    }
+    
+    const withdrawBtn = document.getElementById('withdraw-btn');
+    if (withdrawBtn) {
+        withdrawBtn.addEventListener('click', withdrawWinnings);
+    }
+    
+    const createRoomBtn = document.getElementById('create-room-btn');
+    if (createRoomBtn) {
+        createRoomBtn.addEventListener('click', createOnlineRoom);
+    }
+    
+    const joinRoomBtn = document.getElementById('join-room-btn');
+    if (joinRoomBtn) {
+        joinRoomBtn.addEventListener('click', joinOnlineRoom);
+    }
+    
+    const lobbyBackBtn = document.getElementById('lobby-back-btn');
+    if (lobbyBackBtn) {
+        lobbyBackBtn.addEventListener('click', () => {
+            leaveOnline();
+            showScreen('welcome');
         });
     }
     
     const rotateBtn = document.getElementById('rotate-btn');
     if (rotateBtn) {
-        rotateBtn.addEventListener('click', () => {
-            game.isHorizontal = !game.isHorizontal;
-            rotateBtn.textContent = game.isHorizontal ? '🔄 Rotate' : '🔄 Rotate';
+        rotateBtn.addEventListener('click', rotateShips);
+    }
+    
+    const placementStrategySelect = document.getElementById('placement-strategy-select');
+    if (placementStrategySelect) {
+        placementStrategySelect.innerHTML = '';
+        Object.entries(FleetPlacement.STRATEGIES).forEach(([name, strategy]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = strategy.label;
+            placementStrategySelect.appendChild(option);
+        });
+        placementStrategySelect.value = game.placementStrategy;
+        placementStrategySelect.addEventListener('change', () => {
+            game.placementStrategy = placementStrategySelect.value;
         });
     }
     
@@ -563,34 +2703,135 @@ function initializeGame() {
     const readyBtn = document.getElementById('ready-btn');
     if (readyBtn) {
         readyBtn.addEventListener('click', () => {
-            placeEnemyShips();
-            copyBoardForBattle();
-            const enemyBoard = document.getElementById('enemy-board');
-            if (enemyBoard) {
-                createBoard(enemyBoard);
+            if (game.mode === 'hotseat') {
+                const opponent = game.match.opponentOf(game.viewer);
+                if (game.match.isFleetComplete(opponent)) {
+                    showHandoff(game.match.currentPlayer, 'battle');
+                } else {
+                    showHandoff(opponent, 'placement');
+                }
+                return;
+            }
+            if (game.mode === 'online') {
+                readyOnline();
+                return;
             }
-            showScreen('battle');
-            updateStats();
+            if (game.mode === 'onchain') {
+                commitOnChain();
+                return;
+            }
+            
+            placeEnemyShips();
+            startBattle();
         });
     }
     
     const playAgainBtn = document.getElementById('play-again-btn');
     if (playAgainBtn) {
         playAgainBtn.addEventListener('click', () => {
-            game.reset();
-            showScreen('placement');
-            const playerBoard = document.getElementById('player-board');
-            if (playerBoard) {
-                createBoard(playerBoard, true);
+            if (game.mode === 'online') {
+                relay.send('rematch');
+                const victorySubtitle = document.getElementById('victory-subtitle');
+                if (victorySubtitle) {
+                    victorySubtitle.textContent = 'Waiting for your opponent to accept the rematch…';
+                }
+                return;
+            }
+            if (game.mode === 'onchain') {
+                stopChainGame();
+                openWallet();
+                return;
+            }
+            
+            startNewMatch();
+            if (game.mode === 'hotseat') {
+                showHandoff(game.viewer, 'placement');
+            } else {
+                preparePlacement();
+            }
+        });
+    }
+    
+    const downloadRecordBtn = document.getElementById('download-record-btn');
+    if (downloadRecordBtn) {
+        downloadRecordBtn.addEventListener('click', () => downloadRecord(game.record));
+    }
+    
+    const replayBtn = document.getElementById('replay-btn');
+    if (replayBtn) {
+        replayBtn.addEventListener('click', () => openReplay(game.record, 'victory'));
+    }
+    
+    const loadRecordBtn = document.getElementById('load-record-btn');
+    const recordFileInput = document.getElementById('record-file-input');
+    if (loadRecordBtn && recordFileInput) {
+        loadRecordBtn.addEventListener('click', () => recordFileInput.click());
+        recordFileInput.addEventListener('change', () => {
+            if (recordFileInput.files.length > 0) {
+                importRecord(recordFileInput.files[0]);
             }
-            createShipInventory();
+            recordFileInput.value = '';
+        });
+    }
+    
+    const statsBtn = document.getElementById('stats-btn');
+    if (statsBtn) {
+        statsBtn.addEventListener('click', openStats);
+    }
+    
+    const statsHeatmapSelect = document.getElementById('stats-heatmap-select');
+    if (statsHeatmapSelect) {
+        statsHeatmapSelect.addEventListener('change', () => {
+            renderStatsHeatmap(loadProfile().heatmaps[statsHeatmapSelect.value]);
+        });
+    }
+    
+    const statsResetBtn = document.getElementById('stats-reset-btn');
+    if (statsResetBtn) {
+        statsResetBtn.addEventListener('click', resetStats);
+    }
+    
+    const statsBackBtn = document.getElementById('stats-back-btn');
+    if (statsBackBtn) {
+        statsBackBtn.addEventListener('click', () => showScreen('welcome'));
+    }
+    
+    const replayControls = {
+        'replay-start-btn': () => stepReplay(-replay.step),
+        'replay-back-btn': () => stepReplay(-1),
+        'replay-forward-btn': () => stepReplay(1),
+        'replay-end-btn': () => stepReplay(replay.record.moves.length),
+        'replay-autoplay-btn': toggleAutoplay
+    };
+    Object.entries(replayControls).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+    
+    const replayCloseBtn = document.getElementById('replay-close-btn');
+    if (replayCloseBtn) {
+        replayCloseBtn.addEventListener('click', () => {
+            stopAutoplay();
+            showScreen(replay.returnTo);
         });
     }
     
+    const handoffReadyBtn = document.getElementById('handoff-ready-btn');
+    if (handoffReadyBtn) {
+        handoffReadyBtn.addEventListener('click', completeHandoff);
+    }
+    
     const mainMenuBtn = document.getElementById('main-menu-btn');
     if (mainMenuBtn) {
         mainMenuBtn.addEventListener('click', () => {
-            game.reset();
+            if (game.mode === 'online') {
+                leaveOnline();
+            } else if (game.mode === 'onchain') {
+                stopChainGame();
+            }
+            startNewMatch();
             showScreen('welcome');
         });
     }
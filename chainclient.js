@@ -0,0 +1,489 @@
+// Chain Client
+// Talks to ImprovedOnChainBattleship through any EIP-1193 provider (an injected browser
+// wallet, or a Hardhat provider in Node) using ethers v6. Boards are committed with
+// BoardCommitment; contract coordinates are x = column, y = row. Private games are
+// joined by invitation or with a join code "<gameId>-<secret>": the contract stores the
+// address of a key derived from the secret, and a joiner signs their own address with it.
+// Spectators read games through a client without an account (Client.observe).
+const ChainClient = (() => {
+    const ABI = [
+        'function STAKE() view returns (uint256)',
+        'function MIN_CHALLENGE_STAKE() view returns (uint256)',
+        'function MOVE_TIMEOUT() view returns (uint256)',
+        'function REVEAL_TIMEOUT() view returns (uint256)',
+        'function commitBoard(bytes32 _boardRoot, bytes32 _hashedMasterSalt) payable',
+        'function commitBoardWithRules(bytes32 _boardRoot, bytes32 _hashedMasterSalt, uint8 _boardSize, uint8[] _shipSizes) payable',
+        'function createChallenge(bytes32 _boardRoot, bytes32 _hashedMasterSalt, uint8 _boardSize, uint8[] _shipSizes, address _invitee, address _joinKey) payable',
+        'function acceptChallenge(uint256 gameId, bytes32 _boardRoot, bytes32 _hashedMasterSalt, bytes _joinSignature) payable',
+        'function cancelGame(uint256 gameId)',
+        'function submitGuess(uint8 _x, uint8 _y)',
+        'function respondToGuess(bool _hit, bytes32 _cellSalt, bytes32[] _proof)',
+        'function revealMasterSalt(bytes32 _masterSalt, uint256 _board, tuple(uint8 x, uint8 y, bool horizontal)[] _ships)',
+        'function forceTimeout(uint256 gameId)',
+        'function submitChannelState(tuple(uint256 gameId, uint32 nonce, address guesser, bool guessPending, uint8 x, uint8 y, uint8 player1Hits, uint8 player2Hits, uint256 player1Guessed, uint256 player2Guessed) _state, bytes _player1Signature, bytes _player2Signature)',
+        'function withdraw()',
+        'function getGame(uint256 gameId) view returns (address player1, address player2, address currentGuesser, address winner, uint8 gamePhase, uint256 player1Hits, uint256 player1HitsAgainst, uint256 player2Hits, uint256 player2HitsAgainst)',
+        'function getPendingGuess(uint256 gameId) view returns (address guesser, address target, uint8 x, uint8 y, uint256 timestamp)',
+        'function getTimers(uint256 gameId) view returns (uint256 gameStartTime, uint256 player1LastMoveTime, uint256 player2LastMoveTime, bool player1Revealed, bool player2Revealed, bool settled)',
+        'function getGameRules(uint256 gameId) view returns (uint8 boardSize, uint8 totalShipCells, uint8[] shipSizes)',
+        'function getChallenge(uint256 gameId) view returns (address creator, address invitee, address joinKey, uint256 stake, uint8 gamePhase)',
+        'function getChannelNonce(uint256 gameId) view returns (uint256)',
+        'function getPlayerGame(address player) view returns (uint256)',
+        'function getWithdrawableAmount(address player) view returns (uint256)',
+        'function getTotalGames() view returns (uint256)',
+        'event GameCreated(uint256 indexed gameId, address indexed creator)',
+        'event GameStarted(uint256 indexed gameId, address indexed player1, address indexed player2)',
+        'event GuessSubmitted(uint256 indexed gameId, address indexed guesser, uint8 x, uint8 y)',
+        'event GuessResponded(uint256 indexed gameId, address indexed responder, bool hit)',
+        'event SaltRevealed(uint256 indexed gameId, address indexed player)',
+        'event GameEnded(uint256 indexed gameId, address indexed winner, uint8 reason)',
+        'event StakeSlashed(uint256 indexed gameId, address indexed cheater, uint256 amount, uint8 reason)',
+        'event TimeoutClaimed(uint256 indexed gameId, address indexed claimer, uint8 reason)',
+        'event FundsWithdrawn(address indexed player, uint256 amount)',
+        'event ChallengeCreated(uint256 indexed gameId, address indexed creator, address indexed invitee, uint256 stake)',
+        'event GameCancelled(uint256 indexed gameId, address indexed creator)',
+        'event ChannelStateSubmitted(uint256 indexed gameId, address indexed submitter, uint256 nonce)'
+    ];
+
+    // The contract's EndReason enum, in order
+    const END_REASONS = [
+        null,
+        'All ships destroyed',
+        'Invalid Merkle proof',
+        'Illegal board',
+        'Response timeout',
+        'Move timeout',
+        'Reveal timeout'
+    ];
+
+    const STANDARD_BOARD_SIZE = 10;
+    const STANDARD_FLEET = [5, 4, 3, 3, 2];
+    const POLL_INTERVAL = 1500;
+    const JOIN_SECRET_LENGTH = 20;
+    const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+    const JOIN_SECRET_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+    // commitBoard() covers the standard rules; anything else goes through commitBoardWithRules()
+    function isStandardRules(rules) {
+        const sizes = rules.fleet.map(ship => ship.size);
+        return rules.gridSize === STANDARD_BOARD_SIZE &&
+            sizes.length === STANDARD_FLEET.length &&
+            sizes.every((size, index) => size === STANDARD_FLEET[index]);
+    }
+
+    function plain(value) {
+        return typeof value === 'bigint' ? Number(value) : value;
+    }
+
+    function endReason(value) {
+        return END_REASONS[Number(value)] || `Reason ${value}`;
+    }
+
+    // { name, args, blockNumber, logIndex } with plain-number arguments and end reasons as
+    // text, as GameRecord expects
+    function decodeEvent(log) {
+        const args = {};
+        log.fragment.inputs.forEach((input, index) => {
+            args[input.name] = input.name === 'reason' ? endReason(log.args[index]) : plain(log.args[index]);
+        });
+        return { name: log.fragment.name, args, blockNumber: log.blockNumber, logIndex: log.index };
+    }
+
+    function newJoinSecret() {
+        return Array.from(lib().randomBytes(JOIN_SECRET_LENGTH), byte => JOIN_SECRET_ALPHABET[byte % JOIN_SECRET_ALPHABET.length]).join('');
+    }
+
+    function formatJoinCode(gameId, secret) {
+        return `${gameId}-${secret}`;
+    }
+
+    function parseJoinCode(code) {
+        const match = /^\s*(\d+)-([A-Z0-9]+)\s*$/i.exec(code || '');
+        if (!match) throw new Error('Join codes look like 12-ABCD…');
+        return { gameId: Number(match[1]), secret: match[2].toUpperCase() };
+    }
+
+    // The key whose address createChallenge() stores for a join-code game
+    function joinKey(secret) {
+        return new (lib().Wallet)(lib().id(`battleship-join:${secret}`));
+    }
+
+    // Proof for acceptChallenge() that `player` holds the code; useless to anyone else
+    function joinSignature(secret, { contract, chainId, gameId, player }) {
+        const message = lib().solidityPackedKeccak256(
+            ['address', 'uint256', 'uint256', 'address'],
+            [contract, chainId, gameId, player]
+        );
+        return joinKey(secret).signMessage(lib().getBytes(message));
+    }
+
+    // The contract's GamePhase enum
+    const PHASES = { Setup: 0, Started: 1, Ended: 2, Cancelled: 3 };
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+    // The next forceTimeout() anyone can claim in a game read by Client#gameStatus(), as
+    // { reason, claimant, deadline } with the deadline in chain seconds, or null. Follows
+    // the contract's checks, like scripts/watchdog.js:
+    //   Response timeout  a guess is unanswered: the guesser claims at its timestamp + MOVE_TIMEOUT
+    //   Move timeout      nothing is pending: the other player claims at the guesser's last
+    //                     move (or the game's start, whichever is later) + MOVE_TIMEOUT
+    //   Reveal timeout    one player revealed after the game ended: they claim at
+    //                     gameStartTime + REVEAL_TIMEOUT
+    function nextTimeout(status, { moveTimeout, revealTimeout }) {
+        const seatOf = address => (address.toLowerCase() === status.player1.toLowerCase() ? 'player1' : 'player2');
+
+        if (status.phase === PHASES.Started) {
+            if (status.pendingGuess) {
+                return {
+                    reason: 'Response timeout',
+                    claimant: status.pendingGuess.guesser,
+                    deadline: status.pendingGuess.timestamp + moveTimeout
+                };
+            }
+            const guesser = seatOf(status.currentGuesser);
+            return {
+                reason: 'Move timeout',
+                claimant: guesser === 'player1' ? status.player2 : status.player1,
+                deadline: Math.max(status.lastMoveTime[guesser], status.gameStartTime) + moveTimeout
+            };
+        }
+
+        if (status.phase === PHASES.Ended && !status.settled && status.revealed.player1 !== status.revealed.player2) {
+            return {
+                reason: 'Reveal timeout',
+                claimant: status.revealed.player1 ? status.player1 : status.player2,
+                deadline: status.gameStartTime + revealTimeout
+            };
+        }
+        return null;
+    }
+
+    // What scripts/deploy.js recorded for a chain: { address, abi, blockNumber, ... } or null
+    function deployment(chainId) {
+        const recorded = typeof BattleshipDeployments !== 'undefined' ? BattleshipDeployments : {};
+        return recorded[Number(chainId)] || null;
+    }
+
+    class Client {
+        constructor({ provider, account, chainId, address, contract }) {
+            this.provider = provider;
+            this.account = account;
+            this.chainId = chainId;
+            this.address = address;
+            this.contract = contract;
+        }
+
+        // Without an address, uses the contract deployed on the wallet's chain
+        static async connect(ethereum, address) {
+            if (!ethereum) throw new Error('No wallet found');
+            if (address && !lib().isAddress(address)) throw new Error('Enter a valid contract address');
+
+            const provider = new (lib().BrowserProvider)(ethereum);
+            await provider.send('eth_requestAccounts', []);
+            const signer = await provider.getSigner();
+            const { chainId } = await provider.getNetwork();
+            const deployed = deployment(chainId);
+            if (!address && !deployed) {
+                throw new Error(`Nothing is deployed on chain ${chainId}; enter the contract address`);
+            }
+            address = lib().getAddress(address || deployed.address);
+            if ((await provider.getCode(address)) === '0x') {
+                throw new Error(`No contract at ${address} on chain ${chainId}`);
+            }
+
+            const abi = deployed && deployed.address.toLowerCase() === address.toLowerCase() ? deployed.abi : ABI;
+            return new Client({
+                provider,
+                account: await signer.getAddress(),
+                chainId: Number(chainId),
+                address,
+                contract: new (lib().Contract)(address, abi, signer)
+            });
+        }
+
+        // A read-only client for watching games, with no account. `source` is a JSON-RPC URL
+        // (a local Hardhat node by default), an EIP-1193 provider or an ethers provider;
+        // without an address, uses the contract deployed on that chain
+        static async observe(source = DEFAULT_RPC_URL, address) {
+            if (address && !lib().isAddress(address)) throw new Error('Enter a valid contract address');
+
+            const provider = typeof source === 'string'
+                ? new (lib().JsonRpcProvider)(source)
+                : typeof source.request === 'function' ? new (lib().BrowserProvider)(source) : source;
+            const { chainId } = await provider.getNetwork();
+            const deployed = deployment(chainId);
+            if (!address && !deployed) {
+                throw new Error(`Nothing is deployed on chain ${chainId}; enter the contract address`);
+            }
+            address = lib().getAddress(address || deployed.address);
+            if ((await provider.getCode(address)) === '0x') {
+                throw new Error(`No contract at ${address} on chain ${chainId}`);
+            }
+
+            const abi = deployed && deployed.address.toLowerCase() === address.toLowerCase() ? deployed.abi : ABI;
+            return new Client({
+                provider,
+                account: null,
+                chainId: Number(chainId),
+                address,
+                contract: new (lib().Contract)(address, abi, provider)
+            });
+        }
+
+        isAccount(address) {
+            return this.account !== null && address.toLowerCase() === this.account.toLowerCase();
+        }
+
+        async transact(method, ...args) {
+            const tx = await this.contract[method](...args);
+            return tx.wait();
+        }
+
+        blockNumber() {
+            return this.provider.getBlockNumber();
+        }
+
+        async playerGame() {
+            return plain(await this.contract.getPlayerGame(this.account));
+        }
+
+        withdrawable() {
+            return this.contract.getWithdrawableAmount(this.account);
+        }
+
+        // The game a commit transaction created or joined
+        joinedGame(receipt) {
+            const joined = receipt.logs
+                .map(log => this.contract.interface.parseLog(log))
+                .find(event => event && (event.name === 'GameCreated' || event.name === 'GameStarted'));
+            return { gameId: plain(joined.args.gameId), blockNumber: receipt.blockNumber };
+        }
+
+        // Stakes and commits a board for open matchmaking; resolves with the game it created or joined
+        async commitBoard(commitment, rules) {
+            const value = await this.contract.STAKE();
+            const receipt = isStandardRules(rules)
+                ? await this.transact('commitBoard', commitment.root, commitment.hashedMasterSalt, { value })
+                : await this.transact('commitBoardWithRules', commitment.root, commitment.hashedMasterSalt,
+                    rules.gridSize, rules.fleet.map(ship => ship.size), { value });
+            return this.joinedGame(receipt);
+        }
+
+        // Opens a private game for `invitee` and/or holders of a join code made from `secret`
+        async createChallenge(commitment, rules, { stake, invitee = null, secret = null }) {
+            const receipt = await this.transact('createChallenge', commitment.root, commitment.hashedMasterSalt,
+                rules.gridSize, rules.fleet.map(ship => ship.size),
+                invitee || lib().ZeroAddress, secret ? joinKey(secret).address : lib().ZeroAddress,
+                { value: stake });
+            return this.joinedGame(receipt);
+        }
+
+        async acceptChallenge(commitment, gameId, secret = null) {
+            const { stake } = await this.challenge(gameId);
+            const signature = secret
+                ? await joinSignature(secret, { contract: this.address, chainId: this.chainId, gameId, player: this.account })
+                : '0x';
+            const receipt = await this.transact('acceptChallenge', gameId, commitment.root, commitment.hashedMasterSalt,
+                signature, { value: stake });
+            return this.joinedGame(receipt);
+        }
+
+        cancelGame(gameId) {
+            return this.transact('cancelGame', gameId);
+        }
+
+        // { creator, invitee, joinKey, stake, gamePhase, boardSize, shipSizes } of a game
+        async challenge(gameId) {
+            const [challenge, rules] = await Promise.all([
+                this.contract.getChallenge(gameId),
+                this.contract.getGameRules(gameId)
+            ]);
+            return {
+                creator: challenge.creator,
+                invitee: challenge.invitee,
+                joinKey: challenge.joinKey,
+                stake: challenge.stake,
+                gamePhase: plain(challenge.gamePhase),
+                boardSize: plain(rules.boardSize),
+                shipSizes: rules.shipSizes.map(plain)
+            };
+        }
+
+        // { moveTimeout, revealTimeout } in seconds; they are constants, so read once
+        async timeouts() {
+            if (!this.timeoutValues) {
+                const [moveTimeout, revealTimeout] = await Promise.all([
+                    this.contract.MOVE_TIMEOUT(),
+                    this.contract.REVEAL_TIMEOUT()
+                ]);
+                this.timeoutValues = { moveTimeout: plain(moveTimeout), revealTimeout: plain(revealTimeout) };
+            }
+            return this.timeoutValues;
+        }
+
+        // Everything a spectator needs to follow a game: players, turn, hits, the pending
+        // guess, timers, the latest block's time and the next timeout anyone can claim
+        async gameStatus(gameId) {
+            const [game, pending, timers, rules, block, timeouts] = await Promise.all([
+                this.contract.getGame(gameId),
+                this.contract.getPendingGuess(gameId),
+                this.contract.getTimers(gameId),
+                this.contract.getGameRules(gameId),
+                this.provider.getBlock('latest'),
+                this.timeouts()
+            ]);
+            if (game.player1 === ZERO_ADDRESS) {
+                throw new Error(`Game ${gameId} does not exist`);
+            }
+
+            const status = {
+                gameId: plain(gameId),
+                phase: plain(game.gamePhase),
+                player1: game.player1,
+                player2: game.player2,
+                currentGuesser: game.currentGuesser,
+                winner: game.winner !== ZERO_ADDRESS ? game.winner : null,
+                hits: { player1: plain(game.player1Hits), player2: plain(game.player2Hits) },
+                pendingGuess: pending.guesser !== ZERO_ADDRESS
+                    ? { guesser: pending.guesser, target: pending.target, x: plain(pending.x), y: plain(pending.y), timestamp: plain(pending.timestamp) }
+                    : null,
+                gameStartTime: plain(timers.gameStartTime),
+                lastMoveTime: { player1: plain(timers.player1LastMoveTime), player2: plain(timers.player2LastMoveTime) },
+                revealed: { player1: timers.player1Revealed, player2: timers.player2Revealed },
+                settled: timers.settled,
+                boardSize: plain(rules.boardSize),
+                shipSizes: rules.shipSizes.map(plain),
+                totalShipCells: plain(rules.totalShipCells),
+                now: block.timestamp
+            };
+            status.timeout = nextTimeout(status, timeouts);
+            return status;
+        }
+
+        // Games being played right now, newest first: { gameId, player1, player2, currentGuesser, hits }
+        async activeGames(limit = 50) {
+            const total = plain(await this.contract.getTotalGames());
+            const games = [];
+            for (let gameId = total; gameId >= 1 && games.length < limit; gameId--) {
+                const game = await this.contract.getGame(gameId);
+                if (plain(game.gamePhase) === PHASES.Started) {
+                    games.push({
+                        gameId,
+                        player1: game.player1,
+                        player2: game.player2,
+                        currentGuesser: game.currentGuesser,
+                        hits: { player1: plain(game.player1Hits), player2: plain(game.player2Hits) }
+                    });
+                }
+            }
+            return games;
+        }
+
+        submitGuess(row, col) {
+            return this.transact('submitGuess', col, row);
+        }
+
+        respondToGuess(commitment, row, col) {
+            const { hit, cellSalt, proof } = commitments().prove(commitment, col, row);
+            return this.transact('respondToGuess', hit, cellSalt, proof);
+        }
+
+        revealBoard(commitment) {
+            const { masterSalt, board, ships } = commitments().reveal(commitment);
+            return this.transact('revealMasterSalt', masterSalt, board, ships);
+        }
+
+        withdraw() {
+            return this.transact('withdraw');
+        }
+
+        // Posts the latest state of a GameChannel both players signed, e.g. when the
+        // opponent stops answering off-chain
+        submitChannelState(channel) {
+            return this.transact('submitChannelState', ...channel.latestSigned().submission);
+        }
+
+        // Every event of one game from `fromBlock` to `toBlock`, oldest first, with block times
+        async gameEvents(gameId, fromBlock, toBlock) {
+            const logs = await this.contract.queryFilter('*', fromBlock, toBlock);
+            const events = logs
+                .filter(log => log.fragment && log.fragment.inputs[0].name === 'gameId' && plain(log.args[0]) === gameId)
+                .map(decodeEvent);
+
+            const timestamps = {};
+            for (const event of events) {
+                if (!(event.blockNumber in timestamps)) {
+                    timestamps[event.blockNumber] = (await this.provider.getBlock(event.blockNumber)).timestamp;
+                }
+                event.timestamp = timestamps[event.blockNumber];
+            }
+            return events;
+        }
+
+        // The GameStarted and GameEnded events of every game from `fromBlock` on, oldest first,
+        // which is all Ladder needs to rate the players
+        async resultEvents(fromBlock = 0, toBlock = 'latest') {
+            const logs = await this.contract.queryFilter('*', fromBlock, toBlock);
+            return logs
+                .filter(log => log.fragment && (log.fragment.name === 'GameStarted' || log.fragment.name === 'GameEnded'))
+                .map(decodeEvent);
+        }
+
+        // Polls for new events of a game and hands each batch to `onEvents`; returns a stop function
+        watch(gameId, fromBlock, onEvents, interval = POLL_INTERVAL) {
+            let nextBlock = fromBlock;
+            let stopped = false;
+
+            const poll = async () => {
+                try {
+                    const latest = await this.blockNumber();
+                    if (latest >= nextBlock) {
+                        const events = await this.gameEvents(gameId, nextBlock, latest);
+                        nextBlock = latest + 1;
+                        await onEvents(events);
+                    }
+                } catch (error) {
+                    console.warn('Unable to read game events:', error);
+                }
+                if (!stopped) {
+                    setTimeout(poll, interval);
+                }
+            };
+            poll();
+
+            return () => {
+                stopped = true;
+            };
+        }
+    }
+
+    // BoardCommitment is a global in the browser and a module in Node; ethers comes through it
+    function commitments() {
+        return typeof BoardCommitment !== 'undefined' ? BoardCommitment : require('./commitment.js');
+    }
+
+    function lib() {
+        return commitments().lib();
+    }
+
+    return {
+        ABI,
+        END_REASONS,
+        PHASES,
+        DEFAULT_RPC_URL,
+        endReason,
+        nextTimeout,
+        isStandardRules,
+        newJoinSecret,
+        formatJoinCode,
+        parseJoinCode,
+        joinKey,
+        joinSignature,
+        deployment,
+        Client
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChainClient;
+}
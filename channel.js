@@ -0,0 +1,371 @@
+// State Channel
+// Plays an on-chain game off-chain. After both boards are committed, the players swap
+// EIP-712 signed game states over any transport instead of sending submitGuess() and
+// respondToGuess(); only the final state goes on-chain. A state is what the contract keeps
+// of a game in play:
+//   ChannelState { gameId, nonce, guesser, guessPending, x, y, player1Hits, player2Hits,
+//                  player1Guessed, player2Guessed }
+// where nonce counts the moves so far (a guess or an answer is one move each, the same
+// count the contract keeps on-chain) and x = column, y = row as in the contract. The
+// guessed fields are bitmaps of the cells each player has fired at, bit y * gridSize + x,
+// a pending guess included; they travel as hex strings since JSON has no bigint.
+//
+// A shot takes three messages, which also carry the countersignatures:
+//   guess   { state, signature }                                  guesser -> target
+//   answer  { guessSignature, hit, cellSalt, proof, state, signature }  target -> guesser
+//   ack     { signature }                                         guesser -> target
+// The answer's Merkle proof is checked against the target's committed root exactly as the
+// contract would. A message that breaks the rules is refused, and either player can then
+// post the latest state both of them signed with submitChannelState() and carry on
+// under the contract's turn and timeout rules.
+const GameChannel = (() => {
+    const DOMAIN_NAME = 'ImprovedOnChainBattleship';
+    const DOMAIN_VERSION = '1';
+
+    const TYPES = {
+        ChannelState: [
+            { name: 'gameId', type: 'uint256' },
+            { name: 'nonce', type: 'uint32' },
+            { name: 'guesser', type: 'address' },
+            { name: 'guessPending', type: 'bool' },
+            { name: 'x', type: 'uint8' },
+            { name: 'y', type: 'uint8' },
+            { name: 'player1Hits', type: 'uint8' },
+            { name: 'player2Hits', type: 'uint8' },
+            { name: 'player1Guessed', type: 'uint256' },
+            { name: 'player2Guessed', type: 'uint256' }
+        ]
+    };
+
+    function domain({ contract, chainId }) {
+        return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: Number(chainId), verifyingContract: contract };
+    }
+
+    // The state a game starts in: player1 to guess, no hits, no cells fired at
+    function initialState(gameId, player1) {
+        return {
+            gameId: Number(gameId),
+            nonce: 0,
+            guesser: player1,
+            guessPending: false,
+            x: 0,
+            y: 0,
+            player1Hits: 0,
+            player2Hits: 0,
+            player1Guessed: '0x0',
+            player2Guessed: '0x0'
+        };
+    }
+
+    function cellBit(gridSize, x, y) {
+        return 1n << BigInt(y * gridSize + x);
+    }
+
+    function hasGuessed(bits, gridSize, x, y) {
+        return (BigInt(bits) & cellBit(gridSize, x, y)) !== 0n;
+    }
+
+    function withGuess(bits, gridSize, x, y) {
+        return `0x${(BigInt(bits) | cellBit(gridSize, x, y)).toString(16)}`;
+    }
+
+    function sameAddress(a, b) {
+        return a.toLowerCase() === b.toLowerCase();
+    }
+
+    function sameState(a, b) {
+        return TYPES.ChannelState.every(({ name, type }) => {
+            if (name === 'guesser') return sameAddress(a.guesser, b.guesser);
+            if (type === 'uint256' && name !== 'gameId') return BigInt(a[name]) === BigInt(b[name]);
+            return a[name] === b[name];
+        });
+    }
+
+    function signState(signer, channelDomain, state) {
+        return signer.signTypedData(channelDomain, TYPES, state);
+    }
+
+    function stateSigner(channelDomain, state, signature) {
+        return lib().verifyTypedData(channelDomain, TYPES, state, signature);
+    }
+
+    // Arguments for submitChannelState(state, player1Signature, player2Signature)
+    function submission({ state, signatures }, players) {
+        return [state, signatures[players[0].toLowerCase()], signatures[players[1].toLowerCase()]];
+    }
+
+    // One player's end of the channel. `players` are [player1, player2] of the game and
+    // `account` is the signer's address; `commitment` is this player's board commitment
+    // and `opponentRoot` the root the opponent committed. Emits:
+    //   state { state }   (a new state both players signed)
+    //   shot { guesser, x, y, hit }   error { error, message }
+    class Channel {
+        constructor({ gameId, contract, chainId, players, signer, account, commitment, opponentRoot, totalShipCells, state = null }) {
+            this.gameId = Number(gameId);
+            this.domain = domain({ contract, chainId });
+            this.players = players;
+            this.signer = signer;
+            this.account = account;
+            this.opponent = players.find(player => !sameAddress(player, account));
+            this.commitment = commitment;
+            this.opponentRoot = opponentRoot;
+            this.gridSize = commitment.gridSize;
+            this.totalShipCells = totalShipCells;
+            // The latest state both players signed, and the one half-signed state in flight
+            this.latest = { state: state || initialState(gameId, players[0]), signatures: {} };
+            this.proposed = null;
+            this.transport = null;
+            this.listeners = {};
+            this.incoming = Promise.resolve();
+        }
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return this;
+        }
+
+        emit(event, payload) {
+            (this.listeners[event] || []).forEach(handler => handler(payload));
+        }
+
+        // Sends through `transport` ({ send(message), onMessage(handler) }) and answers
+        // whatever arrives on it, one message at a time
+        connect(transport) {
+            this.transport = transport;
+            transport.onMessage(message => {
+                this.incoming = this.incoming.then(async () => {
+                    try {
+                        const reply = await this.receive(message);
+                        if (reply) transport.send(reply);
+                    } catch (error) {
+                        this.emit('error', { error, message });
+                    }
+                });
+            });
+            return this;
+        }
+
+        isPlayer1(address) {
+            return sameAddress(address, this.players[0]);
+        }
+
+        hitsKey(address) {
+            return this.isPlayer1(address) ? 'player1Hits' : 'player2Hits';
+        }
+
+        guessedKey(address) {
+            return this.isPlayer1(address) ? 'player1Guessed' : 'player2Guessed';
+        }
+
+        // `state` with `guesser` firing at (x, y) next
+        guessed(state, guesser, x, y) {
+            const key = this.guessedKey(guesser);
+            return {
+                ...state,
+                nonce: state.nonce + 1,
+                guessPending: true,
+                x,
+                y,
+                [key]: withGuess(state[key], this.gridSize, x, y)
+            };
+        }
+
+        isMyTurn() {
+            const { state } = this.latest;
+            return !this.proposed && !state.guessPending && sameAddress(state.guesser, this.account) && !this.winner();
+        }
+
+        // The player who has hit every ship cell in the latest signed state, or null
+        winner() {
+            const { state } = this.latest;
+            if (state.player1Hits === this.totalShipCells) return this.players[0];
+            if (state.player2Hits === this.totalShipCells) return this.players[1];
+            return null;
+        }
+
+        // The latest state both players signed, with the arguments to post it on-chain
+        latestSigned() {
+            return { ...this.latest, submission: submission(this.latest, this.players) };
+        }
+
+        async guess(x, y) {
+            if (!this.isMyTurn()) throw new Error('Not your turn');
+            if (!(x >= 0 && y >= 0 && x < this.gridSize && y < this.gridSize)) {
+                throw new Error(`Cell ${x},${y} is off the board`);
+            }
+            if (hasGuessed(this.latest.state[this.guessedKey(this.account)], this.gridSize, x, y)) {
+                throw new Error(`Already fired at ${x},${y}`);
+            }
+
+            const state = this.guessed(this.latest.state, this.account, x, y);
+            const signature = await signState(this.signer, this.domain, state);
+            this.proposed = { state, signatures: { [this.account.toLowerCase()]: signature } };
+
+            const message = { type: 'guess', state, signature };
+            if (this.transport) this.transport.send(message);
+            return message;
+        }
+
+        // Handles a message from the opponent and returns the reply to send back, if any.
+        // Throws when the message breaks the rules; anything in it that both players have
+        // properly signed is still kept, so the latest signed state is the one to post.
+        receive(message) {
+            switch (message && message.type) {
+            case 'guess':
+                return this.receiveGuess(message);
+            case 'answer':
+                return this.receiveAnswer(message);
+            case 'ack':
+                return this.receiveAck(message);
+            default:
+                throw new Error('Unknown channel message');
+            }
+        }
+
+        // The opponent's guess at our board: countersign it, then answer with a proof
+        async receiveGuess({ state, signature }) {
+            const previous = this.latest.state;
+            if (this.proposed || previous.guessPending || !sameAddress(previous.guesser, this.opponent)) {
+                throw new Error('Not the opponent\'s turn');
+            }
+            if (!(state.x >= 0 && state.y >= 0 && state.x < this.gridSize && state.y < this.gridSize) ||
+                !sameState(state, this.guessed(previous, this.opponent, state.x, state.y))) {
+                throw new Error('Guess does not follow the latest state');
+            }
+            if (hasGuessed(previous[this.guessedKey(this.opponent)], this.gridSize, state.x, state.y)) {
+                throw new Error(`Already fired at ${state.x},${state.y}`);
+            }
+            this.checkSignature(state, signature, this.opponent);
+            const guessSignature = await this.countersign(state, signature);
+
+            const { hit, cellSalt, proof } = commitments().prove(this.commitment, state.x, state.y);
+            const answer = this.answered(state, hit);
+            const answerSignature = await signState(this.signer, this.domain, answer);
+            this.proposed = { state: answer, signatures: { [this.account.toLowerCase()]: answerSignature } };
+
+            return { type: 'answer', guessSignature, hit, cellSalt, proof, state: answer, signature: answerSignature };
+        }
+
+        // The answer to our guess: check the proof against the opponent's board, countersign
+        async receiveAnswer({ guessSignature, hit, cellSalt, proof, state, signature }) {
+            if (!this.proposed || !this.proposed.state.guessPending) {
+                throw new Error('No guess waiting for an answer');
+            }
+            const guess = this.proposed.state;
+            this.checkSignature(guess, guessSignature, this.opponent);
+            this.proposed.signatures[this.opponent.toLowerCase()] = guessSignature;
+            this.latest = this.proposed;
+            this.proposed = null;
+            this.emit('state', { state: guess });
+
+            if (!commitments().verify(this.opponentRoot, guess.x, guess.y, hit, cellSalt, proof)) {
+                throw new Error('Invalid Merkle proof');
+            }
+            if (!sameState(state, this.answered(guess, hit))) {
+                throw new Error('Answer does not follow the guess');
+            }
+            this.checkSignature(state, signature, this.opponent);
+            const ackSignature = await this.countersign(state, signature);
+
+            this.emit('shot', { guesser: this.account, x: guess.x, y: guess.y, hit });
+            return { type: 'ack', signature: ackSignature };
+        }
+
+        // The guesser's countersignature of our answer
+        receiveAck({ signature }) {
+            if (!this.proposed || this.proposed.state.guessPending) {
+                throw new Error('No answer waiting for a signature');
+            }
+            const { state } = this.proposed;
+            this.checkSignature(state, signature, this.opponent);
+            const guess = this.latest.state;
+            const key = this.hitsKey(guess.guesser);
+            this.proposed.signatures[this.opponent.toLowerCase()] = signature;
+            this.latest = this.proposed;
+            this.proposed = null;
+
+            this.emit('state', { state });
+            this.emit('shot', { guesser: this.opponent, x: guess.x, y: guess.y, hit: state[key] > guess[key] });
+            return null;
+        }
+
+        // The state after the target answers `guess`: a hit is counted and the turn passes
+        answered(guess, hit) {
+            const key = this.hitsKey(guess.guesser);
+            return {
+                ...guess,
+                nonce: guess.nonce + 1,
+                guesser: this.players.find(player => !sameAddress(player, guess.guesser)),
+                guessPending: false,
+                x: 0,
+                y: 0,
+                [key]: guess[key] + (hit ? 1 : 0)
+            };
+        }
+
+        checkSignature(state, signature, expected) {
+            let signer = null;
+            try {
+                signer = stateSigner(this.domain, state, signature);
+            } catch (error) {
+                // Unreadable signatures are refused below
+            }
+            if (!signer || !sameAddress(signer, expected)) {
+                throw new Error('Invalid signature');
+            }
+        }
+
+        // Adds our signature to a state the opponent signed and makes it the latest
+        async countersign(state, opponentSignature) {
+            const signature = await signState(this.signer, this.domain, state);
+            this.latest = {
+                state,
+                signatures: {
+                    [this.opponent.toLowerCase()]: opponentSignature,
+                    [this.account.toLowerCase()]: signature
+                }
+            };
+            this.emit('state', { state });
+            return signature;
+        }
+    }
+
+    // Two connected in-memory transports, for players in the same process (tests, bots,
+    // hotseat). Messages are copied through JSON, as a network transport would.
+    function localTransports() {
+        const ends = [{ handlers: [] }, { handlers: [] }];
+        return ends.map((end, index) => ({
+            send(message) {
+                const copy = JSON.parse(JSON.stringify(message));
+                Promise.resolve().then(() => ends[1 - index].handlers.forEach(handler => handler(copy)));
+            },
+            onMessage(handler) {
+                end.handlers.push(handler);
+            }
+        }));
+    }
+
+    // BoardCommitment is a global in the browser and a module in Node; ethers comes through it
+    function commitments() {
+        return typeof BoardCommitment !== 'undefined' ? BoardCommitment : require('./commitment.js');
+    }
+
+    function lib() {
+        return commitments().lib();
+    }
+
+    return {
+        TYPES,
+        domain,
+        initialState,
+        signState,
+        stateSigner,
+        submission,
+        localTransports,
+        Channel
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameChannel;
+}
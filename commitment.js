@@ -0,0 +1,142 @@
+// Board Commitment
+// Builds the Merkle commitment the contract expects from a placed board:
+//   cellSalt  = keccak256(abi.encodePacked(masterSalt, uint8 x, uint8 y))
+//   leaf      = keccak256(abi.encodePacked(uint8 x, uint8 y, bool hit, bytes32 cellSalt))
+//   node      = keccak256 of the two children, smaller first (OpenZeppelin MerkleProof)
+//   hashedMasterSalt = keccak256(abi.encodePacked(masterSalt))
+// Contract coordinates map to the board as x = column, y = row; leaves are ordered
+// row by row, so cell (x, y) is leaf y * gridSize + x. A layer with an odd number of
+// nodes carries its last node up unchanged. After the game the board is revealed as a
+// bitmap of ship cells (bit y * gridSize + x) plus each ship's position in fleet order.
+const BoardCommitment = (() => {
+    function randomSalt() {
+        return lib().hexlify(lib().randomBytes(32));
+    }
+
+    function cellSalt(masterSalt, x, y) {
+        return lib().solidityPackedKeccak256(['bytes32', 'uint8', 'uint8'], [masterSalt, x, y]);
+    }
+
+    function leafHash(x, y, hit, salt) {
+        return lib().solidityPackedKeccak256(['uint8', 'uint8', 'bool', 'bytes32'], [x, y, hit, salt]);
+    }
+
+    function hashPair(a, b) {
+        const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+        return lib().keccak256(lib().concat([first, second]));
+    }
+
+    function hashMasterSalt(masterSalt) {
+        return lib().keccak256(masterSalt);
+    }
+
+    function buildLayers(leaves) {
+        const layers = [leaves];
+        while (layers[layers.length - 1].length > 1) {
+            const layer = layers[layers.length - 1];
+            const next = [];
+            for (let i = 0; i < layer.length; i += 2) {
+                next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+            }
+            layers.push(next);
+        }
+        return layers;
+    }
+
+    // Commits to a board from the rules engine (a side's board in GameState.match).
+    // Keep the result: it holds the master salt needed to answer guesses and reveal.
+    function commit(board, masterSalt = randomSalt()) {
+        const { gridSize } = board;
+        const hits = [];
+        const leaves = [];
+        for (let y = 0; y < gridSize; y++) {
+            for (let x = 0; x < gridSize; x++) {
+                const hit = board.cells[y][x] !== null;
+                hits.push(hit);
+                leaves.push(leafHash(x, y, hit, cellSalt(masterSalt, x, y)));
+            }
+        }
+
+        const ships = board.ships
+            .slice()
+            .sort((a, b) => a.index - b.index)
+            .map(ship => ({
+                x: ship.positions[0].col,
+                y: ship.positions[0].row,
+                horizontal: ship.positions.length < 2 || ship.positions[1].row === ship.positions[0].row
+            }));
+
+        const layers = buildLayers(leaves);
+        return {
+            gridSize,
+            masterSalt,
+            hashedMasterSalt: hashMasterSalt(masterSalt),
+            root: layers[layers.length - 1][0],
+            hits,
+            ships,
+            layers
+        };
+    }
+
+    // Everything respondToGuess() needs for the guess at (x, y)
+    function prove(commitment, x, y) {
+        const { gridSize, layers } = commitment;
+        if (!(x >= 0 && y >= 0 && x < gridSize && y < gridSize)) {
+            throw new Error(`Cell ${x},${y} is off the board`);
+        }
+
+        const proof = [];
+        let index = y * gridSize + x;
+        layers.slice(0, -1).forEach(layer => {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            if (sibling < layer.length) {
+                proof.push(layer[sibling]);
+            }
+            index = Math.floor(index / 2);
+        });
+
+        return {
+            hit: commitment.hits[y * gridSize + x],
+            cellSalt: cellSalt(commitment.masterSalt, x, y),
+            proof
+        };
+    }
+
+    // Same check as the contract: does the answer for cell (x, y) belong to this root?
+    function verify(root, x, y, hit, salt, proof) {
+        const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leafHash(x, y, hit, salt));
+        return computed.toLowerCase() === root.toLowerCase();
+    }
+
+    // Arguments for revealMasterSalt(masterSalt, board, ships) once the game is over
+    function reveal(commitment) {
+        const board = commitment.hits.reduce((bits, hit, index) => (hit ? bits | (1n << BigInt(index)) : bits), 0n);
+        return {
+            masterSalt: commitment.masterSalt,
+            board,
+            ships: commitment.ships
+        };
+    }
+
+    // ethers is a global in the browser and a module in Node; the other on-chain
+    // modules load it through here
+    function lib() {
+        return typeof ethers !== 'undefined' ? ethers : require('ethers');
+    }
+
+    return {
+        randomSalt,
+        cellSalt,
+        leafHash,
+        hashMasterSalt,
+        commit,
+        prove,
+        verify,
+        reveal,
+        lib
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardCommitment;
+}
@@ -0,0 +1,549 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+
+// The views of ImprovedOnChainBattleship a tournament reads; phases are the GamePhase enum
+interface IBattleshipGames {
+    function getGame(uint256 gameId) external view returns (
+        address player1,
+        address player2,
+        address currentGuesser,
+        address winner,
+        uint8 gamePhase,
+        uint256 player1Hits,
+        uint256 player1HitsAgainst,
+        uint256 player2Hits,
+        uint256 player2HitsAgainst
+    );
+    function getTimers(uint256 gameId) external view returns (
+        uint256 gameStartTime,
+        uint256 player1LastMoveTime,
+        uint256 player2LastMoveTime,
+        bool player1Revealed,
+        bool player2Revealed,
+        bool settled
+    );
+    function getChallenge(uint256 gameId) external view returns (
+        address creator,
+        address invitee,
+        address joinKey,
+        uint256 stake,
+        uint8 gamePhase
+    );
+    function getTotalGames() external view returns (uint256);
+    function REVEAL_TIMEOUT() external view returns (uint256);
+    function MIN_CHALLENGE_STAKE() external view returns (uint256);
+}
+
+/**
+ * @title BattleshipTournament
+ * @dev Single-elimination brackets played as ordinary ImprovedOnChainBattleship games
+ * @notice An organizer opens a bracket with an entry fee, a player cap and the share of the
+ * prize pool each placement wins. It starts when the cap is reached (or earlier, by the
+ * organizer) and every round pairs the players still in, in seeding order; an odd player out
+ * gets a bye. A match is played as a challenge between its two players created after the
+ * round was paired and recorded on the match with openMatch, and its result is the winner
+ * the game contract records at GameEnded, counted once the game is settled and the winner
+ * can no longer change. A player whose recorded challenge is not accepted within
+ * MATCH_START_TIMEOUT of being recorded wins a walkover; when neither player shows up, both
+ * are out and win no prize. Timeouts inside a game end it like any other result.
+ */
+contract BattleshipTournament is ReentrancyGuard {
+
+    enum Status { Registration, Running, Finished, Cancelled }
+
+    enum Decision { Pending, Played, Bye, Walkover, NoShow }
+
+    // The game contract's GamePhase enum
+    uint8 internal constant PHASE_SETUP = 0;
+    uint8 internal constant PHASE_ENDED = 2;
+    uint8 internal constant PHASE_CANCELLED = 3;
+
+    struct Tournament {
+        address organizer;
+        Status status;
+        uint8 maxPlayers;
+        uint8 round; // Current round, counted from 1 once the bracket starts
+        uint8 pendingMatches; // Matches of the current round still to be decided
+        uint40 roundStartTime;
+        uint96 entryFee;
+        address champion;
+        uint256 prizePool;
+        uint256 roundFirstGame; // getTotalGames() when the round was paired; its games have higher ids
+        uint16[] payoutShares; // Basis points of the pool for 1st, 2nd, 3rd-4th, 5th-8th, ...
+        address[] players; // In registration order, which is the seeding
+    }
+
+    // player2 is zero for a bye. gameId is the match game once it is recorded, 0 until then,
+    // and openedAt when it was recorded
+    struct Match {
+        address player1;
+        address player2;
+        address winner;
+        uint256 gameId;
+        Decision decision;
+        uint40 openedAt;
+    }
+
+    // Constants
+    uint8 public constant MAX_PLAYERS = 64;
+    uint8 public constant MAX_PLACEMENTS = 8;
+    uint16 public constant TOTAL_SHARES = 10000;
+    uint256 public constant MATCH_START_TIMEOUT = 24 hours;
+
+    // State variables
+    IBattleshipGames public immutable games;
+    mapping(uint256 => Tournament) internal tournaments; // Read through getTournament() and friends
+    mapping(uint256 => mapping(uint8 => Match[])) internal rounds;
+    mapping(uint256 => mapping(address => bool)) public registered;
+    mapping(uint256 => mapping(address => uint8)) public eliminatedIn; // Round a player went out in, 0 while in
+    mapping(uint256 => mapping(address => bool)) public forfeited; // Went out without showing up; wins no prize
+    mapping(uint256 => bool) public countedGames; // Games that already decided a match
+    mapping(address => uint256) public withdrawable;
+    uint256 public totalTournaments;
+
+    // Events
+    event TournamentCreated(uint256 indexed tournamentId, address indexed organizer, uint256 entryFee, uint8 maxPlayers);
+    event PlayerJoined(uint256 indexed tournamentId, address indexed player);
+    event PlayerLeft(uint256 indexed tournamentId, address indexed player);
+    event TournamentStarted(uint256 indexed tournamentId, uint256 players);
+    event RoundStarted(uint256 indexed tournamentId, uint8 round, uint256 matches, uint256 firstGame);
+    event MatchOpened(uint256 indexed tournamentId, uint8 round, uint256 matchIndex, uint256 gameId);
+    event MatchDecided(uint256 indexed tournamentId, uint8 round, uint256 matchIndex, address indexed winner, uint256 gameId, Decision decision);
+    event TournamentFinished(uint256 indexed tournamentId, address indexed champion);
+    event TournamentCancelled(uint256 indexed tournamentId);
+    event PrizeAwarded(uint256 indexed tournamentId, address indexed player, uint256 placement, uint256 amount);
+    event FundsWithdrawn(address indexed player, uint256 amount);
+
+    // Modifiers
+    modifier tournamentExists(uint256 tournamentId) {
+        require(tournaments[tournamentId].organizer != address(0), "Tournament does not exist");
+        _;
+    }
+
+    modifier onlyOrganizer(uint256 tournamentId) {
+        require(msg.sender == tournaments[tournamentId].organizer, "Only the organizer");
+        _;
+    }
+
+    modifier whileRegistering(uint256 tournamentId) {
+        require(tournaments[tournamentId].status == Status.Registration, "Registration closed");
+        _;
+    }
+
+    modifier whileRunning(uint256 tournamentId) {
+        require(tournaments[tournamentId].status == Status.Running, "Tournament not running");
+        _;
+    }
+
+    constructor(IBattleshipGames _games) {
+        require(address(_games) != address(0), "Game contract required");
+        games = _games;
+    }
+
+    /**
+     * @dev Open a bracket for registration
+     * @param _entryFee Paid by every player into the prize pool
+     * @param _maxPlayers Player cap (2-64); the bracket starts as soon as it is reached
+     * @param _payoutShares Basis points of the pool won by 1st, 2nd, 3rd-4th, 5th-8th, ...
+     * place, adding up to 10000. Players who go out in the same round share their placement's
+     * amount; whatever no placement takes goes to the champion
+     */
+    function createTournament(uint96 _entryFee, uint8 _maxPlayers, uint16[] calldata _payoutShares)
+        external
+        returns (uint256 tournamentId)
+    {
+        require(_maxPlayers >= 2 && _maxPlayers <= MAX_PLAYERS, "Invalid player cap");
+        require(_payoutShares.length > 0 && _payoutShares.length <= MAX_PLACEMENTS, "Invalid payout shares");
+        uint256 total;
+        for (uint256 i = 0; i < _payoutShares.length; i++) {
+            total += _payoutShares[i];
+        }
+        require(total == TOTAL_SHARES, "Payout shares must add up to 10000");
+
+        tournamentId = ++totalTournaments;
+        Tournament storage tournament = tournaments[tournamentId];
+        tournament.organizer = msg.sender;
+        tournament.maxPlayers = _maxPlayers;
+        tournament.entryFee = _entryFee;
+        tournament.payoutShares = _payoutShares;
+
+        emit TournamentCreated(tournamentId, msg.sender, _entryFee, _maxPlayers);
+    }
+
+    /**
+     * @dev Register for a bracket with its entry fee
+     */
+    function join(uint256 tournamentId)
+        external
+        payable
+        tournamentExists(tournamentId)
+        whileRegistering(tournamentId)
+    {
+        Tournament storage tournament = tournaments[tournamentId];
+        require(msg.value == tournament.entryFee, "Wrong entry fee");
+        require(!registered[tournamentId][msg.sender], "Already registered");
+        require(tournament.players.length < tournament.maxPlayers, "Tournament full");
+
+        registered[tournamentId][msg.sender] = true;
+        tournament.players.push(msg.sender);
+        tournament.prizePool += msg.value;
+        emit PlayerJoined(tournamentId, msg.sender);
+
+        if (tournament.players.length == tournament.maxPlayers) {
+            _start(tournamentId);
+        }
+    }
+
+    /**
+     * @dev Leave a bracket before it starts; the entry fee becomes withdrawable
+     */
+    function leave(uint256 tournamentId)
+        external
+        tournamentExists(tournamentId)
+        whileRegistering(tournamentId)
+    {
+        require(registered[tournamentId][msg.sender], "Not registered");
+        Tournament storage tournament = tournaments[tournamentId];
+
+        // Keeps the seeding of everyone registered later
+        address[] storage players = tournament.players;
+        uint256 index = 0;
+        while (players[index] != msg.sender) {
+            index++;
+        }
+        for (; index + 1 < players.length; index++) {
+            players[index] = players[index + 1];
+        }
+        players.pop();
+
+        registered[tournamentId][msg.sender] = false;
+        tournament.prizePool -= tournament.entryFee;
+        withdrawable[msg.sender] += tournament.entryFee;
+        emit PlayerLeft(tournamentId, msg.sender);
+    }
+
+    /**
+     * @dev Start the bracket before the player cap is reached
+     */
+    function start(uint256 tournamentId)
+        external
+        tournamentExists(tournamentId)
+        onlyOrganizer(tournamentId)
+        whileRegistering(tournamentId)
+    {
+        require(tournaments[tournamentId].players.length >= 2, "Not enough players");
+        _start(tournamentId);
+    }
+
+    /**
+     * @dev Call a bracket off before it starts; every entry fee becomes withdrawable
+     */
+    function cancel(uint256 tournamentId)
+        external
+        tournamentExists(tournamentId)
+        onlyOrganizer(tournamentId)
+        whileRegistering(tournamentId)
+    {
+        Tournament storage tournament = tournaments[tournamentId];
+        tournament.status = Status.Cancelled;
+        for (uint256 i = 0; i < tournament.players.length; i++) {
+            withdrawable[tournament.players[i]] += tournament.entryFee;
+        }
+        tournament.prizePool = 0;
+        emit TournamentCancelled(tournamentId);
+    }
+
+    /**
+     * @dev Record the challenge a match is played as; anyone can record it
+     * @notice The game must be a challenge from one of the match's players to the other, created
+     * after the round was paired, without a join code and staking the game contract's
+     * MIN_CHALLENGE_STAKE, so the opponent can always accept it. Once a game is recorded, a walkover can no longer be claimed
+     * while it is being played or after it was, so record it before accepting the challenge.
+     * Another game can only be recorded after the recorded challenge was cancelled
+     * @param tournamentId The tournament
+     * @param matchIndex The match in the current round
+     * @param gameId The ImprovedOnChainBattleship challenge
+     */
+    function openMatch(uint256 tournamentId, uint256 matchIndex, uint256 gameId)
+        external
+        tournamentExists(tournamentId)
+        whileRunning(tournamentId)
+    {
+        Tournament storage tournament = tournaments[tournamentId];
+        Match storage matchup = _pendingMatch(tournamentId, matchIndex);
+        require(gameId > tournament.roundFirstGame, "Game is older than the round");
+        require(matchup.gameId == 0 || _phase(matchup.gameId) == PHASE_CANCELLED, "Match game already recorded");
+
+        (address creator, address invitee, address joinKey, uint256 stake, uint8 phase) = games.getChallenge(gameId);
+        require(_isMatchPair(matchup, creator, invitee), "Not a challenge between these players");
+        require(phase != PHASE_CANCELLED, "Challenge cancelled");
+        require(joinKey == address(0), "Challenge needs a join code");
+        require(stake == games.MIN_CHALLENGE_STAKE(), "Wrong match stake");
+
+        matchup.gameId = gameId;
+        matchup.openedAt = uint40(block.timestamp);
+        emit MatchOpened(tournamentId, tournament.round, matchIndex, gameId);
+    }
+
+    /**
+     * @dev Record a match's result from its game; anyone can report it
+     * @notice The game must be between the match's two players, created after the round was
+     * paired, and settled. Each game decides one match at most
+     * @param tournamentId The tournament
+     * @param matchIndex The match in the current round
+     * @param gameId The ImprovedOnChainBattleship game the match was played as
+     */
+    function reportResult(uint256 tournamentId, uint256 matchIndex, uint256 gameId)
+        external
+        tournamentExists(tournamentId)
+        whileRunning(tournamentId)
+    {
+        Tournament storage tournament = tournaments[tournamentId];
+        Match storage matchup = _pendingMatch(tournamentId, matchIndex);
+        require(gameId > tournament.roundFirstGame, "Game is older than the round");
+        require(!countedGames[gameId], "Game already decided a match");
+
+        (address player1, address player2, , address winner, , , , , ) = games.getGame(gameId);
+        require(_isMatchPair(matchup, player1, player2), "Not a game between these players");
+        (, , , , , bool settled) = games.getTimers(gameId);
+        require(settled, "Game not settled");
+        require(winner != address(0), "Game has no winner");
+
+        countedGames[gameId] = true;
+        matchup.gameId = gameId;
+        _decide(tournamentId, matchIndex, winner, Decision.Played);
+    }
+
+    /**
+     * @dev Decide a match nobody played once MATCH_START_TIMEOUT has passed since the round began
+     * @notice A player whose recorded challenge was not accepted within MATCH_START_TIMEOUT of
+     * being recorded wins a walkover. Without a
+     * recorded challenge, or with one its creator cancelled, both players are out. A recorded
+     * game that was accepted has to be played out and reported, unless it ended with the last
+     * ship and neither player revealed their board within the game's REVEAL_TIMEOUT: it can
+     * never be settled, so both players are out
+     * @param tournamentId The tournament
+     * @param matchIndex The match in the current round
+     */
+    function claimWalkover(uint256 tournamentId, uint256 matchIndex)
+        external
+        tournamentExists(tournamentId)
+        whileRunning(tournamentId)
+    {
+        Tournament storage tournament = tournaments[tournamentId];
+        Match storage matchup = _pendingMatch(tournamentId, matchIndex);
+        require(block.timestamp > tournament.roundStartTime + MATCH_START_TIMEOUT, "Match start timeout not reached");
+
+        uint256 gameId = matchup.gameId;
+        if (gameId == 0) {
+            _decide(tournamentId, matchIndex, address(0), Decision.NoShow);
+            return;
+        }
+
+        (address creator, , , , uint8 phase) = games.getChallenge(gameId);
+        if (phase == PHASE_SETUP) {
+            require(block.timestamp > matchup.openedAt + MATCH_START_TIMEOUT, "Challenge acceptance timeout not reached");
+            _decide(tournamentId, matchIndex, creator, Decision.Walkover);
+        } else if (phase == PHASE_CANCELLED) {
+            _decide(tournamentId, matchIndex, address(0), Decision.NoShow);
+        } else {
+            (uint256 gameStartTime, , , bool player1Revealed, bool player2Revealed, bool settled) = games.getTimers(gameId);
+            require(!settled, "Match game played; report its result");
+            require(
+                phase == PHASE_ENDED && !player1Revealed && !player2Revealed &&
+                    block.timestamp > gameStartTime + games.REVEAL_TIMEOUT(),
+                "Match game in play"
+            );
+            _decide(tournamentId, matchIndex, address(0), Decision.NoShow);
+        }
+    }
+
+    /**
+     * @dev Withdraw refunds and prizes
+     */
+    function withdraw()
+        external
+        nonReentrant
+    {
+        uint256 amount = withdrawable[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        withdrawable[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit FundsWithdrawn(msg.sender, amount);
+    }
+
+    // Internal functions
+
+    function _start(uint256 tournamentId) internal {
+        Tournament storage tournament = tournaments[tournamentId];
+        tournament.status = Status.Running;
+        emit TournamentStarted(tournamentId, tournament.players.length);
+        _pairRound(tournamentId, tournament.players);
+    }
+
+    // Pairs the players in order; the last of an odd number gets a bye
+    function _pairRound(uint256 tournamentId, address[] memory players) internal {
+        Tournament storage tournament = tournaments[tournamentId];
+        uint8 round = ++tournament.round;
+        tournament.roundStartTime = uint40(block.timestamp);
+        tournament.roundFirstGame = games.getTotalGames();
+
+        Match[] storage matches = rounds[tournamentId][round];
+        for (uint256 i = 0; i + 1 < players.length; i += 2) {
+            matches.push(Match(players[i], players[i + 1], address(0), 0, Decision.Pending, 0));
+        }
+        tournament.pendingMatches = uint8(matches.length);
+        emit RoundStarted(tournamentId, round, (players.length + 1) / 2, tournament.roundFirstGame);
+
+        if (players.length % 2 == 1) {
+            address last = players[players.length - 1];
+            matches.push(Match(last, address(0), last, 0, Decision.Bye, 0));
+            emit MatchDecided(tournamentId, round, matches.length - 1, last, 0, Decision.Bye);
+        }
+    }
+
+    function _pendingMatch(uint256 tournamentId, uint256 matchIndex) internal view returns (Match storage matchup) {
+        Match[] storage matches = rounds[tournamentId][tournaments[tournamentId].round];
+        require(matchIndex < matches.length, "No such match");
+        matchup = matches[matchIndex];
+        require(matchup.decision == Decision.Pending, "Match already decided");
+    }
+
+    function _isMatchPair(Match storage matchup, address a, address b) internal view returns (bool) {
+        return (a == matchup.player1 && b == matchup.player2) || (a == matchup.player2 && b == matchup.player1);
+    }
+
+    function _phase(uint256 gameId) internal view returns (uint8 phase) {
+        (, , , , phase) = games.getChallenge(gameId);
+    }
+
+    function _decide(uint256 tournamentId, uint256 matchIndex, address winner, Decision decision) internal {
+        Tournament storage tournament = tournaments[tournamentId];
+        uint8 round = tournament.round;
+        Match storage matchup = rounds[tournamentId][round][matchIndex];
+        matchup.winner = winner;
+        matchup.decision = decision;
+        if (matchup.player1 != winner) eliminatedIn[tournamentId][matchup.player1] = round;
+        if (matchup.player2 != winner) eliminatedIn[tournamentId][matchup.player2] = round;
+        if (decision == Decision.NoShow) {
+            forfeited[tournamentId][matchup.player1] = true;
+            forfeited[tournamentId][matchup.player2] = true;
+        }
+        emit MatchDecided(tournamentId, round, matchIndex, winner, matchup.gameId, decision);
+
+        if (--tournament.pendingMatches == 0) {
+            _advance(tournamentId);
+        }
+    }
+
+    // Winners of the round, in bracket order, play the next one; the last one standing is champion
+    function _advance(uint256 tournamentId) internal {
+        Match[] storage matches = rounds[tournamentId][tournaments[tournamentId].round];
+        uint256 count = 0;
+        for (uint256 i = 0; i < matches.length; i++) {
+            if (matches[i].winner != address(0)) count++;
+        }
+        address[] memory winners = new address[](count);
+        count = 0;
+        for (uint256 i = 0; i < matches.length; i++) {
+            if (matches[i].winner != address(0)) winners[count++] = matches[i].winner;
+        }
+
+        if (winners.length >= 2) {
+            _pairRound(tournamentId, winners);
+        } else {
+            _finish(tournamentId, winners.length == 1 ? winners[0] : address(0));
+        }
+    }
+
+    // Pays the pool by placement: the champion is 1st, the final's loser 2nd, and whoever went
+    // out a round earlier shares the next placement. No-shows win nothing. Unclaimed shares and
+    // rounding go to the champion, or to the organizer when nobody won the final
+    function _finish(uint256 tournamentId, address champion) internal {
+        Tournament storage tournament = tournaments[tournamentId];
+        tournament.status = Status.Finished;
+        tournament.champion = champion;
+        emit TournamentFinished(tournamentId, champion);
+
+        address[] storage players = tournament.players;
+        uint16[] storage shares = tournament.payoutShares;
+        uint256[] memory tiers = new uint256[](players.length);
+        uint256[] memory tierSizes = new uint256[](tournament.round + 1);
+        for (uint256 i = 0; i < players.length; i++) {
+            uint8 out = eliminatedIn[tournamentId][players[i]];
+            tiers[i] = out == 0 ? 0 : tournament.round - out + 1;
+            if (!forfeited[tournamentId][players[i]]) tierSizes[tiers[i]]++;
+        }
+
+        uint256 pool = tournament.prizePool;
+        uint256[] memory prizes = new uint256[](players.length);
+        uint256 rest = pool;
+        for (uint256 i = 0; i < players.length; i++) {
+            if (tiers[i] < shares.length && !forfeited[tournamentId][players[i]]) {
+                prizes[i] = pool * shares[tiers[i]] / TOTAL_SHARES / tierSizes[tiers[i]];
+                rest -= prizes[i];
+            }
+        }
+        tournament.prizePool = 0;
+
+        for (uint256 i = 0; i < players.length; i++) {
+            uint256 amount = prizes[i] + (players[i] == champion ? rest : 0);
+            if (amount == 0) continue;
+            withdrawable[players[i]] += amount;
+            emit PrizeAwarded(tournamentId, players[i], _placement(tiers[i]), amount);
+        }
+        if (champion == address(0)) {
+            withdrawable[tournament.organizer] += rest;
+        }
+    }
+
+    // Tier 0 is 1st place, tier 1 2nd, tier 2 3rd-4th, tier 3 5th-8th, ...
+    function _placement(uint256 tier) internal pure returns (uint256) {
+        return tier == 0 ? 1 : (1 << (tier - 1)) + 1;
+    }
+
+    // View functions
+
+    function getTournament(uint256 tournamentId) external view returns (
+        address organizer,
+        Status status,
+        uint256 entryFee,
+        uint8 maxPlayers,
+        uint256 playerCount,
+        uint8 round,
+        uint256 roundStartTime,
+        uint256 prizePool,
+        address champion
+    ) {
+        Tournament storage tournament = tournaments[tournamentId];
+        return (
+            tournament.organizer,
+            tournament.status,
+            tournament.entryFee,
+            tournament.maxPlayers,
+            tournament.players.length,
+            tournament.round,
+            tournament.roundStartTime,
+            tournament.prizePool,
+            tournament.champion
+        );
+    }
+
+    function getPlayers(uint256 tournamentId) external view returns (address[] memory) {
+        return tournaments[tournamentId].players;
+    }
+
+    function getPayoutShares(uint256 tournamentId) external view returns (uint16[] memory) {
+        return tournaments[tournamentId].payoutShares;
+    }
+
+    function getRound(uint256 tournamentId, uint8 round) external view returns (Match[] memory) {
+        return rounds[tournamentId][round];
+    }
+}
@@ -0,0 +1,923 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title ImprovedOnChainBattleship
+ * @dev A secure implementation of Battleship game using Merkle proofs
+ * @notice This contract addresses all security vulnerabilities from the original version
+ */
+contract ImprovedOnChainBattleship is ReentrancyGuard, Pausable, Ownable, EIP712 {
+
+    enum GamePhase { Setup, Started, Ended, Cancelled }
+
+    enum EndReason { None, AllShipsDestroyed, InvalidProof, IllegalBoard, ResponseTimeout, MoveTimeout, RevealTimeout }
+
+    // Storage is packed: a player's first slot holds everything an answer updates, whose turn
+    // it is and the guess they are waiting on share one slot, and the phase, rules, start
+    // time, winner and settled flag another. Hit counts fit uint8 (a fleet has at most 75
+    // cells) and times fit uint40. A 15x15 board's 225 cells fit one uint256 bitmap.
+    struct Player {
+        address addr;
+        uint8 hits; // Hits made by this player
+        uint8 hitsAgainst; // Hits against this player's ships
+        bool revealed;
+        bool slashed;
+        uint40 lastMoveTime;
+        bytes32 boardRoot;
+        bytes32 hashedMasterSalt;
+        uint256 guessed; // Cells this player has fired at, on-chain or in a posted channel state: bit y * boardSize + x
+    }
+
+    struct ShipPlacement {
+        uint8 x; // Column of the ship's first cell
+        uint8 y; // Row of the ship's first cell
+        bool horizontal;
+    }
+
+    // The guess (x, y) is pending while guessPending is set; its target is the guesser's opponent.
+    // nonce counts the moves (guesses and answers) made so far, on-chain or in the state channel.
+    struct Turn {
+        address guesser;
+        bool guessPending;
+        uint8 x;
+        uint8 y;
+        uint40 guessTime;
+        uint32 nonce;
+    }
+
+    // A game's state as both players sign it off-chain (EIP-712), after `nonce` moves.
+    // playerNGuessed holds the cells that player has fired at, pending guess included, as Player.guessed
+    struct ChannelState {
+        uint256 gameId;
+        uint32 nonce;
+        address guesser;
+        bool guessPending;
+        uint8 x;
+        uint8 y;
+        uint8 player1Hits;
+        uint8 player2Hits;
+        uint256 player1Guessed;
+        uint256 player2Guessed;
+    }
+
+    struct Game {
+        Player player1;
+        Player player2;
+        Turn turn;
+        GamePhase gamePhase;
+        uint8 boardSize; // Rule set: the board is boardSize x boardSize
+        uint8 totalShipCells; // Rule set: ship cells each fleet must lose before the game ends
+        uint40 gameStartTime;
+        address winner;
+        bool settled; // The pot has been paid out; a game is settled at most once
+        uint96 stake; // Paid by each player; the winner takes both
+        address invitee; // Challenge: the only address allowed to join, if set
+        address joinKey; // Challenge: signer derived from the join code, if set
+        uint8[] shipSizes; // Rule set: the fleet, checked against each board on reveal
+    }
+
+    // Constants
+    uint256 public constant STAKE = 0.1 ether; // Stake for open matchmaking; challenges set their own
+    uint256 public constant MIN_CHALLENGE_STAKE = 0.001 ether;
+    uint256 public constant MOVE_TIMEOUT = 24 hours;
+    uint256 public constant REVEAL_TIMEOUT = 7 days;
+    uint256 public constant TOTAL_SHIP_CELLS = 17; // Standard battleship: 5+4+3+3+2 = 17 cells
+    uint8 public constant DEFAULT_BOARD_SIZE = 10;
+    uint8 public constant MIN_BOARD_SIZE = 8;
+    uint8 public constant MAX_BOARD_SIZE = 15;
+    bytes32 public constant CHANNEL_STATE_TYPEHASH = keccak256(
+        "ChannelState(uint256 gameId,uint32 nonce,address guesser,bool guessPending,uint8 x,uint8 y,uint8 player1Hits,uint8 player2Hits,uint256 player1Guessed,uint256 player2Guessed)"
+    );
+    
+    // State variables
+    mapping(uint256 => Game) internal games; // Read through getGame(), getGameRules() and getChallenge()
+    mapping(address => uint256) public playerToGame;
+    mapping(address => uint256) public withdrawable;
+    mapping(bytes32 => uint256) public openGames; // Rules key => open game waiting for a second player
+    uint256 public nextGameId = 1;
+    uint256 public totalGames;
+
+    // Events
+    event GameCreated(uint256 indexed gameId, address indexed creator);
+    event GameStarted(uint256 indexed gameId, address indexed player1, address indexed player2);
+    event GuessSubmitted(uint256 indexed gameId, address indexed guesser, uint8 x, uint8 y);
+    event GuessResponded(uint256 indexed gameId, address indexed responder, bool hit);
+    event SaltRevealed(uint256 indexed gameId, address indexed player);
+    event GameEnded(uint256 indexed gameId, address indexed winner, EndReason reason);
+    event StakeSlashed(uint256 indexed gameId, address indexed cheater, uint256 amount, EndReason reason);
+    event FundsWithdrawn(address indexed player, uint256 amount);
+    event TimeoutClaimed(uint256 indexed gameId, address indexed claimer, EndReason reason);
+    event ChallengeCreated(uint256 indexed gameId, address indexed creator, address indexed invitee, uint256 stake);
+    event GameCancelled(uint256 indexed gameId, address indexed creator);
+    event ChannelStateSubmitted(uint256 indexed gameId, address indexed submitter, uint256 nonce);
+
+    // Modifiers
+    modifier onlyGamePlayers(uint256 gameId) {
+        Game storage game = games[gameId];
+        require(
+            msg.sender == game.player1.addr || msg.sender == game.player2.addr,
+            "Not a player in this game"
+        );
+        _;
+    }
+
+    // Every game seats its creator when it is created
+    modifier gameExists(uint256 gameId) {
+        require(games[gameId].player1.addr != address(0), "Game does not exist");
+        _;
+    }
+
+    modifier validRules(uint8 boardSize, uint8[] calldata shipSizes) {
+        _checkRules(boardSize, shipSizes);
+        _;
+    }
+
+    constructor() EIP712("ImprovedOnChainBattleship", "1") {}
+
+    /**
+     * @dev Create a new game or join an existing one using the standard rules (10x10, ships of 5, 4, 3, 3 and 2)
+     * @param _boardRoot Merkle root of the player's board
+     * @param _hashedMasterSalt Hash of the master salt for post-game verification
+     */
+    function commitBoard(bytes32 _boardRoot, bytes32 _hashedMasterSalt) 
+        external 
+        payable 
+        whenNotPaused 
+        nonReentrant 
+    {
+        _commitBoard(_boardRoot, _hashedMasterSalt, DEFAULT_BOARD_SIZE, _defaultFleet());
+    }
+
+    /**
+     * @dev Create or join a game played with a custom rule set
+     * @notice Players are only matched with games that use the same board size and fleet
+     * @param _boardRoot Merkle root of the player's board
+     * @param _hashedMasterSalt Hash of the master salt for post-game verification
+     * @param _boardSize Width and height of the board (8-15)
+     * @param _shipSizes Length of each ship in the fleet, in the order ships are revealed
+     */
+    function commitBoardWithRules(
+        bytes32 _boardRoot,
+        bytes32 _hashedMasterSalt,
+        uint8 _boardSize,
+        uint8[] calldata _shipSizes
+    ) 
+        external 
+        payable 
+        whenNotPaused 
+        nonReentrant 
+        validRules(_boardSize, _shipSizes)
+    {
+        _commitBoard(_boardRoot, _hashedMasterSalt, _boardSize, _shipSizes);
+    }
+
+    /**
+     * @dev Create a private game that only an invited address, or a holder of the join code, can join
+     * @notice The stake sent becomes the game's stake. The join code is shared off-chain; the
+     * contract only stores the address of the key derived from it, and a joiner proves they
+     * hold the code by signing their own address (see acceptChallenge)
+     * @param _boardRoot Merkle root of the player's board
+     * @param _hashedMasterSalt Hash of the master salt for post-game verification
+     * @param _boardSize Width and height of the board (8-15)
+     * @param _shipSizes Length of each ship in the fleet, in the order ships are revealed
+     * @param _invitee Address allowed to join, or zero for anyone with the join code
+     * @param _joinKey Address of the join code's key, or zero for an invitation only
+     */
+    function createChallenge(
+        bytes32 _boardRoot,
+        bytes32 _hashedMasterSalt,
+        uint8 _boardSize,
+        uint8[] calldata _shipSizes,
+        address _invitee,
+        address _joinKey
+    ) 
+        external 
+        payable 
+        whenNotPaused 
+        nonReentrant 
+        validRules(_boardSize, _shipSizes)
+    {
+        require(msg.value >= MIN_CHALLENGE_STAKE, "Stake too low");
+        require(_invitee != address(0) || _joinKey != address(0), "Invitee or join code required");
+        require(_invitee != msg.sender, "Cannot challenge yourself");
+        _validateCommitment(_boardRoot, _hashedMasterSalt);
+
+        uint256 gameId = _createGame(_boardSize, _shipSizes, msg.value);
+        Game storage game = games[gameId];
+        game.invitee = _invitee;
+        game.joinKey = _joinKey;
+        _seatPlayer1(gameId, _boardRoot, _hashedMasterSalt);
+
+        emit ChallengeCreated(gameId, msg.sender, _invitee, msg.value);
+    }
+
+    /**
+     * @dev Join a private game with the game's stake
+     * @param gameId The challenge to join
+     * @param _boardRoot Merkle root of the player's board
+     * @param _hashedMasterSalt Hash of the master salt for post-game verification
+     * @param _joinSignature For join-code games: the code's key signing
+     * keccak256(abi.encodePacked(contract, chainId, gameId, sender)) as an Ethereum signed message
+     */
+    function acceptChallenge(
+        uint256 gameId,
+        bytes32 _boardRoot,
+        bytes32 _hashedMasterSalt,
+        bytes calldata _joinSignature
+    ) 
+        external 
+        payable 
+        whenNotPaused 
+        nonReentrant 
+        gameExists(gameId)
+    {
+        Game storage game = games[gameId];
+        require(game.invitee != address(0) || game.joinKey != address(0), "Not a challenge");
+        require(game.player2.addr == address(0), "Game is full");
+        require(game.gamePhase == GamePhase.Setup, "Game not open");
+        require(game.invitee == address(0) || game.invitee == msg.sender, "Not invited");
+        if (game.joinKey != address(0)) {
+            bytes32 message = keccak256(abi.encodePacked(address(this), block.chainid, gameId, msg.sender));
+            require(
+                ECDSA.recover(ECDSA.toEthSignedMessageHash(message), _joinSignature) == game.joinKey,
+                "Invalid join code"
+            );
+        }
+        require(msg.value == game.stake, "Incorrect stake amount");
+        _validateCommitment(_boardRoot, _hashedMasterSalt);
+
+        _seatPlayer2(gameId, _boardRoot, _hashedMasterSalt);
+    }
+
+    /**
+     * @dev Cancel a game nobody has joined yet; the creator's stake becomes withdrawable
+     * @param gameId The game to cancel
+     */
+    function cancelGame(uint256 gameId) 
+        external 
+        nonReentrant 
+        gameExists(gameId) 
+    {
+        Game storage game = games[gameId];
+        require(msg.sender == game.player1.addr, "Only the creator can cancel");
+        require(game.player2.addr == address(0), "Game already started");
+        require(game.gamePhase == GamePhase.Setup, "Game not open");
+
+        bytes32 key = _rulesKey(game.boardSize, game.shipSizes, game.stake);
+        if (openGames[key] == gameId) {
+            delete openGames[key];
+        }
+
+        game.gamePhase = GamePhase.Cancelled;
+        game.settled = true;
+        delete playerToGame[msg.sender];
+        withdrawable[msg.sender] += game.stake;
+
+        emit GameCancelled(gameId, msg.sender);
+    }
+
+    /**
+     * @dev Submit a guess for the current turn
+     * @param _x X coordinate (0 to boardSize - 1)
+     * @param _y Y coordinate (0 to boardSize - 1)
+     */
+    function submitGuess(uint8 _x, uint8 _y) 
+        external 
+        whenNotPaused 
+    {
+        uint256 gameId = playerToGame[msg.sender];
+        require(gameId != 0, "Player not in any game");
+        
+        Game storage game = games[gameId];
+        require(_x < game.boardSize && _y < game.boardSize, "Invalid coordinates");
+        require(game.gamePhase == GamePhase.Started, "Game not active");
+        require(msg.sender == game.turn.guesser, "Not your turn");
+        require(!game.turn.guessPending, "Pending guess unresolved");
+
+        Player storage currentPlayer = (msg.sender == game.player1.addr) ? game.player1 : game.player2;
+        uint256 cell = uint256(1) << (uint256(_y) * game.boardSize + _x);
+        require((currentPlayer.guessed & cell) == 0, "Cell already guessed");
+        currentPlayer.guessed |= cell;
+
+        Turn storage turn = game.turn;
+        turn.guessPending = true;
+        turn.x = _x;
+        turn.y = _y;
+        turn.guessTime = uint40(block.timestamp);
+        unchecked { turn.nonce++; } // Four billion moves are out of reach
+
+        // Update last move time
+        currentPlayer.lastMoveTime = uint40(block.timestamp);
+
+        emit GuessSubmitted(gameId, msg.sender, _x, _y);
+    }
+
+    /**
+     * @dev Respond to a guess with a Merkle proof
+     * @notice The leaf is bound to the guessed cell, so a proof for any other cell is rejected
+     * @param _hit Whether the guess was a hit
+     * @param _cellSalt Salt for the specific cell
+     * @param _proof Merkle proof for the cell
+     */
+    function respondToGuess(bool _hit, bytes32 _cellSalt, bytes32[] calldata _proof) 
+        external 
+        whenNotPaused 
+    {
+        uint256 gameId = playerToGame[msg.sender];
+        require(gameId != 0, "Player not in any game");
+        
+        Game storage game = games[gameId];
+        require(game.gamePhase == GamePhase.Started, "Game not active");
+        require(game.turn.guessPending && game.turn.guesser != msg.sender, "Not your board");
+
+        Player storage targetPlayer = (msg.sender == game.player1.addr) ? game.player1 : game.player2;
+        Player storage guesserPlayer = (msg.sender == game.player1.addr) ? game.player2 : game.player1;
+
+        // Verify the Merkle proof for the guessed cell
+        bytes32 leaf = _leaf(game.turn.x, game.turn.y, _hit, _cellSalt);
+        bool validProof = MerkleProof.verify(_proof, targetPlayer.boardRoot, leaf);
+
+        if (!validProof) {
+            // Slash the cheater
+            _slashPlayer(gameId, msg.sender, EndReason.InvalidProof);
+            return;
+        }
+
+        // Update hit counts
+        if (_hit) {
+            targetPlayer.hitsAgainst++;
+            guesserPlayer.hits++;
+            
+            // Check for game end (every ship cell in the rule set hit)
+            if (targetPlayer.hitsAgainst == game.totalShipCells) {
+                _endGame(gameId, game.turn.guesser, EndReason.AllShipsDestroyed);
+                return;
+            }
+        }
+
+        // Switch turns, which also clears the pending guess
+        Turn storage turn = game.turn;
+        turn.guesser = msg.sender;
+        turn.guessPending = false;
+        turn.x = 0;
+        turn.y = 0;
+        turn.guessTime = 0;
+        unchecked { turn.nonce++; }
+        
+        // Update last move time
+        targetPlayer.lastMoveTime = uint40(block.timestamp);
+
+        emit GuessResponded(gameId, msg.sender, _hit);
+    }
+
+    /**
+     * @dev Bring a game played off-chain back on-chain with the latest state both players signed
+     * @notice Either player can post a state newer than every move the contract has seen. Play
+     * then carries on from it under the usual turn and timeout rules, with the clocks restarted:
+     * a pending guess must be answered, or the guesser must guess, within MOVE_TIMEOUT. A state
+     * in which a player has hit every ship cell ends the game as if the last answer was on-chain.
+     * A newer signed state can still replace a posted one until the contract has moved past it.
+     * The cells each player fired at in the state are added to the ones they fired at on-chain,
+     * so no cell can be guessed again after the dispute; a pending guess must be among them.
+     * @param _state The state, with its EIP-712 signature from each player
+     * @param _player1Signature player1's signature of the state
+     * @param _player2Signature player2's signature of the state
+     */
+    function submitChannelState(
+        ChannelState calldata _state,
+        bytes calldata _player1Signature,
+        bytes calldata _player2Signature
+    ) 
+        external 
+        whenNotPaused 
+        gameExists(_state.gameId) 
+        onlyGamePlayers(_state.gameId) 
+    {
+        Game storage game = games[_state.gameId];
+        require(game.gamePhase == GamePhase.Started, "Game not active");
+        require(_state.nonce > game.turn.nonce, "State is not newer");
+        require(_state.guesser == game.player1.addr || _state.guesser == game.player2.addr, "Invalid guesser");
+        require(!_state.guessPending || (_state.x < game.boardSize && _state.y < game.boardSize), "Invalid coordinates");
+        require(
+            _state.player1Hits <= game.totalShipCells && _state.player2Hits <= game.totalShipCells,
+            "Invalid hit counts"
+        );
+        _checkChannelGuesses(game, _state);
+
+        bytes32 digest = _hashTypedDataV4(_channelStateHash(_state));
+        require(
+            ECDSA.recover(digest, _player1Signature) == game.player1.addr &&
+                ECDSA.recover(digest, _player2Signature) == game.player2.addr,
+            "Invalid signatures"
+        );
+
+        game.player1.guessed |= _state.player1Guessed;
+        game.player2.guessed |= _state.player2Guessed;
+        game.player1.hits = _state.player1Hits;
+        game.player2.hitsAgainst = _state.player1Hits;
+        game.player2.hits = _state.player2Hits;
+        game.player1.hitsAgainst = _state.player2Hits;
+
+        emit ChannelStateSubmitted(_state.gameId, msg.sender, _state.nonce);
+
+        if (_state.player1Hits == game.totalShipCells) {
+            _endGame(_state.gameId, game.player1.addr, EndReason.AllShipsDestroyed);
+            return;
+        }
+        if (_state.player2Hits == game.totalShipCells) {
+            _endGame(_state.gameId, game.player2.addr, EndReason.AllShipsDestroyed);
+            return;
+        }
+
+        game.turn = Turn({
+            guesser: _state.guesser,
+            guessPending: _state.guessPending,
+            x: _state.guessPending ? _state.x : 0,
+            y: _state.guessPending ? _state.y : 0,
+            guessTime: _state.guessPending ? uint40(block.timestamp) : 0,
+            nonce: _state.nonce
+        });
+        game.player1.lastMoveTime = uint40(block.timestamp);
+        game.player2.lastMoveTime = uint40(block.timestamp);
+    }
+
+    /**
+     * @dev Reveal master salt and board for post-game verification
+     * @notice The board must rebuild the committed root; a board that does so but does not
+     * hold exactly the game's fleet in straight, non-overlapping ships gets its owner slashed
+     * @param _masterSalt The master salt used to generate the board
+     * @param _board Ship cells as a bitmap, bit (y * boardSize + x) set for a ship
+     * @param _ships Position of each ship, in the order of the game's fleet
+     */
+    function revealMasterSalt(bytes32 _masterSalt, uint256 _board, ShipPlacement[] calldata _ships) 
+        external 
+        whenNotPaused 
+    {
+        uint256 gameId = playerToGame[msg.sender];
+        require(gameId != 0, "Player not in any game");
+        
+        Game storage game = games[gameId];
+        require(game.gamePhase == GamePhase.Ended, "Game still ongoing");
+
+        Player storage player = (msg.sender == game.player1.addr) ? game.player1 : game.player2;
+        require(!player.revealed, "Already revealed");
+        require(keccak256(abi.encodePacked(_masterSalt)) == player.hashedMasterSalt, "Invalid master salt");
+        require(_computeBoardRoot(_masterSalt, _board, game.boardSize) == player.boardRoot, "Board does not match commitment");
+
+        if (!_isLegalBoard(_board, _ships, game.boardSize, game.shipSizes)) {
+            _slashPlayer(gameId, msg.sender, EndReason.IllegalBoard);
+            return;
+        }
+
+        player.revealed = true;
+
+        emit SaltRevealed(gameId, msg.sender);
+
+        // Check if both players have revealed - if so, distribute stakes
+        if (game.player1.revealed && game.player2.revealed) {
+            _distributeFinalStakes(gameId);
+        }
+    }
+
+    /**
+     * @dev Withdraw accumulated funds
+     */
+    function withdraw() 
+        external 
+        nonReentrant 
+        whenNotPaused 
+    {
+        uint256 amount = withdrawable[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        withdrawable[msg.sender] = 0;
+        
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit FundsWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Claim timeout victory when opponent doesn't respond
+     */
+    function forceTimeout(uint256 gameId) 
+        external 
+        gameExists(gameId) 
+        onlyGamePlayers(gameId) 
+    {
+        Game storage game = games[gameId];
+        
+        if (game.gamePhase == GamePhase.Started) {
+            // Check for move timeout
+            if (game.turn.guessPending) {
+                // Waiting for response to guess
+                require(
+                    block.timestamp > game.turn.guessTime + MOVE_TIMEOUT,
+                    "Response timeout not reached"
+                );
+                emit TimeoutClaimed(gameId, msg.sender, EndReason.ResponseTimeout);
+                _endGame(gameId, game.turn.guesser, EndReason.ResponseTimeout);
+                
+            } else {
+                // Waiting for the opponent to guess. Their turn began with their last answer,
+                // or with the game itself for player1's first shot (player1 last moved when
+                // they committed, which can be long before anyone joined)
+                require(msg.sender != game.turn.guesser, "Your turn to guess");
+                Player storage opponentPlayer = (msg.sender == game.player1.addr) ? game.player2 : game.player1;
+                uint256 turnStart = opponentPlayer.lastMoveTime > game.gameStartTime
+                    ? opponentPlayer.lastMoveTime
+                    : game.gameStartTime;
+                
+                require(
+                    block.timestamp > turnStart + MOVE_TIMEOUT,
+                    "Move timeout not reached"
+                );
+                emit TimeoutClaimed(gameId, msg.sender, EndReason.MoveTimeout);
+                _endGame(gameId, msg.sender, EndReason.MoveTimeout);
+            }
+            
+        } else if (game.gamePhase == GamePhase.Ended) {
+            // Check for reveal timeout; only a player who revealed can claim it
+            Player storage claimer = (msg.sender == game.player1.addr) ? game.player1 : game.player2;
+            Player storage opponent = (msg.sender == game.player1.addr) ? game.player2 : game.player1;
+            
+            require(!opponent.revealed, "Opponent already revealed");
+            require(claimer.revealed, "Reveal your board first");
+            require(!game.settled, "Stakes already paid");
+            require(
+                block.timestamp > game.gameStartTime + REVEAL_TIMEOUT,
+                "Reveal timeout not reached"
+            );
+            
+            // Slash the non-revealing player
+            emit TimeoutClaimed(gameId, msg.sender, EndReason.RevealTimeout);
+            _slashPlayer(gameId, opponent.addr, EndReason.RevealTimeout);
+        }
+    }
+
+    /**
+     * @dev Emergency pause function (owner only)
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Emergency unpause function (owner only)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    // Internal functions
+
+    function _commitBoard(
+        bytes32 _boardRoot,
+        bytes32 _hashedMasterSalt,
+        uint8 _boardSize,
+        uint8[] memory _shipSizes
+    ) internal {
+        require(msg.value == STAKE, "Incorrect stake amount");
+        _validateCommitment(_boardRoot, _hashedMasterSalt);
+
+        // Games waiting for a second player are indexed by their rules, so pairing is O(1)
+        bytes32 key = _rulesKey(_boardSize, _shipSizes, STAKE);
+        uint256 gameId = openGames[key];
+
+        if (gameId == 0) {
+            gameId = _createGame(_boardSize, _shipSizes, STAKE);
+            openGames[key] = gameId;
+            _seatPlayer1(gameId, _boardRoot, _hashedMasterSalt);
+        } else {
+            delete openGames[key];
+            _seatPlayer2(gameId, _boardRoot, _hashedMasterSalt);
+        }
+    }
+
+    function _checkRules(uint8 boardSize, uint8[] calldata shipSizes) internal pure {
+        require(boardSize >= MIN_BOARD_SIZE && boardSize <= MAX_BOARD_SIZE, "Invalid board size");
+        uint256 totalShipCells;
+        for (uint256 i = 0; i < shipSizes.length; i++) {
+            require(shipSizes[i] > 0 && shipSizes[i] <= boardSize, "Invalid ship size");
+            totalShipCells += shipSizes[i];
+        }
+        require(totalShipCells > 0 && totalShipCells * 3 <= uint256(boardSize) * boardSize, "Invalid fleet size");
+    }
+
+    function _validateCommitment(bytes32 _boardRoot, bytes32 _hashedMasterSalt) internal view {
+        require(_boardRoot != bytes32(0), "Invalid board root");
+        require(_hashedMasterSalt != bytes32(0), "Invalid master salt hash");
+        require(playerToGame[msg.sender] == 0, "Player already in a game");
+    }
+
+    function _rulesKey(uint8 boardSize, uint8[] memory shipSizes, uint256 stake) internal pure returns (bytes32) {
+        return keccak256(abi.encode(boardSize, shipSizes, stake));
+    }
+
+    function _createGame(uint8 boardSize, uint8[] memory shipSizes, uint256 stake) internal returns (uint256) {
+        uint256 gameId = nextGameId++;
+        Game storage game = games[gameId];
+        game.gamePhase = GamePhase.Setup;
+        game.boardSize = boardSize;
+        game.shipSizes = shipSizes;
+        game.stake = uint96(stake); // Far above any amount of ether that exists
+        uint256 totalShipCells;
+        for (uint256 i = 0; i < shipSizes.length; i++) {
+            totalShipCells += shipSizes[i];
+        }
+        game.totalShipCells = uint8(totalShipCells);
+        totalGames++;
+
+        return gameId;
+    }
+
+    function _newPlayer(bytes32 _boardRoot, bytes32 _hashedMasterSalt) internal view returns (Player memory) {
+        return Player({
+            addr: msg.sender,
+            hits: 0,
+            hitsAgainst: 0,
+            revealed: false,
+            slashed: false,
+            lastMoveTime: uint40(block.timestamp),
+            boardRoot: _boardRoot,
+            hashedMasterSalt: _hashedMasterSalt,
+            guessed: 0
+        });
+    }
+
+    function _seatPlayer1(uint256 gameId, bytes32 _boardRoot, bytes32 _hashedMasterSalt) internal {
+        games[gameId].player1 = _newPlayer(_boardRoot, _hashedMasterSalt);
+        playerToGame[msg.sender] = gameId;
+
+        emit GameCreated(gameId, msg.sender);
+    }
+
+    // Second player - game can start
+    function _seatPlayer2(uint256 gameId, bytes32 _boardRoot, bytes32 _hashedMasterSalt) internal {
+        Game storage game = games[gameId];
+        game.player2 = _newPlayer(_boardRoot, _hashedMasterSalt);
+        game.gamePhase = GamePhase.Started;
+        game.turn.guesser = game.player1.addr;
+        game.gameStartTime = uint40(block.timestamp);
+        playerToGame[msg.sender] = gameId;
+
+        emit GameStarted(gameId, game.player1.addr, game.player2.addr);
+    }
+
+    function _endGame(uint256 gameId, address winner, EndReason reason) internal {
+        Game storage game = games[gameId];
+        game.gamePhase = GamePhase.Ended;
+        game.winner = winner;
+        
+        emit GameEnded(gameId, winner, reason);
+        
+        // A game decided by a timeout or a slash is paid at once; one played to the last
+        // ship waits for both boards to be revealed
+        if (reason != EndReason.AllShipsDestroyed) {
+            _distributeFinalStakes(gameId);
+        }
+    }
+
+    function _slashPlayer(uint256 gameId, address cheater, EndReason reason) internal {
+        Game storage game = games[gameId];
+        
+        Player storage cheaterPlayer = (cheater == game.player1.addr) ? game.player1 : game.player2;
+        cheaterPlayer.slashed = true;
+        
+        address winner = (cheater == game.player1.addr) ? game.player2.addr : game.player1.addr;
+        
+        // Ending the game awards both stakes to the honest player
+        _endGame(gameId, winner, reason);
+        
+        emit StakeSlashed(gameId, cheater, game.stake, reason);
+    }
+
+    function _defaultFleet() internal pure returns (uint8[] memory shipSizes) {
+        shipSizes = new uint8[](5);
+        shipSizes[0] = 5;
+        shipSizes[1] = 4;
+        shipSizes[2] = 3;
+        shipSizes[3] = 3;
+        shipSizes[4] = 2;
+    }
+
+    function _channelStateHash(ChannelState calldata state) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            CHANNEL_STATE_TYPEHASH,
+            state.gameId,
+            state.nonce,
+            state.guesser,
+            state.guessPending,
+            state.x,
+            state.y,
+            state.player1Hits,
+            state.player2Hits,
+            state.player1Guessed,
+            state.player2Guessed
+        ));
+    }
+
+    // Both bitmaps stay on the board, and a pending guess is marked on its guesser's
+    function _checkChannelGuesses(Game storage game, ChannelState calldata state) internal view {
+        uint256 cells = uint256(game.boardSize) * game.boardSize;
+        require(state.player1Guessed >> cells == 0 && state.player2Guessed >> cells == 0, "Invalid guessed cells");
+        if (state.guessPending) {
+            uint256 guessed = state.guesser == game.player1.addr ? state.player1Guessed : state.player2Guessed;
+            require(guessed & (uint256(1) << (uint256(state.y) * game.boardSize + state.x)) != 0, "Invalid guessed cells");
+        }
+    }
+
+    function _leaf(uint8 x, uint8 y, bool hit, bytes32 cellSalt) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(x, y, hit, cellSalt));
+    }
+
+    /**
+     * @dev Rebuilds a board's Merkle root the way the client builds it: one leaf per cell in
+     * row order, cell salts derived from the master salt, sorted-pair hashing, and the last
+     * node of an odd-sized layer carried up unchanged
+     */
+    function _computeBoardRoot(bytes32 masterSalt, uint256 board, uint8 boardSize) internal pure returns (bytes32) {
+        uint256 count = uint256(boardSize) * boardSize;
+        bytes32[] memory nodes = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            uint8 x = uint8(i % boardSize);
+            uint8 y = uint8(i / boardSize);
+            bytes32 cellSalt = keccak256(abi.encodePacked(masterSalt, x, y));
+            nodes[i] = _leaf(x, y, (board >> i) & 1 == 1, cellSalt);
+        }
+
+        while (count > 1) {
+            uint256 next = 0;
+            for (uint256 i = 0; i < count; i += 2) {
+                nodes[next++] = i + 1 < count ? _hashPair(nodes[i], nodes[i + 1]) : nodes[i];
+            }
+            count = next;
+        }
+        return nodes[0];
+    }
+
+    function _hashPair(bytes32 a, bytes32 b) internal pure returns (bytes32) {
+        return a < b ? keccak256(abi.encodePacked(a, b)) : keccak256(abi.encodePacked(b, a));
+    }
+
+    /**
+     * @dev A board is legal when the ships, one per fleet entry, lie inside the board without
+     * overlapping and together cover exactly the ship cells of the bitmap
+     */
+    function _isLegalBoard(
+        uint256 board,
+        ShipPlacement[] calldata ships,
+        uint8 boardSize,
+        uint8[] storage shipSizes
+    ) internal view returns (bool) {
+        if (ships.length != shipSizes.length) return false;
+
+        uint256 covered;
+        for (uint256 i = 0; i < ships.length; i++) {
+            uint256 size = shipSizes[i];
+            uint256 endX = ships[i].horizontal ? uint256(ships[i].x) + size - 1 : ships[i].x;
+            uint256 endY = ships[i].horizontal ? ships[i].y : uint256(ships[i].y) + size - 1;
+            if (endX >= boardSize || endY >= boardSize) return false;
+
+            for (uint256 j = 0; j < size; j++) {
+                uint256 x = ships[i].horizontal ? uint256(ships[i].x) + j : ships[i].x;
+                uint256 y = ships[i].horizontal ? ships[i].y : uint256(ships[i].y) + j;
+                uint256 bit = 1 << (y * boardSize + x);
+                if (covered & bit != 0) return false;
+                covered |= bit;
+            }
+        }
+        return covered == board;
+    }
+
+    /**
+     * @dev Pays out the pot. This is the only place a started game's stakes are credited, and
+     * it runs once per game, so the contract always holds exactly the stakes of unsettled
+     * games plus everything withdrawable
+     */
+    function _distributeFinalStakes(uint256 gameId) internal {
+        Game storage game = games[gameId];
+        require(!game.settled, "Stakes already paid");
+        game.settled = true;
+        
+        if (game.winner != address(0)) {
+            // Winner takes both stakes
+            withdrawable[game.winner] += game.stake * 2;
+        } else {
+            // Shouldn't happen, but return stakes to both players
+            withdrawable[game.player1.addr] += game.stake;
+            withdrawable[game.player2.addr] += game.stake;
+        }
+        
+        // Clean up - remove players from game mapping
+        delete playerToGame[game.player1.addr];
+        delete playerToGame[game.player2.addr];
+    }
+
+    // View functions
+
+    function getGame(uint256 gameId) external view returns (
+        address player1,
+        address player2,
+        address currentGuesser,
+        address winner,
+        GamePhase gamePhase,
+        uint256 player1Hits,
+        uint256 player1HitsAgainst,
+        uint256 player2Hits,
+        uint256 player2HitsAgainst
+    ) {
+        Game storage game = games[gameId];
+        return (
+            game.player1.addr,
+            game.player2.addr,
+            game.turn.guesser,
+            game.winner,
+            game.gamePhase,
+            game.player1.hits,
+            game.player1.hitsAgainst,
+            game.player2.hits,
+            game.player2.hitsAgainst
+        );
+    }
+
+    function getPendingGuess(uint256 gameId) external view returns (
+        address guesser,
+        address target,
+        uint8 x,
+        uint8 y,
+        uint256 timestamp
+    ) {
+        Game storage game = games[gameId];
+        Turn storage turn = game.turn;
+        if (!turn.guessPending) {
+            return (address(0), address(0), 0, 0, 0);
+        }
+        target = turn.guesser == game.player1.addr ? game.player2.addr : game.player1.addr;
+        return (turn.guesser, target, turn.x, turn.y, turn.guessTime);
+    }
+
+    function getTimers(uint256 gameId) external view returns (
+        uint256 gameStartTime,
+        uint256 player1LastMoveTime,
+        uint256 player2LastMoveTime,
+        bool player1Revealed,
+        bool player2Revealed,
+        bool settled
+    ) {
+        Game storage game = games[gameId];
+        return (
+            game.gameStartTime,
+            game.player1.lastMoveTime,
+            game.player2.lastMoveTime,
+            game.player1.revealed,
+            game.player2.revealed,
+            game.settled
+        );
+    }
+
+    function getGameRules(uint256 gameId) external view returns (
+        uint8 boardSize,
+        uint8 totalShipCells,
+        uint8[] memory shipSizes
+    ) {
+        Game storage game = games[gameId];
+        return (game.boardSize, game.totalShipCells, game.shipSizes);
+    }
+
+    function getChallenge(uint256 gameId) external view returns (
+        address creator,
+        address invitee,
+        address joinKey,
+        uint256 stake,
+        GamePhase gamePhase
+    ) {
+        Game storage game = games[gameId];
+        return (game.player1.addr, game.invitee, game.joinKey, game.stake, game.gamePhase);
+    }
+
+    // Moves made so far; a channel state must be newer than this to be posted
+    function getChannelNonce(uint256 gameId) external view returns (uint256) {
+        return games[gameId].turn.nonce;
+    }
+
+    function getPlayerGame(address player) external view returns (uint256) {
+        return playerToGame[player];
+    }
+
+    function getWithdrawableAmount(address player) external view returns (uint256) {
+        return withdrawable[player];
+    }
+
+    function getTotalGames() external view returns (uint256) {
+        return totalGames;
+    }
+}
\ No newline at end of file
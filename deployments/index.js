@@ -0,0 +1,13 @@
+// Generated by scripts/deploy.js from the public networks in deployments/*.json; do not edit.
+// A var, not a const, so that index.js and local.js can both add to it.
+var BattleshipDeployments = Object.assign(
+    typeof BattleshipDeployments !== 'undefined' ? BattleshipDeployments : {},
+    {}
+);
+// Adds local.js, which only exists after a local deploy; a missing one is skipped.
+if (typeof document !== 'undefined') {
+    const localDeployments = document.createElement('script');
+    localDeployments.src = 'deployments/local.js';
+    localDeployments.onerror = () => localDeployments.remove();
+    document.head.appendChild(localDeployments);
+}
@@ -0,0 +1,265 @@
+// Game Records
+// A game record is a self-contained JSON description of one game that can be
+// downloaded, imported again and stepped through in the replay viewer.
+//
+// Format (version 1):
+// {
+//   "format": "battleship-game-record",
+//   "version": 1,
+//   "source": "local" | "onchain",
+//   "rules": { name, gridSize, composition, fleet: [{ name, size, color }], variant },
+//   "players": { "<side>": { "name": "..." } },   // sides are 'player'/'enemy' locally,
+//                                                 // 'player1'/'player2' on-chain
+//   "startedAt": ISO timestamp, "endedAt": ISO timestamp | null,
+//   "winner": side | null, "reason": string | null,
+//   "onchain": { chainId, contract, gameId } | null,
+//   "moves": [
+//     { "type": "place", "side", "timestamp", "shipIndex", "row", "col", "isHorizontal" },
+//     { "type": "remove", "side", "timestamp", "shipIndex" },       // taken back to the dock
+//     { "type": "clear", "side", "timestamp" },
+//     { "type": "shot", "side", "timestamp", "row", "col", "coordinate": "B7",
+//       "result": "hit" | "miss", "sunkShip": ship index | null }
+//   ]
+// }
+// "side" on a shot is the shooter; the shot lands on the other side's board.
+// On-chain games have no placements (boards stay secret) and no sink information.
+const GameRecord = (() => {
+    const FORMAT = 'battleship-game-record';
+    const VERSION = 1;
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+    function timestamp(value) {
+        return new Date(value === undefined ? Date.now() : value).toISOString();
+    }
+
+    function coordinateLabel(row, col) {
+        return `${String.fromCharCode(65 + row)}${col + 1}`;
+    }
+
+    function create({ rules, players, source = 'local', onchain = null }) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            source,
+            rules,
+            players,
+            startedAt: timestamp(),
+            endedAt: null,
+            winner: null,
+            reason: null,
+            onchain,
+            moves: []
+        };
+    }
+
+    // Appends every placement, shot, sink and the result of the match to the record
+    function attach(record, match) {
+        match.on('shipPlaced', ({ side, ship }) => {
+            const first = ship.positions[0];
+            const isHorizontal = ship.positions.length < 2 || ship.positions[1].row === first.row;
+            record.moves.push({
+                type: 'place',
+                side,
+                timestamp: timestamp(),
+                shipIndex: ship.index,
+                row: first.row,
+                col: first.col,
+                isHorizontal
+            });
+        });
+
+        match.on('shipRemoved', ({ side, ship }) => {
+            record.moves.push({ type: 'remove', side, timestamp: timestamp(), shipIndex: ship.index });
+        });
+
+        match.on('fleetCleared', ({ side }) => {
+            record.moves.push({ type: 'clear', side, timestamp: timestamp() });
+        });
+
+        match.on('shot', ({ shooter, row, col, hit }) => {
+            record.moves.push({
+                type: 'shot',
+                side: shooter,
+                timestamp: timestamp(),
+                row,
+                col,
+                coordinate: coordinateLabel(row, col),
+                result: hit ? 'hit' : 'miss',
+                sunkShip: null
+            });
+        });
+
+        match.on('sunk', ({ ship }) => {
+            record.moves[record.moves.length - 1].sunkShip = ship.index;
+        });
+
+        match.on('gameOver', ({ winner }) => {
+            record.winner = winner;
+            record.reason = 'All ships destroyed';
+            record.endedAt = timestamp();
+        });
+
+        return record;
+    }
+
+    // Rebuilds both boards as they stood after the first `step` moves
+    function boardsAt(record, step) {
+        const sides = Object.keys(record.players);
+        const boards = {};
+        sides.forEach(side => {
+            boards[side] = rulesEngine().createBoard(record.rules.gridSize);
+        });
+
+        record.moves.slice(0, step).forEach(move => {
+            if (move.type === 'clear') {
+                boards[move.side] = rulesEngine().createBoard(record.rules.gridSize);
+            } else if (move.type === 'place') {
+                const size = record.rules.fleet[move.shipIndex].size;
+                rulesEngine().placeShip(boards[move.side], move.shipIndex, move.row, move.col, size, move.isHorizontal);
+            } else if (move.type === 'remove') {
+                rulesEngine().removeShip(boards[move.side], move.shipIndex);
+            } else if (move.type === 'shot') {
+                const target = boards[sides.find(side => side !== move.side)];
+                target.shots[move.row][move.col] = move.result;
+
+                const ship = target.ships.find(s => s.index === move.sunkShip);
+                if (ship) {
+                    ship.sunk = true;
+                    ship.positions.forEach(pos => {
+                        target.shots[pos.row][pos.col] = 'sunk';
+                    });
+                }
+            }
+        });
+
+        return boards;
+    }
+
+    function describeMove(record, move) {
+        const name = record.players[move.side].name;
+        if (move.type === 'clear') return `${name} cleared the fleet`;
+        if (move.type === 'remove') return `${name} took the ${record.rules.fleet[move.shipIndex].name} back`;
+        if (move.type === 'place') {
+            return `${name} placed ${record.rules.fleet[move.shipIndex].name} at ${coordinateLabel(move.row, move.col)}`;
+        }
+
+        const sunk = move.sunkShip !== null ? ` and sank the ${record.rules.fleet[move.sunkShip].name}` : '';
+        return `${name} fired at ${move.coordinate}: ${move.result}${sunk}`;
+    }
+
+    // Parses and checks an imported record; throws with a readable message
+    function parse(json) {
+        const record = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!record || record.format !== FORMAT) {
+            throw new Error('Not a battleship game record');
+        }
+        if (record.version !== VERSION) {
+            throw new Error(`Unsupported game record version: ${record.version}`);
+        }
+        if (!record.rules || !Array.isArray(record.rules.fleet) || !record.players || !Array.isArray(record.moves)) {
+            throw new Error('Game record is missing rules, players or moves');
+        }
+
+        const sides = Object.keys(record.players);
+        record.moves.forEach((move, index) => {
+            if (!sides.includes(move.side)) {
+                throw new Error(`Move ${index + 1} belongs to an unknown side`);
+            }
+            if (move.type !== 'clear' && move.type !== 'remove' &&
+                !(move.row >= 0 && move.col >= 0 && move.row < record.rules.gridSize && move.col < record.rules.gridSize)) {
+                throw new Error(`Move ${index + 1} is off the board`);
+            }
+        });
+
+        return record;
+    }
+
+    function stringify(record) {
+        return JSON.stringify(record, null, 2);
+    }
+
+    // Builds a record from decoded contract events, oldest first:
+    //   { name: 'GameStarted' | 'GuessSubmitted' | 'GuessResponded' | 'GameEnded',
+    //     args: { ... event fields ... }, timestamp: block time in seconds }
+    // Contract coordinates map to the board as x = column, y = row.
+    function fromChainEvents({ chainId, contract, gameId, rules, events }) {
+        const started = events.find(event => event.name === 'GameStarted');
+        if (!started) {
+            throw new Error(`Game ${gameId} has not started`);
+        }
+
+        const addresses = {
+            player1: started.args.player1,
+            player2: started.args.player2
+        };
+        const sideOf = address => (address.toLowerCase() === addresses.player1.toLowerCase() ? 'player1' : 'player2');
+
+        const record = create({
+            rules,
+            players: {
+                player1: { name: addresses.player1 },
+                player2: { name: addresses.player2 }
+            },
+            source: 'onchain',
+            onchain: { chainId: Number(chainId), contract, gameId: Number(gameId) }
+        });
+        record.startedAt = timestamp(Number(started.timestamp) * 1000);
+
+        let pending = null;
+        events.forEach(event => {
+            if (event.name === 'GuessSubmitted') {
+                const row = Number(event.args.y);
+                const col = Number(event.args.x);
+                pending = {
+                    type: 'shot',
+                    side: sideOf(event.args.guesser),
+                    timestamp: timestamp(Number(event.timestamp) * 1000),
+                    row,
+                    col,
+                    coordinate: coordinateLabel(row, col),
+                    result: null,
+                    sunkShip: null
+                };
+            } else if (event.name === 'GuessResponded' && pending) {
+                pending.result = event.args.hit ? 'hit' : 'miss';
+                record.moves.push(pending);
+                pending = null;
+            } else if (event.name === 'GameEnded') {
+                // The shot that sinks the last ship ends the game without a GuessResponded
+                if (pending && event.args.reason === 'All ships destroyed') {
+                    pending.result = 'hit';
+                    record.moves.push(pending);
+                    pending = null;
+                }
+                record.winner = event.args.winner !== ZERO_ADDRESS ? sideOf(event.args.winner) : null;
+                record.reason = event.args.reason;
+                record.endedAt = timestamp(Number(event.timestamp) * 1000);
+            }
+        });
+
+        return record;
+    }
+
+    // The rules engine is a global in the browser and a module in Node
+    function rulesEngine() {
+        return typeof BattleshipRules !== 'undefined' ? BattleshipRules : require('./rules.js');
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        coordinateLabel,
+        create,
+        attach,
+        boardsAt,
+        describeMove,
+        parse,
+        stringify,
+        fromChainEvents
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRecord;
+}
@@ -0,0 +1,95 @@
+// Rating Ladder
+// Elo-style ratings worked out locally from the on-chain game history. Every player starts
+// at INITIAL_RATING; after each finished game the winner takes
+//   K_FACTOR * (1 - expected score)
+// points from the loser, where the expected score of a player rated R against one rated O is
+//   1 / (1 + 10^((O - R) / 400))
+// Games count in the order their result was final: an illegal board revealed after the last
+// ship sank ends the game again with the other winner, and only that last GameEnded counts.
+// Games that never started (cancelled challenges) are not rated.
+const Ladder = (() => {
+    const INITIAL_RATING = 1500;
+    const K_FACTOR = 32;
+
+    function expectedScore(rating, opponentRating) {
+        return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+    }
+
+    function key(address) {
+        return address.toLowerCase();
+    }
+
+    // Finished games from decoded GameStarted and GameEnded events (ChainClient's
+    // { name, args, blockNumber, logIndex }), in the order their results became final:
+    //   [{ gameId, player1, player2, winner }]
+    function resultsFromEvents(events) {
+        const players = {};
+        const results = {};
+        events.forEach(event => {
+            if (event.name === 'GameStarted') {
+                players[event.args.gameId] = event.args;
+            } else if (event.name === 'GameEnded') {
+                results[event.args.gameId] = { winner: event.args.winner, blockNumber: event.blockNumber, logIndex: event.logIndex };
+            }
+        });
+
+        return Object.keys(results)
+            .filter(gameId => players[gameId])
+            .map(gameId => ({ gameId: Number(gameId), ...results[gameId] }))
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+            .map(({ gameId, winner }) => ({
+                gameId,
+                player1: players[gameId].player1,
+                player2: players[gameId].player2,
+                winner
+            }));
+    }
+
+    // Standings after `results`, best first:
+    //   [{ rank, player, rating, played, wins, losses, lastChange }]
+    // with ratings and the change from each player's latest game rounded to whole points
+    function compute(results, { initialRating = INITIAL_RATING, kFactor = K_FACTOR } = {}) {
+        const entries = {};
+        const entry = address => entries[key(address)] = entries[key(address)] ||
+            { player: address, rating: initialRating, played: 0, wins: 0, losses: 0, lastChange: 0 };
+
+        results.forEach(({ player1, player2, winner }) => {
+            const winnerEntry = entry(key(winner) === key(player1) ? player1 : player2);
+            const loserEntry = entry(key(winner) === key(player1) ? player2 : player1);
+            const change = kFactor * (1 - expectedScore(winnerEntry.rating, loserEntry.rating));
+
+            winnerEntry.rating += change;
+            loserEntry.rating -= change;
+            winnerEntry.lastChange = change;
+            loserEntry.lastChange = -change;
+            winnerEntry.wins++;
+            loserEntry.losses++;
+            winnerEntry.played++;
+            loserEntry.played++;
+        });
+
+        return Object.values(entries)
+            .sort((a, b) => b.rating - a.rating || b.wins - a.wins || a.played - b.played)
+            .map((standing, index) => ({
+                rank: index + 1,
+                player: standing.player,
+                rating: Math.round(standing.rating),
+                played: standing.played,
+                wins: standing.wins,
+                losses: standing.losses,
+                lastChange: Math.round(standing.lastChange)
+            }));
+    }
+
+    return {
+        INITIAL_RATING,
+        K_FACTOR,
+        expectedScore,
+        resultsFromEvents,
+        compute
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ladder;
+}
@@ -0,0 +1,181 @@
+// Fleet Placement
+// Generates complete fleet layouts using pluggable strategies. Each strategy decides
+// whether ships may touch and how strongly each candidate placement is weighted.
+const FleetPlacement = (() => {
+    const MAX_ATTEMPTS = 50;
+
+    function cellsFor(row, col, size, isHorizontal) {
+        const cells = [];
+        for (let i = 0; i < size; i++) {
+            cells.push(isHorizontal ? { row, col: col + i } : { row: row + i, col });
+        }
+        return cells;
+    }
+
+    function touchesShip(board, cells) {
+        return cells.some(({ row, col }) => {
+            for (let dRow = -1; dRow <= 1; dRow++) {
+                for (let dCol = -1; dCol <= 1; dCol++) {
+                    const r = row + dRow;
+                    const c = col + dCol;
+                    if (r >= 0 && c >= 0 && r < board.length && c < board.length && board[r][c] !== null) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        });
+    }
+
+    function edgeDistance(gridSize, { row, col }) {
+        return Math.min(row, col, gridSize - 1 - row, gridSize - 1 - col);
+    }
+
+    function spreadDistance(placed, cells) {
+        let nearest = Infinity;
+        placed.forEach(ship => {
+            ship.positions.forEach(pos => {
+                cells.forEach(cell => {
+                    nearest = Math.min(nearest, Math.abs(pos.row - cell.row) + Math.abs(pos.col - cell.col));
+                });
+            });
+        });
+        return nearest;
+    }
+
+    function heatOf(heatmap, cells) {
+        if (!heatmap) return 0;
+
+        const maxHeat = Math.max(0, ...heatmap.map(rowHeat => Math.max(...rowHeat)));
+        if (maxHeat === 0) return 0;
+
+        const total = cells.reduce((sum, { row, col }) => sum + ((heatmap[row] && heatmap[row][col]) || 0), 0);
+        return total / (cells.length * maxHeat);
+    }
+
+    const STRATEGIES = {
+        random: {
+            label: 'Random',
+            noTouch: false,
+            weight: () => 1
+        },
+        noTouch: {
+            label: 'No Touching',
+            noTouch: true,
+            weight: () => 1
+        },
+        edge: {
+            label: 'Edge Biased',
+            noTouch: false,
+            weight: (cells, context) => cells.reduce((sum, cell) => {
+                const distance = edgeDistance(context.gridSize, cell);
+                return sum + (distance === 0 ? 4 : distance === 1 ? 2 : 1);
+            }, 0)
+        },
+        spread: {
+            label: 'Spread Out',
+            noTouch: true,
+            weight: (cells, context) => {
+                if (context.placed.length === 0) return 1;
+                const distance = spreadDistance(context.placed, cells);
+                return distance * distance;
+            }
+        },
+        antiHeatmap: {
+            label: 'Anti-Heatmap',
+            noTouch: true,
+            weight: (cells, context) => Math.pow(1 - heatOf(context.heatmap, cells), 3) + 0.01
+        }
+    };
+
+    // The layout the computer uses at each difficulty, unless the player picks one
+    const COMPUTER_PLACEMENT = {
+        easy: 'random',
+        medium: 'noTouch',
+        hard: 'antiHeatmap'
+    };
+
+    function candidatePlacements(board, size, strategy, context) {
+        const candidates = [];
+
+        for (let row = 0; row < context.gridSize; row++) {
+            for (let col = 0; col < context.gridSize; col++) {
+                [true, false].forEach(isHorizontal => {
+                    const cells = cellsFor(row, col, size, isHorizontal);
+                    if (cells.some(cell => cell.row >= context.gridSize || cell.col >= context.gridSize)) return;
+                    if (cells.some(cell => board[cell.row][cell.col] !== null)) return;
+                    if (strategy.noTouch && touchesShip(board, cells)) return;
+
+                    candidates.push({ row, col, isHorizontal, cells, weight: strategy.weight(cells, context) });
+                });
+            }
+        }
+
+        return candidates;
+    }
+
+    function pickWeighted(candidates, random) {
+        const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+        let roll = random() * total;
+
+        for (const candidate of candidates) {
+            roll -= candidate.weight;
+            if (roll < 0) return candidate;
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    function tryLayout(strategy, options) {
+        const { gridSize, shipSizes, heatmap, random } = options;
+        const board = Array(gridSize).fill(null).map(() => Array(gridSize).fill(null));
+        const placed = [];
+
+        for (let index = 0; index < shipSizes.length; index++) {
+            const context = { gridSize, heatmap, placed };
+            const candidates = candidatePlacements(board, shipSizes[index], strategy, context);
+            if (candidates.length === 0) return null;
+
+            const choice = pickWeighted(candidates, random);
+            choice.cells.forEach(cell => {
+                board[cell.row][cell.col] = index;
+            });
+            placed.push({
+                index,
+                row: choice.row,
+                col: choice.col,
+                isHorizontal: choice.isHorizontal,
+                positions: choice.cells
+            });
+        }
+
+        return placed;
+    }
+
+    // Returns [{ index, row, col, isHorizontal, positions }] with one entry per ship size.
+    // Falls back to plain random placement if the strategy cannot fit the fleet.
+    function generate(strategyName, options) {
+        const strategy = STRATEGIES[strategyName] || STRATEGIES.random;
+        const settings = { heatmap: null, random: Math.random, ...options };
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const layout = tryLayout(strategy, settings);
+            if (layout) return layout;
+        }
+
+        if (strategy !== STRATEGIES.random) {
+            return generate('random', options);
+        }
+        throw new Error('Unable to fit the fleet on the board');
+    }
+
+    return {
+        STRATEGIES,
+        COMPUTER_PLACEMENT,
+        generate,
+        touchesShip
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FleetPlacement;
+}
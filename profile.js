@@ -0,0 +1,257 @@
+// Player Profile
+// Career statistics and achievements, built up from the game records of finished games.
+// A profile is plain JSON so the page can keep it in localStorage; nothing here touches
+// the DOM or storage.
+//
+// Format (version 1):
+// {
+//   "version": 1,
+//   "opponents": { "<opponent>": { played, wins, losses, winningShots } },
+//                 // opponent is 'computer:easy' | 'computer:medium' | 'computer:hard' | 'online' | 'onchain'
+//   "totals": { shots, hits, longestStreak, fastestWin: shots | null },
+//   "history": [{ endedAt, opponent, won, shots, accuracy }],   // newest last, at most HISTORY_LENGTH
+//   "heatmaps": { "<gridSize>": [[shots fired at each cell]] },
+//   "achievements": { "<id>": ISO timestamp of unlocking },
+//   "counted": [game id]   // the last games added, so a resumed game is not counted twice
+// }
+const Profile = (() => {
+    const VERSION = 1;
+    const HISTORY_LENGTH = 50;
+    const COUNTED_LENGTH = 20;
+
+    const OPPONENTS = {
+        'computer:easy': 'Computer (Easy)',
+        'computer:medium': 'Computer (Medium)',
+        'computer:hard': 'Computer (Hard)',
+        online: 'Online',
+        onchain: 'On-Chain'
+    };
+
+    // Each test gets the finished game's summary and the profile with that game counted
+    const ACHIEVEMENTS = [
+        {
+            id: 'firstWin',
+            name: 'Maiden Voyage',
+            description: 'Win your first game',
+            test: summary => summary.won
+        },
+        {
+            id: 'flawless',
+            name: 'Flawless Victory',
+            description: 'Win without losing a ship',
+            test: summary => summary.won && summary.shipsLost === 0 && summary.sinksKnown
+        },
+        {
+            id: 'untouchable',
+            name: 'Untouchable',
+            description: 'Win without taking a single hit',
+            test: summary => summary.won && summary.hitsTaken === 0
+        },
+        {
+            id: 'carrierFirst',
+            name: 'Carrier Hunter',
+            description: 'Sink the Carrier before any other ship',
+            test: summary => summary.firstSunk === 'carrier'
+        },
+        {
+            id: 'hotStreak',
+            name: 'Hot Streak',
+            description: 'Hit five shots in a row',
+            test: summary => summary.longestStreak >= 5
+        },
+        {
+            id: 'sharpshooter',
+            name: 'Sharpshooter',
+            description: 'Win with at least 60% accuracy',
+            test: summary => summary.won && summary.accuracy >= 0.6
+        },
+        {
+            id: 'admiral',
+            name: 'Admiral',
+            description: 'Beat the Hard computer',
+            test: summary => summary.won && summary.opponent === 'computer:hard'
+        },
+        {
+            id: 'acrossTheWire',
+            name: 'Across the Wire',
+            description: 'Win an online game',
+            test: summary => summary.won && summary.opponent === 'online'
+        },
+        {
+            id: 'onTheRecord',
+            name: 'On the Record',
+            description: 'Win an on-chain game',
+            test: summary => summary.won && summary.opponent === 'onchain'
+        },
+        {
+            id: 'veteran',
+            name: 'Veteran',
+            description: 'Finish 25 games',
+            test: (summary, profile) => gamesPlayed(profile) >= 25
+        }
+    ];
+
+    function create() {
+        return {
+            version: VERSION,
+            opponents: {},
+            totals: { shots: 0, hits: 0, longestStreak: 0, fastestWin: null },
+            history: [],
+            heatmaps: {},
+            achievements: {},
+            counted: []
+        };
+    }
+
+    // Checks a stored profile; anything unreadable starts a fresh one
+    function load(json) {
+        try {
+            const profile = typeof json === 'string' ? JSON.parse(json) : json;
+            if (profile && profile.version === VERSION && profile.opponents && profile.totals) {
+                return profile;
+            }
+        } catch (error) {
+            // Fall through to a new profile
+        }
+        return create();
+    }
+
+    function opponentKey(mode, difficulty) {
+        return mode === 'computer' ? `computer:${difficulty}` : mode;
+    }
+
+    function shotsBy(record, side) {
+        return record.moves.filter(move => move.type === 'shot' && move.side === side);
+    }
+
+    // What one finished game says about `side`: shots, hits, streaks, ships lost and
+    // which enemy ship went down first. On-chain records carry no sinks.
+    function summarize(record, side, opponent) {
+        const shots = shotsBy(record, side);
+        const received = record.moves.filter(move => move.type === 'shot' && move.side !== side);
+        const hits = shots.filter(move => move.result === 'hit').length;
+
+        let streak = 0;
+        let longestStreak = 0;
+        shots.forEach(move => {
+            streak = move.result === 'hit' ? streak + 1 : 0;
+            longestStreak = Math.max(longestStreak, streak);
+        });
+
+        const firstSink = shots.find(move => move.sunkShip !== null && move.sunkShip !== undefined);
+        const firstSunkShip = firstSink ? record.rules.fleet[firstSink.sunkShip] : null;
+
+        return {
+            opponent,
+            won: record.winner === side,
+            shots: shots.length,
+            hits,
+            accuracy: shots.length > 0 ? hits / shots.length : 0,
+            longestStreak,
+            hitsTaken: received.filter(move => move.result === 'hit').length,
+            shipsLost: received.filter(move => move.sunkShip !== null && move.sunkShip !== undefined).length,
+            sinksKnown: record.source !== 'onchain',
+            firstSunk: firstSunkShip ? firstSunkShip.type || firstSunkShip.name.toLowerCase() : null
+        };
+    }
+
+    // Adds a finished game to the profile (in place) and returns the achievements it unlocked.
+    // `id` identifies the game; a game already counted is skipped and unlocks nothing.
+    function recordGame(profile, record, { side, opponent, id }) {
+        if (profile.counted.includes(id)) return [];
+
+        const summary = summarize(record, side, opponent);
+        const entry = profile.opponents[opponent] || { played: 0, wins: 0, losses: 0, winningShots: 0 };
+        entry.played++;
+        if (summary.won) {
+            entry.wins++;
+            entry.winningShots += summary.shots;
+        } else if (record.winner) {
+            entry.losses++;
+        }
+        profile.opponents[opponent] = entry;
+
+        const totals = profile.totals;
+        totals.shots += summary.shots;
+        totals.hits += summary.hits;
+        totals.longestStreak = Math.max(totals.longestStreak, summary.longestStreak);
+        if (summary.won && (totals.fastestWin === null || summary.shots < totals.fastestWin)) {
+            totals.fastestWin = summary.shots;
+        }
+
+        profile.history = [...profile.history, {
+            endedAt: record.endedAt,
+            opponent,
+            won: summary.won,
+            shots: summary.shots,
+            accuracy: summary.accuracy
+        }].slice(-HISTORY_LENGTH);
+        profile.counted = [...profile.counted, id].slice(-COUNTED_LENGTH);
+
+        const gridSize = record.rules.gridSize;
+        const heatmap = profile.heatmaps[gridSize] ||
+            Array(gridSize).fill(null).map(() => Array(gridSize).fill(0));
+        shotsBy(record, side).forEach(move => heatmap[move.row][move.col]++);
+        profile.heatmaps[gridSize] = heatmap;
+
+        const unlocked = ACHIEVEMENTS.filter(achievement =>
+            !profile.achievements[achievement.id] && achievement.test(summary, profile)
+        );
+        const now = new Date().toISOString();
+        unlocked.forEach(achievement => {
+            profile.achievements[achievement.id] = now;
+        });
+        return unlocked;
+    }
+
+    function gamesPlayed(profile) {
+        return Object.values(profile.opponents).reduce((sum, entry) => sum + entry.played, 0);
+    }
+
+    // Per-opponent rows and career totals, ready to display
+    function stats(profile) {
+        const rows = Object.keys(OPPONENTS)
+            .filter(key => profile.opponents[key])
+            .map(key => {
+                const { played, wins, losses, winningShots } = profile.opponents[key];
+                return {
+                    opponent: key,
+                    label: OPPONENTS[key],
+                    played,
+                    wins,
+                    losses,
+                    winRate: played > 0 ? wins / played : 0,
+                    averageShotsToWin: wins > 0 ? winningShots / wins : null
+                };
+            });
+
+        const { shots, hits, longestStreak, fastestWin } = profile.totals;
+        return {
+            rows,
+            played: gamesPlayed(profile),
+            wins: rows.reduce((sum, row) => sum + row.wins, 0),
+            accuracy: shots > 0 ? hits / shots : 0,
+            shots,
+            longestStreak,
+            fastestWin,
+            trend: profile.history.map(game => game.accuracy)
+        };
+    }
+
+    return {
+        VERSION,
+        HISTORY_LENGTH,
+        OPPONENTS,
+        ACHIEVEMENTS,
+        create,
+        load,
+        opponentKey,
+        summarize,
+        recordGame,
+        stats
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Profile;
+}
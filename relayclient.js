@@ -0,0 +1,133 @@
+// Relay Client
+// Transport for online games through the relay server (scripts/relay-server.js,
+// which documents the messages). Works in the browser and, given the `ws` package's
+// WebSocket, in Node for headless clients. A dropped connection is retried and the
+// seat reclaimed with the token the server handed out; messages sent while offline
+// are queued until then.
+const RelayClient = (() => {
+    const RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000];
+    const MAX_RECONNECT_ATTEMPTS = 15;
+
+    // Emits every server message under its type, plus:
+    //   connected { reconnected }   disconnected { retryIn }   closed {}
+    class Client {
+        constructor(url, { WebSocket: Socket = globalThis.WebSocket } = {}) {
+            this.url = url;
+            this.Socket = Socket;
+            this.listeners = {};
+            this.session = null;
+            this.queue = [];
+            this.attempts = 0;
+            this.closed = false;
+            this.connect();
+        }
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return this;
+        }
+
+        emit(event, payload) {
+            (this.listeners[event] || []).forEach(handler => handler(payload));
+        }
+
+        connect() {
+            const socket = new this.Socket(this.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                const reconnected = this.attempts > 0;
+                this.attempts = 0;
+                if (this.session) {
+                    this.transmit({ type: 'reconnect', room: this.session.room, token: this.session.token });
+                }
+                this.queue.splice(0).forEach(message => this.transmit(message));
+                this.emit('connected', { reconnected });
+            };
+
+            socket.onmessage = event => this.receive(event.data);
+
+            socket.onclose = () => {
+                if (this.closed || socket !== this.socket) return;
+
+                if (this.attempts >= MAX_RECONNECT_ATTEMPTS) {
+                    this.closed = true;
+                    this.emit('closed', {});
+                    return;
+                }
+                const retryIn = RECONNECT_DELAYS[Math.min(this.attempts, RECONNECT_DELAYS.length - 1)];
+                this.attempts++;
+                this.emit('disconnected', { retryIn });
+                setTimeout(() => {
+                    if (!this.closed) this.connect();
+                }, retryIn);
+            };
+
+            // A close event always follows, which is where reconnects are handled
+            socket.onerror = () => {};
+        }
+
+        receive(data) {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                console.warn('Ignoring malformed relay message:', data);
+                return;
+            }
+
+            if (message.type === 'joined') {
+                this.session = { room: message.room, seat: message.seat, token: message.token };
+            } else if (message.type === 'opponentLeft') {
+                this.session = null;
+            }
+            this.emit(message.type, message);
+        }
+
+        transmit(message) {
+            this.socket.send(JSON.stringify(message));
+        }
+
+        send(type, payload = {}) {
+            const message = { ...payload, type };
+            if (this.socket.readyState === this.Socket.OPEN) {
+                this.transmit(message);
+            } else {
+                this.queue.push(message);
+            }
+        }
+
+        createRoom(rules) {
+            this.send('create', { rules });
+        }
+
+        joinRoom(room) {
+            this.send('join', { room });
+        }
+
+        leave() {
+            if (this.session) {
+                this.send('leave');
+            }
+            this.close();
+        }
+
+        close() {
+            this.closed = true;
+            this.session = null;
+            if (this.socket.readyState === this.Socket.CONNECTING) {
+                this.socket.onopen = () => this.socket.close();
+            } else {
+                this.socket.close();
+            }
+        }
+    }
+
+    return {
+        Client
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RelayClient;
+}
@@ -0,0 +1,345 @@
+// Game Rules
+// Pure battleship rules: board model, placement validation, firing, sink detection
+// and victory. Nothing here touches the DOM; the screens render from the state and
+// the events emitted by Game.
+const BattleshipRules = (() => {
+    function createGrid(gridSize, value) {
+        return Array(gridSize).fill(null).map(() => Array(gridSize).fill(value));
+    }
+
+    // A board is one side's waters: where its ships sit and the shots it has received
+    function createBoard(gridSize) {
+        return {
+            gridSize,
+            cells: createGrid(gridSize, null), // ship index occupying each cell
+            shots: createGrid(gridSize, null), // null | 'miss' | 'hit' | 'sunk'
+            ships: []                          // { index, positions, hits, sunk }
+        };
+    }
+
+    function shipCells(row, col, size, isHorizontal) {
+        const cells = [];
+        for (let i = 0; i < size; i++) {
+            cells.push(isHorizontal ? { row, col: col + i } : { row: row + i, col });
+        }
+        return cells;
+    }
+
+    function inBounds(board, row, col) {
+        return row >= 0 && col >= 0 && row < board.gridSize && col < board.gridSize;
+    }
+
+    // `movingShip` may overlap its own current cells, so a placed ship can be moved or turned
+    function canPlaceShip(board, row, col, size, isHorizontal, movingShip = null) {
+        return shipCells(row, col, size, isHorizontal).every(cell =>
+            inBounds(board, cell.row, cell.col) &&
+            (board.cells[cell.row][cell.col] === null || board.cells[cell.row][cell.col] === movingShip)
+        );
+    }
+
+    function placeShip(board, shipIndex, row, col, size, isHorizontal) {
+        if (board.ships.some(ship => ship.index === shipIndex)) {
+            throw new Error(`Ship ${shipIndex} is already placed`);
+        }
+        if (!canPlaceShip(board, row, col, size, isHorizontal)) {
+            throw new Error(`Ship ${shipIndex} cannot be placed at ${row},${col}`);
+        }
+
+        const positions = shipCells(row, col, size, isHorizontal);
+        positions.forEach(pos => {
+            board.cells[pos.row][pos.col] = shipIndex;
+        });
+
+        const ship = {
+            index: shipIndex,
+            positions,
+            hits: 0,
+            sunk: false
+        };
+        board.ships.push(ship);
+        return ship;
+    }
+
+    // Takes a placed ship off the board again; only possible before it has been fired at
+    function removeShip(board, shipIndex) {
+        const ship = board.ships.find(s => s.index === shipIndex);
+        if (!ship) {
+            throw new Error(`Ship ${shipIndex} is not placed`);
+        }
+        if (ship.positions.some(pos => board.shots[pos.row][pos.col] !== null)) {
+            throw new Error(`Ship ${shipIndex} has been fired at`);
+        }
+
+        ship.positions.forEach(pos => {
+            board.cells[pos.row][pos.col] = null;
+        });
+        board.ships = board.ships.filter(s => s !== ship);
+        return ship;
+    }
+
+    function canFire(board, row, col) {
+        return inBounds(board, row, col) && board.shots[row][col] === null;
+    }
+
+    // Resolves a shot against the board and returns { row, col, hit, ship }.
+    // ship is set only when this shot sank it.
+    function fire(board, row, col) {
+        if (!canFire(board, row, col)) {
+            throw new Error(`Cannot fire at ${row},${col}`);
+        }
+
+        const shipIndex = board.cells[row][col];
+        if (shipIndex === null) {
+            board.shots[row][col] = 'miss';
+            return { row, col, hit: false, ship: null };
+        }
+
+        board.shots[row][col] = 'hit';
+        const ship = board.ships.find(s => s.index === shipIndex);
+        ship.hits++;
+
+        if (ship.hits === ship.positions.length) {
+            ship.sunk = true;
+            ship.positions.forEach(pos => {
+                board.shots[pos.row][pos.col] = 'sunk';
+            });
+            return { row, col, hit: true, ship };
+        }
+
+        return { row, col, hit: true, ship: null };
+    }
+
+    function allShipsSunk(board) {
+        return board.ships.length > 0 && board.ships.every(ship => ship.sunk);
+    }
+
+    function remainingShipSizes(board) {
+        return board.ships.filter(ship => !ship.sunk).map(ship => ship.positions.length);
+    }
+
+    // One match between two sides, played under a rule set from RuleSets. Emits:
+    //   shipPlaced { side, ship }        shipRemoved { side, ship }        fleetCleared { side }
+    //   shot { shooter, target, row, col, hit }
+    //   sunk { shooter, target, ship }   turn { player }   gameOver { winner }
+    class Game {
+        constructor({ rules, sides = ['player', 'enemy'], firstPlayer = sides[0] }) {
+            this.rules = rules;
+            this.gridSize = rules.gridSize;
+            this.fleet = rules.fleet;
+            this.sides = sides;
+            this.boards = {};
+            this.stats = {};
+            sides.forEach(side => {
+                this.boards[side] = createBoard(this.gridSize);
+                this.stats[side] = { hits: 0, misses: 0 };
+            });
+            this.currentPlayer = firstPlayer;
+            this.shotsFired = 0;
+            this.gameOver = false;
+            this.winner = null;
+            this.listeners = {};
+        }
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return this;
+        }
+
+        emit(event, payload) {
+            (this.listeners[event] || []).forEach(handler => handler(payload));
+        }
+
+        opponentOf(side) {
+            return this.sides.find(s => s !== side);
+        }
+
+        canPlaceShip(side, shipIndex, row, col, isHorizontal) {
+            const board = this.boards[side];
+            return !board.ships.some(ship => ship.index === shipIndex) &&
+                canPlaceShip(board, row, col, this.fleet[shipIndex].size, isHorizontal);
+        }
+
+        placeShip(side, shipIndex, row, col, isHorizontal) {
+            const ship = placeShip(this.boards[side], shipIndex, row, col, this.fleet[shipIndex].size, isHorizontal);
+            this.emit('shipPlaced', { side, ship });
+            return ship;
+        }
+
+        canMoveShip(side, shipIndex, row, col, isHorizontal) {
+            const board = this.boards[side];
+            return board.ships.some(ship => ship.index === shipIndex) &&
+                canPlaceShip(board, row, col, this.fleet[shipIndex].size, isHorizontal, shipIndex);
+        }
+
+        removeShip(side, shipIndex) {
+            const ship = removeShip(this.boards[side], shipIndex);
+            this.emit('shipRemoved', { side, ship });
+            return ship;
+        }
+
+        // Moving is a removal and a placement, so listeners and records see both
+        moveShip(side, shipIndex, row, col, isHorizontal) {
+            if (!this.canMoveShip(side, shipIndex, row, col, isHorizontal)) {
+                throw new Error(`Ship ${shipIndex} cannot be moved to ${row},${col}`);
+            }
+            this.removeShip(side, shipIndex);
+            return this.placeShip(side, shipIndex, row, col, isHorizontal);
+        }
+
+        clearFleet(side) {
+            this.boards[side] = createBoard(this.gridSize);
+            this.emit('fleetCleared', { side });
+        }
+
+        isFleetComplete(side) {
+            return this.boards[side].ships.length === this.fleet.length;
+        }
+
+        // Counted against the fleet rather than the board so it also holds for an
+        // opponent whose ships are only known once sunk
+        sunkCount(side) {
+            return this.boards[side].ships.filter(ship => ship.sunk).length;
+        }
+
+        isFleetDestroyed(side) {
+            return this.sunkCount(side) === this.fleet.length;
+        }
+
+        // Salvo gives one shot per surviving ship; every other variant fires one at a time
+        shotsPerTurn(side) {
+            if (this.rules.variant === 'salvo') {
+                return this.fleet.length - this.sunkCount(side);
+            }
+            return 1;
+        }
+
+        shotsLeft() {
+            return Math.max(this.shotsPerTurn(this.currentPlayer) - this.shotsFired, 0);
+        }
+
+        turnContinues(shooter, result) {
+            if (this.rules.variant === 'shootAgain') return result.hit;
+            return this.shotsFired < this.shotsPerTurn(shooter);
+        }
+
+        canFire(shooter, row, col) {
+            return !this.gameOver &&
+                this.currentPlayer === shooter &&
+                canFire(this.boards[this.opponentOf(shooter)], row, col);
+        }
+
+        fire(shooter, row, col) {
+            this.checkTurn(shooter);
+
+            const result = fire(this.boards[this.opponentOf(shooter)], row, col);
+            return this.resolveShot(shooter, result);
+        }
+
+        // Records a shot whose outcome was decided elsewhere, e.g. by the opponent's
+        // client in an online game. sunkShip is { index, positions } when it sank a ship.
+        applyResult(shooter, row, col, { hit, sunkShip = null }) {
+            this.checkTurn(shooter);
+
+            const board = this.boards[this.opponentOf(shooter)];
+            if (!canFire(board, row, col)) {
+                throw new Error(`Cannot fire at ${row},${col}`);
+            }
+
+            board.shots[row][col] = hit ? 'hit' : 'miss';
+            let ship = null;
+            if (sunkShip) {
+                ship = {
+                    index: sunkShip.index,
+                    positions: sunkShip.positions,
+                    hits: sunkShip.positions.length,
+                    sunk: true
+                };
+                board.ships.push(ship);
+                ship.positions.forEach(pos => {
+                    board.shots[pos.row][pos.col] = 'sunk';
+                });
+            }
+
+            return this.resolveShot(shooter, { row, col, hit, ship });
+        }
+
+        checkTurn(shooter) {
+            if (this.gameOver) throw new Error('Game is over');
+            if (this.currentPlayer !== shooter) throw new Error(`Not ${shooter}'s turn`);
+        }
+
+        resolveShot(shooter, result) {
+            const target = this.opponentOf(shooter);
+            const { row, col } = result;
+            this.shotsFired++;
+            this.stats[shooter][result.hit ? 'hits' : 'misses']++;
+
+            this.emit('shot', { shooter, target, row, col, hit: result.hit });
+            if (result.ship) {
+                this.emit('sunk', { shooter, target, ship: result.ship });
+            }
+
+            if (this.isFleetDestroyed(target)) {
+                this.gameOver = true;
+                this.winner = shooter;
+                this.emit('gameOver', { winner: shooter });
+            } else if (!this.turnContinues(shooter, result)) {
+                this.currentPlayer = target;
+                this.shotsFired = 0;
+                this.emit('turn', { player: target });
+            }
+
+            return result;
+        }
+
+        // Ends the match without a fleet being destroyed, e.g. a timeout or slash on-chain
+        endMatch(winner) {
+            if (this.gameOver) return;
+            this.gameOver = true;
+            this.winner = winner;
+            this.emit('gameOver', { winner });
+        }
+
+        // Plain-data snapshot of the match; listeners are not included
+        toJSON() {
+            return JSON.parse(JSON.stringify({
+                rules: this.rules,
+                sides: this.sides,
+                boards: this.boards,
+                stats: this.stats,
+                currentPlayer: this.currentPlayer,
+                shotsFired: this.shotsFired,
+                gameOver: this.gameOver,
+                winner: this.winner
+            }));
+        }
+
+        static fromJSON(data) {
+            const game = new Game({ rules: data.rules, sides: data.sides });
+            game.boards = data.boards;
+            game.stats = data.stats;
+            game.currentPlayer = data.currentPlayer;
+            game.shotsFired = data.shotsFired;
+            game.gameOver = data.gameOver;
+            game.winner = data.winner;
+            return game;
+        }
+    }
+
+    return {
+        createBoard,
+        shipCells,
+        canPlaceShip,
+        placeShip,
+        removeShip,
+        canFire,
+        fire,
+        allShipsSunk,
+        remainingShipSizes,
+        Game
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BattleshipRules;
+}
@@ -0,0 +1,159 @@
+// Rule Sets
+// Board size, fleet composition and turn variant for a game. A rule set is plain data
+// so it can be stored alongside a game and shared by the rules engine, AI and UI.
+const RuleSets = (() => {
+    const MIN_GRID_SIZE = 8;
+    const MAX_GRID_SIZE = 15;
+
+    const SHIP_TYPES = {
+        carrier: { name: "Carrier", size: 5, color: "#8B4513" },
+        battleship: { name: "Battleship", size: 4, color: "#696969" },
+        cruiser: { name: "Cruiser", size: 3, color: "#4682B4" },
+        submarine: { name: "Submarine", size: 3, color: "#2F4F4F" },
+        destroyer: { name: "Destroyer", size: 2, color: "#800080" }
+    };
+
+    const VARIANTS = {
+        classic: 'Classic (one shot per turn)',
+        salvo: 'Salvo (one shot per surviving ship)',
+        shootAgain: 'Hit Means Shoot Again'
+    };
+
+    const CLASSIC_FLEET = {
+        carrier: 1,
+        battleship: 1,
+        cruiser: 1,
+        submarine: 1,
+        destroyer: 1
+    };
+
+    const PRESETS = {
+        classic: { name: 'Classic', gridSize: 10, fleet: CLASSIC_FLEET, variant: 'classic' },
+        salvo: { name: 'Salvo', gridSize: 10, fleet: CLASSIC_FLEET, variant: 'salvo' },
+        blitz: { name: 'Blitz', gridSize: 10, fleet: CLASSIC_FLEET, variant: 'shootAgain' },
+        skirmish: {
+            name: 'Skirmish',
+            gridSize: 8,
+            fleet: { battleship: 1, cruiser: 1, destroyer: 2 },
+            variant: 'classic'
+        },
+        armada: {
+            name: 'Armada',
+            gridSize: 15,
+            fleet: { carrier: 2, battleship: 2, cruiser: 2, submarine: 2, destroyer: 2 },
+            variant: 'classic'
+        }
+    };
+
+    // Expands a { shipType: count } composition into the ordered ship list used by a game
+    function expandFleet(composition) {
+        const ships = [];
+        Object.keys(SHIP_TYPES).forEach(type => {
+            const count = composition[type] || 0;
+            for (let i = 0; i < count; i++) {
+                const ship = SHIP_TYPES[type];
+                ships.push({
+                    type,
+                    name: count > 1 ? `${ship.name} ${i + 1}` : ship.name,
+                    size: ship.size,
+                    color: ship.color
+                });
+            }
+        });
+        return ships;
+    }
+
+    // Returns a list of problems; an empty list means the rule set is playable
+    function validate({ gridSize, fleet, variant }) {
+        const errors = [];
+        const ships = expandFleet(fleet || {});
+        const shipCells = ships.reduce((sum, ship) => sum + ship.size, 0);
+
+        if (!Number.isInteger(gridSize) || gridSize < MIN_GRID_SIZE || gridSize > MAX_GRID_SIZE) {
+            errors.push(`Board size must be between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}`);
+        }
+        if (ships.length === 0) {
+            errors.push('The fleet needs at least one ship');
+        }
+        if (shipCells > Math.floor((gridSize * gridSize) / 3)) {
+            errors.push('The fleet is too large for the board');
+        }
+        if (!VARIANTS[variant]) {
+            errors.push(`Unknown variant: ${variant}`);
+        }
+
+        return errors;
+    }
+
+    // Builds the rule set a game is played with
+    function create({ name = 'Custom', gridSize, fleet, variant = 'classic' }) {
+        const errors = validate({ gridSize, fleet, variant });
+        if (errors.length > 0) {
+            throw new Error(errors.join('. '));
+        }
+
+        return {
+            name,
+            gridSize,
+            composition: { ...fleet },
+            fleet: expandFleet(fleet),
+            variant
+        };
+    }
+
+    function fromPreset(presetName) {
+        return create(PRESETS[presetName] || PRESETS.classic);
+    }
+
+    // Rebuilds a rule set from a board size and ship sizes, largest ship first, as the
+    // contract stores them; throws when the sizes do not map onto the ship types
+    function fromShipSizes(gridSize, shipSizes, { name = 'On-Chain', variant = 'classic' } = {}) {
+        const count = size => shipSizes.filter(shipSize => shipSize === size).length;
+        const rules = create({
+            name,
+            gridSize,
+            fleet: {
+                carrier: count(5),
+                battleship: count(4),
+                cruiser: Math.ceil(count(3) / 2),
+                submarine: Math.floor(count(3) / 2),
+                destroyer: count(2)
+            },
+            variant
+        });
+        if (rules.fleet.map(ship => ship.size).join() !== shipSizes.join()) {
+            throw new Error('This game uses a fleet the app cannot lay out');
+        }
+        return rules;
+    }
+
+    function coordinateLabels(gridSize) {
+        return {
+            rows: Array.from({ length: gridSize }, (_, i) => String.fromCharCode(65 + i)),
+            cols: Array.from({ length: gridSize }, (_, i) => i + 1)
+        };
+    }
+
+    function totalShipCells(rules) {
+        return rules.fleet.reduce((sum, ship) => sum + ship.size, 0);
+    }
+
+    return {
+        MIN_GRID_SIZE,
+        MAX_GRID_SIZE,
+        SHIP_TYPES,
+        VARIANTS,
+        PRESETS,
+        expandFleet,
+        validate,
+        create,
+        fromPreset,
+        fromShipSizes,
+        coordinateLabels,
+        totalShipCells
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleSets;
+}
@@ -0,0 +1,174 @@
+// Deploys ImprovedOnChainBattleship and records where it went.
+//
+// Every network gets deployments/<network>.json:
+//   { network, chainId, contract, address, abi, blockNumber, transactionHash, deployer, deployedAt }
+// and the frontend picks the entry for the wallet's chain out of two generated scripts:
+// deployments/index.js for public networks (committed) and deployments/local.js for
+// localhost (git-ignored, since every node restart changes it), both rewritten on every run.
+// index.js loads local.js when it exists.
+// A network whose recorded address still holds code is not deployed again; set REDEPLOY=1
+// to replace it.
+//
+// On localhost the new contract is seeded with test games (scripts/seed.js). The in-process
+// "hardhat" network is deployed to and seeded, but nothing is recorded because it is gone
+// when the script exits. Public networks wait for DEPLOY_CONFIRMATIONS blocks (default 5)
+// and verify the source on Etherscan when ETHERSCAN_API_KEY is set.
+//
+// Usage: npx hardhat run scripts/deploy.js --network <localhost|sepolia|mainnet>
+//        npm run deploy:localhost
+const fs = require("fs");
+const path = require("path");
+const { seedGames } = require("./seed.js");
+
+const CONTRACT_NAME = "ImprovedOnChainBattleship";
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const PUBLIC_CONFIRMATIONS = 5;
+const BUNDLES = { public: "index.js", local: "local.js" };
+
+// index.html loads only the public bundle, which adds local.js after it. A fresh checkout
+// has no local.js, so the browser's failed request is dropped instead of breaking the page.
+const LOCAL_BUNDLE_LOADER = [
+  "if (typeof document !== 'undefined') {",
+  "    const localDeployments = document.createElement('script');",
+  `    localDeployments.src = 'deployments/${BUNDLES.local}';`,
+  "    localDeployments.onerror = () => localDeployments.remove();",
+  "    document.head.appendChild(localDeployments);",
+  "}"
+];
+
+function deploymentPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+// The recorded deployment for a network, or null
+function readDeployment(network, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentPath(network, dir);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function writeJson(file, value) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(value, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+// Regenerates the browser scripts from every deployments/*.json. Each one merges its
+// entries into the global BattleshipDeployments, keyed by chain id, so either may be missing.
+function writeBundles(dir = DEPLOYMENTS_DIR) {
+  const entries = { public: {}, local: {} };
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const deployment = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      const kind = LOCAL_NETWORKS.includes(deployment.network) ? "local" : "public";
+      entries[kind][deployment.chainId] = deployment;
+    });
+
+  Object.entries(BUNDLES).forEach(([kind, file]) => {
+    const source = [
+      `// Generated by scripts/deploy.js from the ${kind} networks in deployments/*.json; do not edit.`,
+      "// A var, not a const, so that index.js and local.js can both add to it.",
+      "var BattleshipDeployments = Object.assign(",
+      "    typeof BattleshipDeployments !== 'undefined' ? BattleshipDeployments : {},",
+      `    ${JSON.stringify(entries[kind], null, 4).replace(/\n/g, "\n    ")}`,
+      ");",
+      ...(kind === "public" ? ["// Adds local.js, which only exists after a local deploy; a missing one is skipped.", ...LOCAL_BUNDLE_LOADER] : []),
+      ""
+    ].join("\n");
+    fs.writeFileSync(path.join(dir, file), source);
+  });
+}
+
+// Deploys unless the network already has a live deployment; resolves with
+// { deployment, deployed, games } where games lists what was seeded (if anything)
+async function deploy({
+  hre,
+  dir = DEPLOYMENTS_DIR,
+  redeploy = false,
+  record = hre.network.name !== "hardhat",
+  seed = LOCAL_NETWORKS.includes(hre.network.name),
+  confirmations = LOCAL_NETWORKS.includes(hre.network.name) ? 1 : PUBLIC_CONFIRMATIONS,
+  log = console.log
+}) {
+  const { ethers } = hre;
+  const network = hre.network.name;
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  const recorded = record ? readDeployment(network, dir) : null;
+  if (recorded && !redeploy) {
+    if (recorded.chainId === chainId && (await ethers.provider.getCode(recorded.address)) !== "0x") {
+      log(`${CONTRACT_NAME} is already deployed on ${network} at ${recorded.address} (block ${recorded.blockNumber}); set REDEPLOY=1 to replace it`);
+      writeBundles(dir);
+      return { deployment: recorded, deployed: false, games: [] };
+    }
+    log(`No contract left at the recorded ${recorded.address} on ${network}; deploying again`);
+  }
+
+  const [deployer] = await ethers.getSigners();
+  log(`Deploying ${CONTRACT_NAME} to ${network} (chain ${chainId}) from ${deployer.address}`);
+  log(`Balance: ${ethers.formatEther(await ethers.provider.getBalance(deployer.address))} ETH`);
+
+  const contract = await ethers.deployContract(CONTRACT_NAME);
+  const transaction = contract.deploymentTransaction();
+  log(`Transaction ${transaction.hash}, waiting for ${confirmations} confirmation(s)…`);
+  const receipt = await transaction.wait(confirmations);
+
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const deployment = {
+    network,
+    chainId,
+    contract: CONTRACT_NAME,
+    address: await contract.getAddress(),
+    abi: artifact.abi,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString()
+  };
+  log(`Deployed at ${deployment.address} in block ${deployment.blockNumber}`);
+
+  if (record) {
+    fs.mkdirSync(dir, { recursive: true });
+    writeJson(deploymentPath(network, dir), deployment);
+    writeBundles(dir);
+    log(`Recorded in ${path.relative(process.cwd(), deploymentPath(network, dir))}`);
+  }
+
+  let games = [];
+  if (seed) {
+    log("Seeding test games:");
+    games = await seedGames({ contract, ethers, log });
+  }
+  return { deployment, deployed: true, games };
+}
+
+async function verify(hre, deployment) {
+  if (LOCAL_NETWORKS.includes(deployment.network) || !process.env.ETHERSCAN_API_KEY) return;
+  console.log("Verifying the source on Etherscan…");
+  try {
+    await hre.run("verify:verify", { address: deployment.address, constructorArguments: [] });
+    console.log("Verified");
+  } catch (error) {
+    console.log(`Verification failed: ${error.message}`);
+  }
+}
+
+if (require.main === module) {
+  const hre = require("hardhat");
+
+  (async () => {
+    const redeploy = ["1", "true"].includes(process.env.REDEPLOY);
+    const confirmations = process.env.DEPLOY_CONFIRMATIONS ? Number(process.env.DEPLOY_CONFIRMATIONS) : undefined;
+    const { deployment, deployed } = await deploy({ hre, redeploy, confirmations });
+    if (deployed) {
+      await verify(hre, deployment);
+    }
+  })().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { DEPLOYMENTS_DIR, LOCAL_NETWORKS, readDeployment, writeBundles, deploy };
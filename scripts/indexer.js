@@ -0,0 +1,494 @@
+// Event indexer for ImprovedOnChainBattleship.
+//
+// Follows the contract's logs into a JSON store and serves what they add up to
+// over a small HTTP API (JSON, CORS open):
+//   GET /status              { chainId, contract, checkpoint, games }
+//   GET /games/open          public games waiting for a second player
+//   GET /games/:id           players, rules, stake, status, result, slashes and timeouts
+//   GET /games/:id/record    the game's shots as a game record (see gamerecord.js)
+//   GET /players/:address    { wins, losses, slashed, games } of one address
+//
+// The store holds the decoded events, the checkpoint block the events are complete
+// up to, and the hashes of recent blocks. Every sync first checks that the
+// checkpoint is still on the chain; after a re-org it rolls back to the newest
+// remembered block that is, drops the events after it and indexes forward again.
+// A re-org deeper than everything remembered starts over from the start block.
+// Games and player records are rebuilt from the stored events, so a restarted
+// indexer picks up from its checkpoint.
+//
+// Usage: CONTRACT_ADDRESS=0x... [RPC_URL=http://127.0.0.1:8545] [START_BLOCK=0]
+//        [CONFIRMATIONS=0] [PORT=8090] [INDEXER_STORE=file.json] npm run indexer
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { ethers } = require("ethers");
+const ChainClient = require("../chainclient.js");
+const GameRecord = require("../gamerecord.js");
+const RuleSets = require("../rulesets.js");
+
+const DEFAULT_PORT = 8090;
+const POLL_INTERVAL_MS = 4000;
+const BATCH_SIZE = 2000;
+const REORG_DEPTH = 64;
+const INDEXED_EVENTS = [
+  "GameCreated",
+  "ChallengeCreated",
+  "GameStarted",
+  "GuessSubmitted",
+  "GuessResponded",
+  "SaltRevealed",
+  "GameEnded",
+  "StakeSlashed",
+  "TimeoutClaimed",
+  "GameCancelled"
+];
+// Wei amounts stay strings and end reasons become text; every other number fits a plain number
+const AMOUNT_ARGS = ["stake", "amount"];
+
+function defaultStorePath(chainId, address) {
+  return path.join(__dirname, "..", "indexer-data", `${chainId}-${address.toLowerCase()}.json`);
+}
+
+function readStore(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+// Written to a temporary file first so a crash never leaves half a store behind
+function writeStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(store));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function isoTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Games
+
+function newGame(event) {
+  const { boardSize, shipSizes, stake, invitee, joinKey } = event.details;
+  return {
+    id: event.args.gameId,
+    status: "open",
+    creator: event.args.creator,
+    player1: event.args.creator,
+    player2: null,
+    invitee: invitee !== ethers.ZeroAddress ? invitee : null,
+    private: invitee !== ethers.ZeroAddress || joinKey !== ethers.ZeroAddress,
+    stake,
+    boardSize,
+    shipSizes,
+    createdBlock: event.blockNumber,
+    createdAt: isoTime(event.timestamp),
+    startedAt: null,
+    endedAt: null,
+    winner: null,
+    reason: null,
+    shots: 0,
+    revealed: [],
+    slashes: [],
+    timeouts: []
+  };
+}
+
+function applyEvent(games, event) {
+  const { args } = event;
+  if (event.name === "GameCreated") {
+    games.set(args.gameId, newGame(event));
+    return;
+  }
+
+  const game = games.get(args.gameId);
+  if (!game) return;
+
+  switch (event.name) {
+    case "GameStarted":
+      game.status = "started";
+      game.player1 = args.player1;
+      game.player2 = args.player2;
+      game.startedAt = isoTime(event.timestamp);
+      break;
+    case "GuessSubmitted":
+      game.shots++;
+      break;
+    case "SaltRevealed":
+      game.revealed.push(args.player);
+      break;
+    // A game played to the last ship is paid only once both boards are revealed. Until
+    // then an illegal board or a missed reveal ends it again with the other winner, so the
+    // last GameEnded stands.
+    case "GameEnded":
+      game.status = "ended";
+      game.winner = args.winner !== ethers.ZeroAddress ? args.winner : null;
+      game.reason = args.reason;
+      game.endedAt = isoTime(event.timestamp);
+      break;
+    case "StakeSlashed":
+      game.slashes.push({ cheater: args.cheater, amount: args.amount, reason: args.reason });
+      break;
+    case "TimeoutClaimed":
+      game.timeouts.push({ claimer: args.claimer, reason: args.reason });
+      break;
+    case "GameCancelled":
+      game.status = "cancelled";
+      game.endedAt = isoTime(event.timestamp);
+      break;
+  }
+}
+
+function buildGames(events) {
+  const games = new Map();
+  events.forEach((event) => applyEvent(games, event));
+  return games;
+}
+
+// The app's rule set when the fleet maps onto its ship types, bare sizes otherwise
+function recordRules(game) {
+  try {
+    return RuleSets.fromShipSizes(game.boardSize, game.shipSizes);
+  } catch (error) {
+    return {
+      name: "On-Chain",
+      gridSize: game.boardSize,
+      composition: null,
+      fleet: game.shipSizes.map((size) => ({ name: `Ship of ${size}`, size })),
+      variant: "classic"
+    };
+  }
+}
+
+// Indexer
+
+async function createIndexer({
+  provider,
+  address,
+  startBlock = 0,
+  storePath = null,
+  confirmations = 0,
+  batchSize = BATCH_SIZE,
+  reorgDepth = REORG_DEPTH,
+  log = console.log
+}) {
+  const contractAddress = ethers.getAddress(address);
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const file = storePath || defaultStorePath(chainId, contractAddress);
+  const contract = new ethers.Contract(contractAddress, ChainClient.ABI, provider);
+  const iface = contract.interface;
+
+  const emptyStore = () => ({ chainId, contract: contractAddress, startBlock, checkpoint: null, recentBlocks: {}, events: [] });
+  let store = readStore(file);
+  if (store && (store.chainId !== chainId || !sameAddress(store.contract, contractAddress))) {
+    throw new Error(`${file} indexes ${store.contract} on chain ${store.chainId}, not ${contractAddress} on chain ${chainId}`);
+  }
+  store = store || emptyStore();
+  let games = buildGames(store.events);
+  let syncing = null;
+  let timer = null;
+
+  function decode(log, parsed, block) {
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      const value = parsed.args[index];
+      if (input.name === "reason") {
+        args.reason = ChainClient.endReason(value);
+      } else {
+        args[input.name] = typeof value !== "bigint" ? value : AMOUNT_ARGS.includes(input.name) ? value.toString() : Number(value);
+      }
+    });
+    return {
+      name: parsed.name,
+      args,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      timestamp: block.timestamp
+    };
+  }
+
+  // Rules and stake never change after creation, so reading them now is as good as at the event
+  async function gameDetails(gameId) {
+    const [challenge, rules] = await Promise.all([contract.getChallenge(gameId), contract.getGameRules(gameId)]);
+    return {
+      boardSize: Number(rules.boardSize),
+      shipSizes: rules.shipSizes.map(Number),
+      stake: challenge.stake.toString(),
+      invitee: challenge.invitee,
+      joinKey: challenge.joinKey
+    };
+  }
+
+  function remember(number, hash) {
+    store.recentBlocks[number] = hash;
+  }
+
+  function rollback(checkpoint) {
+    store.events = store.events.filter((event) => event.blockNumber <= checkpoint.blockNumber);
+    Object.keys(store.recentBlocks)
+      .filter((number) => Number(number) > checkpoint.blockNumber)
+      .forEach((number) => delete store.recentBlocks[number]);
+    store.checkpoint = checkpoint;
+    games = buildGames(store.events);
+    writeStore(file, store);
+  }
+
+  // Rolls back to the newest remembered block still on the chain
+  async function handleReorg() {
+    const { checkpoint } = store;
+    if (!checkpoint) return;
+    const current = await provider.getBlock(checkpoint.blockNumber);
+    if (current && current.hash === checkpoint.blockHash) return;
+
+    const remembered = Object.keys(store.recentBlocks)
+      .map(Number)
+      .filter((number) => number < checkpoint.blockNumber)
+      .sort((a, b) => b - a);
+    for (const number of remembered) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === store.recentBlocks[number]) {
+        log(`Re-org below block ${checkpoint.blockNumber}: rolling back to block ${number}`);
+        rollback({ blockNumber: number, blockHash: block.hash });
+        return;
+      }
+    }
+
+    log(`Re-org below block ${checkpoint.blockNumber} is deeper than the blocks remembered: reindexing from block ${startBlock}`);
+    store = emptyStore();
+    games = buildGames(store.events);
+    writeStore(file, store);
+  }
+
+  async function indexRange(fromBlock, toBlock) {
+    const last = await provider.getBlock(toBlock);
+    const logs = await provider.getLogs({ address: contractAddress, fromBlock, toBlock });
+
+    const blocks = new Map();
+    const events = [];
+    for (const entry of logs) {
+      const parsed = iface.parseLog(entry);
+      if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) continue;
+
+      if (!blocks.has(entry.blockNumber)) {
+        blocks.set(entry.blockNumber, await provider.getBlock(entry.blockNumber));
+      }
+      const block = blocks.get(entry.blockNumber);
+      if (!block || block.hash !== entry.blockHash) {
+        throw new Error(`Block ${entry.blockNumber} changed while indexing`);
+      }
+
+      const event = decode(entry, parsed, block);
+      if (event.name === "GameCreated") {
+        event.details = await gameDetails(event.args.gameId);
+      }
+      events.push(event);
+    }
+
+    const settled = await provider.getBlock(toBlock);
+    if (!last || !settled || settled.hash !== last.hash) {
+      throw new Error(`Block ${toBlock} changed while indexing`);
+    }
+
+    events.forEach((event) => {
+      store.events.push(event);
+      applyEvent(games, event);
+    });
+    blocks.forEach((block) => remember(block.number, block.hash));
+    remember(last.number, last.hash);
+    Object.keys(store.recentBlocks)
+      .filter((number) => Number(number) < toBlock - reorgDepth)
+      .forEach((number) => delete store.recentBlocks[number]);
+    store.checkpoint = { blockNumber: last.number, blockHash: last.hash };
+    writeStore(file, store);
+    return events.length;
+  }
+
+  async function runSync() {
+    await handleReorg();
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let fromBlock = store.checkpoint ? store.checkpoint.blockNumber + 1 : startBlock;
+    let indexed = 0;
+    while (fromBlock <= head) {
+      const toBlock = Math.min(head, fromBlock + batchSize - 1);
+      indexed += await indexRange(fromBlock, toBlock);
+      fromBlock = toBlock + 1;
+    }
+    return indexed;
+  }
+
+  // Indexes up to the head (less `confirmations`); resolves with the number of new events
+  function sync() {
+    if (!syncing) {
+      syncing = runSync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  function start(interval = POLL_INTERVAL_MS) {
+    const poll = async () => {
+      try {
+        const indexed = await sync();
+        if (indexed > 0) {
+          log(`Indexed ${indexed} events up to block ${store.checkpoint.blockNumber}`);
+        }
+      } catch (error) {
+        log(`Sync failed: ${error.message}`);
+      }
+      if (timer) {
+        timer = setTimeout(poll, interval);
+      }
+    };
+    timer = setTimeout(poll, 0);
+  }
+
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (syncing) {
+      await syncing.catch(() => {});
+    }
+  }
+
+  function status() {
+    return { chainId, contract: contractAddress, checkpoint: store.checkpoint, games: games.size };
+  }
+
+  function game(gameId) {
+    return games.get(Number(gameId)) || null;
+  }
+
+  function openGames() {
+    return Array.from(games.values()).filter((entry) => entry.status === "open" && !entry.private);
+  }
+
+  function record(gameId) {
+    const entry = game(gameId);
+    if (!entry || !entry.player2) return null;
+    return GameRecord.fromChainEvents({
+      chainId,
+      contract: contractAddress,
+      gameId: entry.id,
+      rules: recordRules(entry),
+      events: store.events.filter((event) => event.args.gameId === entry.id)
+    });
+  }
+
+  function player(address) {
+    const played = Array.from(games.values()).filter(
+      (entry) => sameAddress(entry.player1, address) || sameAddress(entry.player2, address)
+    );
+    const ended = played.filter((entry) => entry.status === "ended" && entry.player2);
+    const opponent = (entry) => (sameAddress(entry.player1, address) ? entry.player2 : entry.player1);
+    const slashes = played.flatMap((entry) => entry.slashes).filter((slash) => sameAddress(slash.cheater, address));
+    return {
+      address: ethers.getAddress(address),
+      wins: ended.filter((entry) => sameAddress(entry.winner, address)).length,
+      losses: ended.filter((entry) => sameAddress(entry.winner, opponent(entry))).length,
+      slashed: slashes.length,
+      slashedAmount: slashes.reduce((total, slash) => total + BigInt(slash.amount), 0n).toString(),
+      games: played.map((entry) => entry.id)
+    };
+  }
+
+  return {
+    storePath: file,
+    sync,
+    start,
+    stop,
+    status,
+    game,
+    openGames,
+    record,
+    player
+  };
+}
+
+// HTTP API
+
+function route(indexer, pathname) {
+  if (pathname === "/status") return [200, indexer.status()];
+  if (pathname === "/games/open") return [200, indexer.openGames()];
+
+  const gameMatch = /^\/games\/(\d+)(\/record)?$/.exec(pathname);
+  if (gameMatch) {
+    const game = indexer.game(gameMatch[1]);
+    if (!game) return [404, { error: `Game ${gameMatch[1]} not found` }];
+    if (!gameMatch[2]) return [200, game];
+    const record = indexer.record(game.id);
+    return record ? [200, record] : [409, { error: `Game ${game.id} has not started` }];
+  }
+
+  const playerMatch = /^\/players\/([^/]+)$/.exec(pathname);
+  if (playerMatch) {
+    if (!ethers.isAddress(playerMatch[1])) return [400, { error: `${playerMatch[1]} is not an address` }];
+    return [200, indexer.player(playerMatch[1])];
+  }
+
+  return [404, { error: "Not found" }];
+}
+
+function startIndexerServer({ indexer, port = DEFAULT_PORT }) {
+  const server = http.createServer((request, response) => {
+    let status;
+    let body;
+    if (request.method !== "GET") {
+      [status, body] = [405, { error: "Only GET is supported" }];
+    } else {
+      [status, body] = route(indexer, new URL(request.url, "http://localhost").pathname);
+    }
+    response.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*"
+    });
+    response.end(JSON.stringify(body));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => {
+      resolve({
+        port: server.address().port,
+        close() {
+          return new Promise((done) => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  require("dotenv").config();
+  (async () => {
+    if (!process.env.CONTRACT_ADDRESS) {
+      throw new Error("Set CONTRACT_ADDRESS to the deployed contract");
+    }
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+    const indexer = await createIndexer({
+      provider,
+      address: process.env.CONTRACT_ADDRESS,
+      startBlock: Number(process.env.START_BLOCK || 0),
+      confirmations: Number(process.env.CONFIRMATIONS || 0),
+      storePath: process.env.INDEXER_STORE || null
+    });
+    const server = await startIndexerServer({ indexer, port: Number(process.env.PORT || DEFAULT_PORT) });
+    indexer.start();
+    console.log(`Battleship indexer listening on http://localhost:${server.port} (store: ${indexer.storePath})`);
+
+    process.once("SIGINT", async () => {
+      await indexer.stop();
+      await server.close();
+      provider.destroy();
+    });
+  })().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { DEFAULT_PORT, INDEXED_EVENTS, createIndexer, startIndexerServer };
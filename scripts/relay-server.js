@@ -0,0 +1,268 @@
+// Relay server for online (off-chain) games.
+//
+// Pairs two browsers in a room identified by a short code and forwards their
+// moves. Boards never leave the players' machines: the shooter sends a shot, the
+// defender resolves it against its own fleet and answers with the result.
+//
+// Client -> server
+//   { type: "create", rules }           open a room; the creator is player1
+//   { type: "join", room }              take the second seat (player2)
+//   { type: "reconnect", room, token }  reclaim a seat after a dropped connection
+//   { type: "place" }                   fleet deployed, ready for battle
+//   { type: "shot", row, col }
+//   { type: "result", row, col, hit, sunkShip }
+//   { type: "rematch" }                 ask for (or accept) another game
+//   { type: "leave" }
+//
+// Server -> client
+//   { type: "joined", room, seat, token, rules, opponentConnected, reconnected }
+//   { type: "opponentJoined" }  { type: "opponentDisconnected" }
+//   { type: "opponentReconnected" }  { type: "opponentLeft" }
+//   { type: "rematchStart" }    { type: "error", message }
+//   place, shot, result and rematch are forwarded to the opponent unchanged.
+//
+// Messages for a player who has dropped are queued and delivered when they
+// reconnect; a seat is given up after RECONNECT_GRACE_MS.
+//
+// Usage: node scripts/relay-server.js [port]   (or PORT=8080 npm run relay)
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+const RuleSets = require("../rulesets.js");
+
+const DEFAULT_PORT = 8080;
+const RECONNECT_GRACE_MS = 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const FORWARDED_TYPES = ["place", "shot", "result"];
+
+function roomCode(rooms) {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(ROOM_CODE_LENGTH), (byte) => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function startRelayServer({ port = DEFAULT_PORT, reconnectGraceMs = RECONNECT_GRACE_MS, log = console.log } = {}) {
+  const rooms = new Map();
+  const seats = new Map(); // socket -> { room, seat }
+  const wss = new WebSocketServer({ port, maxPayload: MAX_MESSAGE_BYTES });
+
+  function send(socket, message) {
+    if (socket && socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  function deliver(room, seatName, message) {
+    const seat = room.seats[seatName];
+    if (!seat) return;
+    if (seat.socket) {
+      send(seat.socket, message);
+    } else {
+      seat.queue.push(message);
+    }
+  }
+
+  function opponentOf(seatName) {
+    return seatName === "player1" ? "player2" : "player1";
+  }
+
+  function takeSeat(socket, room, seatName) {
+    const seat = { token: crypto.randomBytes(16).toString("hex"), socket, queue: [], graceTimer: null };
+    room.seats[seatName] = seat;
+    seats.set(socket, { room, seat: seatName });
+    return seat;
+  }
+
+  function joined(room, seatName, reconnected) {
+    const opponent = room.seats[opponentOf(seatName)];
+    return {
+      type: "joined",
+      room: room.code,
+      seat: seatName,
+      token: room.seats[seatName].token,
+      rules: room.rules,
+      opponentConnected: Boolean(opponent && opponent.socket),
+      reconnected
+    };
+  }
+
+  function closeRoom(room, reason) {
+    Object.entries(room.seats).forEach(([seatName, seat]) => {
+      if (!seat) return;
+      clearTimeout(seat.graceTimer);
+      if (seat.socket) {
+        seats.delete(seat.socket);
+      }
+      room.seats[seatName] = null;
+    });
+    rooms.delete(room.code);
+    log(`Room ${room.code} closed (${reason})`);
+  }
+
+  function leave(room, seatName, reason) {
+    const opponent = room.seats[opponentOf(seatName)];
+    if (opponent) {
+      send(opponent.socket, { type: "opponentLeft" });
+    }
+    closeRoom(room, reason);
+  }
+
+  const handlers = {
+    create(socket, message) {
+      // Rebuilt from the composition so both players get the same, valid fleet
+      const { name, gridSize, composition, variant } = message.rules || {};
+      const rules = RuleSets.create({ name, gridSize, fleet: composition, variant });
+
+      const room = {
+        code: roomCode(rooms),
+        rules,
+        seats: { player1: null, player2: null },
+        rematch: new Set()
+      };
+      rooms.set(room.code, room);
+      takeSeat(socket, room, "player1");
+      send(socket, joined(room, "player1", false));
+      log(`Room ${room.code} created`);
+    },
+
+    join(socket, message) {
+      const room = rooms.get(String(message.room || "").toUpperCase());
+      if (!room) throw new Error("Room not found");
+      if (room.seats.player2) throw new Error("Room is full");
+
+      takeSeat(socket, room, "player2");
+      send(socket, joined(room, "player2", false));
+      deliver(room, "player1", { type: "opponentJoined" });
+      log(`Room ${room.code} is full`);
+    },
+
+    reconnect(socket, message) {
+      const room = rooms.get(String(message.room || "").toUpperCase());
+      const seatName = room && ["player1", "player2"].find((name) => room.seats[name] && room.seats[name].token === message.token);
+      if (!seatName) throw new Error("Seat is no longer available");
+
+      const seat = room.seats[seatName];
+      clearTimeout(seat.graceTimer);
+      seat.graceTimer = null;
+      if (seat.socket && seat.socket !== socket) {
+        seats.delete(seat.socket);
+        seat.socket.terminate();
+      }
+      seat.socket = socket;
+      seats.set(socket, { room, seat: seatName });
+
+      send(socket, joined(room, seatName, true));
+      seat.queue.splice(0).forEach((queued) => send(socket, queued));
+      deliver(room, opponentOf(seatName), { type: "opponentReconnected" });
+    },
+
+    rematch(socket, message, { room, seat }) {
+      room.rematch.add(seat);
+      if (room.rematch.size === 2) {
+        room.rematch.clear();
+        deliver(room, "player1", { type: "rematchStart" });
+        deliver(room, "player2", { type: "rematchStart" });
+      } else {
+        deliver(room, opponentOf(seat), { type: "rematch" });
+      }
+    },
+
+    leave(socket, message, { room, seat }) {
+      leave(room, seat, `${seat} left`);
+    }
+  };
+
+  function handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      send(socket, { type: "error", message: "Malformed message" });
+      return;
+    }
+
+    const seated = seats.get(socket);
+    try {
+      if (["create", "join", "reconnect"].includes(message.type)) {
+        if (seated) throw new Error("Already in a room");
+        handlers[message.type](socket, message);
+      } else if (!seated) {
+        throw new Error("Not in a room");
+      } else if (FORWARDED_TYPES.includes(message.type)) {
+        if (!seated.room.seats[opponentOf(seated.seat)]) throw new Error("Waiting for an opponent");
+        deliver(seated.room, opponentOf(seated.seat), message);
+      } else if (handlers[message.type]) {
+        handlers[message.type](socket, message, seated);
+      } else {
+        throw new Error(`Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      send(socket, { type: "error", message: error.message });
+    }
+  }
+
+  function handleClose(socket) {
+    const seated = seats.get(socket);
+    if (!seated) return;
+    seats.delete(socket);
+
+    const { room, seat: seatName } = seated;
+    const seat = room.seats[seatName];
+    seat.socket = null;
+    deliver(room, opponentOf(seatName), { type: "opponentDisconnected" });
+    seat.graceTimer = setTimeout(() => leave(room, seatName, `${seatName} timed out`), reconnectGraceMs);
+  }
+
+  wss.on("connection", (socket) => {
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+    socket.on("message", (data) => handleMessage(socket, data.toString()));
+    socket.on("close", () => handleClose(socket));
+  });
+
+  // Drops connections that stopped answering pings so their seats enter the grace period
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+
+  return new Promise((resolve, reject) => {
+    wss.once("error", reject);
+    wss.once("listening", () => {
+      resolve({
+        port: wss.address().port,
+        rooms,
+        close() {
+          clearInterval(heartbeat);
+          rooms.forEach((room) => closeRoom(room, "server shutting down"));
+          wss.clients.forEach((socket) => socket.terminate());
+          return new Promise((done) => wss.close(done));
+        }
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+  startRelayServer({ port })
+    .then((relay) => console.log(`Battleship relay listening on ws://localhost:${relay.port}`))
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { DEFAULT_PORT, RECONNECT_GRACE_MS, startRelayServer };
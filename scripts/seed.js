@@ -0,0 +1,150 @@
+// Seeds a local ImprovedOnChainBattleship deployment with games to look at and join:
+//   finished     account #1 sank account #2's fleet and both boards are revealed
+//   in progress  accounts #3 and #4 have traded a few shots
+//   open         account #5 waits for an opponent with the Skirmish rules
+//   join code    account #6 waits for whoever has the printed join code
+// The deployer (account #0) is left out so it is free to play from the browser.
+// scripts/deploy.js runs this after a fresh local deploy; to seed an existing one:
+//
+// Usage: npx hardhat run scripts/seed.js --network localhost
+const BoardCommitment = require("../commitment.js");
+const BattleshipRules = require("../rules.js");
+const FleetPlacement = require("../placement.js");
+const RuleSets = require("../rulesets.js");
+const ChainClient = require("../chainclient.js");
+
+const CHALLENGE_STAKE = "0.01";
+
+function fleetBoard(rules) {
+  const board = BattleshipRules.createBoard(rules.gridSize);
+  FleetPlacement.generate("random", {
+    gridSize: rules.gridSize,
+    shipSizes: rules.fleet.map((ship) => ship.size)
+  }).forEach(({ index, row, col, isHorizontal }) => {
+    BattleshipRules.placeShip(board, index, row, col, rules.fleet[index].size, isHorizontal);
+  });
+  return { board, commitment: BoardCommitment.commit(board) };
+}
+
+function cells(board, ships) {
+  const found = [];
+  board.cells.forEach((row, y) => row.forEach((ship, x) => (ship !== null) === ships && found.push({ x, y })));
+  return found;
+}
+
+async function send(transaction) {
+  return (await transaction).wait();
+}
+
+async function lastGameId(contract, player) {
+  return Number(await contract.getPlayerGame(player.address));
+}
+
+// `shooter` fires at (x, y) on `target`'s board and the target answers with its proof
+async function shoot(contract, shooter, target, x, y) {
+  await send(contract.connect(shooter).submitGuess(x, y));
+  const { hit, cellSalt, proof } = BoardCommitment.prove(target.commitment, x, y);
+  await send(contract.connect(target.signer).respondToGuess(hit, cellSalt, proof));
+}
+
+// Commits two classic boards; `winner` opened the game so they fire first
+async function classicGame(contract, winner, loser) {
+  const rules = RuleSets.fromPreset("classic");
+  const stake = await contract.STAKE();
+  const players = [winner, loser].map((signer) => ({ signer, ...fleetBoard(rules) }));
+  for (const { signer, commitment } of players) {
+    await send(contract.connect(signer).commitBoard(commitment.root, commitment.hashedMasterSalt, { value: stake }));
+  }
+  return { gameId: await lastGameId(contract, winner), players };
+}
+
+async function finishedGame(contract, winner, loser) {
+  const { gameId, players: [first, second] } = await classicGame(contract, winner, loser);
+  const targets = cells(second.board, true);
+  const misses = cells(first.board, false);
+
+  for (let turn = 0; turn < targets.length; turn++) {
+    await shoot(contract, winner, second, targets[turn].x, targets[turn].y);
+    if (turn === targets.length - 1) break;
+    await shoot(contract, loser, first, misses[turn].x, misses[turn].y);
+  }
+  for (const { signer, commitment } of [first, second]) {
+    const { masterSalt, board, ships } = BoardCommitment.reveal(commitment);
+    await send(contract.connect(signer).revealMasterSalt(masterSalt, board, ships));
+  }
+  return { gameId, description: `finished: ${winner.address} beat ${loser.address}` };
+}
+
+async function gameInProgress(contract, first, second, shots = 3) {
+  const { gameId, players: [a, b] } = await classicGame(contract, first, second);
+  const aTargets = cells(b.board, true);
+  const bTargets = cells(a.board, false);
+
+  for (let turn = 0; turn < shots; turn++) {
+    await shoot(contract, first, b, aTargets[turn].x, aTargets[turn].y);
+    await shoot(contract, second, a, bTargets[turn].x, bTargets[turn].y);
+  }
+  return { gameId, description: `in progress: ${first.address} vs ${second.address}, ${shots} shots each` };
+}
+
+async function openGame(contract, creator) {
+  const rules = RuleSets.fromPreset("skirmish");
+  const { commitment } = fleetBoard(rules);
+  await send(contract.connect(creator).commitBoardWithRules(
+    commitment.root, commitment.hashedMasterSalt, rules.gridSize, rules.fleet.map((ship) => ship.size),
+    { value: await contract.STAKE() }
+  ));
+  const gameId = await lastGameId(contract, creator);
+  return { gameId, description: `open (${rules.name}): ${creator.address} waits for an opponent` };
+}
+
+async function joinCodeGame(contract, creator, ethers) {
+  const rules = RuleSets.fromPreset("classic");
+  const { commitment } = fleetBoard(rules);
+  const secret = ChainClient.newJoinSecret();
+  await send(contract.connect(creator).createChallenge(
+    commitment.root, commitment.hashedMasterSalt, rules.gridSize, rules.fleet.map((ship) => ship.size),
+    ethers.ZeroAddress, ChainClient.joinKey(secret).address,
+    { value: ethers.parseEther(CHALLENGE_STAKE) }
+  ));
+  const gameId = await lastGameId(contract, creator);
+  const joinCode = ChainClient.formatJoinCode(gameId, secret);
+  return { gameId, joinCode, description: `join code ${joinCode}: ${creator.address} staked ${CHALLENGE_STAKE} ETH` };
+}
+
+// Plays the seed games with signers #1-#6; resolves with { gameId, description[, joinCode] } each
+async function seedGames({ contract, ethers, log = console.log }) {
+  const signers = await ethers.getSigners();
+  if (signers.length < 7) {
+    throw new Error("Seeding needs seven funded accounts, like the ones a Hardhat node provides");
+  }
+  const [, ...players] = signers;
+  const games = [
+    await finishedGame(contract, players[0], players[1]),
+    await gameInProgress(contract, players[2], players[3]),
+    await openGame(contract, players[4]),
+    await joinCodeGame(contract, players[5], ethers)
+  ];
+  games.forEach(({ gameId, description }) => log(`  game ${gameId} ${description}`));
+  return games;
+}
+
+if (require.main === module) {
+  const hre = require("hardhat");
+  const { readDeployment } = require("./deploy.js");
+
+  (async () => {
+    const deployment = readDeployment(hre.network.name);
+    if (!deployment) {
+      throw new Error(`Nothing is recorded for ${hre.network.name}; run scripts/deploy.js first`);
+    }
+    const contract = await hre.ethers.getContractAt(deployment.abi, deployment.address);
+    console.log(`Seeding ${deployment.address} on ${hre.network.name}:`);
+    await seedGames({ contract, ethers: hre.ethers });
+  })().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { seedGames };
@@ -0,0 +1,328 @@
+// Headless game simulator for tuning the computer players.
+//
+// Plays complete games between entrants, each a placement strategy from placement.js
+// paired with a firing strategy from ai.js, under a rule set from rulesets.js and the
+// rules engine in rules.js, exactly as app.js plays them but without a browser. Every
+// pair of entrants meets for --games games, taking turns to move first (a single entrant
+// plays itself). One seeded generator drives every placement and shot, so the same seed
+// and options always replay the same run.
+//
+// Like the app, an Anti-Heatmap fleet avoids the cells its opponent's firing strategy
+// has shot at most so far; here that heatmap is built up over the run.
+//
+// The report (JSON, or CSV tables) holds:
+//   entrants   games, wins, win rate, average shots to win and the shots-to-win distribution
+//   matchups   head-to-head results of each pair of entrants
+//   versus     each firing strategy against each placement strategy it fired at
+//   heatmaps   shots and hits per cell for each firing strategy, and the hits each
+//              placement strategy's fleets took
+//
+// Usage: npm run simulate -- [--games 1000] [--seed 42] [--rules classic]
+//        [--firing easy,medium,hard] [--placement random,noTouch]
+//        [--format json|csv] [--out file-or-directory]
+// Without --firing and --placement the entrants are the app's three computer levels;
+// otherwise every listed firing strategy is paired with every listed placement.
+const fs = require("fs");
+const path = require("path");
+const BattleshipRules = require("../rules.js");
+const EnemyAI = require("../ai.js");
+const FleetPlacement = require("../placement.js");
+const RuleSets = require("../rulesets.js");
+
+const DEFAULT_GAMES = 1000;
+const SIDES = ["first", "second"];
+const FORMATS = ["json", "csv"];
+
+// mulberry32: a small seeded generator, so a run can be replayed from its seed
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function emptyGrid(gridSize) {
+  return Array.from({ length: gridSize }, () => Array(gridSize).fill(0));
+}
+
+function entrantName({ firing, placement }) {
+  return `${firing}/${placement}`;
+}
+
+// The computer levels by default, otherwise every firing strategy with every placement
+function buildEntrants({ firing, placement } = {}) {
+  if (!firing && !placement) {
+    return Object.entries(FleetPlacement.COMPUTER_PLACEMENT).map(([level, layout]) => ({ firing: level, placement: layout }));
+  }
+  const firings = firing || Object.keys(EnemyAI.DIFFICULTIES);
+  const placements = placement || Object.keys(FleetPlacement.STRATEGIES);
+  firings.forEach((name) => {
+    if (!EnemyAI.DIFFICULTIES[name]) throw new Error(`Unknown firing strategy "${name}"`);
+  });
+  placements.forEach((name) => {
+    if (!FleetPlacement.STRATEGIES[name]) throw new Error(`Unknown placement strategy "${name}"`);
+  });
+  return firings.flatMap((name) => placements.map((layout) => ({ firing: name, placement: layout })));
+}
+
+// Every pair of entrants once, or a single entrant against itself
+function pairings(count) {
+  if (count === 1) return [[0, 0]];
+  const pairs = [];
+  for (let a = 0; a < count; a++) {
+    for (let b = a + 1; b < count; b++) pairs.push([a, b]);
+  }
+  return pairs;
+}
+
+// Plays one game to the end. `players` holds the entrant on each side, first mover first;
+// `shotHeatmaps` maps firing strategies to the shots they have fired so far.
+// Returns { winner: 0 | 1, shots: [[{ row, col, hit }] per side] }.
+function playGame({ rules, players, random, shotHeatmaps }) {
+  const match = new BattleshipRules.Game({ rules, sides: SIDES });
+  const shipSizes = rules.fleet.map((ship) => ship.size);
+
+  SIDES.forEach((side, seat) => {
+    FleetPlacement.generate(players[seat].placement, {
+      gridSize: rules.gridSize,
+      shipSizes,
+      heatmap: shotHeatmaps[players[1 - seat].firing] || null,
+      random
+    }).forEach(({ index, row, col, isHorizontal }) => {
+      match.placeShip(side, index, row, col, isHorizontal);
+    });
+  });
+
+  const shots = SIDES.map(() => []);
+  match.on("shot", ({ shooter, row, col, hit }) => shots[SIDES.indexOf(shooter)].push({ row, col, hit }));
+
+  while (!match.gameOver) {
+    const shooter = match.currentPlayer;
+    const board = match.boards[match.opponentOf(shooter)];
+    const { row, col } = EnemyAI.chooseShot(players[SIDES.indexOf(shooter)].firing, {
+      shots: board.shots,
+      remainingShips: BattleshipRules.remainingShipSizes(board)
+    }, random);
+    match.fire(shooter, row, col);
+  }
+
+  return { winner: SIDES.indexOf(match.winner), shots };
+}
+
+function tally() {
+  return { games: 0, wins: 0, winningShots: [] };
+}
+
+function summarize({ games, wins, winningShots }) {
+  const sorted = [...winningShots].sort((a, b) => a - b);
+  const distribution = {};
+  sorted.forEach((shots) => {
+    distribution[shots] = (distribution[shots] || 0) + 1;
+  });
+  return {
+    games,
+    wins,
+    winRate: games > 0 ? wins / games : 0,
+    averageShotsToWin: sorted.length > 0 ? sorted.reduce((sum, shots) => sum + shots, 0) / sorted.length : null,
+    fewestShotsToWin: sorted.length > 0 ? sorted[0] : null,
+    medianShotsToWin: sorted.length > 0 ? sorted[Math.floor((sorted.length - 1) / 2)] : null,
+    mostShotsToWin: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    distribution
+  };
+}
+
+// Runs the whole tournament and returns the report described at the top of the file
+function simulate({ rules = "classic", entrants = buildEntrants(), games = DEFAULT_GAMES, seed = Date.now() % 2 ** 31 } = {}) {
+  if (typeof rules === "string" && !RuleSets.PRESETS[rules]) throw new Error(`Unknown rule set "${rules}"`);
+  const ruleSet = typeof rules === "string" ? RuleSets.fromPreset(rules) : rules;
+  if (!Number.isInteger(games) || games < 1) throw new Error("games must be a positive whole number");
+  if (entrants.length === 0) throw new Error("Nothing to simulate without entrants");
+
+  const random = seededRandom(seed);
+  const { gridSize } = ruleSet;
+  const grid = (map, key) => (map[key] = map[key] || emptyGrid(gridSize));
+  const shotHeatmaps = {};
+  const hitHeatmaps = {};
+  const takenHeatmaps = {};
+
+  const byEntrant = entrants.map(tally);
+  const versus = {};
+  const matchups = pairings(entrants.length).map(([a, b]) => {
+    const result = { a: entrantName(entrants[a]), b: entrantName(entrants[b]), games, aWins: 0, bWins: 0 };
+
+    for (let index = 0; index < games; index++) {
+      // Alternate who moves first so neither entrant keeps the first shot
+      const seats = index % 2 === 0 ? [a, b] : [b, a];
+      const players = seats.map((seat) => entrants[seat]);
+      const { winner, shots } = playGame({ rules: ruleSet, players, random, shotHeatmaps });
+
+      seats.forEach((seat, side) => {
+        const { firing } = entrants[seat];
+        const opponent = entrants[seats[1 - side]];
+        const key = `${firing}:${opponent.placement}`;
+        const matchup = versus[key] || (versus[key] = { firing, placement: opponent.placement, ...tally() });
+        const won = winner === side;
+
+        [byEntrant[seat], matchup].forEach((entry) => {
+          entry.games++;
+          if (won) {
+            entry.wins++;
+            entry.winningShots.push(shots[side].length);
+          }
+        });
+
+        shots[side].forEach(({ row, col, hit }) => {
+          grid(shotHeatmaps, firing)[row][col]++;
+          if (hit) {
+            grid(hitHeatmaps, firing)[row][col]++;
+            grid(takenHeatmaps, opponent.placement)[row][col]++;
+          }
+        });
+      });
+
+      // In a mirror match "a" is whoever moved first
+      if (a === b ? winner === 0 : seats[winner] === a) result.aWins++;
+      else result.bWins++;
+    }
+    result.aWinRate = result.aWins / games;
+    return result;
+  });
+
+  return {
+    seed,
+    rules: {
+      name: ruleSet.name,
+      gridSize,
+      variant: ruleSet.variant,
+      fleet: ruleSet.fleet.map((ship) => ship.size)
+    },
+    gamesPerMatchup: games,
+    entrants: entrants.map((entrant, index) => ({ name: entrantName(entrant), ...entrant, ...summarize(byEntrant[index]) })),
+    matchups,
+    versus: Object.values(versus).map(({ firing, placement, ...entry }) => ({ firing, placement, ...summarize(entry) })),
+    heatmaps: {
+      firing: Object.fromEntries(Object.keys(shotHeatmaps).map((firing) => [firing, {
+        shots: shotHeatmaps[firing],
+        hits: hitHeatmaps[firing] || emptyGrid(gridSize)
+      }])),
+      placement: Object.fromEntries(Object.keys(takenHeatmaps).map((placement) => [placement, { hits: takenHeatmaps[placement] }]))
+    }
+  };
+}
+
+// CSV
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvTable(columns, rows) {
+  return [columns, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// The report as CSV tables keyed by name; heatmaps become one row per cell
+function toCsv(report) {
+  const { rows: labels } = RuleSets.coordinateLabels(report.rules.gridSize);
+  const summaryColumns = ["games", "wins", "winRate", "averageShotsToWin", "fewestShotsToWin", "medianShotsToWin", "mostShotsToWin"];
+  const cells = (map, name, fields) => Object.entries(map).flatMap(([key, grids]) =>
+    grids[fields[0]].flatMap((line, row) => line.map((_, col) => [
+      name, key, `${labels[row]}${col + 1}`, row, col, ...fields.map((field) => grids[field][row][col])
+    ])));
+
+  return {
+    entrants: csvTable(
+      ["entrant", "firing", "placement", ...summaryColumns],
+      report.entrants.map((entry) => [entry.name, entry.firing, entry.placement, ...summaryColumns.map((column) => entry[column])])
+    ),
+    matchups: csvTable(
+      ["a", "b", "games", "aWins", "bWins", "aWinRate"],
+      report.matchups.map((entry) => [entry.a, entry.b, entry.games, entry.aWins, entry.bWins, entry.aWinRate])
+    ),
+    versus: csvTable(
+      ["firing", "placement", ...summaryColumns],
+      report.versus.map((entry) => [entry.firing, entry.placement, ...summaryColumns.map((column) => entry[column])])
+    ),
+    distribution: csvTable(
+      ["entrant", "shotsToWin", "games"],
+      report.entrants.flatMap((entry) => Object.entries(entry.distribution).map(([shots, count]) => [entry.name, shots, count]))
+    ),
+    heatmaps: csvTable(
+      ["kind", "strategy", "cell", "row", "col", "shots", "hits"],
+      [
+        ...cells(report.heatmaps.firing, "firing", ["shots", "hits"]),
+        ...cells(report.heatmaps.placement, "placement", ["hits"]).map((line) => [...line.slice(0, 5), null, line[5]])
+      ]
+    )
+  };
+}
+
+// Command line
+
+// --name value and --name=value pairs; lists are comma separated
+function parseArgs(argv) {
+  const options = {};
+  for (let index = 0; index < argv.length; index++) {
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(argv[index]);
+    if (!match) throw new Error(`Unexpected argument "${argv[index]}"`);
+    options[match[1]] = match[2] !== undefined ? match[2] : argv[++index];
+  }
+
+  const list = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : undefined);
+  // Number() would take "abc" as NaN and "" as 0, and a NaN seed replays as seed 0
+  const integer = (name, value, pattern, kind) => {
+    if (!pattern.test(value || "")) throw new Error(`--${name} must be ${kind}, not "${value || ""}"`);
+    return Number(value);
+  };
+  const format = options.format || "json";
+  if (!FORMATS.includes(format)) throw new Error(`--format must be one of ${FORMATS.join(", ")}`);
+  return {
+    games: options.games !== undefined ? integer("games", options.games, /^[1-9]\d*$/, "a positive whole number") : DEFAULT_GAMES,
+    seed: options.seed !== undefined ? integer("seed", options.seed, /^\d+$/, "a whole number") : undefined,
+    rules: options.rules || "classic",
+    entrants: buildEntrants({ firing: list(options.firing), placement: list(options.placement) }),
+    format,
+    out: options.out
+  };
+}
+
+// JSON goes to a file or stdout; CSV tables go to <out>/<table>.csv, or to stdout one
+// after another under "# <table>" lines
+function writeReport(report, { format, out, write = (text) => process.stdout.write(text) }) {
+  if (format === "json") {
+    const json = `${JSON.stringify(report, null, 2)}\n`;
+    if (out) fs.writeFileSync(out, json);
+    else write(json);
+    return;
+  }
+
+  const tables = toCsv(report);
+  if (out) {
+    fs.mkdirSync(out, { recursive: true });
+    Object.entries(tables).forEach(([name, table]) => fs.writeFileSync(path.join(out, `${name}.csv`), table));
+  } else {
+    write(Object.entries(tables).map(([name, table]) => `# ${name}\n${table}`).join("\n"));
+  }
+}
+
+if (require.main === module) {
+  try {
+    const { format, out, ...options } = parseArgs(process.argv.slice(2));
+    const report = simulate(options);
+    writeReport(report, { format, out });
+    const summary = report.entrants
+      .map((entry) => `${entry.name} ${(entry.winRate * 100).toFixed(1)}% wins, ${entry.averageShotsToWin === null ? "-" : entry.averageShotsToWin.toFixed(1)} shots to win`)
+      .join("; ");
+    console.error(`Seed ${report.seed}, ${report.rules.name}: ${summary}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { seededRandom, buildEntrants, playGame, simulate, toCsv, parseArgs, writeReport };
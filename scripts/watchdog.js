@@ -0,0 +1,240 @@
+// Timeout watchdog for ImprovedOnChainBattleship.
+//
+// Watches the current game of each of a set of accounts and claims forceTimeout()
+// for them as soon as the opponent runs out of time, then withdraws the winnings.
+// A game is only tracked while getPlayerGame() points at it, which covers play and
+// the reveal window after the last shot. Deadlines follow the contract's checks:
+//   Response timeout  our guess is unanswered: pendingGuess.timestamp + MOVE_TIMEOUT
+//   Move timeout      the opponent's turn to guess: their lastMoveTime (or gameStartTime,
+//                     whichever is later) + MOVE_TIMEOUT
+//   Reveal timeout    we revealed and the opponent has not: gameStartTime + REVEAL_TIMEOUT
+// Deadlines are measured against the latest block's timestamp, not the local clock, and
+// like the contract a timeout is only claimed once that timestamp is past its deadline.
+// In dry-run mode claims are simulated with eth_call and logged, never sent.
+//
+// Usage: CONTRACT_ADDRESS=0x... WATCHDOG_KEYS=0xkey1,0xkey2 [RPC_URL=http://127.0.0.1:8545]
+//        [WATCHDOG_INTERVAL=60] npm run watchdog
+//        CONTRACT_ADDRESS=0x... WATCH_ADDRESSES=0xabc,0xdef npm run watchdog -- --dry-run
+const { ethers } = require("ethers");
+const ChainClient = require("../chainclient.js");
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const Phase = { Setup: 0, Started: 1, Ended: 2, Cancelled: 3 };
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function errorMessage(error) {
+  return error.shortMessage || error.message;
+}
+
+function isoTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+// The timeout `account` can claim in a game and when, or null when it has none
+function timeoutFor(account, game, { moveTimeout, revealTimeout }) {
+  const seat = sameAddress(account, game.player1) ? "player1" : "player2";
+  const opponent = seat === "player1" ? "player2" : "player1";
+
+  if (game.phase === Phase.Started) {
+    if (game.pendingGuess) {
+      return sameAddress(game.pendingGuess.guesser, account)
+        ? { reason: "Response timeout", deadline: game.pendingGuess.timestamp + moveTimeout }
+        : null;
+    }
+    return sameAddress(game.currentGuesser, game[opponent])
+      ? { reason: "Move timeout", deadline: Math.max(game.lastMoveTime[opponent], game.gameStartTime) + moveTimeout }
+      : null;
+  }
+
+  if (game.phase === Phase.Ended && game.revealed[seat] && !game.revealed[opponent]) {
+    return { reason: "Reveal timeout", deadline: game.gameStartTime + revealTimeout };
+  }
+  return null;
+}
+
+function createWatchdog({ provider, address, signers = [], addresses = [], dryRun = false, log = console.log }) {
+  const contract = new ethers.Contract(ethers.getAddress(address), ChainClient.ABI, provider);
+  const accounts = [...signers.map((signer) => signer.address), ...addresses].map((account) => ethers.getAddress(account));
+  const signerOf = (account) => signers.find((signer) => sameAddress(signer.address, account));
+  if (!dryRun && accounts.some((account) => !signerOf(account))) {
+    throw new Error("Every watched address needs a signer unless running dry");
+  }
+
+  const reported = new Map(); // account -> last logged "gameId:reason:deadline"
+  let timeouts = null;
+  let timer = null;
+  let checking = null;
+
+  async function readTimeouts() {
+    if (!timeouts) {
+      const [moveTimeout, revealTimeout] = await Promise.all([contract.MOVE_TIMEOUT(), contract.REVEAL_TIMEOUT()]);
+      timeouts = { moveTimeout: Number(moveTimeout), revealTimeout: Number(revealTimeout) };
+    }
+    return timeouts;
+  }
+
+  async function readGame(gameId) {
+    const [game, pending, timers] = await Promise.all([
+      contract.getGame(gameId),
+      contract.getPendingGuess(gameId),
+      contract.getTimers(gameId)
+    ]);
+    return {
+      id: gameId,
+      phase: Number(game.gamePhase),
+      player1: game.player1,
+      player2: game.player2,
+      currentGuesser: game.currentGuesser,
+      pendingGuess: pending.guesser !== ethers.ZeroAddress
+        ? { guesser: pending.guesser, timestamp: Number(pending.timestamp) }
+        : null,
+      gameStartTime: Number(timers.gameStartTime),
+      lastMoveTime: { player1: Number(timers.player1LastMoveTime), player2: Number(timers.player2LastMoveTime) },
+      revealed: { player1: timers.player1Revealed, player2: timers.player2Revealed }
+    };
+  }
+
+  function report(account, key, message) {
+    if (reported.get(account) !== key) {
+      reported.set(account, key);
+      log(message);
+    }
+  }
+
+  async function claim(account, gameId, reason) {
+    if (dryRun) {
+      await contract.forceTimeout.staticCall(gameId, { from: account });
+      log(`[dry run] Game ${gameId}: would claim the ${reason} for ${account}`);
+      return { claimed: false, withdrawn: "0" };
+    }
+
+    const connected = contract.connect(signerOf(account));
+    const receipt = await (await connected.forceTimeout(gameId)).wait();
+    log(`Game ${gameId}: claimed the ${reason} for ${account} (tx ${receipt.hash})`);
+
+    const amount = await contract.getWithdrawableAmount(account);
+    if (amount === 0n) {
+      return { claimed: true, withdrawn: "0" };
+    }
+    try {
+      await (await connected.withdraw()).wait();
+    } catch (error) {
+      log(`${account} could not withdraw ${ethers.formatEther(amount)} ETH: ${errorMessage(error)}`);
+      return { claimed: true, withdrawn: "0", error: errorMessage(error) };
+    }
+    log(`${account} withdrew ${ethers.formatEther(amount)} ETH`);
+    return { claimed: true, withdrawn: amount.toString() };
+  }
+
+  async function checkAccount(account, now) {
+    const gameId = Number(await contract.getPlayerGame(account));
+    if (gameId === 0) {
+      reported.delete(account);
+      return { account, gameId: null, status: "idle" };
+    }
+
+    const game = await readGame(gameId);
+    const timeout = timeoutFor(account, game, await readTimeouts());
+    if (!timeout) {
+      report(account, `${gameId}`, `Game ${gameId}: nothing for ${account} to claim yet`);
+      return { account, gameId, status: "waiting" };
+    }
+
+    const { reason, deadline } = timeout;
+    if (now <= deadline) {
+      report(account, `${gameId}:${reason}:${deadline}`, `Game ${gameId}: ${reason} for ${account} at ${isoTime(deadline)}`);
+      return { account, gameId, status: "waiting", reason, deadline };
+    }
+
+    try {
+      const result = await claim(account, gameId, reason);
+      return { account, gameId, status: dryRun ? "dry run" : "claimed", reason, deadline, ...result };
+    } catch (error) {
+      log(`Game ${gameId}: claiming the ${reason} for ${account} failed: ${errorMessage(error)}`);
+      return { account, gameId, status: "failed", reason, deadline, error: errorMessage(error) };
+    }
+  }
+
+  async function runCheck() {
+    const { timestamp: now } = await provider.getBlock("latest");
+    const results = [];
+    for (const account of accounts) {
+      results.push(await checkAccount(account, now));
+    }
+    return results;
+  }
+
+  // Checks every account once; resolves with one { account, gameId, status, ... } each
+  function check() {
+    if (!checking) {
+      checking = runCheck().finally(() => {
+        checking = null;
+      });
+    }
+    return checking;
+  }
+
+  function start(interval = POLL_INTERVAL_MS) {
+    const poll = async () => {
+      try {
+        await check();
+      } catch (error) {
+        log(`Check failed: ${error.message}`);
+      }
+      if (timer) {
+        timer = setTimeout(poll, interval);
+      }
+    };
+    timer = setTimeout(poll, 0);
+  }
+
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (checking) {
+      await checking.catch(() => {});
+    }
+  }
+
+  return { accounts, check, start, stop };
+}
+
+if (require.main === module) {
+  require("dotenv").config();
+  const list = (value) => (value || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+
+  try {
+    if (!process.env.CONTRACT_ADDRESS) {
+      throw new Error("Set CONTRACT_ADDRESS to the deployed contract");
+    }
+    const dryRun = process.argv.includes("--dry-run") || process.env.DRY_RUN === "1";
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://127.0.0.1:8545");
+    const keys = list(process.env.WATCHDOG_KEYS || process.env.PRIVATE_KEY);
+    const watchdog = createWatchdog({
+      provider,
+      address: process.env.CONTRACT_ADDRESS,
+      signers: keys.map((key) => new ethers.Wallet(key, provider)),
+      addresses: list(process.env.WATCH_ADDRESSES),
+      dryRun
+    });
+    if (watchdog.accounts.length === 0) {
+      throw new Error("Set WATCHDOG_KEYS (or WATCH_ADDRESSES with --dry-run) to the accounts to watch");
+    }
+
+    watchdog.start(Number(process.env.WATCHDOG_INTERVAL || POLL_INTERVAL_MS / 1000) * 1000);
+    console.log(`Battleship watchdog${dryRun ? " (dry run)" : ""} watching ${watchdog.accounts.join(", ")}`);
+
+    process.once("SIGINT", async () => {
+      await watchdog.stop();
+      provider.destroy();
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { Phase, timeoutFor, createWatchdog };
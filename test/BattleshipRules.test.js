@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+
+const BattleshipRules = require("../rules.js");
+const RuleSets = require("../rulesets.js");
+
+// Every ship of the fleet along its own row from column 0: ship i on row 2i
+function placeFleet(game, side) {
+  game.fleet.forEach((ship, index) => game.placeShip(side, index, index * 2, 0, true));
+}
+
+function shipCellsOf(game, side) {
+  return game.boards[side].ships.flatMap((ship) => ship.positions);
+}
+
+function recorder(game) {
+  const events = [];
+  ["shipPlaced", "shipRemoved", "fleetCleared", "shot", "sunk", "turn", "gameOver"].forEach((name) => {
+    game.on(name, (payload) => events.push({ name, ...payload }));
+  });
+  return events;
+}
+
+describe("BattleshipRules", function () {
+  describe("boards", function () {
+    it("places ships only on free cells inside the board", function () {
+      const board = BattleshipRules.createBoard(10);
+
+      expect(BattleshipRules.canPlaceShip(board, 0, 6, 5, true)).to.equal(false);
+      expect(BattleshipRules.canPlaceShip(board, 6, 0, 5, false)).to.equal(false);
+      BattleshipRules.placeShip(board, 0, 0, 5, 5, true);
+      expect(board.cells[0].slice(5)).to.deep.equal([0, 0, 0, 0, 0]);
+
+      expect(BattleshipRules.canPlaceShip(board, 0, 7, 3, false)).to.equal(false);
+      expect(() => BattleshipRules.placeShip(board, 1, 0, 7, 3, false)).to.throw("Ship 1 cannot be placed at 0,7");
+      expect(() => BattleshipRules.placeShip(board, 0, 5, 5, 5, true)).to.throw("Ship 0 is already placed");
+      // A ship may overlap its own cells when it is being moved
+      expect(BattleshipRules.canPlaceShip(board, 0, 4, 5, true, 0)).to.equal(true);
+    });
+
+    it("marks misses, hits and every cell of a ship once it sinks", function () {
+      const board = BattleshipRules.createBoard(10);
+      BattleshipRules.placeShip(board, 0, 3, 3, 2, false);
+
+      expect(BattleshipRules.fire(board, 0, 0)).to.deep.equal({ row: 0, col: 0, hit: false, ship: null });
+      expect(BattleshipRules.fire(board, 3, 3)).to.deep.equal({ row: 3, col: 3, hit: true, ship: null });
+      expect(board.shots[3][3]).to.equal("hit");
+      expect(() => BattleshipRules.fire(board, 3, 3)).to.throw("Cannot fire at 3,3");
+      expect(BattleshipRules.canFire(board, 10, 0)).to.equal(false);
+      expect(BattleshipRules.allShipsSunk(board)).to.equal(false);
+
+      const sinking = BattleshipRules.fire(board, 4, 3);
+      expect(sinking.ship).to.include({ index: 0, hits: 2, sunk: true });
+      expect([board.shots[3][3], board.shots[4][3]]).to.deep.equal(["sunk", "sunk"]);
+      expect(BattleshipRules.allShipsSunk(board)).to.equal(true);
+      expect(BattleshipRules.remainingShipSizes(board)).to.deep.equal([]);
+    });
+
+    it("lets a ship be taken off only before it is fired at", function () {
+      const board = BattleshipRules.createBoard(10);
+      BattleshipRules.placeShip(board, 0, 0, 0, 3, true);
+      BattleshipRules.placeShip(board, 1, 2, 0, 2, true);
+
+      BattleshipRules.removeShip(board, 1);
+      expect(board.cells[2][0]).to.equal(null);
+      expect(() => BattleshipRules.removeShip(board, 1)).to.throw("Ship 1 is not placed");
+
+      BattleshipRules.fire(board, 0, 1);
+      expect(() => BattleshipRules.removeShip(board, 0)).to.throw("Ship 0 has been fired at");
+    });
+  });
+
+  describe("Game", function () {
+    function classicGame(options = {}) {
+      const game = new BattleshipRules.Game({ rules: RuleSets.fromPreset(options.preset || "classic") });
+      placeFleet(game, "player");
+      placeFleet(game, "enemy");
+      return game;
+    }
+
+    it("alternates turns and refuses shots out of turn", function () {
+      const game = classicGame();
+      const events = recorder(game);
+
+      expect(game.isFleetComplete("player")).to.equal(true);
+      game.fire("player", 9, 9);
+      expect(game.currentPlayer).to.equal("enemy");
+      expect(() => game.fire("player", 9, 8)).to.throw("Not player's turn");
+      expect(game.canFire("enemy", 9, 9)).to.equal(true);
+      game.fire("enemy", 0, 0);
+
+      expect(events).to.deep.equal([
+        { name: "shot", shooter: "player", target: "enemy", row: 9, col: 9, hit: false },
+        { name: "turn", player: "enemy" },
+        { name: "shot", shooter: "enemy", target: "player", row: 0, col: 0, hit: true },
+        { name: "turn", player: "player" }
+      ]);
+      expect(game.stats).to.deep.equal({ player: { hits: 0, misses: 1 }, enemy: { hits: 1, misses: 0 } });
+    });
+
+    it("ends the game when the last ship sinks", function () {
+      const game = classicGame();
+      const events = recorder(game);
+      const targets = shipCellsOf(game, "enemy");
+      // The odd rows are open water
+      const misses = [];
+      for (let row = 1; row < 10; row += 2) {
+        for (let col = 0; col < 10; col++) misses.push({ row, col });
+      }
+
+      targets.forEach((cell, turn) => {
+        game.fire("player", cell.row, cell.col);
+        if (turn < targets.length - 1) game.fire("enemy", misses[turn].row, misses[turn].col);
+      });
+
+      expect(game.gameOver).to.equal(true);
+      expect(game.winner).to.equal("player");
+      expect(game.isFleetDestroyed("enemy")).to.equal(true);
+      expect(events.filter((event) => event.name === "sunk").map((event) => event.ship.index)).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(events[events.length - 1]).to.deep.equal({ name: "gameOver", winner: "player" });
+      expect(() => game.fire("enemy", 9, 9)).to.throw("Game is over");
+    });
+
+    it("gives a salvo one shot per surviving ship and a hit another shot in shoot-again", function () {
+      const salvo = classicGame({ preset: "salvo" });
+      expect(salvo.shotsPerTurn("player")).to.equal(5);
+      [[9, 0], [9, 1], [9, 2], [9, 3]].forEach(([row, col]) => salvo.fire("player", row, col));
+      expect(salvo.shotsLeft()).to.equal(1);
+      salvo.fire("player", 9, 4);
+      expect(salvo.currentPlayer).to.equal("enemy");
+
+      const blitz = classicGame({ preset: "blitz" });
+      blitz.fire("player", 0, 0);
+      expect(blitz.currentPlayer).to.equal("player");
+      blitz.fire("player", 9, 9);
+      expect(blitz.currentPlayer).to.equal("enemy");
+    });
+
+    it("records results decided elsewhere, including the sunk ship's cells", function () {
+      const game = new BattleshipRules.Game({ rules: RuleSets.fromPreset("classic") });
+      placeFleet(game, "player");
+
+      game.applyResult("player", 5, 5, { hit: true });
+      game.fire("enemy", 9, 9);
+      game.applyResult("player", 5, 6, { hit: true, sunkShip: { index: 4, positions: [{ row: 5, col: 5 }, { row: 5, col: 6 }] } });
+
+      expect(game.boards.enemy.shots[5].slice(5, 7)).to.deep.equal(["sunk", "sunk"]);
+      expect(game.sunkCount("enemy")).to.equal(1);
+      expect(() => game.applyResult("enemy", 9, 9, { hit: false })).to.throw("Cannot fire at 9,9");
+    });
+
+    it("moves placed ships and round-trips through JSON", function () {
+      const game = classicGame();
+      const events = recorder(game);
+
+      expect(game.canMoveShip("player", 4, 6, 0, true)).to.equal(false);
+      game.moveShip("player", 4, 9, 5, true);
+      expect(events.map((event) => event.name)).to.deep.equal(["shipRemoved", "shipPlaced"]);
+      game.fire("player", 0, 0);
+
+      const restored = BattleshipRules.Game.fromJSON(JSON.parse(JSON.stringify(game.toJSON())));
+      expect(restored.toJSON()).to.deep.equal(game.toJSON());
+      expect(restored.currentPlayer).to.equal("enemy");
+      expect(restored.boards.player.cells[9].slice(5, 7)).to.deep.equal([4, 4]);
+
+      restored.endMatch("player");
+      expect(restored.winner).to.equal("player");
+    });
+  });
+});
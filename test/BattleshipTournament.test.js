@@ -0,0 +1,472 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const RuleSets = require("../rulesets.js");
+const { placedBoard, shipCells, reveal, playToEnd } = require("./helpers/boards.js");
+
+const ENTRY_FEE = ethers.parseEther("1");
+const CHALLENGE_STAKE = ethers.parseEther("0.001");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+const REVEAL_TIMEOUT = 7 * 24 * 60 * 60;
+const MATCH_START_TIMEOUT = 24 * 60 * 60;
+const CLASSIC = RuleSets.fromPreset("classic");
+const Status = { Registration: 0n, Running: 1n, Finished: 2n, Cancelled: 3n };
+const Decision = { Pending: 0n, Played: 1n, Bye: 2n, Walkover: 3n, NoShow: 4n };
+
+function committedBoard() {
+  const board = placedBoard(CLASSIC);
+  return { board, commitment: BoardCommitment.commit(board) };
+}
+
+// A private game from `creator` to `invitee`; accept() seats the invitee
+async function challengeGame(games, creator, invitee, { stake = CHALLENGE_STAKE, joinKey = ethers.ZeroAddress } = {}) {
+  const creatorBoard = committedBoard();
+  const inviteeBoard = committedBoard();
+  await games.connect(creator).createChallenge(
+    creatorBoard.commitment.root, creatorBoard.commitment.hashedMasterSalt, CLASSIC.gridSize,
+    CLASSIC.fleet.map((ship) => ship.size), invitee.address, joinKey, { value: stake }
+  );
+  const gameId = Number(await games.getPlayerGame(creator.address));
+  const accept = () => games.connect(invitee).acceptChallenge(
+    gameId, inviteeBoard.commitment.root, inviteeBoard.commitment.hashedMasterSalt, "0x", { value: stake });
+  return { gameId, creatorBoard, inviteeBoard, accept };
+}
+
+// `winner` fires first; the loser's false answer is slashed, which settles the game at once
+async function slashLoser(games, winner, loser, loserBoard) {
+  const cell = shipCells(loserBoard.board)[0];
+  await games.connect(winner).submitGuess(cell.x, cell.y);
+  const { cellSalt, proof } = BoardCommitment.prove(loserBoard.commitment, cell.x, cell.y);
+  await games.connect(loser).respondToGuess(false, cellSalt, proof);
+}
+
+// `winner` challenges the loser and wins by a slash
+async function playMatch(games, winner, loser) {
+  const { gameId, inviteeBoard, accept } = await challengeGame(games, winner, loser);
+  await accept();
+  await slashLoser(games, winner, loser, inviteeBoard);
+  return gameId;
+}
+
+describe("BattleshipTournament", function () {
+  async function deployFixture() {
+    const [organizer, ...players] = await ethers.getSigners();
+    const games = await ethers.deployContract("ImprovedOnChainBattleship");
+    const tournament = await ethers.deployContract("BattleshipTournament", [games.target]);
+    return { games, tournament, organizer, players };
+  }
+
+  async function create(tournament, organizer, { fee = ENTRY_FEE, cap = 4, shares = [7000, 3000] } = {}) {
+    await tournament.connect(organizer).createTournament(fee, cap, shares);
+    return Number(await tournament.totalTournaments());
+  }
+
+  async function register(tournament, tournamentId, players, fee = ENTRY_FEE) {
+    for (const player of players) {
+      await tournament.connect(player).join(tournamentId, { value: fee });
+    }
+  }
+
+  // Four players, the bracket full and round 1 paired: (p0, p1) and (p2, p3)
+  async function startedFixture() {
+    const fixture = await deployFixture();
+    const { tournament, organizer, players } = fixture;
+    const tournamentId = await create(tournament, organizer);
+    await register(tournament, tournamentId, players.slice(0, 4));
+    return { ...fixture, tournamentId, p: players.slice(0, 4) };
+  }
+
+  async function round(tournament, tournamentId, number) {
+    return (await tournament.getRound(tournamentId, number)).map((match) => ({
+      player1: match.player1,
+      player2: match.player2,
+      winner: match.winner,
+      gameId: Number(match.gameId),
+      decision: match.decision
+    }));
+  }
+
+  describe("Registration", function () {
+    it("checks the player cap and the payout shares", async function () {
+      const { tournament, organizer } = await loadFixture(deployFixture);
+
+      await expect(tournament.createTournament(ENTRY_FEE, 1, [10000])).to.be.revertedWith("Invalid player cap");
+      await expect(tournament.createTournament(ENTRY_FEE, 65, [10000])).to.be.revertedWith("Invalid player cap");
+      await expect(tournament.createTournament(ENTRY_FEE, 8, [])).to.be.revertedWith("Invalid payout shares");
+      await expect(tournament.createTournament(ENTRY_FEE, 8, [5000, 4000])).to.be.revertedWith("Payout shares must add up to 10000");
+
+      await expect(tournament.connect(organizer).createTournament(ENTRY_FEE, 8, [6000, 3000, 1000]))
+        .to.emit(tournament, "TournamentCreated")
+        .withArgs(1, organizer.address, ENTRY_FEE, 8);
+      expect(await tournament.getPayoutShares(1)).to.deep.equal([6000n, 3000n, 1000n]);
+    });
+
+    it("takes the entry fee once per player and starts when the cap is reached", async function () {
+      const { tournament, organizer, players } = await loadFixture(deployFixture);
+      const tournamentId = await create(tournament, organizer, { cap: 3 });
+
+      await expect(tournament.connect(players[0]).join(tournamentId, { value: ENTRY_FEE / 2n })).to.be.revertedWith("Wrong entry fee");
+      await register(tournament, tournamentId, players.slice(0, 2));
+      await expect(tournament.connect(players[0]).join(tournamentId, { value: ENTRY_FEE })).to.be.revertedWith("Already registered");
+      await expect(tournament.join(9, { value: ENTRY_FEE })).to.be.revertedWith("Tournament does not exist");
+
+      const last = tournament.connect(players[2]).join(tournamentId, { value: ENTRY_FEE });
+      await expect(last).to.emit(tournament, "TournamentStarted").withArgs(tournamentId, 3);
+      await expect(last).to.emit(tournament, "RoundStarted").withArgs(tournamentId, 1, 2, 0);
+      const info = await tournament.getTournament(tournamentId);
+      expect(info.status).to.equal(Status.Running);
+      expect(info.round).to.equal(1);
+      expect(info.prizePool).to.equal(ENTRY_FEE * 3n);
+      await expect(tournament.connect(players[3]).join(tournamentId, { value: ENTRY_FEE })).to.be.revertedWith("Registration closed");
+    });
+
+    it("refunds players who leave, keeping everyone else's seeding", async function () {
+      const { tournament, organizer, players } = await loadFixture(deployFixture);
+      const tournamentId = await create(tournament, organizer, { cap: 8 });
+      await register(tournament, tournamentId, players.slice(0, 4));
+
+      await expect(tournament.connect(players[1]).leave(tournamentId))
+        .to.emit(tournament, "PlayerLeft").withArgs(tournamentId, players[1].address);
+      await expect(tournament.connect(players[1]).leave(tournamentId)).to.be.revertedWith("Not registered");
+      expect(await tournament.getPlayers(tournamentId)).to.deep.equal([players[0], players[2], players[3]].map((p) => p.address));
+      expect(await tournament.withdrawable(players[1].address)).to.equal(ENTRY_FEE);
+      expect((await tournament.getTournament(tournamentId)).prizePool).to.equal(ENTRY_FEE * 3n);
+
+      await expect(tournament.connect(players[1]).withdraw()).to.changeEtherBalances([players[1], tournament], [ENTRY_FEE, -ENTRY_FEE]);
+      await expect(tournament.connect(players[1]).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("lets only the organizer start early or call the bracket off", async function () {
+      const { tournament, organizer, players } = await loadFixture(deployFixture);
+      const tournamentId = await create(tournament, organizer, { cap: 8 });
+      await register(tournament, tournamentId, players.slice(0, 1));
+
+      await expect(tournament.connect(players[0]).start(tournamentId)).to.be.revertedWith("Only the organizer");
+      await expect(tournament.connect(organizer).start(tournamentId)).to.be.revertedWith("Not enough players");
+      await register(tournament, tournamentId, players.slice(1, 3));
+
+      await expect(tournament.connect(players[0]).cancel(tournamentId)).to.be.revertedWith("Only the organizer");
+      await expect(tournament.connect(organizer).cancel(tournamentId)).to.emit(tournament, "TournamentCancelled");
+      for (const player of players.slice(0, 3)) {
+        expect(await tournament.withdrawable(player.address)).to.equal(ENTRY_FEE);
+      }
+      await expect(tournament.connect(organizer).start(tournamentId)).to.be.revertedWith("Registration closed");
+    });
+  });
+
+  describe("Bracket progression", function () {
+    it("pairs players in seeding order and takes results from settled games", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+
+      expect(await round(tournament, tournamentId, 1)).to.deep.equal([
+        { player1: p[0].address, player2: p[1].address, winner: ethers.ZeroAddress, gameId: 0, decision: Decision.Pending },
+        { player1: p[2].address, player2: p[3].address, winner: ethers.ZeroAddress, gameId: 0, decision: Decision.Pending }
+      ]);
+
+      // Player 2 seed wins as the challenger
+      const first = await playMatch(games, p[1], p[0]);
+      await expect(tournament.reportResult(tournamentId, 0, first))
+        .to.emit(tournament, "MatchDecided")
+        .withArgs(tournamentId, 1, 0, p[1].address, first, Decision.Played);
+      await expect(tournament.reportResult(tournamentId, 0, first)).to.be.revertedWith("Match already decided");
+      expect(await tournament.eliminatedIn(tournamentId, p[0].address)).to.equal(1);
+
+      const second = await playMatch(games, p[2], p[3]);
+      await expect(tournament.reportResult(tournamentId, 1, second))
+        .to.emit(tournament, "RoundStarted").withArgs(tournamentId, 2, 1, second);
+      expect(await round(tournament, tournamentId, 2)).to.deep.equal([
+        { player1: p[1].address, player2: p[2].address, winner: ethers.ZeroAddress, gameId: 0, decision: Decision.Pending }
+      ]);
+
+      // The final is played to the last ship; it counts once both boards are revealed
+      const final = await challengeGame(games, p[2], p[1]);
+      await final.accept();
+      await playToEnd(games, {
+        alice: p[2], bob: p[1],
+        aliceBoard: final.creatorBoard.board, aliceCommitment: final.creatorBoard.commitment,
+        bobCommitment: final.inviteeBoard.commitment
+      }, final.inviteeBoard.board);
+      await reveal(games, p[2], final.creatorBoard.commitment);
+      await expect(tournament.reportResult(tournamentId, 0, final.gameId)).to.be.revertedWith("Game not settled");
+      await reveal(games, p[1], final.inviteeBoard.commitment);
+
+      await expect(tournament.reportResult(tournamentId, 0, final.gameId))
+        .to.emit(tournament, "TournamentFinished").withArgs(tournamentId, p[2].address);
+      const info = await tournament.getTournament(tournamentId);
+      expect(info.status).to.equal(Status.Finished);
+      expect(info.champion).to.equal(p[2].address);
+      expect(info.prizePool).to.equal(0);
+      await expect(tournament.reportResult(tournamentId, 0, final.gameId)).to.be.revertedWith("Tournament not running");
+    });
+
+    it("only counts a settled game between the match's players from the current round, once", async function () {
+      const { games, tournament, organizer, players } = await loadFixture(deployFixture);
+      const [a, b, c, d] = players;
+      const older = await playMatch(games, a, b);
+      const tournamentId = await create(tournament, organizer);
+      await register(tournament, tournamentId, [a, b, c, d]);
+
+      await expect(tournament.reportResult(tournamentId, 0, older)).to.be.revertedWith("Game is older than the round");
+      const wrongPair = await playMatch(games, a, c);
+      await expect(tournament.reportResult(tournamentId, 0, wrongPair)).to.be.revertedWith("Not a game between these players");
+      await expect(tournament.reportResult(tournamentId, 2, wrongPair)).to.be.revertedWith("No such match");
+
+      // An unanswered challenge has no second player yet
+      const { gameId, accept } = await challengeGame(games, b, a);
+      await expect(tournament.reportResult(tournamentId, 0, gameId)).to.be.revertedWith("Not a game between these players");
+      await accept();
+      await expect(tournament.reportResult(tournamentId, 0, gameId)).to.be.revertedWith("Game not settled");
+
+      const played = await playMatch(games, c, d);
+      await tournament.reportResult(tournamentId, 1, played);
+      expect((await round(tournament, tournamentId, 1))[1].winner).to.equal(c.address);
+      await expect(tournament.reportResult(tournamentId, 0, played)).to.be.revertedWith("Game already decided a match");
+    });
+
+    it("gives the odd player out a bye and pays the pool by placement", async function () {
+      const { games, tournament, organizer, players } = await loadFixture(deployFixture);
+      const p = players.slice(0, 5);
+      const tournamentId = await create(tournament, organizer, { cap: 5, shares: [6000, 3000, 1000] });
+      await register(tournament, tournamentId, p);
+
+      // Round 1: (p0, p1), (p2, p3) and a bye for p4
+      const first = await round(tournament, tournamentId, 1);
+      expect(first[2]).to.deep.equal({ player1: p[4].address, player2: ethers.ZeroAddress, winner: p[4].address, gameId: 0, decision: Decision.Bye });
+      await tournament.reportResult(tournamentId, 0, await playMatch(games, p[0], p[1]));
+      await tournament.reportResult(tournamentId, 1, await playMatch(games, p[3], p[2]));
+
+      // Round 2: (p0, p3) and a bye for p4; round 3 is the final
+      expect((await round(tournament, tournamentId, 2)).map((match) => [match.player1, match.player2]))
+        .to.deep.equal([[p[0].address, p[3].address], [p[4].address, ethers.ZeroAddress]]);
+      await tournament.reportResult(tournamentId, 0, await playMatch(games, p[3], p[0]));
+      const final = await playMatch(games, p[4], p[3]);
+      const settlement = tournament.reportResult(tournamentId, 0, final);
+
+      const pool = ENTRY_FEE * 5n;
+      await expect(settlement).to.emit(tournament, "PrizeAwarded").withArgs(tournamentId, p[4].address, 1, pool * 6000n / 10000n);
+      await expect(settlement).to.emit(tournament, "PrizeAwarded").withArgs(tournamentId, p[3].address, 2, pool * 3000n / 10000n);
+      await expect(settlement).to.emit(tournament, "PrizeAwarded").withArgs(tournamentId, p[0].address, 3, pool * 1000n / 10000n);
+      expect(await tournament.withdrawable(p[1].address)).to.equal(0);
+      expect(await tournament.withdrawable(p[2].address)).to.equal(0);
+      await expect(tournament.connect(p[4]).withdraw()).to.changeEtherBalance(p[4], pool * 6000n / 10000n);
+    });
+
+    it("shares a placement between everyone who went out in the same round", async function () {
+      const { games, tournament, organizer, players } = await loadFixture(deployFixture);
+      const p = players.slice(0, 4);
+      const tournamentId = await create(tournament, organizer, { shares: [5000, 2000, 3000] });
+      await register(tournament, tournamentId, p);
+
+      await tournament.reportResult(tournamentId, 0, await playMatch(games, p[0], p[1]));
+      await tournament.reportResult(tournamentId, 1, await playMatch(games, p[2], p[3]));
+      await tournament.reportResult(tournamentId, 0, await playMatch(games, p[0], p[2]));
+
+      const pool = ENTRY_FEE * 4n;
+      expect(await tournament.withdrawable(p[0].address)).to.equal(pool / 2n);
+      expect(await tournament.withdrawable(p[2].address)).to.equal(pool / 5n);
+      expect(await tournament.withdrawable(p[1].address)).to.equal(pool * 3n / 20n);
+      expect(await tournament.withdrawable(p[3].address)).to.equal(pool * 3n / 20n);
+      expect(await ethers.provider.getBalance(tournament.target)).to.equal(pool);
+    });
+  });
+
+  describe("Walkovers and timeouts", function () {
+    it("advances the player who claims a move timeout in the match game", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+      const { gameId, accept } = await challengeGame(games, p[0], p[1]);
+      await accept();
+
+      // p0 fires first but never does; p1 claims the game
+      await time.increase(MOVE_TIMEOUT + 1);
+      await games.connect(p[1]).forceTimeout(gameId);
+      await expect(tournament.reportResult(tournamentId, 0, gameId))
+        .to.emit(tournament, "MatchDecided")
+        .withArgs(tournamentId, 1, 0, p[1].address, gameId, Decision.Played);
+    });
+
+    it("gives a walkover to a challenger whose opponent never accepts", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+      const { gameId } = await challengeGame(games, p[3], p[2]);
+      await tournament.openMatch(tournamentId, 1, gameId);
+
+      await expect(tournament.claimWalkover(tournamentId, 1)).to.be.revertedWith("Match start timeout not reached");
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.claimWalkover(tournamentId, 1))
+        .to.emit(tournament, "MatchDecided")
+        .withArgs(tournamentId, 1, 1, p[3].address, gameId, Decision.Walkover);
+      expect(await tournament.eliminatedIn(tournamentId, p[2].address)).to.equal(1);
+
+      // The unanswered challenge can still be cancelled for its stake
+      await games.connect(p[3]).cancelGame(gameId);
+    });
+
+    it("records one challenge per match, from one of its players to the other", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+      const { gameId: elsewhere } = await challengeGame(games, p[2], p[0]);
+      const { gameId: first } = await challengeGame(games, p[1], p[0]);
+
+      await expect(tournament.openMatch(tournamentId, 0, elsewhere)).to.be.revertedWith("Not a challenge between these players");
+      await expect(tournament.openMatch(tournamentId, 0, first))
+        .to.emit(tournament, "MatchOpened")
+        .withArgs(tournamentId, 1, 0, first);
+
+      // p0 answers with a challenge of their own; it only counts once p1 calls theirs off
+      await games.connect(p[2]).cancelGame(elsewhere);
+      const { gameId: second } = await challengeGame(games, p[0], p[1]);
+      await expect(tournament.openMatch(tournamentId, 0, second)).to.be.revertedWith("Match game already recorded");
+      await games.connect(p[1]).cancelGame(first);
+      await expect(tournament.openMatch(tournamentId, 0, first)).to.be.revertedWith("Challenge cancelled");
+      await tournament.openMatch(tournamentId, 0, second);
+
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.claimWalkover(tournamentId, 0))
+        .to.emit(tournament, "MatchDecided")
+        .withArgs(tournamentId, 1, 0, p[0].address, second, Decision.Walkover);
+    });
+
+    it("only records a challenge the opponent can accept", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+
+      // A join code the opponent was never given
+      const { gameId: secret } = await challengeGame(games, p[0], p[1], { joinKey: ethers.Wallet.createRandom().address });
+      await expect(tournament.openMatch(tournamentId, 0, secret)).to.be.revertedWith("Challenge needs a join code");
+      await games.connect(p[0]).cancelGame(secret);
+
+      // A stake the opponent may not be able to match
+      const { gameId: costly } = await challengeGame(games, p[0], p[1], { stake: ENTRY_FEE * 5n });
+      await expect(tournament.openMatch(tournamentId, 0, costly)).to.be.revertedWith("Wrong match stake");
+      await games.connect(p[0]).cancelGame(costly);
+
+      const { gameId } = await challengeGame(games, p[0], p[1]);
+      await tournament.openMatch(tournamentId, 0, gameId);
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.claimWalkover(tournamentId, 0))
+        .to.emit(tournament, "MatchDecided")
+        .withArgs(tournamentId, 1, 0, p[0].address, gameId, Decision.Walkover);
+    });
+
+    it("gives the opponent the full timeout to accept a challenge recorded late in the round", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+      await time.increase(MATCH_START_TIMEOUT - 60);
+      const { gameId, accept } = await challengeGame(games, p[2], p[3]);
+      await tournament.openMatch(tournamentId, 1, gameId);
+      const opened = await time.latest();
+      expect((await round(tournament, tournamentId, 1))[1].gameId).to.equal(gameId);
+
+      await time.increase(120);
+      await expect(tournament.claimWalkover(tournamentId, 1)).to.be.revertedWith("Challenge acceptance timeout not reached");
+      // Mined at the deadline itself, the claim is still early
+      await time.setNextBlockTimestamp(opened + MATCH_START_TIMEOUT);
+      await expect(tournament.claimWalkover(tournamentId, 1)).to.be.revertedWith("Challenge acceptance timeout not reached");
+
+      // The opponent accepts before anyone claims, so the match is played instead
+      await accept();
+      await expect(tournament.claimWalkover(tournamentId, 1)).to.be.revertedWith("Match game in play");
+    });
+
+    it("refuses a walkover while the match game is under way", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+      const { gameId, accept } = await challengeGame(games, p[0], p[1]);
+      await tournament.openMatch(tournamentId, 0, gameId);
+      await accept();
+
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.claimWalkover(tournamentId, 0)).to.be.revertedWith("Match game in play");
+
+      // A challenge that was never recorded does not count as showing up
+      await challengeGame(games, p[2], p[3]);
+      await expect(tournament.claimWalkover(tournamentId, 1))
+        .to.emit(tournament, "MatchDecided")
+        .withArgs(tournamentId, 1, 1, ethers.ZeroAddress, 0, Decision.NoShow);
+    });
+
+    it("refuses a walkover for a match game that was played but not yet reported", async function () {
+      const { games, tournament, organizer, players } = await loadFixture(deployFixture);
+      const [winner, loser] = players;
+      const tournamentId = await create(tournament, organizer, { cap: 2, shares: [10000] });
+      await register(tournament, tournamentId, [winner, loser]);
+
+      const { gameId, inviteeBoard, accept } = await challengeGame(games, winner, loser);
+      await tournament.openMatch(tournamentId, 0, gameId);
+      await accept();
+      await slashLoser(games, winner, loser, inviteeBoard);
+      expect(await games.getPlayerGame(winner.address)).to.equal(0);
+
+      // The loser tries to turn the lost match into a no-show before the result is in
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.connect(loser).claimWalkover(tournamentId, 0)).to.be.revertedWith("Match game played; report its result");
+
+      await expect(tournament.connect(loser).reportResult(tournamentId, 0, gameId))
+        .to.emit(tournament, "TournamentFinished").withArgs(tournamentId, winner.address);
+      expect(await tournament.withdrawable(winner.address)).to.equal(ENTRY_FEE * 2n);
+      expect(await tournament.withdrawable(organizer.address)).to.equal(0);
+    });
+
+    it("puts both players out when neither reveals a game played to the last ship", async function () {
+      const { games, tournament, tournamentId, p } = await loadFixture(startedFixture);
+      const match = await challengeGame(games, p[0], p[1]);
+      await tournament.openMatch(tournamentId, 0, match.gameId);
+      await match.accept();
+      await playToEnd(games, {
+        alice: p[0], bob: p[1],
+        aliceBoard: match.creatorBoard.board, aliceCommitment: match.creatorBoard.commitment,
+        bobCommitment: match.inviteeBoard.commitment
+      }, match.inviteeBoard.board);
+
+      // The game can only settle once a board is revealed; until the reveal timeout the players may still do so
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.claimWalkover(tournamentId, 0)).to.be.revertedWith("Match game in play");
+      await expect(tournament.reportResult(tournamentId, 0, match.gameId)).to.be.revertedWith("Game not settled");
+
+      await time.increase(REVEAL_TIMEOUT);
+      await expect(tournament.claimWalkover(tournamentId, 0))
+        .to.emit(tournament, "MatchDecided")
+        .withArgs(tournamentId, 1, 0, ethers.ZeroAddress, match.gameId, Decision.NoShow);
+      expect(await tournament.forfeited(tournamentId, p[0].address)).to.equal(true);
+      expect(await tournament.forfeited(tournamentId, p[1].address)).to.equal(true);
+    });
+
+    it("puts both no-shows out without a prize", async function () {
+      const { games, tournament, organizer, players } = await loadFixture(deployFixture);
+      const p = players.slice(0, 6);
+      const tournamentId = await create(tournament, organizer, { cap: 6, shares: [5000, 3000, 2000] });
+      await register(tournament, tournamentId, p);
+
+      // Round 1: (p0, p1) never play, p3 beats p2, p4 beats p5
+      await tournament.reportResult(tournamentId, 1, await playMatch(games, p[3], p[2]));
+      await tournament.reportResult(tournamentId, 2, await playMatch(games, p[4], p[5]));
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.claimWalkover(tournamentId, 0))
+        .to.emit(tournament, "RoundStarted").withArgs(tournamentId, 2, 1, await games.getTotalGames());
+      expect(await tournament.forfeited(tournamentId, p[0].address)).to.equal(true);
+
+      // Round 2 is the final between the two winners
+      expect((await round(tournament, tournamentId, 2)).map((match) => [match.player1, match.player2]))
+        .to.deep.equal([[p[3].address, p[4].address]]);
+      await tournament.reportResult(tournamentId, 0, await playMatch(games, p[4], p[3]));
+
+      // 3rd-4th place is shared by the round 1 losers who played; the no-shows' part goes to the champion
+      const pool = ENTRY_FEE * 6n;
+      const third = pool * 2000n / 10000n / 2n;
+      expect(await tournament.withdrawable(p[3].address)).to.equal(pool * 3000n / 10000n);
+      expect(await tournament.withdrawable(p[2].address)).to.equal(third);
+      expect(await tournament.withdrawable(p[5].address)).to.equal(third);
+      expect(await tournament.withdrawable(p[0].address)).to.equal(0);
+      expect(await tournament.withdrawable(p[1].address)).to.equal(0);
+      expect(await tournament.withdrawable(p[4].address)).to.equal(pool - pool * 3000n / 10000n - 2n * third);
+    });
+
+    it("finishes without a champion when the final is a no-show, paying the rest to the organizer", async function () {
+      const { tournament, organizer, players } = await loadFixture(deployFixture);
+      const tournamentId = await create(tournament, organizer, { cap: 2, shares: [10000] });
+      await register(tournament, tournamentId, players.slice(0, 2));
+
+      await time.increase(MATCH_START_TIMEOUT + 1);
+      await expect(tournament.claimWalkover(tournamentId, 0))
+        .to.emit(tournament, "TournamentFinished").withArgs(tournamentId, ethers.ZeroAddress);
+      expect(await tournament.withdrawable(organizer.address)).to.equal(ENTRY_FEE * 2n);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const RuleSets = require("../rulesets.js");
+const { placedBoard, shipCells, waterCells, respond, reveal, playToEnd } = require("./helpers/boards.js");
+
+const STAKE = ethers.parseEther("0.1");
+const Reason = { InvalidProof: 2n, IllegalBoard: 3n };
+
+describe("BoardCommitment", function () {
+  async function startedGameFixture() {
+    const [, alice, bob] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+
+    const rules = RuleSets.fromPreset("classic");
+    const aliceBoard = placedBoard(rules);
+    const bobBoard = placedBoard(rules);
+    const aliceCommitment = BoardCommitment.commit(aliceBoard);
+    const bobCommitment = BoardCommitment.commit(bobBoard);
+
+    await contract.connect(alice).commitBoard(aliceCommitment.root, aliceCommitment.hashedMasterSalt, { value: STAKE });
+    await contract.connect(bob).commitBoard(bobCommitment.root, bobCommitment.hashedMasterSalt, { value: STAKE });
+
+    return { contract, alice, bob, aliceBoard, bobBoard, aliceCommitment, bobCommitment };
+  }
+
+  describe("commit", function () {
+    it("builds one leaf per cell and a 32-byte root", function () {
+      const board = placedBoard(RuleSets.fromPreset("classic"));
+      const commitment = BoardCommitment.commit(board);
+
+      expect(commitment.layers[0]).to.have.length(100);
+      expect(commitment.hits.filter(Boolean)).to.have.length(17);
+      expect(commitment.root).to.match(/^0x[0-9a-f]{64}$/);
+      expect(commitment.hashedMasterSalt).to.equal(ethers.keccak256(commitment.masterSalt));
+    });
+
+    it("is deterministic for a given master salt", function () {
+      const board = placedBoard(RuleSets.fromPreset("classic"));
+      const masterSalt = BoardCommitment.randomSalt();
+
+      expect(BoardCommitment.commit(board, masterSalt).root).to.equal(BoardCommitment.commit(board, masterSalt).root);
+      expect(BoardCommitment.commit(board).root).to.not.equal(BoardCommitment.commit(board).root);
+    });
+
+    it("derives a distinct salt for every cell", function () {
+      const masterSalt = BoardCommitment.randomSalt();
+      const salts = new Set();
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) {
+          salts.add(BoardCommitment.cellSalt(masterSalt, x, y));
+        }
+      }
+      expect(salts.size).to.equal(100);
+    });
+
+    it("proves every cell against the root", function () {
+      const board = placedBoard(RuleSets.fromPreset("classic"));
+      const commitment = BoardCommitment.commit(board);
+
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) {
+          const { hit, cellSalt, proof } = BoardCommitment.prove(commitment, x, y);
+          expect(hit).to.equal(board.cells[y][x] !== null);
+          expect(BoardCommitment.verify(commitment.root, x, y, hit, cellSalt, proof)).to.equal(true);
+          expect(BoardCommitment.verify(commitment.root, x, y, !hit, cellSalt, proof)).to.equal(false);
+          expect(BoardCommitment.verify(commitment.root, (x + 1) % 10, y, hit, cellSalt, proof)).to.equal(false);
+        }
+      }
+    });
+
+    it("rejects cells off the board", function () {
+      const commitment = BoardCommitment.commit(placedBoard(RuleSets.fromPreset("classic")));
+      expect(() => BoardCommitment.prove(commitment, 10, 0)).to.throw("off the board");
+    });
+
+    it("reveals the ship cells as a bitmap and the ships in fleet order", function () {
+      const board = placedBoard(RuleSets.fromPreset("classic"));
+      const { board: bitmap, ships } = BoardCommitment.reveal(BoardCommitment.commit(board));
+
+      shipCells(board).forEach(({ x, y }) => expect((bitmap >> BigInt(y * 10 + x)) & 1n).to.equal(1n));
+      expect(bitmap.toString(2).split("").filter((bit) => bit === "1")).to.have.length(17);
+      expect(ships).to.have.length(5);
+      board.ships.forEach((ship) => {
+        expect(ships[ship.index].x).to.equal(ship.positions[0].col);
+        expect(ships[ship.index].y).to.equal(ship.positions[0].row);
+      });
+    });
+  });
+
+  describe("against the contract", function () {
+    it("accepts proofs for hits and misses", async function () {
+      const { contract, alice, bob, aliceBoard, bobBoard, aliceCommitment, bobCommitment } =
+        await loadFixture(startedGameFixture);
+      const hit = shipCells(bobBoard)[0];
+      const miss = waterCells(bobBoard)[0];
+
+      await contract.connect(alice).submitGuess(hit.x, hit.y);
+      await expect(respond(contract, bob, bobCommitment, hit.x, hit.y))
+        .to.emit(contract, "GuessResponded")
+        .withArgs(1, bob.address, true);
+
+      const aliceMiss = waterCells(aliceBoard)[0];
+      await contract.connect(bob).submitGuess(aliceMiss.x, aliceMiss.y);
+      await expect(respond(contract, alice, aliceCommitment, aliceMiss.x, aliceMiss.y))
+        .to.emit(contract, "GuessResponded")
+        .withArgs(1, alice.address, false);
+
+      await contract.connect(alice).submitGuess(miss.x, miss.y);
+      await expect(respond(contract, bob, bobCommitment, miss.x, miss.y))
+        .to.emit(contract, "GuessResponded")
+        .withArgs(1, bob.address, false);
+    });
+
+    it("slashes a proof for a different cell than the one guessed", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const [guess, other] = waterCells(bobBoard);
+      const { hit, cellSalt, proof } = BoardCommitment.prove(bobCommitment, other.x, other.y);
+
+      await contract.connect(alice).submitGuess(guess.x, guess.y);
+      await expect(contract.connect(bob).respondToGuess(hit, cellSalt, proof))
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, bob.address, STAKE, Reason.InvalidProof);
+    });
+
+    it("slashes an answer that does not match the committed board", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const hit = shipCells(bobBoard)[0];
+      const { cellSalt, proof } = BoardCommitment.prove(bobCommitment, hit.x, hit.y);
+
+      await contract.connect(alice).submitGuess(hit.x, hit.y);
+      await expect(contract.connect(bob).respondToGuess(false, cellSalt, proof))
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, bob.address, STAKE, Reason.InvalidProof);
+    });
+
+    it("plays a full game and reveals both boards", async function () {
+      const fixture = await loadFixture(startedGameFixture);
+      const { contract, alice, bob, aliceCommitment, bobCommitment } = fixture;
+      await playToEnd(contract, fixture, fixture.bobBoard);
+
+      const game = await contract.getGame(1);
+      expect(game.winner).to.equal(alice.address);
+      expect(game.player2HitsAgainst).to.equal(17);
+
+      await expect(reveal(contract, alice, aliceCommitment))
+        .to.emit(contract, "SaltRevealed")
+        .withArgs(1, alice.address);
+      await expect(reveal(contract, bob, bobCommitment))
+        .to.emit(contract, "SaltRevealed")
+        .withArgs(1, bob.address);
+    });
+
+    it("rejects a revealed board that does not rebuild the committed root", async function () {
+      const fixture = await loadFixture(startedGameFixture);
+      const { contract, bob, bobCommitment } = fixture;
+      await playToEnd(contract, fixture, fixture.bobBoard);
+
+      const { masterSalt, board, ships } = BoardCommitment.reveal(bobCommitment);
+      await expect(contract.connect(bob).revealMasterSalt(masterSalt, board ^ 1n, ships))
+        .to.be.revertedWith("Board does not match commitment");
+    });
+
+    it("slashes a committed board that does not hold the fleet", async function () {
+      const [, alice, bob] = await ethers.getSigners();
+      const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+      const rules = RuleSets.fromPreset("classic");
+      const aliceBoard = placedBoard(rules);
+      const aliceCommitment = BoardCommitment.commit(aliceBoard);
+
+      // Bob drops one cell of his destroyer, so sixteen hits can never sink him
+      const bobBoard = placedBoard(rules);
+      const destroyer = bobBoard.ships.find((ship) => ship.index === 4).positions[0];
+      bobBoard.cells[destroyer.row][destroyer.col] = null;
+      const bobCommitment = BoardCommitment.commit(bobBoard);
+
+      await contract.connect(alice).commitBoard(aliceCommitment.root, aliceCommitment.hashedMasterSalt, { value: STAKE });
+      await contract.connect(bob).commitBoard(bobCommitment.root, bobCommitment.hashedMasterSalt, { value: STAKE });
+
+      // Bob wins on hits: Alice runs out of ship cells to find, Bob sinks her fleet
+      const aliceCells = shipCells(aliceBoard);
+      const bobWater = waterCells(bobBoard);
+      for (let turn = 0; turn < aliceCells.length; turn++) {
+        const miss = bobWater[turn];
+        await contract.connect(alice).submitGuess(miss.x, miss.y);
+        await respond(contract, bob, bobCommitment, miss.x, miss.y);
+
+        const target = aliceCells[turn];
+        await contract.connect(bob).submitGuess(target.x, target.y);
+        await respond(contract, alice, aliceCommitment, target.x, target.y);
+      }
+      expect((await contract.getGame(1)).winner).to.equal(bob.address);
+
+      await expect(reveal(contract, bob, bobCommitment))
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, bob.address, STAKE, Reason.IllegalBoard);
+      expect((await contract.getGame(1)).winner).to.equal(alice.address);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(0);
+    });
+
+    it("commits boards played with custom rules", async function () {
+      const [, alice, bob] = await ethers.getSigners();
+      const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+      const rules = RuleSets.fromPreset("skirmish");
+      const shipSizes = rules.fleet.map((ship) => ship.size);
+      const aliceCommitment = BoardCommitment.commit(placedBoard(rules));
+      const bobBoard = placedBoard(rules);
+      const bobCommitment = BoardCommitment.commit(bobBoard);
+
+      expect(bobCommitment.layers[0]).to.have.length(64);
+
+      await contract.connect(alice)
+        .commitBoardWithRules(aliceCommitment.root, aliceCommitment.hashedMasterSalt, rules.gridSize, shipSizes, { value: STAKE });
+      await contract.connect(bob)
+        .commitBoardWithRules(bobCommitment.root, bobCommitment.hashedMasterSalt, rules.gridSize, shipSizes, { value: STAKE });
+
+      const corner = { x: 7, y: 7 };
+      await contract.connect(alice).submitGuess(corner.x, corner.y);
+      await expect(respond(contract, bob, bobCommitment, corner.x, corner.y))
+        .to.emit(contract, "GuessResponded")
+        .withArgs(1, bob.address, bobBoard.cells[corner.y][corner.x] !== null);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const ChainClient = require("../chainclient.js");
+const GameRecord = require("../gamerecord.js");
+const RuleSets = require("../rulesets.js");
+const { placedBoard, shipCells, waterCells } = require("./helpers/boards.js");
+
+const CLASSIC = RuleSets.fromPreset("classic");
+const STAKE = ethers.parseEther("0.1");
+
+function committedBoard() {
+  const board = placedBoard(CLASSIC);
+  return { board, commitment: BoardCommitment.commit(board) };
+}
+
+// An injected wallet (EIP-1193) for one Hardhat account, as a browser extension would expose it
+function wallet(address) {
+  return {
+    request({ method, params }) {
+      if (method === "eth_requestAccounts" || method === "eth_accounts") return Promise.resolve([address]);
+      return network.provider.request({ method, params });
+    }
+  };
+}
+
+// Polls `read` until it returns something truthy, as the page waits for the next block
+async function eventually(read, timeout = 10000) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = await read();
+    if (value || Date.now() > until) return value;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe("Wallet client", function () {
+  this.timeout(120000);
+
+  async function deployFixture() {
+    const [, alice, bob] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    return { contract, alice, bob };
+  }
+
+  it("connects through an injected wallet", async function () {
+    const { contract, alice } = await loadFixture(deployFixture);
+
+    const client = await ChainClient.Client.connect(wallet(alice.address), contract.target);
+    expect(client).to.include({ account: alice.address, chainId: 31337, address: contract.target });
+    expect(client.isAccount(alice.address.toLowerCase())).to.equal(true);
+
+    await expect(ChainClient.Client.connect(undefined)).to.be.rejectedWith("No wallet found");
+    await expect(ChainClient.Client.connect(wallet(alice.address), "0x1234")).to.be.rejectedWith("Enter a valid contract address");
+    await expect(ChainClient.Client.connect(wallet(alice.address))).to.be.rejectedWith("Nothing is deployed on chain 31337");
+    await expect(ChainClient.Client.connect(wallet(alice.address), alice.address)).to.be.rejectedWith(`No contract at ${alice.address}`);
+  });
+
+  it("plays a whole game from two wallets and follows it through watch()", async function () {
+    const { contract, alice, bob } = await loadFixture(deployFixture);
+    const aliceClient = await ChainClient.Client.connect(wallet(alice.address), contract.target);
+    const bobClient = await ChainClient.Client.connect(wallet(bob.address), contract.target);
+    const aliceBoard = committedBoard();
+    const bobBoard = committedBoard();
+
+    const created = await aliceClient.commitBoard(aliceBoard.commitment, CLASSIC);
+    const started = await bobClient.commitBoard(bobBoard.commitment, CLASSIC);
+    expect(started.gameId).to.equal(created.gameId);
+    expect(await aliceClient.playerGame()).to.equal(created.gameId);
+
+    const seen = [];
+    const stop = aliceClient.watch(created.gameId, created.blockNumber, (events) => seen.push(...events), 20);
+    try {
+      // Alice sinks Bob's fleet; Bob only finds water. Clients take (row, col) like the board
+      const targets = shipCells(bobBoard.board);
+      const misses = waterCells(aliceBoard.board);
+      for (let turn = 0; turn < targets.length; turn++) {
+        await aliceClient.submitGuess(targets[turn].y, targets[turn].x);
+        await bobClient.respondToGuess(bobBoard.commitment, targets[turn].y, targets[turn].x);
+        if (turn === targets.length - 1) break;
+        await bobClient.submitGuess(misses[turn].y, misses[turn].x);
+        await aliceClient.respondToGuess(aliceBoard.commitment, misses[turn].y, misses[turn].x);
+      }
+
+      const ended = await eventually(() => seen.find((event) => event.name === "GameEnded"));
+      expect(ended.args).to.deep.include({ gameId: created.gameId, winner: alice.address, reason: "All ships destroyed" });
+
+      await aliceClient.revealBoard(aliceBoard.commitment);
+      await bobClient.revealBoard(bobBoard.commitment);
+      expect(await eventually(() => seen.filter((event) => event.name === "SaltRevealed").length === 2)).to.equal(true);
+    } finally {
+      stop();
+    }
+
+    expect(seen.filter((event) => event.name === "GuessSubmitted")).to.have.length(17 + 16);
+    const status = await bobClient.gameStatus(created.gameId);
+    expect(status).to.deep.include({ phase: ChainClient.PHASES.Ended, winner: alice.address, settled: true, timeout: null });
+    expect(status.hits).to.deep.equal({ player1: 17, player2: 0 });
+
+    // The watched events make the same record the page downloads
+    const record = GameRecord.fromChainEvents({
+      chainId: aliceClient.chainId, contract: contract.target, gameId: created.gameId, rules: CLASSIC, events: seen
+    });
+    expect(record.moves).to.have.length(33);
+    expect(record.winner).to.equal("player1");
+
+    expect(await aliceClient.withdrawable()).to.equal(STAKE * 2n);
+    await aliceClient.withdraw();
+    expect(await aliceClient.withdrawable()).to.equal(0);
+    expect(await ethers.provider.getBalance(contract.target)).to.equal(0);
+    expect(await bobClient.withdrawable()).to.equal(0);
+  });
+});
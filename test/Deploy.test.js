@@ -0,0 +1,146 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const BoardCommitment = require("../commitment.js");
+const ChainClient = require("../chainclient.js");
+const RuleSets = require("../rulesets.js");
+const { deploy, readDeployment } = require("../scripts/deploy.js");
+const { placedBoard } = require("./helpers/boards.js");
+
+const { ethers } = hre;
+const Phase = { Setup: 0n, Started: 1n, Ended: 2n };
+
+describe("Deploy script", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "battleship-deploy-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function run(options) {
+    return deploy({ hre, dir, record: true, seed: false, log: () => {}, ...options });
+  }
+
+  // Runs a generated bundle the way the browser would and returns the global it defines
+  function loadBundles(...files) {
+    const context = vm.createContext({});
+    files.forEach((file) => vm.runInContext(fs.readFileSync(path.join(dir, file), "utf8"), context));
+    return context.BattleshipDeployments;
+  }
+
+  it("records the address, ABI, block and chain id of a new deployment", async function () {
+    const { deployment, deployed } = await run();
+    const [deployer] = await ethers.getSigners();
+
+    expect(deployed).to.equal(true);
+    expect(readDeployment("hardhat", dir)).to.deep.equal(deployment);
+    expect(deployment).to.include({ network: "hardhat", chainId: 31337, contract: "ImprovedOnChainBattleship", deployer: deployer.address });
+    expect(await ethers.provider.getCode(deployment.address)).to.not.equal("0x");
+    expect((await ethers.provider.getTransactionReceipt(deployment.transactionHash)).blockNumber).to.equal(deployment.blockNumber);
+    expect(deployment.abi.map((entry) => entry.name)).to.include.members(["commitBoard", "forceTimeout", "GameEnded"]);
+
+    const contract = await ethers.getContractAt(deployment.abi, deployment.address);
+    expect(await contract.STAKE()).to.equal(ethers.parseEther("0.1"));
+  });
+
+  it("writes browser bundles keyed by chain id, with local networks kept apart", async function () {
+    const { deployment } = await run();
+    fs.writeFileSync(path.join(dir, "sepolia.json"), JSON.stringify({ ...deployment, network: "sepolia", chainId: 11155111 }));
+    await run();
+
+    expect(Object.keys(loadBundles("index.js"))).to.deep.equal(["11155111"]);
+    expect(Object.keys(loadBundles("local.js"))).to.deep.equal(["31337"]);
+    const both = loadBundles("index.js", "local.js");
+    expect(Object.keys(both)).to.have.members(["11155111", "31337"]);
+    expect(both[31337].address).to.equal(deployment.address);
+  });
+
+  it("has the public bundle load local.js, and drop it when it is missing", async function () {
+    await run();
+    const appended = [];
+    const document = {
+      head: { appendChild: (element) => appended.push(element) },
+      createElement: (tag) => ({ tag, removed: false, remove() { this.removed = true; } })
+    };
+    vm.runInContext(fs.readFileSync(path.join(dir, "index.js"), "utf8"), vm.createContext({ document }));
+
+    expect(appended).to.have.length(1);
+    expect(appended[0]).to.include({ tag: "script", src: "deployments/local.js" });
+    appended[0].onerror();
+    expect(appended[0].removed).to.equal(true);
+  });
+
+  it("skips a network whose recorded contract is still deployed", async function () {
+    const first = await run();
+    const second = await run();
+
+    expect(second.deployed).to.equal(false);
+    expect(second.deployment).to.deep.equal(first.deployment);
+
+    const forced = await run({ redeploy: true });
+    expect(forced.deployed).to.equal(true);
+    expect(forced.deployment.address).to.not.equal(first.deployment.address);
+    expect(readDeployment("hardhat", dir).address).to.equal(forced.deployment.address);
+  });
+
+  it("deploys again when the recorded address holds no contract", async function () {
+    const { deployment } = await run();
+    const gone = { ...deployment, address: ethers.Wallet.createRandom().address };
+    fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify(gone));
+
+    const logged = [];
+    const again = await run({ log: (message) => logged.push(message) });
+    expect(again.deployed).to.equal(true);
+    expect(again.deployment.address).to.not.equal(gone.address);
+    expect(logged[0]).to.equal(`No contract left at the recorded ${gone.address} on hardhat; deploying again`);
+  });
+
+  it("records nothing unless asked to", async function () {
+    const { deployed } = await run({ record: false });
+    expect(deployed).to.equal(true);
+    expect(fs.readdirSync(dir)).to.deep.equal([]);
+  });
+
+  it("seeds a finished game, a game in progress, an open game and a join-code game", async function () {
+    const signers = await ethers.getSigners();
+    const { deployment, games } = await run({ seed: true });
+    const contract = await ethers.getContractAt(deployment.abi, deployment.address);
+    expect(games.map((entry) => entry.gameId)).to.deep.equal([1, 2, 3, 4]);
+
+    const finished = await contract.getGame(1);
+    expect(finished.gamePhase).to.equal(Phase.Ended);
+    expect(finished.winner).to.equal(signers[1].address);
+    const timers = await contract.getTimers(1);
+    expect([timers.player1Revealed, timers.player2Revealed]).to.deep.equal([true, true]);
+
+    const inProgress = await contract.getGame(2);
+    expect(inProgress.gamePhase).to.equal(Phase.Started);
+    expect([inProgress.player1, inProgress.player2]).to.deep.equal([signers[3].address, signers[4].address]);
+    expect(inProgress.player1Hits).to.equal(3n);
+
+    expect((await contract.getGame(3)).gamePhase).to.equal(Phase.Setup);
+    expect((await contract.getGameRules(3)).boardSize).to.equal(8n);
+
+    // The printed join code lets a new player into game 4
+    const joiner = signers[7];
+    const { gameId, secret } = ChainClient.parseJoinCode(games[3].joinCode);
+    const signature = await ChainClient.joinSignature(secret, {
+      contract: deployment.address,
+      chainId: deployment.chainId,
+      gameId,
+      player: joiner.address
+    });
+    const commitment = BoardCommitment.commit(placedBoard(RuleSets.fromPreset("classic")));
+    const { stake } = await contract.getChallenge(gameId);
+    await contract.connect(joiner).acceptChallenge(gameId, commitment.root, commitment.hashedMasterSalt, signature, { value: stake });
+    expect((await contract.getGame(gameId)).gamePhase).to.equal(Phase.Started);
+  });
+});
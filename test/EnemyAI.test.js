@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+
+const EnemyAI = require("../ai.js");
+
+const CLASSIC_FLEET = [5, 4, 3, 3, 2];
+const first = () => 0;
+const last = () => 0.999999;
+
+function emptyShots(size = 10) {
+  return Array.from({ length: size }, () => Array(size).fill(null));
+}
+
+function mark(shots, cells, value) {
+  cells.forEach(([row, col]) => {
+    shots[row][col] = value;
+  });
+  return shots;
+}
+
+function isNeighbour(shot, row, col) {
+  return Math.abs(shot.row - row) + Math.abs(shot.col - col) === 1;
+}
+
+describe("EnemyAI", function () {
+  describe("chooseShot", function () {
+    it("only fires at untouched cells", function () {
+      const shots = emptyShots(3).map((rowCells) => rowCells.map(() => "miss"));
+      shots[2][1] = null;
+
+      for (const difficulty of Object.keys(EnemyAI.DIFFICULTIES)) {
+        for (const random of [first, last]) {
+          expect(EnemyAI.chooseShot(difficulty, { shots, remainingShips: [2] }, random)).to.deep.equal({ row: 2, col: 1 });
+        }
+      }
+    });
+
+    it("picks the strategy by difficulty, falling back to easy", function () {
+      const view = { shots: mark(emptyShots(), [[5, 5]], "hit"), remainingShips: CLASSIC_FLEET };
+
+      // Easy ignores the hit and takes the first open cell it is handed
+      expect(EnemyAI.chooseShot("easy", view, first)).to.deep.equal({ row: 0, col: 0 });
+      expect(EnemyAI.chooseShot("unknown", view, first)).to.deep.equal({ row: 0, col: 0 });
+      expect(isNeighbour(EnemyAI.chooseShot("medium", view, first), 5, 5)).to.equal(true);
+      expect(isNeighbour(EnemyAI.chooseShot("hard", view, first), 5, 5)).to.equal(true);
+    });
+
+    it("fires next to a lone hit in target mode", function () {
+      const view = { shots: mark(emptyShots(), [[0, 9]], "hit"), remainingShips: CLASSIC_FLEET };
+
+      for (const difficulty of ["medium", "hard"]) {
+        for (const random of [first, () => 0.5, last]) {
+          const shot = EnemyAI.chooseShot(difficulty, view, random);
+          expect(shot).to.satisfy((cell) => isNeighbour(cell, 0, 9), `${difficulty} fired at ${JSON.stringify(shot)}`);
+        }
+      }
+    });
+
+    it("follows a line of hits along its axis", function () {
+      const view = { shots: mark(emptyShots(), [[4, 4], [4, 5]], "hit"), remainingShips: CLASSIC_FLEET };
+
+      for (const difficulty of ["medium", "hard"]) {
+        for (const random of [first, last]) {
+          const shot = EnemyAI.chooseShot(difficulty, view, random);
+          expect([shot.row, shot.col]).to.deep.be.oneOf([[4, 3], [4, 6]]);
+        }
+      }
+
+      // A miss at one end leaves only the other
+      mark(view.shots, [[4, 3]], "miss");
+      expect(EnemyAI.chooseShot("medium", view, first)).to.deep.equal({ row: 4, col: 6 });
+    });
+
+    it("hunts on the parity of the smallest ship left", function () {
+      const view = { shots: emptyShots(), remainingShips: [3, 2] };
+
+      for (const random of [first, () => 0.37, last]) {
+        const shot = EnemyAI.chooseShot("hard", view, random);
+        expect((shot.row + shot.col) % 2).to.equal(0);
+      }
+    });
+  });
+
+  describe("densityMap", function () {
+    it("counts every placement of the remaining ships over open cells", function () {
+      const { density, targetMode } = EnemyAI.densityMap({ shots: emptyShots(), remainingShips: [2] });
+
+      expect(targetMode).to.equal(false);
+      expect(density[0][0]).to.equal(2);
+      expect(density[0][5]).to.equal(3);
+      expect(density[5][5]).to.equal(4);
+    });
+
+    it("leaves out misses, sunk ships and the placements through them", function () {
+      const shots = mark(emptyShots(), [[0, 0], [0, 1], [0, 2]], "sunk");
+      mark(shots, [[5, 5]], "miss");
+      const { density, targetMode } = EnemyAI.densityMap({ shots, remainingShips: [2] });
+
+      // Sunk cells are not hits: the map stays in hunt mode
+      expect(targetMode).to.equal(false);
+      [[0, 0], [0, 1], [0, 2], [5, 5]].forEach(([row, col]) => expect(density[row][col]).to.equal(0));
+      expect(density[0][3]).to.equal(2);
+      expect(density[1][0]).to.equal(2);
+      expect(density[5][4]).to.equal(3);
+    });
+
+    it("only counts placements through unsunk hits in target mode", function () {
+      const shots = mark(emptyShots(), [[5, 5]], "hit");
+      const { density, targetMode } = EnemyAI.densityMap({ shots, remainingShips: [2] });
+
+      expect(targetMode).to.equal(true);
+      expect(density[5][5]).to.equal(0);
+      [[4, 5], [6, 5], [5, 4], [5, 6]].forEach(([row, col]) => expect(density[row][col]).to.be.above(0));
+      expect(density.flat().filter((value) => value > 0)).to.have.length(4);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+
+const EnemyAI = require("../ai.js");
+const FleetPlacement = require("../placement.js");
+const { seededRandom } = require("../scripts/simulate.js");
+
+const CLASSIC_FLEET = [5, 4, 3, 3, 2];
+const RUNS = 40;
+
+function boardOf(gridSize, layout) {
+  const board = Array.from({ length: gridSize }, () => Array(gridSize).fill(null));
+  layout.forEach(({ index, positions }) => positions.forEach(({ row, col }) => {
+    board[row][col] = index;
+  }));
+  return board;
+}
+
+function layouts(strategy, options, runs = RUNS) {
+  const random = seededRandom(42);
+  return Array.from({ length: runs }, () => FleetPlacement.generate(strategy, { gridSize: 10, shipSizes: CLASSIC_FLEET, random, ...options }));
+}
+
+// Whether any two ships share a side or a corner
+function shipsTouch(gridSize, layout) {
+  const board = boardOf(gridSize, layout);
+  return layout.some(({ index, positions }) => positions.some(({ row, col }) => {
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        const value = board[row + dRow] && board[row + dRow][col + dCol];
+        if (value !== null && value !== undefined && value !== index) return true;
+      }
+    }
+    return false;
+  }));
+}
+
+const edgeDistance = ({ row, col }) => Math.min(row, col, 9 - row, 9 - col);
+const averageEdgeDistance = (runs) => {
+  const cells = runs.flatMap((layout) => layout.flatMap((ship) => ship.positions));
+  return cells.reduce((sum, cell) => sum + edgeDistance(cell), 0) / cells.length;
+};
+
+describe("FleetPlacement", function () {
+  it("lays out one straight ship per size, on the board and without overlaps, for every strategy", function () {
+    for (const strategy of Object.keys(FleetPlacement.STRATEGIES)) {
+      layouts(strategy, {}, 10).forEach((layout) => {
+        expect(layout.map(({ index }) => index)).to.deep.equal([0, 1, 2, 3, 4]);
+        layout.forEach(({ index, row, col, isHorizontal, positions }) => {
+          expect(positions).to.have.length(CLASSIC_FLEET[index]);
+          positions.forEach((cell, offset) => {
+            expect(cell).to.deep.equal(isHorizontal ? { row, col: col + offset } : { row: row + offset, col });
+            expect(Math.max(cell.row, cell.col)).to.be.below(10);
+          });
+        });
+        const cells = layout.flatMap(({ positions }) => positions.map(({ row, col }) => `${row},${col}`));
+        expect(new Set(cells).size).to.equal(17);
+      });
+    }
+  });
+
+  it("keeps ships apart for the no-touching strategies", function () {
+    for (const strategy of ["noTouch", "spread", "antiHeatmap"]) {
+      expect(FleetPlacement.STRATEGIES[strategy].noTouch).to.equal(true);
+      layouts(strategy).forEach((layout) => expect(shipsTouch(10, layout), strategy).to.equal(false));
+    }
+  });
+
+  it("biases edge layouts towards the border", function () {
+    expect(averageEdgeDistance(layouts("edge"))).to.be.below(averageEdgeDistance(layouts("random")) - 0.3);
+  });
+
+  it("avoids the cells an opponent fires at most", function () {
+    // The opponent always fires at the left half of the board
+    const heatmap = Array.from({ length: 10 }, () => Array.from({ length: 10 }, (_, col) => (col < 5 ? 10 : 0)));
+    const cells = layouts("antiHeatmap", { heatmap }).flatMap((layout) => layout.flatMap((ship) => ship.positions));
+
+    const onRight = cells.filter(({ col }) => col >= 5).length;
+    expect(onRight / cells.length).to.be.above(0.8);
+  });
+
+  it("uses plain random placement for unknown strategies and fleets a strategy cannot fit", function () {
+    const seeded = (strategy, options) => FleetPlacement.generate(strategy, { random: seededRandom(3), ...options });
+    const options = { gridSize: 10, shipSizes: CLASSIC_FLEET };
+    expect(seeded("nonsense", options)).to.deep.equal(seeded("random", options));
+
+    // Four 5-cell ships only fit a 5x5 board side by side
+    const crowded = seeded("noTouch", { gridSize: 5, shipSizes: [5, 5, 5, 5] });
+    expect(crowded).to.have.length(4);
+    expect(shipsTouch(5, crowded)).to.equal(true);
+  });
+
+  it("throws when the fleet cannot fit at all", function () {
+    expect(() => FleetPlacement.generate("random", { gridSize: 3, shipSizes: [3, 3, 3, 3] }))
+      .to.throw("Unable to fit the fleet on the board");
+  });
+
+  it("reports ships touching a set of cells, diagonals included", function () {
+    const board = boardOf(10, [{ index: 0, positions: [{ row: 4, col: 4 }, { row: 4, col: 5 }] }]);
+
+    expect(FleetPlacement.touchesShip(board, [{ row: 5, col: 6 }])).to.equal(true);
+    expect(FleetPlacement.touchesShip(board, [{ row: 3, col: 3 }])).to.equal(true);
+    expect(FleetPlacement.touchesShip(board, [{ row: 6, col: 4 }, { row: 6, col: 5 }])).to.equal(false);
+  });
+
+  it("gives every computer level one of its strategies", function () {
+    expect(Object.keys(FleetPlacement.COMPUTER_PLACEMENT)).to.deep.equal(Object.keys(EnemyAI.DIFFICULTIES));
+    Object.values(FleetPlacement.COMPUTER_PLACEMENT).forEach((name) => expect(FleetPlacement.STRATEGIES).to.have.property(name));
+  });
+});
@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const GameChannel = require("../channel.js");
+const RuleSets = require("../rulesets.js");
+const { placedBoard, shipCells, waterCells, respond, reveal } = require("./helpers/boards.js");
+
+const STAKE = ethers.parseEther("0.1");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+const Phase = { Started: 1n, Ended: 2n };
+const Reason = { AllShipsDestroyed: 1n, InvalidProof: 2n, ResponseTimeout: 4n, MoveTimeout: 5n };
+
+// Hands messages over by hand, so a test can hold back, alter or replay any of them
+async function deliver(channel, message) {
+  return channel.receive(JSON.parse(JSON.stringify(message)));
+}
+
+// One complete shot: guess, answer, ack
+async function shoot(guesser, target, x, y) {
+  const answer = await deliver(target, await guesser.guess(x, y));
+  await deliver(target, await deliver(guesser, answer));
+  return answer;
+}
+
+describe("State channel", function () {
+  async function channelFixture() {
+    const [, alice, bob, carol] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    const rules = RuleSets.fromPreset("classic");
+    const aliceBoard = placedBoard(rules);
+    const bobBoard = placedBoard(rules);
+    const aliceCommitment = BoardCommitment.commit(aliceBoard);
+    const bobCommitment = BoardCommitment.commit(bobBoard);
+
+    await contract.connect(alice).commitBoard(aliceCommitment.root, aliceCommitment.hashedMasterSalt, { value: STAKE });
+    await contract.connect(bob).commitBoard(bobCommitment.root, bobCommitment.hashedMasterSalt, { value: STAKE });
+
+    return { contract, alice, bob, carol, aliceBoard, bobBoard, aliceCommitment, bobCommitment };
+  }
+
+  // The committed game with a fresh channel end for each player (channels hold state, so
+  // they cannot come out of the fixture snapshot)
+  async function openChannels() {
+    const fixture = await loadFixture(channelFixture);
+    const { contract, alice, bob, aliceCommitment, bobCommitment } = fixture;
+    const { chainId } = await ethers.provider.getNetwork();
+    const common = { gameId: 1, contract: contract.target, chainId, players: [alice.address, bob.address], totalShipCells: 17 };
+    return {
+      ...fixture,
+      aliceChannel: new GameChannel.Channel({
+        ...common, signer: alice, account: alice.address, commitment: aliceCommitment, opponentRoot: bobCommitment.root
+      }),
+      bobChannel: new GameChannel.Channel({
+        ...common, signer: bob, account: bob.address, commitment: bobCommitment, opponentRoot: aliceCommitment.root
+      })
+    };
+  }
+
+  // Alice sinks Bob's fleet off-chain while Bob only hits water
+  async function playOffChain({ aliceBoard, bobBoard, aliceChannel, bobChannel }, shots = Infinity) {
+    const targets = shipCells(bobBoard);
+    const misses = waterCells(aliceBoard);
+    for (let turn = 0; turn < Math.min(targets.length, shots); turn++) {
+      await shoot(aliceChannel, bobChannel, targets[turn].x, targets[turn].y);
+      if (turn === targets.length - 1) break;
+      await shoot(bobChannel, aliceChannel, misses[turn].x, misses[turn].y);
+    }
+  }
+
+  function submit(contract, player, channel) {
+    return contract.connect(player).submitChannelState(...channel.latestSigned().submission);
+  }
+
+  describe("signed states", function () {
+    it("signs states the contract recovers with the same EIP-712 domain", async function () {
+      const { contract, alice, aliceChannel } = await openChannels();
+      const state = { ...GameChannel.initialState(1, alice.address), nonce: 1, guessPending: true, x: 3, y: 4 };
+      const signature = await GameChannel.signState(alice, aliceChannel.domain, state);
+
+      expect(GameChannel.stateSigner(aliceChannel.domain, state, signature)).to.equal(alice.address);
+      const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+      expect({ name, version, chainId: Number(chainId), verifyingContract }).to.deep.equal(aliceChannel.domain);
+    });
+
+    it("plays a whole game off-chain and settles it with one transaction", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, aliceCommitment, bobCommitment, aliceChannel, bobChannel } = fixture;
+      const shots = [];
+      aliceChannel.on("shot", (shot) => shots.push(shot));
+
+      await playOffChain(fixture);
+      expect(aliceChannel.winner()).to.equal(alice.address);
+      expect(bobChannel.latestSigned()).to.deep.equal(aliceChannel.latestSigned());
+      expect(shots.filter((shot) => shot.guesser === alice.address && shot.hit)).to.have.length(17);
+      expect(shots.filter((shot) => shot.guesser === bob.address && shot.hit)).to.have.length(0);
+      expect(await contract.getChannelNonce(1)).to.equal(0);
+
+      const { state } = aliceChannel.latestSigned();
+      await expect(submit(contract, alice, aliceChannel))
+        .to.emit(contract, "ChannelStateSubmitted").withArgs(1, alice.address, state.nonce)
+        .and.to.emit(contract, "GameEnded").withArgs(1, alice.address, Reason.AllShipsDestroyed);
+
+      const game = await contract.getGame(1);
+      expect(game.gamePhase).to.equal(Phase.Ended);
+      expect([game.player1Hits, game.player2HitsAgainst, game.player2Hits]).to.deep.equal([17n, 17n, 0n]);
+
+      await reveal(contract, alice, aliceCommitment);
+      await reveal(contract, bob, bobCommitment);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+    });
+
+    it("plays over a local transport", async function () {
+      const { alice, bob, bobBoard, aliceChannel, bobChannel } = await openChannels();
+      const [aliceEnd, bobEnd] = GameChannel.localTransports();
+      aliceChannel.connect(aliceEnd);
+      bobChannel.connect(bobEnd);
+
+      const settled = new Promise((resolve) => bobChannel.on("shot", resolve));
+      const { x, y } = shipCells(bobBoard)[0];
+      await aliceChannel.guess(x, y);
+      expect(await settled).to.deep.equal({ guesser: alice.address, x, y, hit: true });
+      expect(aliceChannel.latestSigned()).to.deep.equal(bobChannel.latestSigned());
+      expect(aliceChannel.latestSigned().state).to.include({ nonce: 2, guesser: bob.address, player1Hits: 1 });
+      expect(bobChannel.isMyTurn()).to.equal(true);
+    });
+
+    it("refuses moves out of turn, repeated cells and forged signatures", async function () {
+      const { carol, aliceChannel, bobChannel } = await openChannels();
+
+      await expect(bobChannel.guess(0, 0)).to.be.rejectedWith("Not your turn");
+      await expect(aliceChannel.guess(10, 0)).to.be.rejectedWith("Cell 10,0 is off the board");
+
+      const guess = await aliceChannel.guess(2, 2);
+      const forged = { ...guess, signature: await GameChannel.signState(carol, aliceChannel.domain, guess.state) };
+      await expect(deliver(bobChannel, forged)).to.be.rejectedWith("Invalid signature");
+      await expect(deliver(bobChannel, { ...guess, state: { ...guess.state, nonce: 5 } })).to.be.rejectedWith("Guess does not follow the latest state");
+
+      await deliver(bobChannel, await deliver(aliceChannel, await deliver(bobChannel, guess)));
+      await shoot(bobChannel, aliceChannel, 0, 0);
+      await expect(aliceChannel.guess(2, 2)).to.be.rejectedWith("Already fired at 2,2");
+    });
+  });
+
+  describe("disputes", function () {
+    it("brings a game on-chain when the opponent stops answering, and times them out", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, bobBoard, aliceChannel, bobChannel } = fixture;
+      await playOffChain(fixture, 4);
+
+      // Bob receives Alice's next guess and goes silent, so Alice never sees it countersigned
+      const { x, y } = shipCells(bobBoard)[4];
+      await deliver(bobChannel, await aliceChannel.guess(x, y));
+      const { state } = aliceChannel.latestSigned();
+      expect(state).to.include({ nonce: 16, guesser: alice.address, guessPending: false, player1Hits: 4 });
+
+      await submit(contract, alice, aliceChannel);
+      expect(await contract.getChannelNonce(1)).to.equal(16);
+      await contract.connect(alice).submitGuess(x, y);
+      const pending = await contract.getPendingGuess(1);
+      expect([pending.guesser, pending.target, pending.x, pending.y]).to.deep.equal([alice.address, bob.address, BigInt(x), BigInt(y)]);
+
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Response timeout not reached");
+      await time.increase(MOVE_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1))
+        .to.emit(contract, "GameEnded").withArgs(1, alice.address, Reason.ResponseTimeout);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect((await contract.getGame(1)).player1Hits).to.equal(4n);
+    });
+
+    it("answers a disputed guess on-chain and carries on with the usual turns", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, aliceBoard, bobBoard, bobCommitment, aliceChannel, bobChannel } = fixture;
+      await playOffChain(fixture, 2);
+
+      const { x, y } = shipCells(bobBoard)[2];
+      await deliver(bobChannel, await aliceChannel.guess(x, y));
+      const nonce = bobChannel.latest.state.nonce;
+      await submit(contract, bob, bobChannel);
+
+      await expect(respond(contract, bob, bobCommitment, x, y))
+        .to.emit(contract, "GuessResponded").withArgs(1, bob.address, true);
+      const game = await contract.getGame(1);
+      expect([game.currentGuesser, game.player1Hits]).to.deep.equal([bob.address, 3n]);
+      expect(await contract.getChannelNonce(1)).to.equal(nonce + 1);
+
+      // Bob fired at the first two water cells of Alice's board off-chain
+      const next = waterCells(aliceBoard)[2];
+      await contract.connect(bob).submitGuess(next.x, next.y);
+      expect(await contract.getChannelNonce(1)).to.equal(nonce + 2);
+    });
+
+    it("keeps the cells fired at off-chain from being guessed again on-chain", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, aliceBoard, bobBoard, aliceCommitment, bobCommitment, aliceChannel } = fixture;
+      await playOffChain(fixture, 3);
+      const { state } = aliceChannel.latestSigned();
+      expect(BigInt(state.player1Guessed).toString(2).replace(/0/g, "")).to.have.length(3);
+
+      await submit(contract, alice, aliceChannel);
+      const [hit, fresh] = [shipCells(bobBoard)[0], shipCells(bobBoard)[3]];
+      await expect(contract.connect(alice).submitGuess(hit.x, hit.y)).to.be.revertedWith("Cell already guessed");
+      await contract.connect(alice).submitGuess(fresh.x, fresh.y);
+      await respond(contract, bob, bobCommitment, fresh.x, fresh.y);
+      expect((await contract.getGame(1)).player1Hits).to.equal(4n);
+
+      const repeat = waterCells(aliceBoard)[1];
+      await expect(contract.connect(bob).submitGuess(repeat.x, repeat.y)).to.be.revertedWith("Cell already guessed");
+      const miss = waterCells(aliceBoard)[3];
+      await contract.connect(bob).submitGuess(miss.x, miss.y);
+      await respond(contract, alice, aliceCommitment, miss.x, miss.y);
+    });
+
+    it("slashes a player whose off-chain lie is answered for on-chain", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, bobBoard, bobCommitment, aliceChannel, bobChannel } = fixture;
+      const { x, y } = shipCells(bobBoard)[0];
+
+      // Bob claims a miss with a proof for water elsewhere
+      const answer = await deliver(bobChannel, await aliceChannel.guess(x, y));
+      const water = waterCells(bobBoard)[0];
+      const lie = { ...answer, ...BoardCommitment.prove(bobCommitment, water.x, water.y), hit: false };
+      await expect(deliver(aliceChannel, lie)).to.be.rejectedWith("Invalid Merkle proof");
+
+      // The guess itself is signed by both, so Alice takes it on-chain
+      expect(aliceChannel.latestSigned().state).to.include({ nonce: 1, guessPending: true, x, y });
+      await submit(contract, alice, aliceChannel);
+
+      const { cellSalt, proof } = BoardCommitment.prove(bobCommitment, water.x, water.y);
+      await expect(contract.connect(bob).respondToGuess(false, cellSalt, proof))
+        .to.emit(contract, "StakeSlashed").withArgs(1, bob.address, STAKE, Reason.InvalidProof);
+      expect((await contract.getGame(1)).winner).to.equal(alice.address);
+    });
+
+    it("restarts the move clock for the player whose turn a posted state gives", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, aliceChannel, bobChannel } = fixture;
+      await time.increase(MOVE_TIMEOUT * 2);
+      const { x, y } = shipCells(fixture.bobBoard)[0];
+      await shoot(aliceChannel, bobChannel, x, y);
+
+      // Alice has shot; Bob's turn to guess starts when the state is posted
+      await submit(contract, alice, aliceChannel);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Move timeout not reached");
+      await expect(contract.connect(bob).forceTimeout(1)).to.be.revertedWith("Your turn to guess");
+
+      await time.increase(MOVE_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1))
+        .to.emit(contract, "GameEnded").withArgs(1, alice.address, Reason.MoveTimeout);
+      expect(bobChannel.latestSigned().state.guesser).to.equal(bob.address);
+    });
+
+    it("only accepts a state newer than every move the contract has seen", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, aliceChannel, bobChannel } = fixture;
+      await playOffChain(fixture, 1);
+      const older = aliceChannel.latestSigned();
+      const { x, y } = shipCells(fixture.bobBoard)[1];
+      await shoot(aliceChannel, bobChannel, x, y);
+      const newer = aliceChannel.latestSigned();
+      expect(newer.state.nonce).to.be.greaterThan(older.state.nonce);
+
+      // Bob posts a stale state; Alice replaces it with the newer one
+      await contract.connect(bob).submitChannelState(...older.submission);
+      await contract.connect(alice).submitChannelState(...newer.submission);
+      expect(await contract.getChannelNonce(1)).to.equal(newer.state.nonce);
+      await expect(contract.connect(bob).submitChannelState(...older.submission)).to.be.revertedWith("State is not newer");
+      await expect(contract.connect(alice).submitChannelState(...newer.submission)).to.be.revertedWith("State is not newer");
+
+      // Once play moves on on-chain, the same state is out of date
+      expect(newer.state.guesser).to.equal(bob.address);
+      await contract.connect(bob).submitGuess(9, 9);
+      await expect(contract.connect(bob).submitChannelState(...newer.submission)).to.be.revertedWith("State is not newer");
+      expect((await contract.getGame(1)).gamePhase).to.equal(Phase.Started);
+    });
+
+    it("rejects states that are not signed by both players of the game", async function () {
+      const fixture = await openChannels();
+      const { contract, alice, bob, carol, aliceChannel } = fixture;
+      await playOffChain(fixture, 1);
+      const [state, player1Signature, player2Signature] = aliceChannel.latestSigned().submission;
+
+      await expect(contract.connect(alice).submitChannelState(state, player2Signature, player1Signature))
+        .to.be.revertedWith("Invalid signatures");
+      await expect(contract.connect(alice).submitChannelState(state, player1Signature, player1Signature))
+        .to.be.revertedWith("Invalid signatures");
+      await expect(contract.connect(alice).submitChannelState({ ...state, player1Hits: 17 }, player1Signature, player2Signature))
+        .to.be.revertedWith("Invalid signatures");
+      const carolSignature = await GameChannel.signState(carol, aliceChannel.domain, state);
+      await expect(contract.connect(alice).submitChannelState(state, player1Signature, carolSignature))
+        .to.be.revertedWith("Invalid signatures");
+      await expect(contract.connect(carol).submitChannelState(state, player1Signature, player2Signature))
+        .to.be.revertedWith("Not a player in this game");
+
+      // A state signed for another contract is no good here either
+      const elsewhere = GameChannel.domain({ contract: carol.address, chainId: aliceChannel.domain.chainId });
+      await expect(contract.connect(alice).submitChannelState(
+        state,
+        await GameChannel.signState(alice, elsewhere, state),
+        await GameChannel.signState(bob, elsewhere, state)
+      )).to.be.revertedWith("Invalid signatures");
+    });
+
+    it("rejects signed states the rules do not allow", async function () {
+      const { contract, alice, bob, aliceChannel } = await openChannels();
+      const signed = async (changes) => {
+        const state = { ...GameChannel.initialState(1, alice.address), nonce: 1, ...changes };
+        return [
+          state,
+          await GameChannel.signState(alice, aliceChannel.domain, state),
+          await GameChannel.signState(bob, aliceChannel.domain, state)
+        ];
+      };
+
+      await expect(contract.connect(alice).submitChannelState(...await signed({ guesser: ethers.ZeroAddress })))
+        .to.be.revertedWith("Invalid guesser");
+      await expect(contract.connect(alice).submitChannelState(...await signed({ guessPending: true, x: 10 })))
+        .to.be.revertedWith("Invalid coordinates");
+      await expect(contract.connect(alice).submitChannelState(...await signed({ player2Hits: 18 })))
+        .to.be.revertedWith("Invalid hit counts");
+      await expect(contract.connect(alice).submitChannelState(...await signed({ player1Guessed: 1n << 100n })))
+        .to.be.revertedWith("Invalid guessed cells");
+      // A pending guess has to be among its guesser's cells
+      await expect(contract.connect(alice).submitChannelState(...await signed({ guessPending: true, x: 3, y: 4, player2Guessed: 1n << 43n })))
+        .to.be.revertedWith("Invalid guessed cells");
+      await contract.connect(alice).submitChannelState.staticCall(...await signed({ guessPending: true, x: 3, y: 4, player1Guessed: 1n << 43n }));
+      await expect(contract.connect(alice).submitChannelState(...await signed({ nonce: 0 })))
+        .to.be.revertedWith("State is not newer");
+
+      // The final state ends the game; nothing more can be posted
+      await contract.connect(alice).submitChannelState(...await signed({ nonce: 40, player2Hits: 17 }));
+      expect((await contract.getGame(1)).winner).to.equal(bob.address);
+      await expect(contract.connect(alice).submitChannelState(...await signed({ nonce: 41 })))
+        .to.be.revertedWith("Game not active");
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+
+const BattleshipRules = require("../rules.js");
+const GameRecord = require("../gamerecord.js");
+const RuleSets = require("../rulesets.js");
+
+const SKIRMISH = RuleSets.fromPreset("skirmish");
+
+// Ship i along row 2i from column 0, the same on both sides
+function placeFleet(game, side) {
+  game.fleet.forEach((ship, index) => game.placeShip(side, index, index * 2, 0, true));
+}
+
+// A recorded skirmish: the player moves and re-places ships before the battle, then sinks
+// the enemy fleet while every enemy shot misses along the odd rows
+function recordedMatch() {
+  const game = new BattleshipRules.Game({ rules: SKIRMISH });
+  const record = GameRecord.attach(
+    GameRecord.create({ rules: SKIRMISH, players: { player: { name: "Alice" }, enemy: { name: "Computer" } } }),
+    game
+  );
+
+  placeFleet(game, "player");
+  game.moveShip("player", 0, 1, 4, true);
+  game.clearFleet("player");
+  placeFleet(game, "player");
+  placeFleet(game, "enemy");
+
+  const targets = game.boards.enemy.ships.flatMap((ship) => ship.positions);
+  let miss = 0;
+  targets.forEach(({ row, col }, index) => {
+    game.fire("player", row, col);
+    if (index < targets.length - 1) {
+      game.fire("enemy", 1 + 2 * Math.floor(miss / 8), miss % 8);
+      miss++;
+    }
+  });
+  return { game, record };
+}
+
+describe("GameRecord", function () {
+  describe("attach", function () {
+    it("records placements, shots, sinks and the result, and replays them after an export", function () {
+      const { game, record } = recordedMatch();
+      const placements = 4 + 2 + 1 + 4 + 4;
+      const shots = 11 + 10;
+
+      expect(record.moves).to.have.length(placements + shots);
+      expect(record.moves.slice(4, 7).map((move) => move.type)).to.deep.equal(["remove", "place", "clear"]);
+      expect(record.moves[5]).to.include({ side: "player", shipIndex: 0, row: 1, col: 4, isHorizontal: true });
+      expect(record).to.include({ winner: "player", reason: "All ships destroyed" });
+      expect(record.endedAt).to.be.a("string");
+
+      // Each sink is patched onto the shot that caused it
+      const playerShots = record.moves.filter((move) => move.type === "shot" && move.side === "player");
+      expect(playerShots.map((move) => move.sunkShip).filter((ship) => ship !== null)).to.deep.equal([0, 1, 2, 3]);
+      expect(playerShots[3]).to.include({ coordinate: "A4", result: "hit", sunkShip: 0 });
+      expect(record.moves.filter((move) => move.side === "enemy" && move.type === "shot").every((move) => move.result === "miss"))
+        .to.equal(true);
+
+      const imported = GameRecord.parse(GameRecord.stringify(record));
+      expect(imported).to.deep.equal(record);
+
+      const end = GameRecord.boardsAt(imported, imported.moves.length);
+      expect(end.enemy.shots).to.deep.equal(game.boards.enemy.shots);
+      expect(end.player.shots).to.deep.equal(game.boards.player.shots);
+      expect(end.player.cells).to.deep.equal(game.boards.player.cells);
+
+      // Part way through: the moved ship is back in its first place and one shot has landed
+      const moved = GameRecord.boardsAt(imported, 6);
+      expect(moved.player.cells[1].slice(4, 8)).to.deep.equal([0, 0, 0, 0]);
+      expect(moved.player.cells[0][0]).to.equal(null);
+      const firstShot = GameRecord.boardsAt(imported, placements + 1);
+      expect(firstShot.enemy.shots[0][0]).to.equal("hit");
+      expect(firstShot.enemy.ships.every((ship) => !ship.sunk)).to.equal(true);
+    });
+
+    it("describes each kind of move", function () {
+      const { record } = recordedMatch();
+      const describe = (index) => GameRecord.describeMove(record, record.moves[index]);
+
+      expect(describe(0)).to.equal("Alice placed Battleship at A1");
+      expect(describe(4)).to.equal("Alice took the Battleship back");
+      expect(describe(6)).to.equal("Alice cleared the fleet");
+      expect(describe(15)).to.equal("Alice fired at A1: hit");
+      expect(describe(16)).to.equal("Computer fired at B1: miss");
+      expect(GameRecord.describeMove(record, record.moves.at(-1))).to.equal("Alice fired at G2: hit and sank the Destroyer 2");
+    });
+  });
+
+  describe("parse", function () {
+    const valid = () => JSON.parse(GameRecord.stringify(recordedMatch().record));
+
+    it("rejects anything that is not a game record of this version", function () {
+      expect(() => GameRecord.parse("null")).to.throw("Not a battleship game record");
+      expect(() => GameRecord.parse({ ...valid(), format: "chess-game" })).to.throw("Not a battleship game record");
+      expect(() => GameRecord.parse({ ...valid(), version: 2 })).to.throw("Unsupported game record version: 2");
+      expect(() => GameRecord.parse("{")).to.throw(SyntaxError);
+    });
+
+    it("rejects a record without rules, players or moves", function () {
+      ["rules", "players", "moves"].forEach((field) => {
+        const record = valid();
+        delete record[field];
+        expect(() => GameRecord.parse(record)).to.throw("Game record is missing rules, players or moves");
+      });
+      expect(() => GameRecord.parse({ ...valid(), rules: { gridSize: 8 } })).to.throw("Game record is missing rules, players or moves");
+    });
+
+    it("rejects moves by an unknown side or off the board", function () {
+      const stranger = valid();
+      stranger.moves[3].side = "spectator";
+      expect(() => GameRecord.parse(stranger)).to.throw("Move 4 belongs to an unknown side");
+
+      [{ row: 8 }, { col: -1 }, { row: undefined }].forEach((change) => {
+        const record = valid();
+        Object.assign(record.moves[20], change);
+        expect(() => GameRecord.parse(record)).to.throw("Move 21 is off the board");
+      });
+
+      // Clears and removals carry no cell
+      const record = valid();
+      expect(record.moves[6]).to.not.have.property("row");
+      expect(() => GameRecord.parse(record)).to.not.throw();
+    });
+  });
+});
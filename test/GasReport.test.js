@@ -0,0 +1,86 @@
+// Gas used by the calls every game makes, checked against test/gas-baseline.json.
+// A call that costs more than its baseline plus GAS_TOLERANCE fails the run, so only a
+// real regression fails it, not the drift below. After an intended change,
+// record the new figures with: UPDATE_GAS_BASELINE=1 npx hardhat test test/GasReport.test.js
+// "before" keeps the figures from before the storage layout was packed, for reference.
+// A call whose code did not change can still move by a few dozen gas when external
+// functions are added or removed: the dispatcher's selector search reaches it in a
+// different number of steps. A different solc patch version moves figures a little too.
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const BoardCommitment = require("../commitment.js");
+const BattleshipRules = require("../rules.js");
+const RuleSets = require("../rulesets.js");
+
+const BASELINE_PATH = path.join(__dirname, "gas-baseline.json");
+const STAKE = ethers.parseEther("0.1");
+const GAS_TOLERANCE = 0.015; // Share of the baseline a call may exceed it by
+
+// The same board and salt every run, so proofs (and their calldata cost) never vary
+function fixedCommitment(seed) {
+  const rules = RuleSets.fromPreset("classic");
+  const board = BattleshipRules.createBoard(rules.gridSize);
+  rules.fleet.forEach((ship, index) => BattleshipRules.placeShip(board, index, index * 2, 0, ship.size, true));
+  return BoardCommitment.commit(board, ethers.id(seed));
+}
+
+async function gasUsed(transaction) {
+  return Number((await (await transaction).wait()).gasUsed);
+}
+
+describe("Gas report", function () {
+  const measured = {};
+
+  after(function () {
+    const baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8"));
+    const rows = Object.entries(measured).map(([call, gas]) => ({
+      call,
+      before: baseline[call] ? baseline[call].before : "-",
+      baseline: baseline[call] ? baseline[call].baseline : "-",
+      now: gas
+    }));
+    console.table(rows);
+
+    if (process.env.UPDATE_GAS_BASELINE) {
+      Object.entries(measured).forEach(([call, gas]) => {
+        baseline[call] = { before: baseline[call] ? baseline[call].before : gas, baseline: gas };
+      });
+      fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(baseline, null, 2)}\n`);
+    }
+  });
+
+  it("keeps a game's calls within their baseline", async function () {
+    const [, alice, bob] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    const aliceCommitment = fixedCommitment("alice");
+    const bobCommitment = fixedCommitment("bob");
+    const respond = (player, commitment, x, y) => {
+      const { hit, cellSalt, proof } = BoardCommitment.prove(commitment, x, y);
+      return contract.connect(player).respondToGuess(hit, cellSalt, proof);
+    };
+
+    measured["commitBoard: opens a game"] = await gasUsed(
+      contract.connect(alice).commitBoard(aliceCommitment.root, aliceCommitment.hashedMasterSalt, { value: STAKE }));
+    measured["commitBoard: joins a game"] = await gasUsed(
+      contract.connect(bob).commitBoard(bobCommitment.root, bobCommitment.hashedMasterSalt, { value: STAKE }));
+
+    // Row 1 is water on both boards, row 0 holds the carrier
+    measured["submitGuess: first of the game"] = await gasUsed(contract.connect(alice).submitGuess(0, 1));
+    measured["respondToGuess: miss"] = await gasUsed(respond(bob, bobCommitment, 0, 1));
+    await contract.connect(bob).submitGuess(1, 1);
+    await respond(alice, aliceCommitment, 1, 1);
+    measured["submitGuess: later in the game"] = await gasUsed(contract.connect(alice).submitGuess(0, 0));
+    measured["respondToGuess: hit"] = await gasUsed(respond(bob, bobCommitment, 0, 0));
+
+    if (process.env.UPDATE_GAS_BASELINE) return;
+    const baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8"));
+    Object.entries(measured).forEach(([call, gas]) => {
+      expect(baseline[call], `${call} has no baseline`).to.exist;
+      const limit = Math.floor(baseline[call].baseline * (1 + GAS_TOLERANCE));
+      expect(gas, `${call} costs more gas than its baseline allows`).to.be.at.most(limit);
+    });
+  });
+});
@@ -0,0 +1,866 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const ChainClient = require("../chainclient.js");
+const RuleSets = require("../rulesets.js");
+const { placedBoard, shipCells, waterCells, respond, reveal, playToEnd } = require("./helpers/boards.js");
+
+const STAKE = ethers.parseEther("0.1");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+const REVEAL_TIMEOUT = 7 * 24 * 60 * 60;
+
+const Phase = { Setup: 0n, Started: 1n, Ended: 2n, Cancelled: 3n };
+const Reason = { AllShipsDestroyed: 1n, InvalidProof: 2n, IllegalBoard: 3n, ResponseTimeout: 4n, MoveTimeout: 5n, RevealTimeout: 6n };
+
+function committedBoard(rules = RuleSets.fromPreset("classic")) {
+  const board = placedBoard(rules);
+  return { board, commitment: BoardCommitment.commit(board) };
+}
+
+function commit(contract, player, commitment) {
+  return contract.connect(player).commitBoard(commitment.root, commitment.hashedMasterSalt, { value: STAKE });
+}
+
+function challenge(contract, player, commitment, { stake = STAKE, invitee = ethers.ZeroAddress, joinKey = ethers.ZeroAddress } = {}) {
+  return contract.connect(player)
+    .createChallenge(commitment.root, commitment.hashedMasterSalt, 10, [5, 4, 3, 3, 2], invitee, joinKey, { value: stake });
+}
+
+function accept(contract, player, gameId, commitment, { stake = STAKE, signature = "0x" } = {}) {
+  return contract.connect(player)
+    .acceptChallenge(gameId, commitment.root, commitment.hashedMasterSalt, signature, { value: stake });
+}
+
+async function joinSignature(contract, secret, gameId, player) {
+  const { chainId } = await ethers.provider.getNetwork();
+  return ChainClient.joinSignature(secret, { contract: contract.target, chainId, gameId, player: player.address });
+}
+
+describe("ImprovedOnChainBattleship", function () {
+  async function deployFixture() {
+    const [owner, alice, bob, carol] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    return { contract, owner, alice, bob, carol };
+  }
+
+  async function startedGameFixture() {
+    const { contract, owner, alice, bob, carol } = await deployFixture();
+    const { board: aliceBoard, commitment: aliceCommitment } = committedBoard();
+    const { board: bobBoard, commitment: bobCommitment } = committedBoard();
+
+    await commit(contract, alice, aliceCommitment);
+    await commit(contract, bob, bobCommitment);
+
+    return { contract, owner, alice, bob, carol, aliceBoard, bobBoard, aliceCommitment, bobCommitment };
+  }
+
+  async function finishedGameFixture() {
+    const fixture = await startedGameFixture();
+    await playToEnd(fixture.contract, fixture, fixture.bobBoard);
+    return fixture;
+  }
+
+  describe("matchmaking", function () {
+    it("creates a game for the first player", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+      const { commitment } = committedBoard();
+
+      await expect(commit(contract, alice, commitment))
+        .to.emit(contract, "GameCreated")
+        .withArgs(1, alice.address);
+
+      const game = await contract.getGame(1);
+      expect(game.player1).to.equal(alice.address);
+      expect(game.player2).to.equal(ethers.ZeroAddress);
+      expect(game.gamePhase).to.equal(Phase.Setup);
+      expect(await contract.getPlayerGame(alice.address)).to.equal(1);
+      expect(await contract.getTotalGames()).to.equal(1);
+      expect(await ethers.provider.getBalance(contract.target)).to.equal(STAKE);
+    });
+
+    it("seats the second player in the waiting game and starts it", async function () {
+      const { contract, alice, bob } = await loadFixture(deployFixture);
+
+      await commit(contract, alice, committedBoard().commitment);
+      await expect(commit(contract, bob, committedBoard().commitment))
+        .to.emit(contract, "GameStarted")
+        .withArgs(1, alice.address, bob.address);
+
+      const game = await contract.getGame(1);
+      expect(game.player2).to.equal(bob.address);
+      expect(game.gamePhase).to.equal(Phase.Started);
+      expect(game.currentGuesser).to.equal(alice.address);
+      expect(await contract.getPlayerGame(bob.address)).to.equal(1);
+      expect(await contract.getTotalGames()).to.equal(1);
+    });
+
+    it("opens a new game for a third player", async function () {
+      const { contract, carol } = await loadFixture(startedGameFixture);
+
+      await expect(commit(contract, carol, committedBoard().commitment))
+        .to.emit(contract, "GameCreated")
+        .withArgs(2, carol.address);
+      expect((await contract.getGame(2)).player1).to.equal(carol.address);
+      expect(await contract.getTotalGames()).to.equal(2);
+    });
+
+    it("pairs players without scanning earlier games", async function () {
+      const { contract } = await loadFixture(deployFixture);
+      const signers = await ethers.getSigners();
+      const joinGas = async (first, second) => {
+        await commit(contract, first, committedBoard().commitment);
+        const receipt = await (await commit(contract, second, committedBoard().commitment)).wait();
+        return receipt.gasUsed;
+      };
+
+      const firstJoin = await joinGas(signers[1], signers[2]);
+      for (let i = 3; i < 13; i += 2) {
+        await joinGas(signers[i], signers[i + 1]);
+      }
+      const laterJoin = await joinGas(signers[13], signers[14]);
+
+      expect(await contract.getTotalGames()).to.equal(7);
+      expect(laterJoin - firstJoin).to.be.lessThan(1000n);
+    });
+
+    it("only pairs players who chose the same rules", async function () {
+      const { contract, alice, bob, carol } = await loadFixture(deployFixture);
+      const skirmish = RuleSets.fromPreset("skirmish");
+      const shipSizes = skirmish.fleet.map((ship) => ship.size);
+      const { commitment: aliceCommitment } = committedBoard(skirmish);
+      const { commitment: carolCommitment } = committedBoard(skirmish);
+
+      await contract.connect(alice)
+        .commitBoardWithRules(aliceCommitment.root, aliceCommitment.hashedMasterSalt, skirmish.gridSize, shipSizes, { value: STAKE });
+      await expect(commit(contract, bob, committedBoard().commitment))
+        .to.emit(contract, "GameCreated")
+        .withArgs(2, bob.address);
+      await expect(contract.connect(carol)
+        .commitBoardWithRules(carolCommitment.root, carolCommitment.hashedMasterSalt, skirmish.gridSize, shipSizes, { value: STAKE }))
+        .to.emit(contract, "GameStarted")
+        .withArgs(1, alice.address, carol.address);
+
+      const rules = await contract.getGameRules(1);
+      expect(rules.boardSize).to.equal(skirmish.gridSize);
+      expect(rules.totalShipCells).to.equal(shipSizes.reduce((total, size) => total + size, 0));
+      expect(rules.shipSizes.map(Number)).to.deep.equal(shipSizes);
+
+      const classic = await contract.getGameRules(2);
+      expect(classic.boardSize).to.equal(10);
+      expect(classic.totalShipCells).to.equal(17);
+      expect(classic.shipSizes.map(Number)).to.deep.equal([5, 4, 3, 3, 2]);
+    });
+
+    it("rejects an incorrect stake", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+      const { commitment } = committedBoard();
+
+      await expect(contract.connect(alice).commitBoard(commitment.root, commitment.hashedMasterSalt))
+        .to.be.revertedWith("Incorrect stake amount");
+      await expect(contract.connect(alice).commitBoard(commitment.root, commitment.hashedMasterSalt, { value: STAKE * 2n }))
+        .to.be.revertedWith("Incorrect stake amount");
+    });
+
+    it("rejects an empty root or master salt hash", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+      const { commitment } = committedBoard();
+
+      await expect(contract.connect(alice).commitBoard(ethers.ZeroHash, commitment.hashedMasterSalt, { value: STAKE }))
+        .to.be.revertedWith("Invalid board root");
+      await expect(contract.connect(alice).commitBoard(commitment.root, ethers.ZeroHash, { value: STAKE }))
+        .to.be.revertedWith("Invalid master salt hash");
+    });
+
+    it("rejects a player who is already in a game", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+
+      await commit(contract, alice, committedBoard().commitment);
+      await expect(commit(contract, alice, committedBoard().commitment))
+        .to.be.revertedWith("Player already in a game");
+    });
+
+    it("rejects rule sets the board cannot hold", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+      const { commitment } = committedBoard();
+      const commitWithRules = (boardSize, shipSizes) => contract.connect(alice)
+        .commitBoardWithRules(commitment.root, commitment.hashedMasterSalt, boardSize, shipSizes, { value: STAKE });
+
+      await expect(commitWithRules(7, [3, 2])).to.be.revertedWith("Invalid board size");
+      await expect(commitWithRules(16, [3, 2])).to.be.revertedWith("Invalid board size");
+      await expect(commitWithRules(8, [9])).to.be.revertedWith("Invalid ship size");
+      await expect(commitWithRules(8, [0, 2])).to.be.revertedWith("Invalid ship size");
+      await expect(commitWithRules(8, [])).to.be.revertedWith("Invalid fleet size");
+      await expect(commitWithRules(8, [8, 8, 6])).to.be.revertedWith("Invalid fleet size");
+    });
+  });
+
+  describe("challenges", function () {
+    it("seats only the invited player", async function () {
+      const { contract, alice, bob, carol } = await loadFixture(deployFixture);
+      const stake = ethers.parseEther("0.5");
+
+      await expect(challenge(contract, alice, committedBoard().commitment, { stake, invitee: bob.address }))
+        .to.emit(contract, "ChallengeCreated")
+        .withArgs(1, alice.address, bob.address, stake);
+      await expect(accept(contract, carol, 1, committedBoard().commitment, { stake }))
+        .to.be.revertedWith("Not invited");
+      await expect(accept(contract, bob, 1, committedBoard().commitment))
+        .to.be.revertedWith("Incorrect stake amount");
+
+      await expect(accept(contract, bob, 1, committedBoard().commitment, { stake }))
+        .to.emit(contract, "GameStarted")
+        .withArgs(1, alice.address, bob.address);
+      await expect(accept(contract, carol, 1, committedBoard().commitment, { stake }))
+        .to.be.revertedWith("Game is full");
+
+      const info = await contract.getChallenge(1);
+      expect(info.creator).to.equal(alice.address);
+      expect(info.stake).to.equal(stake);
+      expect(info.gamePhase).to.equal(Phase.Started);
+      expect(await ethers.provider.getBalance(contract.target)).to.equal(stake * 2n);
+    });
+
+    it("seats whoever proves they hold the join code", async function () {
+      const { contract, alice, bob, carol } = await loadFixture(deployFixture);
+      const secret = ChainClient.newJoinSecret();
+
+      await challenge(contract, alice, committedBoard().commitment, { joinKey: ChainClient.joinKey(secret).address });
+      await expect(accept(contract, carol, 1, committedBoard().commitment))
+        .to.be.revertedWith("ECDSA: invalid signature length");
+      await expect(accept(contract, carol, 1, committedBoard().commitment, {
+        signature: await joinSignature(contract, ChainClient.newJoinSecret(), 1, carol)
+      })).to.be.revertedWith("Invalid join code");
+
+      // A signature seen in the mempool is bound to its sender and cannot be replayed
+      const bobSignature = await joinSignature(contract, secret, 1, bob);
+      await expect(accept(contract, carol, 1, committedBoard().commitment, { signature: bobSignature }))
+        .to.be.revertedWith("Invalid join code");
+
+      await expect(accept(contract, bob, 1, committedBoard().commitment, { signature: bobSignature }))
+        .to.emit(contract, "GameStarted")
+        .withArgs(1, alice.address, bob.address);
+    });
+
+    it("keeps challenges out of open matchmaking", async function () {
+      const { contract, alice, bob, carol } = await loadFixture(deployFixture);
+
+      await challenge(contract, alice, committedBoard().commitment, { invitee: carol.address });
+      await expect(commit(contract, bob, committedBoard().commitment))
+        .to.emit(contract, "GameCreated")
+        .withArgs(2, bob.address);
+      await expect(accept(contract, carol, 2, committedBoard().commitment))
+        .to.be.revertedWith("Not a challenge");
+      await expect(accept(contract, carol, 3, committedBoard().commitment))
+        .to.be.revertedWith("Game does not exist");
+    });
+
+    it("validates the challenge", async function () {
+      const { contract, alice, bob } = await loadFixture(deployFixture);
+      const { commitment } = committedBoard();
+
+      await expect(challenge(contract, alice, commitment, { stake: ethers.parseEther("0.0001"), invitee: bob.address }))
+        .to.be.revertedWith("Stake too low");
+      await expect(challenge(contract, alice, commitment))
+        .to.be.revertedWith("Invitee or join code required");
+      await expect(challenge(contract, alice, commitment, { invitee: alice.address }))
+        .to.be.revertedWith("Cannot challenge yourself");
+      await expect(contract.connect(alice)
+        .createChallenge(commitment.root, commitment.hashedMasterSalt, 7, [3], bob.address, ethers.ZeroAddress, { value: STAKE }))
+        .to.be.revertedWith("Invalid board size");
+
+      await commit(contract, alice, commitment);
+      await expect(challenge(contract, alice, commitment, { invitee: bob.address }))
+        .to.be.revertedWith("Player already in a game");
+    });
+
+    it("pays out the challenge's own stake", async function () {
+      const { contract, alice, bob } = await loadFixture(deployFixture);
+      const stake = ethers.parseEther("0.25");
+      const { board: aliceBoard, commitment: aliceCommitment } = committedBoard();
+      const { board: bobBoard, commitment: bobCommitment } = committedBoard();
+
+      await challenge(contract, alice, aliceCommitment, { stake, invitee: bob.address });
+      await accept(contract, bob, 1, bobCommitment, { stake });
+      await playToEnd(contract, { alice, bob, aliceBoard, aliceCommitment, bobCommitment }, bobBoard);
+      await reveal(contract, alice, aliceCommitment);
+      await reveal(contract, bob, bobCommitment);
+
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(stake * 2n);
+      await expect(contract.connect(alice).withdraw()).to.changeEtherBalances([alice, contract], [stake * 2n, -stake * 2n]);
+    });
+
+    it("slashes the challenge's own stake", async function () {
+      const { contract, alice, bob } = await loadFixture(deployFixture);
+      const stake = ethers.parseEther("0.25");
+      const { commitment: bobCommitment } = committedBoard();
+
+      await challenge(contract, alice, committedBoard().commitment, { stake, invitee: bob.address });
+      await accept(contract, bob, 1, bobCommitment, { stake });
+      await contract.connect(alice).submitGuess(0, 0);
+      const { hit, cellSalt, proof } = BoardCommitment.prove(bobCommitment, 0, 0);
+      await expect(contract.connect(bob).respondToGuess(!hit, cellSalt, proof))
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, bob.address, stake, Reason.InvalidProof);
+    });
+  });
+
+  describe("cancelGame", function () {
+    it("refunds the creator of an unjoined game", async function () {
+      const { contract, alice, bob } = await loadFixture(deployFixture);
+
+      await commit(contract, alice, committedBoard().commitment);
+      await expect(contract.connect(alice).cancelGame(1))
+        .to.emit(contract, "GameCancelled")
+        .withArgs(1, alice.address);
+
+      expect((await contract.getGame(1)).gamePhase).to.equal(Phase.Cancelled);
+      expect(await contract.getPlayerGame(alice.address)).to.equal(0);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE);
+      await expect(contract.connect(alice).withdraw()).to.changeEtherBalances([alice, contract], [STAKE, -STAKE]);
+
+      // The cancelled game is no longer offered to the next player
+      await expect(commit(contract, bob, committedBoard().commitment))
+        .to.emit(contract, "GameCreated")
+        .withArgs(2, bob.address);
+    });
+
+    it("refunds an unaccepted challenge at its stake", async function () {
+      const { contract, alice, bob } = await loadFixture(deployFixture);
+      const stake = ethers.parseEther("0.3");
+
+      await challenge(contract, alice, committedBoard().commitment, { stake, invitee: bob.address });
+      await contract.connect(alice).cancelGame(1);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(stake);
+      await expect(accept(contract, bob, 1, committedBoard().commitment, { stake }))
+        .to.be.revertedWith("Game not open");
+    });
+
+    it("only lets the creator cancel before anyone joins", async function () {
+      const { contract, alice, bob, carol } = await loadFixture(startedGameFixture);
+
+      await expect(contract.connect(alice).cancelGame(1)).to.be.revertedWith("Game already started");
+      await commit(contract, carol, committedBoard().commitment);
+      await expect(contract.connect(bob).cancelGame(2)).to.be.revertedWith("Only the creator can cancel");
+      await contract.connect(carol).cancelGame(2);
+      await expect(contract.connect(carol).cancelGame(2)).to.be.revertedWith("Game not open");
+      await expect(contract.connect(carol).cancelGame(3)).to.be.revertedWith("Game does not exist");
+    });
+
+    it("leaves nothing to claim on a cancelled game", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+
+      await commit(contract, alice, committedBoard().commitment);
+      await contract.connect(alice).cancelGame(1);
+      await time.increase(REVEAL_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1)).to.not.emit(contract, "StakeSlashed");
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE);
+    });
+  });
+
+  describe("submitGuess", function () {
+    it("records the guess as pending", async function () {
+      const { contract, alice, bob } = await loadFixture(startedGameFixture);
+
+      await expect(contract.connect(alice).submitGuess(3, 7))
+        .to.emit(contract, "GuessSubmitted")
+        .withArgs(1, alice.address, 3, 7);
+
+      const pending = await contract.getPendingGuess(1);
+      expect(pending.guesser).to.equal(alice.address);
+      expect(pending.target).to.equal(bob.address);
+      expect(pending.x).to.equal(3);
+      expect(pending.y).to.equal(7);
+    });
+
+    it("requires the sender to be playing", async function () {
+      const { contract, carol } = await loadFixture(startedGameFixture);
+      await expect(contract.connect(carol).submitGuess(0, 0)).to.be.revertedWith("Player not in any game");
+    });
+
+    it("waits for the second player", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+
+      await commit(contract, alice, committedBoard().commitment);
+      await expect(contract.connect(alice).submitGuess(0, 0)).to.be.revertedWith("Game not active");
+    });
+
+    it("rejects coordinates off the board", async function () {
+      const { contract, alice } = await loadFixture(startedGameFixture);
+
+      await expect(contract.connect(alice).submitGuess(10, 0)).to.be.revertedWith("Invalid coordinates");
+      await expect(contract.connect(alice).submitGuess(0, 10)).to.be.revertedWith("Invalid coordinates");
+    });
+
+    it("enforces alternating turns", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const miss = waterCells(bobBoard)[0];
+
+      await expect(contract.connect(bob).submitGuess(0, 0)).to.be.revertedWith("Not your turn");
+      await contract.connect(alice).submitGuess(miss.x, miss.y);
+      await expect(contract.connect(alice).submitGuess(miss.x, miss.y)).to.be.revertedWith("Pending guess unresolved");
+      await expect(contract.connect(bob).submitGuess(0, 0)).to.be.revertedWith("Not your turn");
+
+      await respond(contract, bob, bobCommitment, miss.x, miss.y);
+      expect((await contract.getGame(1)).currentGuesser).to.equal(bob.address);
+      await expect(contract.connect(alice).submitGuess(0, 0)).to.be.revertedWith("Not your turn");
+      await expect(contract.connect(bob).submitGuess(0, 0)).to.emit(contract, "GuessSubmitted");
+    });
+
+    it("passes the turn after a hit as well", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const hit = shipCells(bobBoard)[0];
+
+      await contract.connect(alice).submitGuess(hit.x, hit.y);
+      await respond(contract, bob, bobCommitment, hit.x, hit.y);
+      expect((await contract.getGame(1)).currentGuesser).to.equal(bob.address);
+    });
+
+    it("rejects a cell the guesser has already fired at", async function () {
+      const { contract, alice, bob, aliceCommitment, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const hit = shipCells(bobBoard)[0];
+
+      await contract.connect(alice).submitGuess(hit.x, hit.y);
+      await respond(contract, bob, bobCommitment, hit.x, hit.y);
+      // The same cell on the other board is still open to Bob
+      await contract.connect(bob).submitGuess(hit.x, hit.y);
+      await respond(contract, alice, aliceCommitment, hit.x, hit.y);
+
+      await expect(contract.connect(alice).submitGuess(hit.x, hit.y)).to.be.revertedWith("Cell already guessed");
+      expect((await contract.getGame(1)).player1Hits).to.equal(1);
+    });
+  });
+
+  describe("respondToGuess", function () {
+    it("counts hits for both players and clears the guess", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const hit = shipCells(bobBoard)[0];
+
+      await contract.connect(alice).submitGuess(hit.x, hit.y);
+      await expect(respond(contract, bob, bobCommitment, hit.x, hit.y))
+        .to.emit(contract, "GuessResponded")
+        .withArgs(1, bob.address, true);
+
+      const game = await contract.getGame(1);
+      expect(game.player1Hits).to.equal(1);
+      expect(game.player2HitsAgainst).to.equal(1);
+      expect((await contract.getPendingGuess(1)).guesser).to.equal(ethers.ZeroAddress);
+    });
+
+    it("leaves the counts alone on a miss", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const miss = waterCells(bobBoard)[0];
+
+      await contract.connect(alice).submitGuess(miss.x, miss.y);
+      await expect(respond(contract, bob, bobCommitment, miss.x, miss.y))
+        .to.emit(contract, "GuessResponded")
+        .withArgs(1, bob.address, false);
+
+      const game = await contract.getGame(1);
+      expect(game.player1Hits).to.equal(0);
+      expect(game.player2HitsAgainst).to.equal(0);
+    });
+
+    it("only lets the target answer a pending guess", async function () {
+      const { contract, alice, bob, aliceCommitment, bobCommitment, carol } = await loadFixture(startedGameFixture);
+
+      await expect(respond(contract, bob, bobCommitment, 0, 0)).to.be.revertedWith("Not your board");
+      await contract.connect(alice).submitGuess(0, 0);
+      await expect(respond(contract, alice, aliceCommitment, 0, 0)).to.be.revertedWith("Not your board");
+      await expect(respond(contract, carol, bobCommitment, 0, 0)).to.be.revertedWith("Player not in any game");
+    });
+
+    it("slashes an invalid proof and pays the honest player", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const hit = shipCells(bobBoard)[0];
+      const { cellSalt, proof } = BoardCommitment.prove(bobCommitment, hit.x, hit.y);
+
+      await contract.connect(alice).submitGuess(hit.x, hit.y);
+      const response = contract.connect(bob).respondToGuess(false, cellSalt, proof);
+      await expect(response)
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, alice.address, Reason.InvalidProof);
+      await expect(response)
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, bob.address, STAKE, Reason.InvalidProof);
+
+      const game = await contract.getGame(1);
+      expect(game.winner).to.equal(alice.address);
+      expect(game.gamePhase).to.equal(Phase.Ended);
+      expect(await contract.getPlayerGame(alice.address)).to.equal(0);
+      expect(await contract.getPlayerGame(bob.address)).to.equal(0);
+
+      // The pot is paid once, and the contract holds nothing more for the game
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(0);
+      expect((await contract.getTimers(1)).settled).to.equal(true);
+      expect(await ethers.provider.getBalance(contract.target)).to.equal(STAKE * 2n);
+    });
+
+    it("slashes a proof taken from a different board", async function () {
+      const { contract, alice, bob, aliceCommitment } = await loadFixture(startedGameFixture);
+
+      await contract.connect(alice).submitGuess(4, 4);
+      const { hit, cellSalt, proof } = BoardCommitment.prove(aliceCommitment, 4, 4);
+      await expect(contract.connect(bob).respondToGuess(hit, cellSalt, proof))
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, bob.address, STAKE, Reason.InvalidProof);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(0);
+    });
+  });
+
+  describe("winning", function () {
+    it("ends the game when the seventeenth ship cell is hit", async function () {
+      const { contract, alice, bob, aliceBoard, bobBoard, aliceCommitment, bobCommitment } =
+        await loadFixture(startedGameFixture);
+      const targets = shipCells(bobBoard);
+      const misses = waterCells(aliceBoard);
+
+      for (let turn = 0; turn < 16; turn++) {
+        await contract.connect(alice).submitGuess(targets[turn].x, targets[turn].y);
+        await respond(contract, bob, bobCommitment, targets[turn].x, targets[turn].y);
+        await contract.connect(bob).submitGuess(misses[turn].x, misses[turn].y);
+        await respond(contract, alice, aliceCommitment, misses[turn].x, misses[turn].y);
+      }
+      expect((await contract.getGame(1)).player2HitsAgainst).to.equal(16);
+      expect((await contract.getGame(1)).gamePhase).to.equal(Phase.Started);
+
+      await contract.connect(alice).submitGuess(targets[16].x, targets[16].y);
+      await expect(respond(contract, bob, bobCommitment, targets[16].x, targets[16].y))
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, alice.address, Reason.AllShipsDestroyed);
+
+      const game = await contract.getGame(1);
+      expect(game.gamePhase).to.equal(Phase.Ended);
+      expect(game.winner).to.equal(alice.address);
+      expect(game.player1Hits).to.equal(17);
+      await expect(contract.connect(bob).submitGuess(0, 0)).to.be.revertedWith("Game not active");
+    });
+
+    it("holds the stakes until both boards are revealed", async function () {
+      const { contract, alice, bob } = await loadFixture(finishedGameFixture);
+
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(0);
+      expect(await contract.getPlayerGame(alice.address)).to.equal(1);
+      expect(await contract.getPlayerGame(bob.address)).to.equal(1);
+    });
+  });
+
+  describe("revealMasterSalt", function () {
+    it("cannot reveal while the game is running", async function () {
+      const { contract, alice, aliceCommitment } = await loadFixture(startedGameFixture);
+      await expect(reveal(contract, alice, aliceCommitment)).to.be.revertedWith("Game still ongoing");
+    });
+
+    it("requires the committed master salt", async function () {
+      const { contract, alice, aliceCommitment } = await loadFixture(finishedGameFixture);
+      const { board, ships } = BoardCommitment.reveal(aliceCommitment);
+
+      await expect(contract.connect(alice).revealMasterSalt(BoardCommitment.randomSalt(), board, ships))
+        .to.be.revertedWith("Invalid master salt");
+    });
+
+    it("reveals once per player", async function () {
+      const { contract, alice, aliceCommitment } = await loadFixture(finishedGameFixture);
+
+      await reveal(contract, alice, aliceCommitment);
+      await expect(reveal(contract, alice, aliceCommitment)).to.be.revertedWith("Already revealed");
+    });
+
+    it("pays the winner and frees both players once both boards are revealed", async function () {
+      const { contract, alice, bob, aliceCommitment, bobCommitment } = await loadFixture(finishedGameFixture);
+
+      await expect(reveal(contract, bob, bobCommitment))
+        .to.emit(contract, "SaltRevealed")
+        .withArgs(1, bob.address);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(0);
+
+      await reveal(contract, alice, aliceCommitment);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(0);
+      expect(await contract.getPlayerGame(alice.address)).to.equal(0);
+      expect(await contract.getPlayerGame(bob.address)).to.equal(0);
+    });
+
+    it("lets both players join new games after the payout", async function () {
+      const { contract, alice, bob, aliceCommitment, bobCommitment } = await loadFixture(finishedGameFixture);
+
+      await reveal(contract, alice, aliceCommitment);
+      await reveal(contract, bob, bobCommitment);
+      await expect(commit(contract, bob, committedBoard().commitment))
+        .to.emit(contract, "GameCreated")
+        .withArgs(2, bob.address);
+      await expect(commit(contract, alice, committedBoard().commitment))
+        .to.emit(contract, "GameStarted")
+        .withArgs(2, bob.address, alice.address);
+    });
+  });
+
+  describe("forceTimeout", function () {
+    it("requires an existing game and one of its players", async function () {
+      const { contract, alice, carol } = await loadFixture(startedGameFixture);
+
+      await expect(contract.connect(alice).forceTimeout(2)).to.be.revertedWith("Game does not exist");
+      await expect(contract.connect(carol).forceTimeout(1)).to.be.revertedWith("Not a player in this game");
+    });
+
+    it("does nothing while the game waits for a second player", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+
+      await commit(contract, alice, committedBoard().commitment);
+      await time.increase(REVEAL_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1)).to.not.emit(contract, "GameEnded");
+      expect((await contract.getGame(1)).gamePhase).to.equal(Phase.Setup);
+    });
+
+    it("awards the game to a guesser whose guess goes unanswered", async function () {
+      const { contract, alice, bob } = await loadFixture(startedGameFixture);
+
+      await contract.connect(alice).submitGuess(0, 0);
+      await time.increase(MOVE_TIMEOUT - 10);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Response timeout not reached");
+
+      await time.increase(11);
+      const claim = contract.connect(alice).forceTimeout(1);
+      await expect(claim)
+        .to.emit(contract, "TimeoutClaimed")
+        .withArgs(1, alice.address, Reason.ResponseTimeout);
+      await expect(claim)
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, alice.address, Reason.ResponseTimeout);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(0);
+      expect(await contract.getPlayerGame(alice.address)).to.equal(0);
+    });
+
+    it("lets the silent target claim the response timeout for the guesser", async function () {
+      const { contract, alice, bob } = await loadFixture(startedGameFixture);
+
+      await contract.connect(alice).submitGuess(0, 0);
+      await time.increase(MOVE_TIMEOUT + 1);
+      await expect(contract.connect(bob).forceTimeout(1))
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, alice.address, Reason.ResponseTimeout);
+    });
+
+    it("awards the game when the opponent does not guess in time", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const miss = waterCells(bobBoard)[0];
+
+      await contract.connect(alice).submitGuess(miss.x, miss.y);
+      await respond(contract, bob, bobCommitment, miss.x, miss.y);
+      await time.increase(MOVE_TIMEOUT - 10);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Move timeout not reached");
+
+      await time.increase(11);
+      const claim = contract.connect(alice).forceTimeout(1);
+      await expect(claim)
+        .to.emit(contract, "TimeoutClaimed")
+        .withArgs(1, alice.address, Reason.MoveTimeout);
+      await expect(claim)
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, alice.address, Reason.MoveTimeout);
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+    });
+
+    it("exposes the times the timeouts are measured from", async function () {
+      const { contract, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const miss = waterCells(bobBoard)[0];
+      const started = await time.latest();
+
+      await contract.connect(alice).submitGuess(miss.x, miss.y);
+      const guessed = await time.latest();
+      await respond(contract, bob, bobCommitment, miss.x, miss.y);
+      const answered = await time.latest();
+
+      const timers = await contract.getTimers(1);
+      expect(timers.gameStartTime).to.equal(started);
+      expect(timers.player1LastMoveTime).to.equal(guessed);
+      expect(timers.player2LastMoveTime).to.equal(answered);
+      expect(timers.player1Revealed).to.equal(false);
+      expect(timers.player2Revealed).to.equal(false);
+      expect(timers.settled).to.equal(false);
+    });
+
+    it("cannot be claimed by the player whose turn it is", async function () {
+      const { contract, alice } = await loadFixture(startedGameFixture);
+
+      await time.increase(MOVE_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Your turn to guess");
+    });
+
+    it("starts player1's first move timeout when the game starts", async function () {
+      const { contract, alice, bob } = await loadFixture(deployFixture);
+
+      // Alice waits two days for an opponent; Bob must still give her a full day to fire
+      await commit(contract, alice, committedBoard().commitment);
+      await time.increase(2 * MOVE_TIMEOUT);
+      await commit(contract, bob, committedBoard().commitment);
+      await expect(contract.connect(bob).forceTimeout(1)).to.be.revertedWith("Move timeout not reached");
+
+      await time.increase(MOVE_TIMEOUT + 1);
+      await expect(contract.connect(bob).forceTimeout(1))
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, bob.address, Reason.MoveTimeout);
+    });
+
+    it("measures the move timeout from the opponent's last move", async function () {
+      const { contract, bob } = await loadFixture(startedGameFixture);
+
+      // Alice never fires her first shot
+      await time.increase(MOVE_TIMEOUT + 1);
+      await expect(contract.connect(bob).forceTimeout(1))
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, bob.address, Reason.MoveTimeout);
+    });
+
+    it("slashes a player who does not reveal in time", async function () {
+      const { contract, alice, bob, aliceCommitment } = await loadFixture(finishedGameFixture);
+
+      await reveal(contract, alice, aliceCommitment);
+      const { timestamp: startTime } = await ethers.provider.getBlock(
+        (await contract.queryFilter(contract.filters.GameStarted(1)))[0].blockNumber);
+      await time.increaseTo(startTime + REVEAL_TIMEOUT - 10);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Reveal timeout not reached");
+
+      await time.increaseTo(startTime + REVEAL_TIMEOUT + 1);
+      const claim = contract.connect(alice).forceTimeout(1);
+      await expect(claim)
+        .to.emit(contract, "TimeoutClaimed")
+        .withArgs(1, alice.address, Reason.RevealTimeout);
+      await expect(claim)
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, bob.address, STAKE, Reason.RevealTimeout);
+
+      // The slashed stake is part of the pot, not paid on top of it
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(contract.target)).to.equal(STAKE * 2n);
+      expect(await contract.getPlayerGame(bob.address)).to.equal(0);
+    });
+
+    it("pays a reveal timeout only once", async function () {
+      const { contract, alice, aliceCommitment } = await loadFixture(finishedGameFixture);
+
+      await reveal(contract, alice, aliceCommitment);
+      await time.increase(REVEAL_TIMEOUT + 1);
+      await contract.connect(alice).forceTimeout(1);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Stakes already paid");
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+    });
+
+    it("only lets a player who revealed claim the reveal timeout", async function () {
+      const { contract, alice, bob, bobCommitment } = await loadFixture(finishedGameFixture);
+
+      await time.increase(REVEAL_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Reveal your board first");
+
+      // The loser who revealed takes the pot from a winner who never does
+      await reveal(contract, bob, bobCommitment);
+      await expect(contract.connect(bob).forceTimeout(1))
+        .to.emit(contract, "StakeSlashed")
+        .withArgs(1, alice.address, STAKE, Reason.RevealTimeout);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(STAKE * 2n);
+    });
+
+    it("pays nothing more once a timeout has settled the game", async function () {
+      const { contract, alice, bob, aliceCommitment } = await loadFixture(startedGameFixture);
+
+      await contract.connect(alice).submitGuess(0, 0);
+      await time.increase(MOVE_TIMEOUT + 1);
+      await contract.connect(alice).forceTimeout(1);
+      await expect(reveal(contract, alice, aliceCommitment)).to.be.revertedWith("Player not in any game");
+
+      // The ended game used to let its winner claim a reveal timeout on top of the payout
+      await time.increase(REVEAL_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Reveal your board first");
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(STAKE * 2n);
+      expect(await contract.getWithdrawableAmount(bob.address)).to.equal(0);
+    });
+
+    it("cannot slash an opponent who already revealed", async function () {
+      const { contract, alice, bob, aliceCommitment, bobCommitment } = await loadFixture(finishedGameFixture);
+
+      await reveal(contract, alice, aliceCommitment);
+      await reveal(contract, bob, bobCommitment);
+      await time.increase(REVEAL_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1)).to.be.revertedWith("Opponent already revealed");
+    });
+  });
+
+  describe("withdraw", function () {
+    it("requires a balance", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+      await expect(contract.connect(alice).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("pays out the winnings once", async function () {
+      const { contract, alice, bob, aliceCommitment, bobCommitment } = await loadFixture(finishedGameFixture);
+
+      await reveal(contract, alice, aliceCommitment);
+      await reveal(contract, bob, bobCommitment);
+
+      const withdrawal = contract.connect(alice).withdraw();
+      await expect(withdrawal)
+        .to.emit(contract, "FundsWithdrawn")
+        .withArgs(alice.address, STAKE * 2n);
+      await expect(withdrawal).to.changeEtherBalances([alice, contract], [STAKE * 2n, -STAKE * 2n]);
+
+      expect(await contract.getWithdrawableAmount(alice.address)).to.equal(0);
+      await expect(contract.connect(alice).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+
+  describe("pause", function () {
+    it("is restricted to the owner", async function () {
+      const { contract, alice } = await loadFixture(deployFixture);
+
+      await expect(contract.connect(alice).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(contract.connect(alice).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("stops play until unpaused", async function () {
+      const { contract, owner, alice, bob, carol, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+      const miss = waterCells(bobBoard)[0];
+      await contract.connect(alice).submitGuess(miss.x, miss.y);
+
+      await contract.connect(owner).pause();
+      await expect(commit(contract, carol, committedBoard().commitment)).to.be.revertedWith("Pausable: paused");
+      await expect(respond(contract, bob, bobCommitment, miss.x, miss.y)).to.be.revertedWith("Pausable: paused");
+
+      await contract.connect(owner).unpause();
+      await respond(contract, bob, bobCommitment, miss.x, miss.y);
+      await contract.connect(owner).pause();
+      await expect(contract.connect(bob).submitGuess(0, 0)).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("blocks reveals and withdrawals while paused", async function () {
+      const { contract, owner, alice, bob, aliceCommitment, bobCommitment } = await loadFixture(finishedGameFixture);
+
+      await reveal(contract, alice, aliceCommitment);
+      await contract.connect(owner).pause();
+      await expect(reveal(contract, bob, bobCommitment)).to.be.revertedWith("Pausable: paused");
+
+      await contract.connect(owner).unpause();
+      await reveal(contract, bob, bobCommitment);
+      await contract.connect(owner).pause();
+      await expect(contract.connect(alice).withdraw()).to.be.revertedWith("Pausable: paused");
+
+      await contract.connect(owner).unpause();
+      await expect(contract.connect(alice).withdraw()).to.emit(contract, "FundsWithdrawn");
+    });
+
+    it("still lets players claim timeouts", async function () {
+      const { contract, owner, alice } = await loadFixture(startedGameFixture);
+
+      await contract.connect(alice).submitGuess(0, 0);
+      await contract.connect(owner).pause();
+      await time.increase(MOVE_TIMEOUT + 1);
+      await expect(contract.connect(alice).forceTimeout(1))
+        .to.emit(contract, "GameEnded")
+        .withArgs(1, alice.address, Reason.ResponseTimeout);
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const RuleSets = require("../rulesets.js");
+const { createIndexer, startIndexerServer } = require("../scripts/indexer.js");
+const { placedBoard, waterCells, reveal, playToEnd } = require("./helpers/boards.js");
+
+const STAKE = ethers.parseEther("0.1");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+
+function committedBoard() {
+  const board = placedBoard(RuleSets.fromPreset("classic"));
+  return { board, commitment: BoardCommitment.commit(board) };
+}
+
+function commit(contract, player, commitment) {
+  return contract.connect(player).commitBoard(commitment.root, commitment.hashedMasterSalt, { value: STAKE });
+}
+
+describe("Indexer", function () {
+  let storeDir;
+
+  beforeEach(function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "battleship-indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  function indexer(contract, options = {}) {
+    return createIndexer({
+      provider: ethers.provider,
+      address: contract.target,
+      storePath: path.join(storeDir, "store.json"),
+      log: () => {},
+      ...options
+    });
+  }
+
+  async function startedGameFixture() {
+    const [, alice, bob, carol] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    const { board: aliceBoard, commitment: aliceCommitment } = committedBoard();
+    const { board: bobBoard, commitment: bobCommitment } = committedBoard();
+
+    await commit(contract, alice, aliceCommitment);
+    await commit(contract, bob, bobCommitment);
+
+    return { contract, alice, bob, carol, aliceBoard, bobBoard, aliceCommitment, bobCommitment };
+  }
+
+  async function finishedGameFixture() {
+    const fixture = await startedGameFixture();
+    await playToEnd(fixture.contract, fixture, fixture.bobBoard);
+    await reveal(fixture.contract, fixture.alice, fixture.aliceCommitment);
+    await reveal(fixture.contract, fixture.bob, fixture.bobCommitment);
+    return fixture;
+  }
+
+  describe("sync", function () {
+    it("follows a game from creation to the revealed boards", async function () {
+      const { contract, alice, bob } = await loadFixture(finishedGameFixture);
+      const index = await indexer(contract);
+
+      expect(await index.sync()).to.be.greaterThan(0);
+
+      const game = index.game(1);
+      expect(game).to.include({
+        id: 1,
+        status: "ended",
+        player1: alice.address,
+        player2: bob.address,
+        winner: alice.address,
+        reason: "All ships destroyed",
+        stake: STAKE.toString(),
+        boardSize: 10,
+        shots: 33
+      });
+      expect(game.shipSizes).to.deep.equal([5, 4, 3, 3, 2]);
+      expect(game.revealed).to.deep.equal([alice.address, bob.address]);
+      expect(index.status().checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("builds the move history as a game record", async function () {
+      const { contract } = await loadFixture(finishedGameFixture);
+      const index = await indexer(contract);
+      await index.sync();
+
+      const record = index.record(1);
+      expect(record.source).to.equal("onchain");
+      expect(record.winner).to.equal("player1");
+      expect(record.moves).to.have.length(33);
+      expect(record.moves.filter((move) => move.side === "player1" && move.result === "hit")).to.have.length(17);
+      expect(record.moves.at(-1)).to.include({ side: "player1", result: "hit" });
+    });
+
+    it("keeps win, loss and slash records per address", async function () {
+      const { contract, alice, bob, carol } = await loadFixture(finishedGameFixture);
+      const { commitment: carolCommitment } = committedBoard();
+      const { board: aliceBoard, commitment: aliceCommitment } = committedBoard();
+      await commit(contract, carol, carolCommitment);
+      await commit(contract, alice, aliceCommitment);
+
+      const index = await indexer(contract);
+      await index.sync();
+      expect(index.game(2).status).to.equal("started");
+
+      // Alice answers Carol's guess with the proof for another cell and is slashed
+      const [guess, other] = waterCells(aliceBoard);
+      const { hit, cellSalt, proof } = BoardCommitment.prove(aliceCommitment, other.x, other.y);
+      await contract.connect(carol).submitGuess(guess.x, guess.y);
+      await contract.connect(alice).respondToGuess(hit, cellSalt, proof);
+      await index.sync();
+
+      expect(index.game(2)).to.include({ status: "ended", winner: carol.address, reason: "Invalid Merkle proof" });
+      expect(index.game(2).slashes).to.deep.equal([
+        { cheater: alice.address, amount: STAKE.toString(), reason: "Invalid Merkle proof" }
+      ]);
+      expect(index.player(alice.address)).to.deep.include({ wins: 1, losses: 1, slashed: 1, games: [1, 2] });
+      expect(index.player(alice.address).slashedAmount).to.equal(STAKE.toString());
+      expect(index.player(bob.address)).to.deep.include({ wins: 0, losses: 1, slashed: 0, games: [1] });
+      expect(index.player(carol.address.toLowerCase())).to.deep.include({ address: carol.address, wins: 1, losses: 0 });
+    });
+
+    it("counts a loss only when the opponent won", async function () {
+      const { contract, alice, bob } = await loadFixture(finishedGameFixture);
+      await (await indexer(contract)).sync();
+
+      // A game that ended without a winner is no loss for either player
+      const file = path.join(storeDir, "store.json");
+      const store = JSON.parse(fs.readFileSync(file, "utf8"));
+      store.events.filter((event) => event.name === "GameEnded").forEach((event) => {
+        event.args.winner = ethers.ZeroAddress;
+      });
+      fs.writeFileSync(file, JSON.stringify(store));
+
+      const index = await indexer(contract);
+      expect(index.game(1)).to.include({ status: "ended", winner: null });
+      expect(index.player(alice.address)).to.deep.include({ wins: 0, losses: 0 });
+      expect(index.player(bob.address)).to.deep.include({ wins: 0, losses: 0 });
+    });
+
+    it("records timeout claims", async function () {
+      const { contract, alice } = await loadFixture(startedGameFixture);
+      await contract.connect(alice).submitGuess(0, 0);
+      await time.increase(MOVE_TIMEOUT + 1);
+      await contract.connect(alice).forceTimeout(1);
+
+      const index = await indexer(contract);
+      await index.sync();
+
+      expect(index.game(1)).to.include({ status: "ended", winner: alice.address, reason: "Response timeout" });
+      expect(index.game(1).timeouts).to.deep.equal([{ claimer: alice.address, reason: "Response timeout" }]);
+    });
+
+    it("lists public open games only", async function () {
+      const { contract, alice, bob, carol } = await loadFixture(finishedGameFixture);
+      const { commitment: carolCommitment } = committedBoard();
+      const { commitment: bobCommitment } = committedBoard();
+      const { commitment: aliceCommitment } = committedBoard();
+
+      await commit(contract, carol, carolCommitment);
+      await contract.connect(bob)
+        .createChallenge(bobCommitment.root, bobCommitment.hashedMasterSalt, 10, [5, 4, 3, 3, 2], alice.address, ethers.ZeroAddress, { value: STAKE });
+      await contract.connect(alice)
+        .commitBoardWithRules(aliceCommitment.root, aliceCommitment.hashedMasterSalt, 8, [4, 3, 3, 2], { value: STAKE });
+
+      const index = await indexer(contract);
+      await index.sync();
+      expect(index.openGames().map((game) => game.id)).to.deep.equal([2, 4]);
+      expect(index.game(3)).to.include({ private: true, invitee: alice.address });
+      expect(index.game(4)).to.include({ boardSize: 8 });
+
+      await contract.connect(carol).cancelGame(2);
+      await index.sync();
+      expect(index.openGames().map((game) => game.id)).to.deep.equal([4]);
+      expect(index.game(2).status).to.equal("cancelled");
+    });
+  });
+
+  describe("checkpoints", function () {
+    it("resumes from the stored checkpoint after a restart", async function () {
+      const { contract, alice, carol } = await loadFixture(startedGameFixture);
+      const first = await indexer(contract);
+      await first.sync();
+      const checkpoint = first.status().checkpoint;
+
+      const { commitment } = committedBoard();
+      await contract.connect(alice).submitGuess(0, 0);
+      await commit(contract, carol, commitment);
+
+      const restarted = await indexer(contract);
+      expect(restarted.status().checkpoint).to.deep.equal(checkpoint);
+      expect(restarted.game(1).status).to.equal("started");
+
+      expect(await restarted.sync()).to.equal(2);
+      expect(restarted.game(1).shots).to.equal(1);
+      expect(restarted.openGames().map((game) => game.id)).to.deep.equal([2]);
+    });
+
+    it("refuses a store kept for another contract", async function () {
+      const { contract } = await loadFixture(startedGameFixture);
+      await (await indexer(contract)).sync();
+      const other = await ethers.deployContract("ImprovedOnChainBattleship");
+
+await expect(indexer(other)).to.be.rejectedWith(`not ${other.target}`);
+    });
+
+    it("rolls back events from blocks a re-org dropped", async function () {
+      const { contract, alice, carol } = await loadFixture(startedGameFixture);
+      const logged = [];
+      const index = await indexer(contract, { log: (message) => logged.push(message) });
+      await index.sync();
+      const forkPoint = index.status().checkpoint.blockNumber;
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await contract.connect(alice).submitGuess(1, 1);
+      await index.sync();
+      expect(index.game(1).shots).to.equal(1);
+
+      // The guess is replaced by a new game on a longer fork
+      await network.provider.send("evm_revert", [snapshot]);
+      const { commitment } = committedBoard();
+      await commit(contract, carol, commitment);
+      await network.provider.send("hardhat_mine", ["0x2"]);
+
+      await index.sync();
+      expect(logged[0]).to.match(new RegExp(`rolling back to block ${forkPoint}$`));
+      expect(index.game(1).shots).to.equal(0);
+      expect(index.game(2)).to.include({ status: "open", creator: carol.address });
+      expect(index.status().checkpoint.blockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+  });
+
+  describe("HTTP API", function () {
+    it("serves games, records, players and open games", async function () {
+      const { contract, alice, carol } = await loadFixture(finishedGameFixture);
+      await commit(contract, carol, committedBoard().commitment);
+      const index = await indexer(contract);
+      await index.sync();
+      const server = await startIndexerServer({ indexer: index, port: 0 });
+      const get = async (pathname) => {
+        const response = await fetch(`http://127.0.0.1:${server.port}${pathname}`);
+        return { status: response.status, body: await response.json() };
+      };
+
+      try {
+        expect((await get("/status")).body).to.include({ contract: contract.target, games: 2 });
+        expect((await get("/games/1")).body).to.include({ winner: alice.address });
+        expect((await get("/games/1/record")).body.moves).to.have.length(33);
+        expect((await get("/games/open")).body.map((game) => game.id)).to.deep.equal([2]);
+        expect((await get(`/players/${alice.address}`)).body).to.include({ wins: 1, losses: 0 });
+
+        expect(await get("/games/2/record")).to.deep.equal({ status: 409, body: { error: "Game 2 has not started" } });
+        expect((await get("/games/9")).status).to.equal(404);
+        expect((await get("/players/nobody")).status).to.equal(400);
+        expect((await get("/nowhere")).status).to.equal(404);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const ChainClient = require("../chainclient.js");
+const Ladder = require("../ladder.js");
+const RuleSets = require("../rulesets.js");
+const { placedBoard, shipCells, respond } = require("./helpers/boards.js");
+
+const CHALLENGE_STAKE = ethers.parseEther("0.001");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+const CLASSIC = RuleSets.fromPreset("classic");
+
+function committedBoard() {
+  return BoardCommitment.commit(placedBoard(CLASSIC));
+}
+
+async function challenge(contract, creator, invitee) {
+  const commitment = committedBoard();
+  await contract.connect(creator).createChallenge(
+    commitment.root, commitment.hashedMasterSalt, CLASSIC.gridSize,
+    CLASSIC.fleet.map((ship) => ship.size), invitee.address, ethers.ZeroAddress, { value: CHALLENGE_STAKE }
+  );
+  return Number(await contract.getPlayerGame(creator.address));
+}
+
+async function accept(contract, invitee, gameId) {
+  const board = placedBoard(CLASSIC);
+  const commitment = BoardCommitment.commit(board);
+  await contract.connect(invitee).acceptChallenge(gameId, commitment.root, commitment.hashedMasterSalt, "0x", { value: CHALLENGE_STAKE });
+  return { board, commitment };
+}
+
+// `winner` challenges and fires first; the loser denies a hit and is slashed
+async function slashGame(contract, winner, loser) {
+  const gameId = await challenge(contract, winner, loser);
+  const { board, commitment } = await accept(contract, loser, gameId);
+  const cell = shipCells(board)[0];
+  await contract.connect(winner).submitGuess(cell.x, cell.y);
+  const { cellSalt, proof } = BoardCommitment.prove(commitment, cell.x, cell.y);
+  await contract.connect(loser).respondToGuess(false, cellSalt, proof);
+  return gameId;
+}
+
+describe("Ladder", function () {
+  const [alice, bob, carol] = ["a", "b", "c"].map((digit) => "0x" + digit.repeat(40));
+
+  it("moves K_FACTOR points at most, more for an upset", function () {
+    expect(Ladder.expectedScore(1500, 1500)).to.equal(0.5);
+    expect(Ladder.expectedScore(1900, 1500)).to.be.closeTo(10 / 11, 1e-12);
+
+    const even = Ladder.compute([{ gameId: 1, player1: alice, player2: bob, winner: alice }]);
+    expect(even).to.deep.equal([
+      { rank: 1, player: alice, rating: 1516, played: 1, wins: 1, losses: 0, lastChange: 16 },
+      { rank: 2, player: bob, rating: 1484, played: 1, wins: 0, losses: 1, lastChange: -16 }
+    ]);
+
+    // Bob, now the underdog, wins back more than the first game cost
+    const upset = Ladder.compute([
+      { gameId: 1, player1: alice, player2: bob, winner: alice },
+      { gameId: 2, player1: bob, player2: alice, winner: bob }
+    ]);
+    expect(upset.map(({ player, rating, lastChange }) => [player, rating, lastChange])).to.deep.equal([
+      [bob, 1501, 17],
+      [alice, 1499, -17]
+    ]);
+    expect(upset[0].rating + upset[1].rating).to.equal(2 * Ladder.INITIAL_RATING);
+  });
+
+  it("rates only started games, by their last GameEnded", function () {
+    const events = [
+      { name: "GameStarted", args: { gameId: 1, player1: alice, player2: bob }, blockNumber: 1, logIndex: 0 },
+      { name: "GameStarted", args: { gameId: 2, player1: carol, player2: bob }, blockNumber: 2, logIndex: 0 },
+      { name: "GameEnded", args: { gameId: 2, winner: carol, reason: "Move timeout" }, blockNumber: 3, logIndex: 0 },
+      { name: "GameEnded", args: { gameId: 1, winner: alice, reason: "All ships destroyed" }, blockNumber: 4, logIndex: 0 },
+      // Alice's board turns out to be illegal when she reveals it
+      { name: "GameEnded", args: { gameId: 1, winner: bob, reason: "Illegal board" }, blockNumber: 5, logIndex: 1 },
+      { name: "GameEnded", args: { gameId: 3, winner: carol, reason: "Response timeout" }, blockNumber: 6, logIndex: 0 }
+    ];
+
+    expect(Ladder.resultsFromEvents(events)).to.deep.equal([
+      { gameId: 2, player1: carol, player2: bob, winner: carol },
+      { gameId: 1, player1: alice, player2: bob, winner: bob }
+    ]);
+  });
+
+  describe("from the chain", function () {
+    async function historyFixture() {
+      const [, first, second, third] = await ethers.getSigners();
+      const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+      const client = await ChainClient.Client.observe(ethers.provider, contract.target);
+
+      await slashGame(contract, first, second);
+      await slashGame(contract, first, third);
+
+      // Third never fires in the next game and loses it on the move timeout
+      const timedOut = await challenge(contract, second, third);
+      const { commitment } = await accept(contract, third, timedOut);
+      await contract.connect(second).submitGuess(0, 0);
+      await respond(contract, third, commitment, 0, 0);
+      await time.increase(MOVE_TIMEOUT + 1);
+      await contract.connect(second).forceTimeout(timedOut);
+
+      // A challenge nobody accepted is not rated
+      const withdrawn = await challenge(contract, third, first);
+      await contract.connect(third).cancelGame(withdrawn);
+
+      return { client, first, second, third };
+    }
+
+    it("rates every finished game, timeouts included", async function () {
+      const { client, first, second, third } = await loadFixture(historyFixture);
+
+      const results = Ladder.resultsFromEvents(await client.resultEvents());
+      expect(results.map(({ gameId, winner }) => [gameId, winner])).to.deep.equal([
+        [1, first.address], [2, first.address], [3, second.address]
+      ]);
+
+      const standings = Ladder.compute(results);
+      expect(standings.map(({ player, played, wins, losses }) => [player, played, wins, losses])).to.deep.equal([
+        [first.address, 2, 2, 0],
+        [second.address, 2, 1, 1],
+        [third.address, 2, 0, 2]
+      ]);
+      expect(standings.map(({ rank }) => rank)).to.deep.equal([1, 2, 3]);
+      expect(standings[0].rating).to.be.above(Ladder.INITIAL_RATING);
+      expect(standings[2].rating).to.be.below(Ladder.INITIAL_RATING);
+    });
+  });
+});
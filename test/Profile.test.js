@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+
+const GameRecord = require("../gamerecord.js");
+const Profile = require("../profile.js");
+const RuleSets = require("../rulesets.js");
+
+// A finished local game: `shots` lists the player's shots as [row, col, result, sunkShip]
+function finishedGame({ preset = "classic", winner = "player", shots = [], received = [] } = {}) {
+  const record = GameRecord.create({ rules: RuleSets.fromPreset(preset), players: { player: {}, enemy: {} } });
+  const shot = (side) => ([row, col, result, sunkShip = null]) => ({ type: "shot", side, row, col, result, sunkShip });
+  record.moves = [...shots.map(shot("player")), ...received.map(shot("enemy"))];
+  record.winner = winner;
+  record.endedAt = new Date().toISOString();
+  return record;
+}
+
+function record(profile, game, id, opponent = "computer:medium") {
+  return Profile.recordGame(profile, game, { side: "player", opponent, id }).map((achievement) => achievement.id);
+}
+
+describe("Profile", function () {
+  describe("recordGame", function () {
+    it("keeps the longest run of hits across games", function () {
+      const profile = Profile.create();
+
+      record(profile, finishedGame({
+        shots: [[0, 0, "hit"], [0, 1, "hit"], [5, 5, "miss"], [1, 0, "hit"], [1, 1, "hit"], [1, 2, "hit"], [6, 6, "miss"]]
+      }), 1);
+      expect(profile.totals).to.include({ shots: 7, hits: 5, longestStreak: 3 });
+
+      // A shorter run later on leaves the record alone
+      record(profile, finishedGame({ winner: "enemy", shots: [[2, 0, "hit"], [2, 1, "hit"], [7, 7, "miss"]] }), 2);
+      expect(profile.totals).to.include({ shots: 10, hits: 7, longestStreak: 3 });
+
+      const unlocked = record(profile, finishedGame({ shots: [0, 1, 2, 3, 4].map((col) => [3, col, "hit"]) }), 3);
+      expect(profile.totals.longestStreak).to.equal(5);
+      expect(unlocked).to.include("hotStreak");
+    });
+
+    it("unlocks each achievement once, and skips a game already counted", function () {
+      const profile = Profile.create();
+      const win = () => finishedGame({ shots: [[0, 0, "hit", 0], [9, 9, "miss"]], received: [[4, 4, "miss"]] });
+
+      expect(record(profile, win(), 1)).to.have.members(["firstWin", "flawless", "untouchable", "carrierFirst"]);
+      const unlockedAt = profile.achievements.firstWin;
+
+      expect(record(profile, win(), 2)).to.deep.equal([]);
+      expect(record(profile, win(), 3, "computer:hard")).to.deep.equal(["admiral"]);
+      expect(profile.achievements.firstWin).to.equal(unlockedAt);
+
+      // Resuming a finished game must not count it again
+      expect(record(profile, win(), 3, "computer:hard")).to.deep.equal([]);
+      expect(profile.opponents["computer:hard"]).to.deep.equal({ played: 1, wins: 1, losses: 0, winningShots: 2 });
+      expect(Profile.stats(profile).played).to.equal(3);
+    });
+
+    it("keeps a heatmap per grid size", function () {
+      const profile = Profile.create();
+
+      record(profile, finishedGame({ shots: [[0, 0, "hit"], [9, 9, "miss"]] }), 1);
+      record(profile, finishedGame({ shots: [[0, 0, "miss"]] }), 2);
+      record(profile, finishedGame({ preset: "skirmish", shots: [[0, 0, "hit"], [7, 7, "miss"]] }), 3);
+
+      expect(Object.keys(profile.heatmaps)).to.have.members(["10", "8"]);
+      expect(profile.heatmaps[10]).to.have.length(10);
+      expect([profile.heatmaps[10][0][0], profile.heatmaps[10][9][9]]).to.deep.equal([2, 1]);
+      expect(profile.heatmaps[8]).to.have.length(8);
+      expect([profile.heatmaps[8][0][0], profile.heatmaps[8][7][7]]).to.deep.equal([1, 1]);
+      expect(profile.heatmaps[8].flat().reduce((total, count) => total + count, 0)).to.equal(2);
+    });
+
+    it(`keeps only the last ${Profile.HISTORY_LENGTH} games in the history`, function () {
+      const profile = Profile.create();
+      const games = Profile.HISTORY_LENGTH + 5;
+
+      for (let id = 1; id <= games; id++) {
+        // Game n fires n shots, so each history entry shows which game it came from
+        const shots = Array.from({ length: id }, (_, index) => [Math.floor(index / 10) % 10, index % 10, "miss"]);
+        record(profile, finishedGame({ winner: "enemy", shots }), id);
+      }
+
+      expect(profile.history).to.have.length(Profile.HISTORY_LENGTH);
+      expect(profile.history[0].shots).to.equal(6);
+      expect(profile.history.at(-1).shots).to.equal(games);
+      // The totals still count every game
+      expect(Profile.stats(profile).played).to.equal(games);
+      expect(profile.opponents["computer:medium"].losses).to.equal(games);
+    });
+  });
+});
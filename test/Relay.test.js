@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const WebSocket = require("ws");
+
+const RelayClient = require("../relayclient.js");
+const RuleSets = require("../rulesets.js");
+const { startRelayServer } = require("../scripts/relay-server.js");
+
+// Resolves with the next `type` event the client emits; listen before triggering it
+function next(client, type) {
+  return new Promise((resolve) => {
+    let seen = false;
+    client.on(type, (payload) => {
+      if (seen) return;
+      seen = true;
+      resolve(payload);
+    });
+  });
+}
+
+describe("Relay server and client", function () {
+  this.timeout(20000);
+
+  let relay;
+  let clients;
+
+  async function start(options = {}) {
+    relay = await startRelayServer({ port: 0, log: () => {}, ...options });
+  }
+
+  function connect() {
+    const client = new RelayClient.Client(`ws://localhost:${relay.port}`, { WebSocket });
+    clients.push(client);
+    return client;
+  }
+
+  // Alice opens a room for the classic rules and Bob joins it by its code
+  async function pair() {
+    const alice = connect();
+    const created = next(alice, "joined");
+    alice.createRoom(RuleSets.fromPreset("classic"));
+    const room = await created;
+
+    const bob = connect();
+    const joined = next(bob, "joined");
+    const opponentJoined = next(alice, "opponentJoined");
+    bob.joinRoom(room.room.toLowerCase());
+    return { alice, bob, room, joined: await joined, opponentJoined: await opponentJoined };
+  }
+
+  beforeEach(function () {
+    clients = [];
+  });
+
+  afterEach(async function () {
+    clients.forEach((client) => client.close());
+    if (relay) await relay.close();
+    relay = null;
+  });
+
+  it("seats two players in a room and forwards placements, shots and results", async function () {
+    await start();
+    const { alice, bob, room, joined } = await pair();
+
+    expect(room).to.include({ seat: "player1", opponentConnected: false, reconnected: false });
+    expect(room.room).to.match(/^[A-Z2-9]{5}$/);
+    expect(room.rules).to.deep.equal(RuleSets.fromPreset("classic"));
+    expect(joined).to.include({ room: room.room, seat: "player2", opponentConnected: true });
+    expect(joined.token).to.not.equal(room.token);
+
+    const placed = next(alice, "place");
+    bob.send("place");
+    expect(await placed).to.deep.equal({ type: "place" });
+
+    const shot = next(bob, "shot");
+    alice.send("shot", { row: 3, col: 4 });
+    expect(await shot).to.deep.equal({ type: "shot", row: 3, col: 4 });
+
+    const result = next(alice, "result");
+    const sunkShip = { index: 4, positions: [{ row: 3, col: 4 }, { row: 3, col: 5 }] };
+    bob.send("result", { row: 3, col: 4, hit: true, sunkShip });
+    expect(await result).to.deep.equal({ type: "result", row: 3, col: 4, hit: true, sunkShip });
+  });
+
+  it("refuses an unknown room, a full room and moves without an opponent", async function () {
+    await start();
+    const alice = connect();
+    const created = next(alice, "joined");
+    alice.createRoom(RuleSets.fromPreset("classic"));
+    const { room } = await created;
+
+    let error = next(alice, "error");
+    alice.send("shot", { row: 0, col: 0 });
+    expect((await error).message).to.equal("Waiting for an opponent");
+
+    const carol = connect();
+    error = next(carol, "error");
+    carol.joinRoom("ZZZZZ");
+    expect((await error).message).to.equal("Room not found");
+    error = next(carol, "error");
+    carol.send("shot", { row: 0, col: 0 });
+    expect((await error).message).to.equal("Not in a room");
+
+    const bob = connect();
+    const joined = next(bob, "joined");
+    bob.joinRoom(room);
+    await joined;
+    error = next(carol, "error");
+    carol.joinRoom(room);
+    expect((await error).message).to.equal("Room is full");
+  });
+
+  it("starts a rematch once both players have asked for one", async function () {
+    await start();
+    const { alice, bob } = await pair();
+
+    const asked = next(bob, "rematch");
+    alice.send("rematch");
+    expect(await asked).to.deep.equal({ type: "rematch" });
+
+    const starts = [next(alice, "rematchStart"), next(bob, "rematchStart")];
+    bob.send("rematch");
+    expect(await Promise.all(starts)).to.deep.equal([{ type: "rematchStart" }, { type: "rematchStart" }]);
+  });
+
+  it("holds a dropped player's seat and messages until they reconnect", async function () {
+    await start();
+    const { alice, bob, joined } = await pair();
+
+    const disconnected = next(alice, "opponentDisconnected");
+    const retrying = next(bob, "disconnected");
+    bob.socket.terminate();
+    await disconnected;
+    expect((await retrying).retryIn).to.equal(500);
+
+    // Sent while Bob is away, delivered once Bob is back in the seat
+    alice.send("shot", { row: 7, col: 1 });
+    const rejoined = next(bob, "joined");
+    const connected = next(bob, "connected");
+    const shot = next(bob, "shot");
+    const reconnected = next(alice, "opponentReconnected");
+
+    expect(await connected).to.deep.equal({ reconnected: true });
+    expect(await rejoined).to.include({ seat: "player2", token: joined.token, opponentConnected: true, reconnected: true });
+    expect(await shot).to.deep.equal({ type: "shot", row: 7, col: 1 });
+    await reconnected;
+  });
+
+  it("gives up a seat that is not reclaimed within the grace period", async function () {
+    await start({ reconnectGraceMs: 100 });
+    const { alice, bob, room, joined } = await pair();
+
+    const disconnected = next(alice, "opponentDisconnected");
+    const left = next(alice, "opponentLeft");
+    bob.close();
+    await disconnected;
+    await left;
+    expect(alice.session).to.equal(null);
+    expect(relay.rooms.has(room.room)).to.equal(false);
+
+    const late = connect();
+    const error = next(late, "error");
+    late.send("reconnect", { room: room.room, token: joined.token });
+    expect((await error).message).to.equal("Seat is no longer available");
+  });
+});
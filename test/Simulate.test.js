@@ -0,0 +1,132 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const RuleSets = require("../rulesets.js");
+const { buildEntrants, parseArgs, simulate, toCsv, writeReport } = require("../scripts/simulate.js");
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const gridTotal = (grid) => sum(grid.map(sum));
+
+describe("Simulation script", function () {
+  this.timeout(60000);
+
+  it("replays the same run from the same seed", function () {
+    const options = { games: 6, seed: 1234 };
+    expect(simulate(options)).to.deep.equal(simulate(options));
+    expect(simulate({ ...options, seed: 1235 })).to.not.deep.equal(simulate(options));
+  });
+
+  it("plays every pair of the app's computer levels, alternating the first move", function () {
+    const report = simulate({ games: 10, seed: 7 });
+
+    expect(report.entrants.map((entry) => entry.name)).to.deep.equal(["easy/random", "medium/noTouch", "hard/antiHeatmap"]);
+    expect(report.matchups.map(({ a, b }) => `${a} v ${b}`)).to.deep.equal([
+      "easy/random v medium/noTouch",
+      "easy/random v hard/antiHeatmap",
+      "medium/noTouch v hard/antiHeatmap"
+    ]);
+    report.matchups.forEach((matchup) => {
+      expect(matchup.aWins + matchup.bWins).to.equal(10);
+      expect(matchup.aWinRate).to.equal(matchup.aWins / 10);
+    });
+    report.entrants.forEach((entry) => expect(entry.games).to.equal(20));
+    expect(sum(report.entrants.map((entry) => entry.wins))).to.equal(30);
+  });
+
+  it("counts only winning games towards shots to win, never fewer than the fleet's cells", function () {
+    const report = simulate({ rules: "skirmish", entrants: buildEntrants({ firing: ["medium", "hard"], placement: ["random"] }), games: 12, seed: 99 });
+    const fleetCells = RuleSets.totalShipCells(RuleSets.fromPreset("skirmish"));
+
+    expect(report.rules).to.deep.equal({ name: "Skirmish", gridSize: 8, variant: "classic", fleet: [4, 3, 2, 2] });
+    report.entrants.forEach((entry) => {
+      expect(sum(Object.values(entry.distribution))).to.equal(entry.wins);
+      expect(entry.fewestShotsToWin).to.be.at.least(fleetCells);
+      expect(entry.mostShotsToWin).to.be.at.most(64);
+      expect(entry.averageShotsToWin).to.be.within(entry.fewestShotsToWin, entry.mostShotsToWin);
+    });
+  });
+
+  it("reports each firing strategy against each placement it fired at", function () {
+    const entrants = buildEntrants({ firing: ["easy", "hard"], placement: ["random", "spread"] });
+    const report = simulate({ entrants, games: 2, seed: 5 });
+
+    expect(report.entrants).to.have.length(4);
+    expect(report.matchups).to.have.length(6);
+    expect(report.versus.map(({ firing, placement }) => `${firing}:${placement}`)).to.have.members([
+      "easy:random", "easy:spread", "hard:random", "hard:spread"
+    ]);
+    expect(sum(report.versus.map((entry) => entry.games))).to.equal(6 * 2 * 2);
+  });
+
+  it("builds heatmaps that add up to the shots and hits of every game", function () {
+    const report = simulate({ entrants: buildEntrants({ firing: ["hard"], placement: ["edge"] }), games: 4, seed: 11 });
+    const { firing, placement } = report.heatmaps;
+
+    // A single entrant plays itself; "a" is whoever moved first
+    expect(report.matchups).to.have.length(1);
+    expect(report.matchups[0]).to.include({ a: "hard/edge", b: "hard/edge", games: 4 });
+    expect(report.entrants[0]).to.include({ games: 8, wins: 4 });
+    expect(gridTotal(firing.hard.hits)).to.equal(gridTotal(placement.edge.hits));
+    expect(gridTotal(firing.hard.shots)).to.be.greaterThan(gridTotal(firing.hard.hits));
+    // Every winner sank the whole fleet
+    expect(gridTotal(firing.hard.hits)).to.be.at.least(4 * 17);
+  });
+
+  it("rejects unknown strategies, rule sets and game counts", function () {
+    expect(() => buildEntrants({ firing: ["psychic"] })).to.throw('Unknown firing strategy "psychic"');
+    expect(() => buildEntrants({ placement: ["corners"] })).to.throw('Unknown placement strategy "corners"');
+    expect(() => simulate({ rules: "chess" })).to.throw('Unknown rule set "chess"');
+    expect(() => simulate({ games: 0 })).to.throw("games must be a positive whole number");
+  });
+
+  it("reads its options from the command line", function () {
+    const options = parseArgs(["--games", "50", "--seed=42", "--rules", "salvo", "--firing", "hard", "--placement", "random,noTouch", "--format", "csv"]);
+    expect(options).to.deep.include({ games: 50, seed: 42, rules: "salvo", format: "csv", out: undefined });
+    expect(options.entrants).to.deep.equal([{ firing: "hard", placement: "random" }, { firing: "hard", placement: "noTouch" }]);
+
+    expect(parseArgs([]).entrants).to.deep.equal(buildEntrants());
+    expect(() => parseArgs(["--format", "xml"])).to.throw("--format must be one of json, csv");
+    expect(() => parseArgs(["games"])).to.throw('Unexpected argument "games"');
+  });
+
+  it("rejects a seed or game count that is not a whole number", function () {
+    expect(() => parseArgs(["--seed", "abc"])).to.throw('--seed must be a whole number, not "abc"');
+    expect(() => parseArgs(["--seed=4.5"])).to.throw("--seed must be a whole number");
+    expect(() => parseArgs(["--seed="])).to.throw('--seed must be a whole number, not ""');
+    expect(() => parseArgs(["--games", "ten"])).to.throw('--games must be a positive whole number, not "ten"');
+    expect(() => parseArgs(["--games", "0"])).to.throw("--games must be a positive whole number");
+    expect(() => parseArgs(["--games", "1e3"])).to.throw("--games must be a positive whole number");
+    expect(parseArgs(["--seed", "0", "--games", "1"])).to.deep.include({ seed: 0, games: 1 });
+  });
+
+  it("writes JSON and CSV reports", function () {
+    const report = simulate({ games: 2, seed: 3 });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "battleship-simulate-"));
+    try {
+      writeReport(report, { format: "json", out: path.join(dir, "report.json") });
+      expect(JSON.parse(fs.readFileSync(path.join(dir, "report.json"), "utf8"))).to.deep.equal(report);
+
+      writeReport(report, { format: "csv", out: path.join(dir, "csv") });
+      expect(fs.readdirSync(path.join(dir, "csv")).sort()).to.deep.equal(
+        ["distribution.csv", "entrants.csv", "heatmaps.csv", "matchups.csv", "versus.csv"]
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const tables = toCsv(report);
+    const entrants = tables.entrants.trim().split("\n");
+    expect(entrants[0]).to.equal("entrant,firing,placement,games,wins,winRate,averageShotsToWin,fewestShotsToWin,medianShotsToWin,mostShotsToWin");
+    expect(entrants).to.have.length(4);
+    // One row per cell for each firing strategy and each placement strategy
+    expect(tables.heatmaps.trim().split("\n")).to.have.length(1 + 100 * 6);
+    expect(tables.heatmaps).to.include("\nfiring,hard,A1,0,0,");
+
+    let printed = "";
+    writeReport(report, { format: "csv", write: (text) => (printed += text) });
+    expect(printed.startsWith("# entrants\n")).to.equal(true);
+    expect(printed).to.include("\n# heatmaps\n");
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const ChainClient = require("../chainclient.js");
+const GameRecord = require("../gamerecord.js");
+const RuleSets = require("../rulesets.js");
+const { seedGames } = require("../scripts/seed.js");
+const { placedBoard, shipCells, respond, reveal, playToEnd } = require("./helpers/boards.js");
+
+const STAKE = ethers.parseEther("0.1");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+const REVEAL_TIMEOUT = 7 * 24 * 60 * 60;
+const { PHASES } = ChainClient;
+
+function committedBoard() {
+  const board = placedBoard(RuleSets.fromPreset("classic"));
+  return { board, commitment: BoardCommitment.commit(board) };
+}
+
+// Polls `read` until it returns something truthy, as a spectator's screen would wait for a block
+async function eventually(read, timeout = 5000) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = await read();
+    if (value || Date.now() > until) return value;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe("Spectator client", function () {
+  // The scripted games scripts/seed.js leaves on a local node
+  async function seededFixture() {
+    const signers = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    const games = await seedGames({ contract, ethers, log: () => {} });
+    const client = await ChainClient.Client.observe(ethers.provider, contract.target);
+    return { contract, client, games, signers };
+  }
+
+  async function startedGameFixture() {
+    const [, alice, bob] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    const { board: aliceBoard, commitment: aliceCommitment } = committedBoard();
+    const { board: bobBoard, commitment: bobCommitment } = committedBoard();
+    for (const [player, commitment] of [[alice, aliceCommitment], [bob, bobCommitment]]) {
+      await contract.connect(player).commitBoard(commitment.root, commitment.hashedMasterSalt, { value: STAKE });
+    }
+    const client = await ChainClient.Client.observe(ethers.provider, contract.target);
+    return { contract, client, alice, bob, aliceBoard, bobBoard, aliceCommitment, bobCommitment };
+  }
+
+  it("reads games without an account", async function () {
+    const { client, contract } = await loadFixture(seededFixture);
+
+    expect(client.account).to.equal(null);
+    expect(client.address).to.equal(contract.target);
+    expect(client.isAccount(contract.target)).to.equal(false);
+    await expect(ChainClient.Client.observe(ethers.provider, "0x1234")).to.be.rejectedWith("Enter a valid contract address");
+    await expect(ChainClient.Client.observe(ethers.provider)).to.be.rejectedWith("Nothing is deployed on chain 31337");
+  });
+
+  it("lists only the games in play", async function () {
+    const { client, games, signers } = await loadFixture(seededFixture);
+    const [, , , first, second] = signers;
+
+    const active = await client.activeGames();
+    expect(active).to.deep.equal([{
+      gameId: games[1].gameId,
+      player1: first.address,
+      player2: second.address,
+      currentGuesser: first.address,
+      hits: { player1: 3, player2: 0 }
+    }]);
+  });
+
+  it("shows whose turn it is and when the move timeout opens", async function () {
+    const { client, games, signers } = await loadFixture(seededFixture);
+    const [, , , first, second] = signers;
+
+    const status = await client.gameStatus(games[1].gameId);
+    expect(status).to.deep.include({ phase: PHASES.Started, currentGuesser: first.address, pendingGuess: null, winner: null });
+    expect(status).to.deep.include({ boardSize: 10, shipSizes: [5, 4, 3, 3, 2], totalShipCells: 17 });
+    expect(status.timeout).to.deep.equal({
+      reason: "Move timeout",
+      claimant: second.address,
+      deadline: status.lastMoveTime.player1 + MOVE_TIMEOUT
+    });
+    expect(status.now).to.equal(await time.latest());
+
+    const finished = await client.gameStatus(games[0].gameId);
+    expect(finished).to.deep.include({ phase: PHASES.Ended, winner: signers[1].address, settled: true, timeout: null });
+    await expect(client.gameStatus(99)).to.be.rejectedWith("Game 99 does not exist");
+  });
+
+  it("counts down to a response timeout and reports its result", async function () {
+    const { contract, client, games, signers } = await loadFixture(seededFixture);
+    const [, , , first] = signers;
+    const { gameId } = games[1];
+
+    await contract.connect(first).submitGuess(9, 9);
+    const status = await client.gameStatus(gameId);
+    expect(status.pendingGuess).to.deep.include({ guesser: first.address, x: 9, y: 9 });
+    expect(status.timeout).to.deep.equal({
+      reason: "Response timeout",
+      claimant: first.address,
+      deadline: status.pendingGuess.timestamp + MOVE_TIMEOUT
+    });
+
+    await time.increaseTo(status.timeout.deadline - 1);
+    await expect(contract.connect(first).forceTimeout(gameId)).to.be.revertedWith("Response timeout not reached");
+    await contract.connect(first).forceTimeout(gameId);
+
+    const ended = await client.gameStatus(gameId);
+    expect(ended).to.deep.include({ phase: PHASES.Ended, winner: first.address, settled: true, timeout: null });
+    const events = await client.gameEvents(gameId, 0, await client.blockNumber());
+    expect(events.find((event) => event.name === "GameEnded").args).to.deep.equal({
+      gameId, winner: first.address, reason: "Response timeout"
+    });
+    expect(events.some((event) => event.name === "StakeSlashed")).to.equal(false);
+  });
+
+  it("fills both grids live from the game's events", async function () {
+    const { contract, client, alice, bob, bobBoard, aliceCommitment, bobCommitment } = await loadFixture(startedGameFixture);
+    const events = [];
+    const stop = client.watch(1, 0, (batch) => events.push(...batch), 10);
+    const target = shipCells(bobBoard)[0];
+
+    try {
+      await contract.connect(alice).submitGuess(target.x, target.y);
+      await respond(contract, bob, bobCommitment, target.x, target.y);
+      await contract.connect(bob).submitGuess(0, 0);
+      await respond(contract, alice, aliceCommitment, 0, 0);
+      await eventually(() => events.filter((event) => event.name === "GuessResponded").length === 2);
+    } finally {
+      stop();
+    }
+
+    const record = GameRecord.fromChainEvents({
+      chainId: client.chainId, contract: client.address, gameId: 1, rules: RuleSets.fromPreset("classic"), events
+    });
+    const boards = GameRecord.boardsAt(record, record.moves.length);
+    expect(boards.player2.shots[target.y][target.x]).to.equal("hit");
+    expect(boards.player1.shots[0][0]).to.be.oneOf(["hit", "miss"]);
+    expect((await client.gameStatus(1)).currentGuesser).to.equal(alice.address);
+  });
+
+  it("counts down to a reveal timeout once one player has revealed", async function () {
+    const fixture = await loadFixture(startedGameFixture);
+    const { contract, client, alice, bobBoard, aliceCommitment } = fixture;
+
+    await playToEnd(contract, fixture, bobBoard);
+    await reveal(contract, alice, aliceCommitment);
+
+    const status = await client.gameStatus(1);
+    expect(status).to.deep.include({ phase: PHASES.Ended, winner: alice.address, settled: false });
+    expect(status.revealed).to.deep.equal({ player1: true, player2: false });
+    expect(status.timeout).to.deep.equal({
+      reason: "Reveal timeout",
+      claimant: alice.address,
+      deadline: status.gameStartTime + REVEAL_TIMEOUT
+    });
+  });
+
+  it("reports the stake slashed for an invalid proof", async function () {
+    const { contract, client, alice, bob, bobBoard, bobCommitment } = await loadFixture(startedGameFixture);
+    const hit = shipCells(bobBoard)[0];
+    const { cellSalt, proof } = BoardCommitment.prove(bobCommitment, hit.x, hit.y);
+
+    await contract.connect(alice).submitGuess(hit.x, hit.y);
+    await contract.connect(bob).respondToGuess(false, cellSalt, proof);
+
+    const events = await client.gameEvents(1, 0, await client.blockNumber());
+    expect(events.find((event) => event.name === "GameEnded").args).to.include({ winner: alice.address, reason: "Invalid Merkle proof" });
+    expect(events.find((event) => event.name === "StakeSlashed").args).to.include({ cheater: bob.address, reason: "Invalid Merkle proof" });
+    expect((await client.gameStatus(1)).timeout).to.equal(null);
+  });
+});
@@ -0,0 +1,279 @@
+// Randomized invariant test for the contract's stake accounting. Six accounts play long
+// random sequences of commits, challenges, cancels, guesses, answers (some of them false),
+// timeouts, reveals (some of boards that do not hold the fleet), withdrawals and pauses.
+// After every step the contract's balance must equal the stakes held by unsettled games
+// plus everything withdrawable, and a settled game must never be paid again.
+//
+// INVARIANT_SEED picks the sequence (a failing run prints its seed) and INVARIANT_STEPS
+// sets its length:
+//   INVARIANT_SEED=1234 INVARIANT_STEPS=2000 npx hardhat test test/StakeInvariants.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const BattleshipRules = require("../rules.js");
+const FleetPlacement = require("../placement.js");
+const RuleSets = require("../rulesets.js");
+const { seededRandom } = require("../scripts/simulate.js");
+const { shipCells } = require("./helpers/boards.js");
+
+const STAKE = ethers.parseEther("0.1");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+const REVEAL_TIMEOUT = 7 * 24 * 60 * 60;
+const Phase = { Setup: 0n, Started: 1n, Ended: 2n, Cancelled: 3n };
+
+const SEED = process.env.INVARIANT_SEED ? Number(process.env.INVARIANT_SEED) : Date.now() % 2 ** 31;
+const STEPS = process.env.INVARIANT_STEPS ? Number(process.env.INVARIANT_STEPS) : 400;
+const RUNS = process.env.INVARIANT_SEED ? 1 : 2;
+
+// Small, fast-ending rule sets; the first is the classic game commitBoard() plays
+const RULES = [RuleSets.fromPreset("classic"), RuleSets.fromPreset("skirmish")];
+
+// One random run: `random` drives every choice, so a seed always replays the same run
+function createRun({ contract, owner, players, seed }) {
+  const random = seededRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const chance = (probability) => random() < probability;
+  const boards = new Map(); // player address => { rules, board, commitment } of their current game
+  const shots = new Map(); // `${gameId}:${address}` => cells that player has fired at
+  const settled = new Set();
+  let salts = 0;
+
+  // A fleet for the rules; now and then one that drops a ship cell, which the reveal slashes
+  function newBoard(rules) {
+    const board = BattleshipRules.createBoard(rules.gridSize);
+    FleetPlacement.generate("random", {
+      gridSize: rules.gridSize,
+      shipSizes: rules.fleet.map((ship) => ship.size),
+      random
+    }).forEach(({ index, row, col, isHorizontal }) => {
+      BattleshipRules.placeShip(board, index, row, col, rules.fleet[index].size, isHorizontal);
+    });
+    if (chance(0.1)) {
+      const cell = board.ships[board.ships.length - 1].positions[0];
+      board.cells[cell.row][cell.col] = null;
+    }
+    return { rules, board, commitment: BoardCommitment.commit(board, ethers.id(`${seed}:${salts++}`)) };
+  }
+
+  // Where every account stands: its game (if any), whose guess is pending and who revealed
+  async function seats() {
+    const result = [];
+    for (const player of players) {
+      const gameId = Number(await contract.getPlayerGame(player.address));
+      const seat = { player, gameId, game: null, pending: null, revealed: false, challenge: null };
+      if (gameId !== 0) {
+        seat.game = await contract.getGame(gameId);
+        seat.pending = await contract.getPendingGuess(gameId);
+        const timers = await contract.getTimers(gameId);
+        seat.revealed = seat.game.player1 === player.address ? timers.player1Revealed : timers.player2Revealed;
+        seat.challenge = await contract.getChallenge(gameId);
+      }
+      result.push(seat);
+    }
+    return result;
+  }
+
+  // Each action names the accounts it applies to, and runs for one of them
+  const ACTIONS = {
+    // Join open matchmaking, or open a challenge for another idle account
+    commit: {
+      weight: 4,
+      eligible: (all) => all.filter((seat) => !seat.game),
+      run({ player }, all) {
+        const rules = pick(RULES);
+        const entry = newBoard(rules);
+        boards.set(player.address, entry);
+        const { root, hashedMasterSalt } = entry.commitment;
+        const shipSizes = rules.fleet.map((ship) => ship.size);
+
+        const idle = all.filter((seat) => !seat.game && seat.player !== player);
+        if (idle.length > 0 && chance(0.3)) {
+          const stake = ethers.parseEther(pick(["0.001", "0.05", "0.3"]));
+          return contract.connect(player).createChallenge(
+            root, hashedMasterSalt, rules.gridSize, shipSizes, pick(idle).player.address, ethers.ZeroAddress, { value: stake });
+        }
+        return rules === RULES[0]
+          ? contract.connect(player).commitBoard(root, hashedMasterSalt, { value: STAKE })
+          : contract.connect(player).commitBoardWithRules(root, hashedMasterSalt, rules.gridSize, shipSizes, { value: STAKE });
+      }
+    },
+
+    accept: {
+      weight: 6,
+      eligible: (all) => all.filter((seat) => !seat.game && all.some((other) => isOpenChallengeFor(other, seat.player))),
+      run({ player }, all) {
+        const { gameId, challenge } = all.find((other) => isOpenChallengeFor(other, player));
+        const creator = boards.get(challenge.creator);
+        const entry = newBoard(creator.rules);
+        boards.set(player.address, entry);
+        const { root, hashedMasterSalt } = entry.commitment;
+        return contract.connect(player).acceptChallenge(gameId, root, hashedMasterSalt, "0x", { value: challenge.stake });
+      }
+    },
+
+    cancel: {
+      weight: 0.5,
+      eligible: (all) => all.filter((seat) => seat.game && seat.game.gamePhase === Phase.Setup),
+      run: ({ player, gameId }) => contract.connect(player).cancelGame(gameId)
+    },
+
+    // Mostly aimed at a ship cell, so games reach their last hit
+    guess: {
+      weight: 10,
+      eligible: (all) => all.filter(({ player, game, pending }) =>
+        game && game.gamePhase === Phase.Started && game.currentGuesser === player.address && pending.guesser === ethers.ZeroAddress),
+      run({ player, gameId, game }) {
+        const target = game.player1 === player.address ? game.player2 : game.player1;
+        const { board } = boards.get(target);
+        const key = `${gameId}:${player.address}`;
+        const fired = shots.get(key) || new Set();
+        const open = (cells) => cells.filter(({ x, y }) => !fired.has(`${x},${y}`));
+        const ships = open(shipCells(board));
+        const cell = ships.length > 0 && chance(0.85)
+          ? pick(ships)
+          : pick(open(board.cells.flatMap((row, y) => row.map((ship, x) => ({ x, y })))));
+        fired.add(`${cell.x},${cell.y}`);
+        shots.set(key, fired);
+        return contract.connect(player).submitGuess(cell.x, cell.y);
+      }
+    },
+
+    // Now and then a false answer, which gets the responder slashed
+    respond: {
+      weight: 10,
+      eligible: (all) => all.filter(({ player, game, pending }) =>
+        game && game.gamePhase === Phase.Started && pending.target === player.address),
+      run({ player, pending }) {
+        const { hit, cellSalt, proof } = BoardCommitment.prove(boards.get(player.address).commitment, Number(pending.x), Number(pending.y));
+        return contract.connect(player).respondToGuess(chance(0.03) ? !hit : hit, cellSalt, proof);
+      }
+    },
+
+    reveal: {
+      weight: 3,
+      eligible: (all) => all.filter(({ game, revealed }) => game && game.gamePhase === Phase.Ended && !revealed),
+      run({ player }) {
+        const { masterSalt, board, ships } = BoardCommitment.reveal(boards.get(player.address).commitment);
+        return contract.connect(player).revealMasterSalt(masterSalt, board, ships);
+      }
+    },
+
+    // Claims on the current game, or on any earlier one (which must pay nothing more)
+    timeout: {
+      weight: 0.7,
+      eligible: () => players.map((player) => ({ player })),
+      async run({ player }, all) {
+        await time.increase(pick([60, 60 * 60, MOVE_TIMEOUT + 1, REVEAL_TIMEOUT + 1]));
+        const total = Number(await contract.getTotalGames());
+        const { gameId } = all.find((seat) => seat.player === player);
+        if (total === 0) return null;
+        return contract.connect(player).forceTimeout(gameId !== 0 && chance(0.7) ? gameId : 1 + Math.floor(random() * total));
+      }
+    },
+
+    withdraw: {
+      weight: 2,
+      eligible: () => players.map((player) => ({ player })),
+      run: ({ player }) => contract.connect(player).withdraw()
+    },
+
+    // The owner pauses rarely and unpauses soon after
+    pause: {
+      weight: 0.3,
+      eligible: () => (paused ? [] : [{ player: owner }]),
+      run: () => contract.connect(owner).pause()
+    },
+    unpause: {
+      weight: 5,
+      eligible: () => (paused ? [{ player: owner }] : []),
+      run: () => contract.connect(owner).unpause()
+    }
+  };
+  let paused = false;
+
+  function isOpenChallengeFor(seat, player) {
+    return seat.game && seat.game.gamePhase === Phase.Setup && seat.challenge.invitee === player.address;
+  }
+
+  function chooseAction(all) {
+    const choices = Object.entries(ACTIONS)
+      .map(([name, action]) => ({ name, action, actors: action.eligible(all) }))
+      .filter(({ actors }) => actors.length > 0);
+    const total = choices.reduce((sum, { action }) => sum + action.weight, 0);
+    let roll = random() * total;
+    return choices.find(({ action }) => (roll -= action.weight) < 0) || choices[choices.length - 1];
+  }
+
+  // Stakes still held for every game that has not been settled, plus all withdrawable funds
+  async function accountedFor() {
+    let held = 0n;
+    const total = Number(await contract.getTotalGames());
+    for (let gameId = 1; gameId <= total; gameId++) {
+      if (settled.has(gameId)) continue;
+      if ((await contract.getTimers(gameId)).settled) {
+        settled.add(gameId);
+        continue;
+      }
+      const { player2 } = await contract.getGame(gameId);
+      const { stake } = await contract.getChallenge(gameId);
+      held += player2 === ethers.ZeroAddress ? stake : stake * 2n;
+    }
+
+    let withdrawable = 0n;
+    for (const player of [owner, ...players]) {
+      withdrawable += await contract.getWithdrawableAmount(player.address);
+    }
+    return held + withdrawable;
+  }
+
+  return {
+    async step(index) {
+      const all = await seats();
+      const { name, action, actors } = chooseAction(all);
+      const actor = pick(actors);
+      try {
+        const transaction = await action.run(actor, all);
+        if (transaction) await transaction.wait();
+      } catch (error) {
+        // Reverts are part of the game (timeouts not reached, withdrawals of nothing, a
+        // pause); anything else is a broken harness
+        if (!/reverted/i.test(error.message)) throw error;
+      }
+      paused = await contract.paused();
+
+      const balance = await ethers.provider.getBalance(contract.target);
+      expect(balance, `step ${index} (${name} by ${actor.player.address}), seed ${seed}`).to.equal(await accountedFor());
+    },
+
+    // Settling is one-way: every game seen settled must still be settled
+    async settledGames() {
+      for (const gameId of settled) {
+        expect((await contract.getTimers(gameId)).settled, `game ${gameId} came unsettled, seed ${seed}`).to.equal(true);
+      }
+      return settled.size;
+    }
+  };
+}
+
+describe("Stake invariants", function () {
+  this.timeout(0);
+
+  for (let run = 0; run < RUNS; run++) {
+    const seed = SEED + run;
+
+    it(`holds exactly the live stakes plus all withdrawable funds (seed ${seed}, ${STEPS} steps)`, async function () {
+      const [owner, ...rest] = await ethers.getSigners();
+      const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+      const harness = createRun({ contract, owner, players: rest.slice(0, 6), seed });
+
+      for (let index = 0; index < STEPS; index++) {
+        await harness.step(index);
+      }
+
+      // A run that never settles a game has not tested much
+      expect(await harness.settledGames(), `no game was settled, seed ${seed}`).to.be.greaterThan(0);
+    });
+  }
+});
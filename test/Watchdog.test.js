@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BoardCommitment = require("../commitment.js");
+const RuleSets = require("../rulesets.js");
+const { Phase, createWatchdog } = require("../scripts/watchdog.js");
+const { placedBoard, waterCells, respond, reveal, playToEnd } = require("./helpers/boards.js");
+
+const STAKE = ethers.parseEther("0.1");
+const MOVE_TIMEOUT = 24 * 60 * 60;
+const REVEAL_TIMEOUT = 7 * 24 * 60 * 60;
+
+function committedBoard() {
+  const board = placedBoard(RuleSets.fromPreset("classic"));
+  return { board, commitment: BoardCommitment.commit(board) };
+}
+
+function commit(contract, player, commitment) {
+  return contract.connect(player).commitBoard(commitment.root, commitment.hashedMasterSalt, { value: STAKE });
+}
+
+describe("Watchdog", function () {
+  async function startedGameFixture() {
+    const [, alice, bob, carol] = await ethers.getSigners();
+    const contract = await ethers.deployContract("ImprovedOnChainBattleship");
+    const { board: aliceBoard, commitment: aliceCommitment } = committedBoard();
+    const { board: bobBoard, commitment: bobCommitment } = committedBoard();
+
+    await commit(contract, alice, aliceCommitment);
+    await commit(contract, bob, bobCommitment);
+
+    return { contract, alice, bob, carol, aliceBoard, bobBoard, aliceCommitment, bobCommitment };
+  }
+
+  async function finishedGameFixture() {
+    const fixture = await startedGameFixture();
+    await playToEnd(fixture.contract, fixture, fixture.bobBoard);
+    return fixture;
+  }
+
+  function watchdog(contract, options) {
+    const logged = [];
+    const dog = createWatchdog({
+      provider: ethers.provider,
+      address: contract.target,
+      log: (message) => logged.push(message),
+      ...options
+    });
+    return { dog, logged };
+  }
+
+  async function phase(contract, gameId = 1) {
+    return Number((await contract.getGame(gameId)).gamePhase);
+  }
+
+  it("claims an unanswered guess once the response timeout passes and withdraws the pot", async function () {
+    const { contract, alice } = await loadFixture(startedGameFixture);
+    const { dog, logged } = watchdog(contract, { signers: [alice] });
+    await contract.connect(alice).submitGuess(0, 0);
+    const guessed = await time.latest();
+
+    const [waiting] = await dog.check();
+    expect(waiting).to.include({ gameId: 1, status: "waiting", reason: "Response timeout", deadline: guessed + MOVE_TIMEOUT });
+
+    // The contract only accepts the claim once the block time is past the deadline
+    await time.increaseTo(guessed + MOVE_TIMEOUT);
+    expect((await dog.check())[0]).to.include({ status: "waiting", reason: "Response timeout" });
+
+    await time.increase(1);
+    const balance = await ethers.provider.getBalance(alice.address);
+    const [claimed] = await dog.check();
+
+    expect(claimed).to.include({ gameId: 1, status: "claimed", reason: "Response timeout", withdrawn: (STAKE * 2n).toString() });
+    expect(await phase(contract)).to.equal(Phase.Ended);
+    expect(await contract.getWithdrawableAmount(alice.address)).to.equal(0);
+    expect(await ethers.provider.getBalance(alice.address)).to.be.greaterThan(balance + STAKE * 2n - ethers.parseEther("0.01"));
+    expect(logged.join("\n")).to.include("claimed the Response timeout").and.include("withdrew 0.2 ETH");
+
+    expect(await dog.check()).to.deep.equal([{ account: alice.address, gameId: null, status: "idle" }]);
+  });
+
+  it("claims the move timeout only when it is the opponent's turn", async function () {
+    const { contract, alice, bob } = await loadFixture(startedGameFixture);
+    const { dog } = watchdog(contract, { signers: [alice, bob] });
+
+    // Alice fires first and sits on her turn; Bob has nothing to claim
+    await time.increase(MOVE_TIMEOUT + 1);
+    let [aliceCheck, bobCheck] = await dog.check();
+    expect(aliceCheck).to.include({ status: "waiting" }).and.not.have.property("reason");
+    expect(bobCheck).to.include({ status: "claimed", reason: "Move timeout" });
+    expect((await contract.getGame(1)).winner).to.equal(bob.address);
+
+    // A fresh game where Bob answers and then Alice is the one left waiting
+    const fixture = await startedGameFixture();
+    const miss = waterCells(fixture.bobBoard)[0];
+    await fixture.contract.connect(alice).submitGuess(miss.x, miss.y);
+    await respond(fixture.contract, bob, fixture.bobCommitment, miss.x, miss.y);
+    const fresh = watchdog(fixture.contract, { signers: [alice, bob] }).dog;
+
+    await time.increase(MOVE_TIMEOUT - 60);
+    [aliceCheck, bobCheck] = await fresh.check();
+    expect(aliceCheck).to.include({ status: "waiting", reason: "Move timeout" });
+    expect(bobCheck).to.include({ status: "waiting" });
+
+    await time.increase(61);
+    [aliceCheck] = await fresh.check();
+    expect(aliceCheck).to.include({ status: "claimed", reason: "Move timeout" });
+    expect((await fixture.contract.getGame(1)).winner).to.equal(alice.address);
+  });
+
+  it("slashes an opponent who does not reveal after the last shot", async function () {
+    const { contract, alice, bob, aliceCommitment } = await loadFixture(finishedGameFixture);
+    const { dog } = watchdog(contract, { signers: [alice, bob] });
+    const started = (await contract.getTimers(1)).gameStartTime;
+
+    // Nobody has revealed, so neither side may claim
+    await time.increaseTo(started + BigInt(REVEAL_TIMEOUT) + 1n);
+    expect((await dog.check()).map((result) => result.status)).to.deep.equal(["waiting", "waiting"]);
+
+    await reveal(contract, alice, aliceCommitment);
+    const [aliceCheck, bobCheck] = await dog.check();
+    expect(aliceCheck).to.include({ status: "claimed", reason: "Reveal timeout" });
+    expect(bobCheck).to.include({ status: "idle" });
+    await expect(contract.queryFilter(contract.filters.StakeSlashed(1, bob.address)))
+      .to.eventually.have.length(1);
+  });
+
+  it("only simulates claims in dry-run mode", async function () {
+    const { contract, alice, bob } = await loadFixture(startedGameFixture);
+    const { dog, logged } = watchdog(contract, { addresses: [alice.address, bob.address], dryRun: true });
+    await contract.connect(alice).submitGuess(0, 0);
+    await time.increase(MOVE_TIMEOUT + 1);
+
+    const [aliceCheck, bobCheck] = await dog.check();
+    expect(aliceCheck).to.include({ status: "dry run", reason: "Response timeout", claimed: false });
+    expect(bobCheck).to.include({ status: "waiting" });
+    expect(logged).to.include(`[dry run] Game 1: would claim the Response timeout for ${alice.address}`);
+    expect(await phase(contract)).to.equal(Phase.Started);
+  });
+
+  it("needs a signer for every account it claims for", async function () {
+    const { contract, alice } = await loadFixture(startedGameFixture);
+    expect(() => watchdog(contract, { addresses: [alice.address] })).to.throw("needs a signer");
+  });
+
+  it("logs each deadline once", async function () {
+    const { contract, alice } = await loadFixture(startedGameFixture);
+    const { dog, logged } = watchdog(contract, { signers: [alice] });
+    await contract.connect(alice).submitGuess(0, 0);
+
+    await dog.check();
+    await dog.check();
+    expect(logged).to.have.length(1);
+    expect(logged[0]).to.match(/^Game 1: Response timeout for 0x[0-9a-fA-F]{40} at \d{4}-/);
+  });
+});
@@ -0,0 +1,58 @@
+// Boards and moves for contract tests, built with the frontend's own rules engine and
+// Merkle helpers so the tests exercise the exact commitments the browser sends.
+const BoardCommitment = require("../../commitment.js");
+const BattleshipRules = require("../../rules.js");
+const FleetPlacement = require("../../placement.js");
+
+// A board from the rules engine with a random fleet laid out for the rule set
+function placedBoard(rules) {
+  const board = BattleshipRules.createBoard(rules.gridSize);
+  FleetPlacement.generate("random", {
+    gridSize: rules.gridSize,
+    shipSizes: rules.fleet.map((ship) => ship.size)
+  }).forEach(({ index, row, col, isHorizontal }) => {
+    BattleshipRules.placeShip(board, index, row, col, rules.fleet[index].size, isHorizontal);
+  });
+  return board;
+}
+
+function shipCells(board) {
+  const cells = [];
+  board.cells.forEach((row, y) => row.forEach((ship, x) => ship !== null && cells.push({ x, y })));
+  return cells;
+}
+
+function waterCells(board) {
+  const cells = [];
+  board.cells.forEach((row, y) => row.forEach((ship, x) => ship === null && cells.push({ x, y })));
+  return cells;
+}
+
+async function respond(contract, player, commitment, x, y) {
+  const { hit, cellSalt, proof } = BoardCommitment.prove(commitment, x, y);
+  return contract.connect(player).respondToGuess(hit, cellSalt, proof);
+}
+
+async function reveal(contract, player, commitment) {
+  const { masterSalt, board, ships } = BoardCommitment.reveal(commitment);
+  return contract.connect(player).revealMasterSalt(masterSalt, board, ships);
+}
+
+// Alice sinks every ship cell of `loserBoard` while Bob only hits water
+async function playToEnd(contract, { alice, bob, aliceBoard, aliceCommitment, bobCommitment }, loserBoard) {
+  const targets = shipCells(loserBoard);
+  const misses = waterCells(aliceBoard);
+
+  for (let turn = 0; turn < targets.length; turn++) {
+    const target = targets[turn];
+    await contract.connect(alice).submitGuess(target.x, target.y);
+    await respond(contract, bob, bobCommitment, target.x, target.y);
+    if (turn === targets.length - 1) break;
+
+    const miss = misses[turn];
+    await contract.connect(bob).submitGuess(miss.x, miss.y);
+    await respond(contract, alice, aliceCommitment, miss.x, miss.y);
+  }
+}
+
+module.exports = { placedBoard, shipCells, waterCells, respond, reveal, playToEnd };